@@ -0,0 +1,154 @@
+import React, { useState } from "react";
+import { useVault } from "./VaultGate.jsx";
+import { COLLECTIONS, applyImport, collectSnapshot, exportArchive, parseArchive, planImport } from "./archive.js";
+
+/**
+ * ArchivePanel.jsx
+ * "Export my memories" / import card for the privacy section. Import reads the archive,
+ * previews what would change for the chosen mode, and only writes after confirmation.
+ * The format itself is described in archive.js.
+ */
+
+const LABELS = { ...Object.fromEntries(COLLECTIONS.map((c) => [c.name, c.label])), clips: "voice clips" };
+
+function describe(s) {
+  const parts = [];
+  if (s.added) parts.push(`${s.added} new`);
+  if (s.updated) parts.push(`${s.updated} replaced`);
+  if (s.renamed) parts.push(`${s.renamed} kept as copies`);
+  if (s.skipped) parts.push(`${s.skipped} skipped`);
+  if (s.identical) parts.push(`${s.identical} already here`);
+  if (s.removed) parts.push(`${s.removed} removed`);
+  return parts.join(", ") || "nothing";
+}
+
+export default function ArchivePanel() {
+  const { remount } = useVault();
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null); // { kind: "ok" | "error", text }
+  const [pending, setPending] = useState(null); // { fileName, manifest, snapshot, warnings, current }
+  const [mode, setMode] = useState("merge");
+  const [onConflict, setOnConflict] = useState("keep-both");
+
+  const plan = pending ? planImport(pending.current, pending.snapshot, { mode, onConflict }) : null;
+
+  async function onExport() {
+    setBusy(true);
+    setMessage(null);
+    try {
+      const { blob, filename } = await exportArchive();
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = filename;
+      a.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+      setMessage({ kind: "ok", text: `Saved ${filename}. Keep it somewhere safe — it isn't encrypted.` });
+    } catch (e) {
+      setMessage({ kind: "error", text: `Export failed: ${e.message}` });
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function onPickFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setBusy(true);
+    setMessage(null);
+    try {
+      const [{ manifest, snapshot, warnings }, current] = await Promise.all([parseArchive(await file.arrayBuffer()), collectSnapshot()]);
+      setPending({ fileName: file.name, manifest, snapshot, warnings, current });
+    } catch (err) {
+      setMessage({ kind: "error", text: err.message });
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function onConfirm() {
+    if (mode === "replace" && !confirm("Replace everything on this device with the archive? Anything not in the archive will be deleted.")) return;
+    setBusy(true);
+    try {
+      await applyImport(plan);
+      setPending(null);
+      alert("Import finished.");
+      remount();
+    } catch (e) {
+      setMessage({ kind: "error", text: `Import failed: ${e.message}` });
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="bg-slate-900/40 p-5 rounded">
+      <h4 className="font-semibold">Backup &amp; restore</h4>
+      <p className="text-slate-400 text-sm mt-2">
+        Download everything — people, letters, conversations and the original audio — as one zip you can keep or move to another device.
+      </p>
+
+      <div className="mt-3 flex flex-wrap gap-2 items-center">
+        <button disabled={busy} onClick={onExport} className="px-4 py-2 rounded bg-indigo-600 disabled:opacity-60">Export my memories</button>
+        <label className="px-4 py-2 rounded bg-slate-700 cursor-pointer">
+          Import…
+          <input type="file" accept=".zip,application/zip" onChange={onPickFile} disabled={busy} className="sr-only" />
+        </label>
+      </div>
+
+      {pending && (
+        <div className="mt-4 p-3 rounded bg-slate-800/50 text-sm">
+          <div className="font-semibold">{pending.fileName}</div>
+          <div className="text-xs text-slate-400">Exported {new Date(pending.manifest.exportedAt).toLocaleString()}</div>
+          {pending.warnings.length > 0 && (
+            <ul role="alert" className="mt-2 space-y-1 text-xs text-amber-300">
+              {pending.warnings.map((w) => <li key={w}>{w}</li>)}
+            </ul>
+          )}
+
+          <fieldset className="mt-3 flex gap-4">
+            <legend className="sr-only">Import mode</legend>
+            <label className="flex items-center gap-1">
+              <input type="radio" checked={mode === "merge"} onChange={() => setMode("merge")} /> Add to what's here
+            </label>
+            <label className="flex items-center gap-1">
+              <input type="radio" checked={mode === "replace"} onChange={() => setMode("replace")} /> Replace everything
+            </label>
+          </fieldset>
+
+          {mode === "merge" && (
+            <label className="mt-2 flex items-center gap-2 text-slate-300">
+              When an item differs
+              <select value={onConflict} onChange={(e) => setOnConflict(e.target.value)} className="p-1 rounded bg-slate-900">
+                <option value="keep-both">keep both</option>
+                <option value="skip">keep this device's version</option>
+                <option value="overwrite">use the archive's version</option>
+              </select>
+            </label>
+          )}
+
+          <ul className="mt-3 space-y-1 text-slate-300">
+            {Object.entries(plan.summary).map(([name, s]) => (
+              <li key={name}>
+                <span className="capitalize">{LABELS[name]}</span>: {describe(s)}
+              </li>
+            ))}
+          </ul>
+
+          <div className="mt-3 flex gap-2">
+            <button disabled={busy} onClick={onConfirm} className={`px-4 py-2 rounded disabled:opacity-60 ${mode === "replace" ? "bg-red-600/80" : "bg-pink-500"}`}>
+              {busy ? "Importing…" : mode === "replace" ? "Replace" : "Import"}
+            </button>
+            <button disabled={busy} onClick={() => setPending(null)} className="px-4 py-2 rounded bg-slate-700">Cancel</button>
+          </div>
+        </div>
+      )}
+
+      {message && (
+        <div role={message.kind === "error" ? "alert" : "status"} className={`mt-2 text-sm ${message.kind === "error" ? "text-red-300" : "text-emerald-300"}`}>
+          {message.text}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,135 @@
+import React, { useEffect, useState } from "react";
+import { useActiveProfile, useAppState, useLinkedProfile, useProfileItems } from "./appState.js";
+import { useStore } from "./store.js";
+import { navigate, routeHref } from "./router.js";
+import { renameConversation, setArchived } from "./conversations.js";
+import { spokenName } from "./profiles.js";
+import { regionFor } from "./safety.js";
+import ConversationSidebar from "./ConversationSidebar.jsx";
+import SafetyNotice from "./SafetyNotice.jsx";
+import ViewHeading from "./ViewHeading.jsx";
+
+/**
+ * ChatView.jsx
+ * Memory Chat ("#/chat/<conversationId>"): the active person's conversations on the left,
+ * the open one on the right. Without an id it opens the last conversation looked at;
+ * picking another one in the sidebar is a navigation, so back/forward step through them.
+ */
+
+function fmt(ts) {
+  return new Date(ts).toLocaleString();
+}
+
+export default function ChatView({ id }) {
+  const app = useAppState();
+  const profile = useActiveProfile();
+  const conversations = useProfileItems(app.conversations);
+  const lastId = useStore(app.activeConversationId);
+  const providerNotice = useStore(app.providerNotice);
+  const clearedChat = useStore(app.clearedChat);
+  const streaming = useStore(app.streamingReplies);
+  const safetyRegion = regionFor(useStore(app.safetySettings));
+  const [chatInput, setChatInput] = useState("");
+  useLinkedProfile(app.conversations, id);
+
+  const active =
+    conversations.find((c) => c.id === (id || lastId)) ||
+    conversations.find((c) => !c.archived) ||
+    conversations[0] ||
+    null;
+  const chatMessages = active?.messages || [];
+
+  useEffect(() => {
+    if (active) app.activeConversationId.set(active.id);
+  }, [active?.id]);
+
+  function sendChat() {
+    const text = chatInput.trim();
+    if (!text || !active) return;
+    app.sendChat(active.id, text);
+    setChatInput("");
+  }
+
+  // Basic accessibility: keyboard submit chat on Enter
+  function onChatKey(e) {
+    if (e.key === "Enter" && !e.shiftKey) {
+      e.preventDefault();
+      sendChat();
+    }
+  }
+
+  return (
+    <section className="mt-8">
+      <ViewHeading>Memory Chat</ViewHeading>
+      <p className="text-slate-400 mt-1 text-sm">Talk how you would — replies are drawn from your own letters and clip notes, and are read aloud if your browser supports it.</p>
+
+      {providerNotice && <div className="mt-2 text-xs text-amber-300" role="status">{providerNotice}</div>}
+
+      <div className="mt-4 bg-slate-900/40 p-6 rounded-2xl grid grid-cols-1 md:grid-cols-3 gap-4">
+        <ConversationSidebar
+          conversations={conversations}
+          activeId={active?.id}
+          onSelect={(cid) => navigate("chat", cid)}
+          onNew={() => navigate("chat", app.newConversation().id)}
+          onRename={(cid, title) => app.conversations.set((cs) => renameConversation(cs, cid, title))}
+          onArchive={(cid, archived) => app.conversations.set((cs) => setArchived(cs, cid, archived))}
+        />
+
+        <div className="md:col-span-2">
+          <div className="flex items-center justify-between gap-2 text-sm">
+            <div className="font-semibold truncate">{active?.title}</div>
+            <div className="text-xs text-slate-400 shrink-0">with {profile.name}</div>
+          </div>
+
+          <div className="mt-2 flex flex-col gap-3 max-h-96 overflow-auto p-2 rounded" aria-live="polite">
+            {chatMessages.length === 0 && <div className="text-slate-400 text-sm">Nothing said yet.</div>}
+            {chatMessages.map((m) =>
+              m.from === "care" ? (
+                <SafetyNotice key={m.id} level={m.level} text={m.text} region={safetyRegion} onRegionChange={app.setSafetyRegion} onOpenHealing={() => navigate("healing")} />
+              ) : (
+                <div key={m.id} className={`p-3 rounded ${m.from === "you" ? "bg-slate-700 self-end text-right" : "bg-slate-800"}`}>
+                  <div className="text-sm">{m.pending && !streaming[m.id] ? <span aria-label="Typing">…</span> : m.pending ? streaming[m.id] : m.text}</div>
+                  {m.basedOn?.length > 0 && (
+                    <div className="text-xs text-slate-400 mt-1">
+                      Based on{" "}
+                      {m.basedOn.map((b, i) => (
+                        <React.Fragment key={b.id}>
+                          {i > 0 && ", "}
+                          <a href={routeHref(b.kind === "clip" ? "clips" : "journal", b.id)} className="underline hover:text-slate-200">
+                            {b.kind === "clip" ? "clip" : "letter"} “{b.title}”
+                          </a>
+                        </React.Fragment>
+                      ))}
+                    </div>
+                  )}
+                  <div className="text-xs text-slate-400 mt-1">{fmt(m.time)}</div>
+                </div>
+              )
+            )}
+          </div>
+
+          <div className="mt-3 flex gap-2">
+            <textarea
+              value={chatInput}
+              onChange={(e) => setChatInput(e.target.value)}
+              onKeyDown={onChatKey}
+              placeholder={`Share something with ${spokenName(profile) || "them"}...`}
+              className="flex-1 p-3 rounded bg-slate-800/60 text-sm"
+              rows={3}
+            />
+            <div className="flex flex-col gap-2">
+              <button onClick={sendChat} className="px-4 py-2 rounded bg-emerald-500 font-semibold">Send</button>
+              <button onClick={() => app.clearChat(active.id)} disabled={chatMessages.length === 0} className="px-4 py-2 rounded bg-slate-700 disabled:opacity-60">Clear</button>
+            </div>
+          </div>
+          {clearedChat && (
+            <div role="status" className="mt-2 flex items-center gap-3 text-sm text-slate-300">
+              Conversation cleared.
+              <button onClick={app.undoClearChat} className="underline">Undo</button>
+            </div>
+          )}
+        </div>
+      </div>
+    </section>
+  );
+}
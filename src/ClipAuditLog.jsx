@@ -0,0 +1,52 @@
+import React from "react";
+import { AUDIT_ACTIONS, auditFor } from "./consent.js";
+
+/**
+ * ClipAuditLog.jsx
+ * The consent and use log for the active person's voice clips (consent.js), newest first,
+ * for all clips or the one picked in `clipId`. Entries of deleted clips stay listed.
+ */
+
+const SHOWN = 100;
+
+export default function ClipAuditLog({ log, clips, clipId, onClipChange }) {
+  const clipById = new Map(clips.map((c) => [c.id, c]));
+  const entries = auditFor(log, clipId);
+
+  return (
+    <div className="bg-slate-900/40 p-5 rounded">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h4 className="font-semibold">Consent &amp; use log</h4>
+        <select value={clipId || ""} onChange={(e) => onClipChange(e.target.value || null)} aria-label="Show the log for" className="p-1 rounded bg-slate-800/60 text-sm">
+          <option value="">All clips</option>
+          {clips.map((c) => (
+            <option key={c.id} value={c.id}>
+              {c.title || c.name}
+            </option>
+          ))}
+        </select>
+      </div>
+      <p className="text-slate-400 text-sm mt-2">Every time a clip is played, referenced, sent or refused because its consent doesn't cover the use.</p>
+
+      <ol className="mt-3 space-y-1 text-sm max-h-72 overflow-auto">
+        {entries.length === 0 && <li className="text-slate-400">Nothing logged yet.</li>}
+        {entries.slice(0, SHOWN).map((e) => {
+          const clip = clipById.get(e.clipId);
+          return (
+            <li key={e.id} className={`p-2 rounded ${e.action === "refused" || e.action === "changed" ? "bg-amber-950/40" : "bg-slate-800/40"}`}>
+              <div className="flex flex-wrap justify-between gap-2">
+                <span>
+                  {AUDIT_ACTIONS[e.action] || e.action}
+                  {!clipId && <span className="text-slate-400"> · {clip ? clip.title || clip.name : "deleted clip"}</span>}
+                </span>
+                <span className="text-xs text-slate-400">{new Date(e.time).toLocaleString()}</span>
+              </div>
+              {e.detail && <div className="text-xs text-slate-300">{e.detail}</div>}
+            </li>
+          );
+        })}
+      </ol>
+      {entries.length > SHOWN && <p className="mt-2 text-xs text-slate-400">Showing the latest {SHOWN} of {entries.length}.</p>}
+    </div>
+  );
+}
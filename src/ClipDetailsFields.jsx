@@ -0,0 +1,30 @@
+import React from "react";
+
+/**
+ * ClipDetailsFields.jsx
+ * Title, date and transcript/notes inputs shared by the recorder and the clip list editor.
+ * `value` is { title, recordedOn ("YYYY-MM-DD"), notes }.
+ */
+
+export default function ClipDetailsFields({ value, onChange }) {
+  function set(field, v) {
+    onChange({ ...value, [field]: v });
+  }
+
+  return (
+    <div className="grid gap-2 text-sm">
+      <div className="flex gap-2">
+        <input value={value.title} onChange={(e) => set("title", e.target.value)} placeholder="Title" aria-label="Clip title" className="flex-1 p-2 rounded bg-slate-800/60" />
+        <input type="date" value={value.recordedOn} onChange={(e) => set("recordedOn", e.target.value)} aria-label="Date of the recording" className="p-2 rounded bg-slate-800/60" />
+      </div>
+      <textarea
+        value={value.notes}
+        onChange={(e) => set("notes", e.target.value)}
+        rows={3}
+        placeholder="Transcript or notes — what's said, where it was, why it matters"
+        aria-label="Transcript or notes"
+        className="p-2 rounded bg-slate-800/60"
+      />
+    </div>
+  );
+}
@@ -0,0 +1,268 @@
+import React, { useEffect, useRef, useState } from "react";
+import { useActiveProfile, useAppState, useLinkedProfile, useProfileItems } from "./appState.js";
+import { isPhoto } from "./dreamSpace.js";
+import { consentAllows, consentGaps, createConsent, describeUses, refusalReason } from "./consent.js";
+import VoiceRecorder from "./VoiceRecorder.jsx";
+import ClipDetailsFields from "./ClipDetailsFields.jsx";
+import ConsentFields from "./ConsentFields.jsx";
+import ClipAuditLog from "./ClipAuditLog.jsx";
+import ViewHeading from "./ViewHeading.jsx";
+
+/**
+ * ClipsView.jsx
+ * Voice Reconnect ("#/clips/<clipId>"): upload or record clips of the active person, play
+ * them and add a title, date and transcript/notes. A clip's id (as linked from chat replies
+ * and letters) scrolls to that clip and highlights it.
+ *
+ * New clips are saved with the consent record filled in above the upload (consent.js);
+ * each clip's record can be changed later, its audio checked against the fingerprint taken
+ * when it was saved, and its uses followed in the log below. Clips saved before consent
+ * records existed are listed at the top of the clips until each has one.
+ */
+
+function fmt(ts) {
+  return new Date(ts).toLocaleString();
+}
+
+// seconds -> m:ss
+function fmtDuration(sec) {
+  const s = Math.round(sec);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+}
+
+const VERIFY_MESSAGES = {
+  intact: "Unchanged since it was saved.",
+  changed: "The audio no longer matches the fingerprint taken when it was saved.",
+  unhashed: "It had no fingerprint yet; one was taken now.",
+  missing: "There's no audio to check.",
+};
+
+function ConsentSummary({ clip }) {
+  const c = clip.consent;
+  if (!c) {
+    return <p className="mt-1 text-xs text-amber-300">No consent record — it can't be played or used until one is added.</p>;
+  }
+  return (
+    <p className="mt-1 text-xs text-slate-400">
+      Voice of {c.speaker} · permission from {c.grantedBy} on {new Date(`${c.grantedOn}T00:00`).toLocaleDateString()} · allowed: {describeUses(c.uses)}
+      {c.note && <span className="block text-slate-300">“{c.note}”{c.signature && ` — ${c.signature}`}</span>}
+    </p>
+  );
+}
+
+export default function ClipsView({ id }) {
+  const app = useAppState();
+  const profile = useActiveProfile();
+  const clips = useProfileItems(app.media).filter((v) => !isPhoto(v));
+  const log = useProfileItems(app.clipAudit);
+  const [editingClip, setEditingClip] = useState(null); // { id, title, recordedOn, notes }
+  const [editingConsent, setEditingConsent] = useState(null); // { id, draft }
+  const [consent, setConsent] = useState(() => createConsent({ speaker: profile.name })); // for new clips
+  const [checks, setChecks] = useState({}); // clip id -> verify message
+  const [logClipId, setLogClipId] = useState(null);
+  // clips played since loading or since they last ended; resuming or seeking isn't a new play
+  const playedRef = useRef(new Set());
+  const consentReady = consentGaps(consent).length === 0;
+  const unrecorded = clips.filter((v) => !v.consent);
+
+  // a new person's clips are most likely their own voice
+  useEffect(() => {
+    setConsent((c) => ({ ...c, speaker: profile.name }));
+  }, [profile.id]);
+  const selected = clips.some((v) => v.id === id);
+  useLinkedProfile(app.media, id);
+
+  // clips load from IndexedDB after the view, so this also runs once the linked one arrives
+  useEffect(() => {
+    if (!selected) return;
+    requestAnimationFrame(() => {
+      const el = document.getElementById(`clip-${id}`);
+      el?.scrollIntoView({ behavior: "smooth", block: "nearest" });
+      el?.focus({ preventScroll: true });
+    });
+  }, [id, selected]);
+
+  function handleVoiceUpload(e) {
+    const files = Array.from(e.target.files || []);
+    e.target.value = "";
+    app.uploadClips(files, consent);
+  }
+
+  function logPlay(v) {
+    if (playedRef.current.has(v.id)) return;
+    playedRef.current.add(v.id);
+    app.logClipUse(v, "played", { use: "playback" });
+  }
+
+  function startEditingConsent(v) {
+    setEditingConsent({ id: v.id, draft: createConsent(v.consent || { speaker: profile.name }) });
+  }
+
+  function openConsentFor(v) {
+    startEditingConsent(v);
+    requestAnimationFrame(() => document.getElementById(`clip-${v.id}`)?.scrollIntoView({ behavior: "smooth", block: "nearest" }));
+  }
+
+  // gives every clip without a record the one filled in for new clips
+  async function applyConsentToUnrecorded() {
+    if (!confirm(`Record this consent (voice of ${consent.speaker}, allowed: ${describeUses(consent.uses)}) for ${unrecorded.length === 1 ? "1 clip" : `all ${unrecorded.length} clips`} without one?`)) return;
+    for (const v of unrecorded) {
+      if (!(await app.saveClipConsent(v.id, consent))) break;
+    }
+  }
+
+  async function saveConsent() {
+    if (await app.saveClipConsent(editingConsent.id, editingConsent.draft)) setEditingConsent(null);
+  }
+
+  async function verify(v) {
+    setChecks((c) => ({ ...c, [v.id]: "Checking…" }));
+    try {
+      const result = await app.verifyClip(v.id);
+      setChecks((c) => ({ ...c, [v.id]: VERIFY_MESSAGES[result.status] }));
+    } catch (err) {
+      setChecks((c) => ({ ...c, [v.id]: `Couldn't check it: ${err.message}` }));
+    }
+  }
+
+  function showLog(v) {
+    setLogClipId(v.id);
+    requestAnimationFrame(() => document.getElementById("clip-log")?.scrollIntoView({ behavior: "smooth", block: "nearest" }));
+  }
+
+  function startEditingClip(v) {
+    setEditingClip({ id: v.id, title: v.title || "", recordedOn: v.recordedOn || "", notes: v.notes || "" });
+  }
+
+  async function saveClipDetails() {
+    const { id: clipId, ...details } = editingClip;
+    if (await app.saveClipDetails(clipId, details)) setEditingClip(null);
+  }
+
+  // Demo: simulate sending voice data to server (placeholder). Only clips whose consent
+  // covers voice modelling would be sent; the rest are refused and logged as such.
+  async function uploadVoiceModelDemo() {
+    const allowed = clips.filter((v) => consentAllows(v, "voiceModel"));
+    const refused = clips.filter((v) => !consentAllows(v, "voiceModel"));
+    refused.forEach((v) => app.logClipUse(v, "refused", { use: "voiceModel", detail: `Voice modelling: ${refusalReason(v, "voiceModel")}.` }));
+    if (!allowed.length) {
+      alert(clips.length ? `None of ${profile.name}'s clips have consent for voice modelling. Add it to a clip's consent record first.` : "Add a voice clip first.");
+      return;
+    }
+    app.logClipUse(allowed, "voice-model", { use: "voiceModel", detail: "Demo only — nothing was sent." });
+    // TODO: replace with secure endpoint that accepts audio files, runs model training, and returns model id
+    alert(`Demo-only: In a production app you'd send the ${allowed.length} clip${allowed.length === 1 ? "" : "s"} with voice-modelling consent to your secure server for model training${refused.length ? ` (${refused.length} without it left out)` : ""}. See the code comments.`);
+  }
+
+  return (
+    <section className="mt-8">
+      <ViewHeading>Voice clips</ViewHeading>
+      <p className="text-slate-400 text-sm mt-1">Upload a recording (small audio clip) to let Ecosoul reference it in chat and playback.</p>
+
+      <div className="mt-4 grid grid-cols-1 md:grid-cols-3 gap-6">
+        <div className="bg-slate-900/40 p-5 rounded">
+          <h4 className="text-sm font-semibold">Consent for new clips</h4>
+          <p className="mt-1 text-xs text-slate-400">Saved with every clip you add below. Only share a voice the way its owner (or their family) agreed to.</p>
+          <div className="mt-2">
+            <ConsentFields value={consent} onChange={setConsent} />
+          </div>
+          {!consentReady && <p className="mt-2 text-xs text-amber-300">Still needed: {consentGaps(consent).join(", ")}.</p>}
+
+          <label className="mt-4 block text-sm text-slate-200">Upload voice clip (mp3 / wav)</label>
+          <input aria-label="Upload voice" type="file" accept="audio/*" disabled={!consentReady} onChange={handleVoiceUpload} className="mt-2 text-sm text-slate-300 disabled:opacity-60" />
+          <VoiceRecorder onSave={(file, details) => app.saveRecording(file, details, consent)} />
+        </div>
+
+        <div className="md:col-span-2 bg-slate-900/40 p-5 rounded">
+          <h4 className="text-sm font-semibold">Your clips</h4>
+          {unrecorded.length > 0 && (
+            <div role="status" className="mt-2 p-3 rounded bg-amber-500/10 text-xs text-amber-200">
+              <p>
+                {unrecorded.length === 1 ? "1 clip was" : `${unrecorded.length} clips were`} saved before consent records existed and can't be played or used until
+                {unrecorded.length === 1 ? " it has" : " each has"} one:
+              </p>
+              <ul className="mt-1 flex flex-wrap gap-x-3 gap-y-1">
+                {unrecorded.map((v) => (
+                  <li key={v.id}>
+                    <button onClick={() => openConsentFor(v)} className="underline">{v.title || v.name}</button>
+                  </li>
+                ))}
+              </ul>
+              {consentReady && (
+                <button onClick={applyConsentToUnrecorded} className="mt-2 px-3 py-1 rounded bg-slate-700 text-slate-50">
+                  Use the consent for new clips for {unrecorded.length === 1 ? "it" : "all of them"}
+                </button>
+              )}
+            </div>
+          )}
+          <div className="mt-2 space-y-2 max-h-[32rem] overflow-auto">
+            {clips.length === 0 && <div className="text-slate-400 text-sm">No clips yet.</div>}
+            {clips.map((v) => (
+              <div key={v.id} id={`clip-${v.id}`} tabIndex={-1} className={`bg-slate-800/30 p-2 rounded outline-none ${v.id === id ? "ring-2 ring-indigo-400" : ""}`}>
+                <div className="flex items-center justify-between">
+                  <div>
+                    <div className="text-sm font-medium">{v.title || v.name}</div>
+                    <div className="text-xs text-slate-400">
+                      {v.recordedOn ? new Date(`${v.recordedOn}T00:00`).toLocaleDateString() : fmt(v.createdAt)}
+                      {v.duration ? ` · ${fmtDuration(v.duration)}` : ""}
+                      {v.source === "recording" ? " · recorded here" : ""}
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    {!v.url ? (
+                      <div className="w-48 text-xs text-amber-300">Audio unavailable — please re-upload.</div>
+                    ) : consentAllows(v, "playback") ? (
+                      <audio src={v.url} controls onPlay={() => logPlay(v)} onEnded={() => playedRef.current.delete(v.id)} className="w-48" />
+                    ) : (
+                      <div className="w-48 text-xs text-amber-300">Not played: {refusalReason(v, "playback")}.</div>
+                    )}
+                    <button onClick={() => startEditingClip(v)} className="px-3 py-1 text-xs rounded bg-slate-700">Details</button>
+                    <button onClick={() => app.removeUpload(v.id)} className="px-3 py-1 text-xs rounded bg-red-600/80">Delete</button>
+                  </div>
+                </div>
+                <ConsentSummary clip={v} />
+                <div className="mt-1 flex flex-wrap items-center gap-3 text-xs">
+                  <button onClick={() => startEditingConsent(v)} className="underline">{v.consent ? "Change consent" : "Add consent record"}</button>
+                  <button onClick={() => verify(v)} className="underline">Check it's unchanged</button>
+                  <button onClick={() => showLog(v)} className="underline">Log</button>
+                  {checks[v.id] && <span role="status" className="text-slate-300">{checks[v.id]}</span>}
+                </div>
+                {editingConsent?.id === v.id && (
+                  <div className="mt-2">
+                    <ConsentFields value={editingConsent.draft} onChange={(draft) => setEditingConsent((c) => ({ ...c, draft }))} />
+                    <div className="mt-2 flex gap-2">
+                      <button onClick={saveConsent} className="px-3 py-1 text-xs rounded bg-indigo-600">Save consent</button>
+                      <button onClick={() => setEditingConsent(null)} className="px-3 py-1 text-xs rounded bg-slate-700">Cancel</button>
+                    </div>
+                  </div>
+                )}
+                {editingClip?.id === v.id ? (
+                  <div className="mt-2">
+                    <ClipDetailsFields value={editingClip} onChange={setEditingClip} />
+                    <div className="mt-2 flex gap-2">
+                      <button onClick={saveClipDetails} className="px-3 py-1 text-xs rounded bg-indigo-600">Save details</button>
+                      <button onClick={() => setEditingClip(null)} className="px-3 py-1 text-xs rounded bg-slate-700">Cancel</button>
+                    </div>
+                  </div>
+                ) : (
+                  v.notes && <p className="mt-1 text-xs text-slate-300 line-clamp-2">{v.notes}</p>
+                )}
+              </div>
+            ))}
+          </div>
+
+          <div className="mt-4 flex gap-2">
+            <button onClick={uploadVoiceModelDemo} className="px-4 py-2 rounded bg-indigo-600">Create Voice Model (Demo)</button>
+            <button onClick={() => { navigator.clipboard?.writeText('https://your-privacy-policy.example'); alert('Copied demo privacy-policy URL'); }} className="px-4 py-2 rounded bg-slate-700">Privacy</button>
+          </div>
+
+          <p className="mt-3 text-xs text-slate-400">Note: This demo uses local files and browser TTS. For production, train models on your secure server and never share audio without consent.</p>
+        </div>
+      </div>
+
+      <div id="clip-log" className="mt-6">
+        <ClipAuditLog log={log} clips={clips} clipId={logClipId} onClipChange={setLogClipId} />
+      </div>
+    </section>
+  );
+}
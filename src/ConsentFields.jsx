@@ -0,0 +1,50 @@
+import React from "react";
+import { CONSENT_USES } from "./consent.js";
+
+/**
+ * ConsentFields.jsx
+ * Consent record inputs for a voice clip (see consent.js): whose voice, who gave permission
+ * and when, the allowed uses, and an optional note with the name it's signed with.
+ * `value` is a createConsent() draft.
+ */
+
+export default function ConsentFields({ value, onChange }) {
+  function set(field, v) {
+    onChange({ ...value, [field]: v });
+  }
+
+  function toggleUse(id) {
+    set("uses", value.uses.includes(id) ? value.uses.filter((u) => u !== id) : [...value.uses, id]);
+  }
+
+  return (
+    <div className="grid gap-2 text-sm">
+      <div className="grid grid-cols-2 gap-2">
+        <input value={value.speaker} onChange={(e) => set("speaker", e.target.value)} placeholder="Whose voice it is" aria-label="Speaker" className="p-2 rounded bg-slate-800/60" />
+        <input value={value.grantedBy} onChange={(e) => set("grantedBy", e.target.value)} placeholder="Permission given by" aria-label="Permission given by" className="p-2 rounded bg-slate-800/60" />
+      </div>
+      <label className="flex items-center gap-2 text-xs text-slate-300">
+        Given on
+        <input type="date" value={value.grantedOn} onChange={(e) => set("grantedOn", e.target.value)} aria-label="Date permission was given" className="p-1 rounded bg-slate-800/60 text-slate-50" />
+      </label>
+      <fieldset className="grid gap-1">
+        <legend className="text-xs text-slate-300">Allowed uses</legend>
+        {CONSENT_USES.map((u) => (
+          <label key={u.id} className="flex items-center gap-2">
+            <input type="checkbox" checked={value.uses.includes(u.id)} onChange={() => toggleUse(u.id)} />
+            {u.label} <span className="text-xs text-slate-400">— {u.hint}</span>
+          </label>
+        ))}
+      </fieldset>
+      <textarea
+        value={value.note}
+        onChange={(e) => set("note", e.target.value)}
+        rows={2}
+        placeholder="Note (optional) — e.g. “Mum said we could keep her voicemails for the family.”"
+        aria-label="Consent note"
+        className="p-2 rounded bg-slate-800/60"
+      />
+      <input value={value.signature} onChange={(e) => set("signature", e.target.value)} placeholder="Signed (type your name, optional)" aria-label="Signature" className="p-2 rounded bg-slate-800/60" />
+    </div>
+  );
+}
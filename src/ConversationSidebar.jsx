@@ -0,0 +1,77 @@
+import React, { useState } from "react";
+import { searchConversations } from "./conversations.js";
+
+/**
+ * ConversationSidebar.jsx
+ * History browser for Memory Chat: switch, search, rename and archive conversations.
+ */
+
+export default function ConversationSidebar({ conversations, activeId, onSelect, onNew, onRename, onArchive }) {
+  const [query, setQuery] = useState("");
+  const [showArchived, setShowArchived] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [editTitle, setEditTitle] = useState("");
+
+  const visible = searchConversations(conversations, query, { archived: showArchived });
+
+  function startRename(c) {
+    setEditingId(c.id);
+    setEditTitle(c.title);
+  }
+
+  function commitRename() {
+    if (editingId) onRename(editingId, editTitle);
+    setEditingId(null);
+  }
+
+  function onRenameKey(e) {
+    if (e.key === "Enter") commitRename();
+    if (e.key === "Escape") setEditingId(null);
+  }
+
+  return (
+    <div className="flex flex-col gap-2 text-sm">
+      <button onClick={onNew} className="px-3 py-2 rounded bg-emerald-600 font-semibold">+ New conversation</button>
+      <input
+        type="search"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        placeholder="Search conversations"
+        aria-label="Search conversations"
+        className="p-2 rounded bg-slate-800/60"
+      />
+      <div className="flex gap-2 text-xs">
+        <button onClick={() => setShowArchived(false)} className={`px-2 py-1 rounded ${!showArchived ? "bg-slate-600" : "bg-slate-800"}`}>Active</button>
+        <button onClick={() => setShowArchived(true)} className={`px-2 py-1 rounded ${showArchived ? "bg-slate-600" : "bg-slate-800"}`}>Archived</button>
+      </div>
+
+      <ul className="flex flex-col gap-1 max-h-80 overflow-auto" aria-label="Conversations">
+        {visible.length === 0 && <li className="text-slate-400 text-xs p-2">{query ? "No matches." : "Nothing here yet."}</li>}
+        {visible.map((c) => (
+          <li key={c.id} className={`rounded p-2 ${c.id === activeId ? "bg-slate-700" : "bg-slate-800/40 hover:bg-slate-800"}`}>
+            {editingId === c.id ? (
+              <input
+                autoFocus
+                value={editTitle}
+                onChange={(e) => setEditTitle(e.target.value)}
+                onBlur={commitRename}
+                onKeyDown={onRenameKey}
+                aria-label="Conversation title"
+                className="w-full p-1 rounded bg-slate-900"
+              />
+            ) : (
+              <button onClick={() => onSelect(c.id)} className="w-full text-left" aria-current={c.id === activeId}>
+                <div className="font-medium truncate">{c.title}</div>
+                <div className="text-xs text-slate-400 truncate">{new Date(c.createdAt).toLocaleDateString()}</div>
+              </button>
+            )}
+            <div className="mt-1 flex gap-2 text-xs text-slate-400">
+              <button onClick={() => startRename(c)} className="hover:text-slate-200">Rename</button>
+              <button onClick={() => onArchive(c.id, !c.archived)} className="hover:text-slate-200">{c.archived ? "Unarchive" : "Archive"}</button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,35 @@
+import React from "react";
+import { useActiveProfile, useAppState, useProfileItems } from "./appState.js";
+import { useStore } from "./store.js";
+import RemindersPanel from "./RemindersPanel.jsx";
+import ViewHeading from "./ViewHeading.jsx";
+
+/**
+ * DatesView.jsx
+ * Dates & reminders ("#/dates"): the active person's important dates and the check-in and
+ * notification settings.
+ */
+
+export default function DatesView() {
+  const app = useAppState();
+  const profile = useActiveProfile();
+  const dates = useProfileItems(app.dates);
+  const settings = useStore(app.reminderSettings);
+  const now = useStore(app.now);
+
+  return (
+    <section className="mt-8">
+      <ViewHeading>Dates &amp; reminders</ViewHeading>
+      <RemindersPanel
+        key={profile.id}
+        profile={profile}
+        dates={dates}
+        settings={settings}
+        onChangeSettings={app.reminderSettings.set}
+        onSaveDate={app.saveDate}
+        onDeleteDate={app.deleteDate}
+        now={now}
+      />
+    </section>
+  );
+}
@@ -0,0 +1,148 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { duckingKeyframes, frameAt, sceneTimeline, slideAt, volumeAt } from "./dreamSpace.js";
+
+/**
+ * DreamPlayer.jsx
+ * Full-screen playback of a Dream Space scene: photos with Ken Burns motion and transitions,
+ * quotes and captions, each slide's voice clip, and the background track ducked under the
+ * voices. Space pauses, ←/→ move between slides, Esc closes.
+ */
+
+export default function DreamPlayer({ scene, media, onClose }) {
+  const timeline = useMemo(() => sceneTimeline(scene, media), [scene, media]);
+  const keyframes = useMemo(() => duckingKeyframes(timeline, scene.background), [timeline, scene.background]);
+  const [t, setT] = useState(0);
+  const [playing, setPlaying] = useState(true);
+  const rootRef = useRef(null);
+  const bgRef = useRef(null);
+  const voiceRef = useRef(null);
+  const voiceForRef = useRef(-1); // slide whose clip is loaded in voiceRef
+  const clockRef = useRef({ startedAt: 0, t: 0 });
+  const onCloseRef = useRef(onClose);
+  onCloseRef.current = onClose;
+  const still = useMemo(() => typeof window !== "undefined" && window.matchMedia?.("(prefers-reduced-motion: reduce)").matches, []);
+
+  const at = slideAt(timeline, t);
+  const current = at ? timeline.slides[at.index] : null;
+  const background = scene.background.clipId ? media[scene.background.clipId] : null;
+
+  // full screen where the browser allows it; leaving full screen closes the player
+  useEffect(() => {
+    const el = rootRef.current;
+    el?.requestFullscreen?.().catch(() => {});
+    el?.focus();
+    const onChange = () => {
+      if (!document.fullscreenElement) onCloseRef.current();
+    };
+    document.addEventListener("fullscreenchange", onChange);
+    return () => {
+      document.removeEventListener("fullscreenchange", onChange);
+      if (document.fullscreenElement) document.exitFullscreen?.().catch(() => {});
+    };
+  }, []);
+
+  // the clock: time since play, minus time spent paused
+  useEffect(() => {
+    if (!playing) return undefined;
+    clockRef.current.startedAt = performance.now() - clockRef.current.t;
+    bgRef.current?.play().catch(() => {});
+    let frame = requestAnimationFrame(function tick(now) {
+      const next = Math.min(timeline.total, now - clockRef.current.startedAt);
+      clockRef.current.t = next;
+      setT(next);
+      if (next >= timeline.total) setPlaying(false);
+      else frame = requestAnimationFrame(tick);
+    });
+    return () => {
+      cancelAnimationFrame(frame);
+      bgRef.current?.pause();
+      voiceRef.current?.pause();
+    };
+  }, [playing, timeline.total]);
+
+  // background ducking and the current slide's voice, kept in step with the clock
+  useEffect(() => {
+    if (bgRef.current) bgRef.current.volume = Math.min(1, Math.max(0, volumeAt(keyframes, t)));
+    const voice = voiceRef.current;
+    if (!voice || !at) return;
+    const v = current.voice;
+    if (playing && v && t >= v.start && t < v.end) {
+      if (voiceForRef.current !== at.index) {
+        voiceForRef.current = at.index;
+        voice.src = media[v.clipId].url;
+        voice.currentTime = (t - v.start) / 1000;
+      }
+      if (voice.paused) voice.play().catch(() => {});
+    } else if (voiceForRef.current !== -1 && (!v || voiceForRef.current !== at.index)) {
+      voice.pause();
+      voiceForRef.current = -1;
+    }
+  });
+
+  function seek(index) {
+    const i = Math.max(0, Math.min(timeline.slides.length - 1, index));
+    const start = timeline.slides[i]?.start ?? 0;
+    clockRef.current = { startedAt: performance.now() - start, t: start };
+    voiceRef.current?.pause();
+    voiceForRef.current = -1;
+    setT(start);
+  }
+
+  function togglePlay() {
+    if (!playing && t >= timeline.total) seek(0);
+    setPlaying((p) => !p);
+  }
+
+  function onKeyDown(e) {
+    if (e.key === " ") {
+      e.preventDefault();
+      togglePlay();
+    } else if (e.key === "ArrowRight") seek((at?.index ?? 0) + 1);
+    else if (e.key === "ArrowLeft") seek((at?.index ?? 0) - 1);
+    else if (e.key === "Escape") onClose();
+  }
+
+  const layers = frameAt(timeline, t, { still });
+
+  return (
+    <div ref={rootRef} tabIndex={-1} onKeyDown={onKeyDown} role="dialog" aria-modal="true" aria-label={`Playing ${scene.title || "scene"}`} className="fixed inset-0 z-50 bg-black text-slate-100 overflow-hidden outline-none">
+      {layers.map((l, i) => {
+        const photo = media[timeline.slides[l.index].slide.photoId];
+        return (
+          <div
+            key={l.index}
+            aria-hidden="true"
+            className="absolute inset-0 bg-slate-900 bg-cover bg-center will-change-transform"
+            style={{ opacity: l.opacity, transform: l.transform, zIndex: i, backgroundImage: photo?.url ? `url(${photo.url})` : undefined }}
+          />
+        );
+      })}
+
+      {current && (
+        <div key={at.index} className="absolute inset-x-0 bottom-20 px-[8%] text-center z-10" style={{ textShadow: "0 2px 8px #000" }} aria-live="polite">
+          {current.slide.quote && (
+            <>
+              <q className="block italic text-xl md:text-3xl">{current.slide.quote.text}</q>
+              <div className="mt-2 text-sm opacity-80">— {current.slide.quote.from}</div>
+            </>
+          )}
+          {current.slide.caption && <div className="mt-2 text-lg md:text-2xl">{current.slide.caption}</div>}
+        </div>
+      )}
+
+      <div className="absolute inset-x-0 bottom-0 z-10 flex items-center gap-2 px-4 py-3 bg-gradient-to-t from-black/80 to-transparent">
+        <button onClick={() => seek((at?.index ?? 0) - 1)} aria-label="Previous slide" className="px-3 py-2 rounded bg-slate-700">⏮</button>
+        <button onClick={togglePlay} className="px-3 py-2 rounded bg-pink-500">{playing ? "Pause" : "Play"}</button>
+        <button onClick={() => seek((at?.index ?? 0) + 1)} aria-label="Next slide" className="px-3 py-2 rounded bg-slate-700">⏭</button>
+        <div className="flex-1 h-1 rounded bg-slate-600" role="progressbar" aria-valuemin={0} aria-valuemax={Math.round(timeline.total / 1000)} aria-valuenow={Math.round(t / 1000)}>
+          <div className="h-full rounded bg-pink-500" style={{ width: `${timeline.total ? (100 * t) / timeline.total : 0}%` }} />
+        </div>
+        <span className="text-xs text-slate-300">{at ? `${at.index + 1} / ${timeline.slides.length}` : ""}</span>
+        <button onClick={onClose} className="px-3 py-2 rounded bg-slate-700">Close</button>
+      </div>
+
+      {background?.url && <audio ref={bgRef} src={background.url} loop />}
+      <audio ref={voiceRef} />
+    </div>
+  );
+}
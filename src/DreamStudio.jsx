@@ -0,0 +1,330 @@
+import React, { useMemo, useRef, useState } from "react";
+import {
+  TRANSITIONS,
+  MIN_SLIDE_MS,
+  MAX_SLIDE_MS,
+  clampDuration,
+  createScene,
+  createSlide,
+  moveSlide,
+  sceneMediaIds,
+  sceneProblems,
+  sceneTimeline,
+} from "./dreamSpace.js";
+import { consentAllows, refusalReason } from "./consent.js";
+import { routeHref } from "./router.js";
+import { exportSceneHtml } from "./dreamExport.js";
+import DreamPlayer from "./DreamPlayer.jsx";
+
+/**
+ * DreamStudio.jsx
+ * Dream Space editor: a photo library, saved scenes, and a slide-by-slide editor where each
+ * slide gets a photo, an optional voice clip and quote, a caption, a duration and a
+ * transition; the scene gets a background track that ducks under the voices. Scenes play
+ * full screen (DreamPlayer.jsx) and export as a single HTML file (dreamExport.js).
+ * Photos and clips come from the same clip list as the Voice Reconnect card; clips whose
+ * consent doesn't cover playback are left out of scenes, exports also leave out the ones
+ * not allowed for sharing, and every play or export of a clip is reported through
+ * `onClipUse(clips, action, fields)` for the audit log.
+ */
+
+function slideId() {
+  return `slide_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+function seconds(ms) {
+  return Math.round(ms / 100) / 10;
+}
+
+function truncate(text, n) {
+  return text.length > n ? `${text.slice(0, n - 1)}…` : text;
+}
+
+export default function DreamStudio({ profile, photos, clips: allClips, scenes, quotes, onAddPhotos, onRemovePhoto, onSave, onDelete, onClipUse }) {
+  const [draft, setDraft] = useState(null); // scene being edited (no id until first saved)
+  const [dirty, setDirty] = useState(false);
+  const [playing, setPlaying] = useState(null);
+  const [busy, setBusy] = useState("");
+  const [message, setMessage] = useState(null); // { kind: "ok" | "error", text }
+  const fileRef = useRef(null);
+
+  const clips = useMemo(() => allClips.filter((c) => consentAllows(c, "playback")), [allClips]);
+  const refused = useMemo(
+    () => Object.fromEntries(allClips.filter((c) => !consentAllows(c, "playback")).map((c) => [c.id, refusalReason(c, "playback")])),
+    [allClips]
+  );
+  // an exported file can be passed on, so it also needs consent for sharing
+  const notShared = useMemo(
+    () => Object.fromEntries(allClips.filter((c) => !consentAllows(c, "export")).map((c) => [c.id, refusalReason(c, refused[c.id] ? "playback" : "export")])),
+    [allClips, refused]
+  );
+  const hiddenClips = allClips.length - clips.length;
+  const media = useMemo(() => Object.fromEntries([...photos, ...clips].map((m) => [m.id, m])), [photos, clips]);
+  const timeline = draft ? sceneTimeline(draft, media) : null;
+  const problems = draft ? sceneProblems(draft, media, refused) : [];
+
+  // log the scene's clips as used for `action`, and the ones left out (`reasons`) as refused;
+  // returns how many were left out
+  function reportClipUse(scene, action, use, reasons) {
+    const ids = sceneMediaIds(scene);
+    onClipUse(ids.map((id) => media[id]).filter((m) => m && clips.includes(m) && !reasons[m.id]), action, { use });
+    const left = allClips.filter((c) => ids.includes(c.id) && reasons[c.id]);
+    left.forEach((c) => onClipUse(c, "refused", { use, detail: `Dream Space: ${reasons[c.id]}.` }));
+    return left.length;
+  }
+
+  function play(scene) {
+    reportClipUse(scene, "dream-play", "playback", refused);
+    setPlaying(scene);
+  }
+
+  function edit(patch) {
+    setDraft((d) => ({ ...d, ...patch }));
+    setDirty(true);
+    setMessage(null);
+  }
+
+  function editSlide(id, patch) {
+    setDraft((d) => ({ ...d, slides: d.slides.map((s) => (s.id === id ? { ...s, ...patch } : s)) }));
+    setDirty(true);
+  }
+
+  function open(scene) {
+    if (dirty && !confirm("Discard your unsaved changes to this scene?")) return;
+    setDraft(scene || createScene(null, { profileId: profile.id, title: "" }));
+    setDirty(!scene);
+    setMessage(null);
+  }
+
+  function close() {
+    if (dirty && !confirm("Discard your unsaved changes to this scene?")) return;
+    setDraft(null);
+    setDirty(false);
+  }
+
+  function addSlide(fields) {
+    if (!draft) return;
+    edit({ slides: [...draft.slides, createSlide(slideId(), fields)] });
+  }
+
+  async function addPhotos(e) {
+    const files = Array.from(e.target.files || []).filter((f) => f.type.startsWith("image/"));
+    e.target.value = "";
+    if (!files.length) return;
+    setBusy("Adding photos…");
+    try {
+      await onAddPhotos(files);
+    } finally {
+      setBusy("");
+    }
+  }
+
+  function save() {
+    const saved = onSave({ ...draft, title: draft.title.trim() || "Untitled scene" });
+    setDraft(saved);
+    setDirty(false);
+    setMessage({ kind: "ok", text: "Scene saved." });
+  }
+
+  function remove() {
+    if (!confirm(`Delete "${draft.title}"? Its photos and clips stay in your library.`)) return;
+    onDelete(draft.id);
+    setDraft(null);
+    setDirty(false);
+  }
+
+  async function exportHtml() {
+    setBusy("Building the file…");
+    setMessage(null);
+    try {
+      const shared = Object.fromEntries(Object.entries(media).filter(([id]) => !notShared[id]));
+      const { blob, filename } = await exportSceneHtml(draft, shared, { recipient: profile.name });
+      const left = reportClipUse(draft, "dream-export", "export", notShared);
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = filename;
+      a.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+      const leftOut = left ? ` ${left === 1 ? "1 voice clip was" : `${left} voice clips were`} left out: no consent for sharing.` : "";
+      setMessage({ kind: "ok", text: `Saved ${filename} (${(blob.size / 1024 / 1024).toFixed(1)} MB). It plays in any browser, offline, and isn't encrypted.${leftOut}` });
+    } catch (e) {
+      setMessage({ kind: "error", text: `Export failed: ${e.message}` });
+    } finally {
+      setBusy("");
+    }
+  }
+
+  const quoteKey = (q) => quotes.find((c) => c.sourceId === q?.sourceId && c.text === q?.text)?.key || (q ? "current" : "");
+
+  return (
+    <div className="mt-4 grid grid-cols-1 md:grid-cols-3 gap-6">
+      <div className="space-y-6">
+        <div className="bg-slate-900/40 p-5 rounded">
+          <div className="flex items-center justify-between">
+            <h4 className="font-semibold">Scenes</h4>
+            <button onClick={() => open(null)} className="px-3 py-1 text-xs rounded bg-pink-500">New scene</button>
+          </div>
+          <ul className="mt-3 space-y-2">
+            {scenes.length === 0 && <li className="text-slate-400 text-sm">No scenes yet.</li>}
+            {scenes.map((s) => (
+              <li key={s.id} className={`p-2 rounded flex items-center justify-between gap-2 ${draft?.id === s.id ? "bg-indigo-600/30" : "bg-slate-800/50"}`}>
+                <div>
+                  <div className="text-sm font-medium">{s.title}</div>
+                  <div className="text-xs text-slate-400">{s.slides.length} slides · {new Date(s.updatedAt).toLocaleDateString()}</div>
+                </div>
+                <span className="flex gap-1">
+                  <button onClick={() => play(s)} disabled={!s.slides.length} aria-label={`Play ${s.title}`} className="px-2 py-1 text-xs rounded bg-slate-700 disabled:opacity-60">▶</button>
+                  <button onClick={() => open(s)} className="px-2 py-1 text-xs rounded bg-indigo-600">Edit</button>
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        <div className="bg-slate-900/40 p-5 rounded">
+          <h4 className="font-semibold">Photos</h4>
+          <p className="text-slate-400 text-sm mt-1">{draft ? "Click a photo to add it as a slide." : "Open or start a scene to use them."}</p>
+          <input ref={fileRef} type="file" accept="image/*" multiple onChange={addPhotos} className="hidden" aria-label="Add photos" />
+          <button onClick={() => fileRef.current?.click()} disabled={!!busy} className="mt-2 px-3 py-1 text-xs rounded bg-slate-700 disabled:opacity-60">+ Add photos</button>
+          <div className="mt-3 grid grid-cols-3 gap-2 max-h-72 overflow-auto">
+            {photos.map((p) => (
+              <div key={p.id} className="relative group">
+                <button
+                  onClick={() => addSlide({ photoId: p.id })}
+                  disabled={!draft || !p.url}
+                  title={p.title || p.name}
+                  className="block w-full aspect-square rounded bg-slate-800 bg-cover bg-center disabled:cursor-default"
+                  style={{ backgroundImage: p.url ? `url(${p.url})` : undefined }}
+                  aria-label={`Add ${p.title || p.name} as a slide`}
+                />
+                <button onClick={() => onRemovePhoto(p.id)} aria-label={`Delete ${p.title || p.name}`} className="absolute top-1 right-1 px-1 text-xs rounded bg-red-600/80 opacity-0 group-hover:opacity-100 focus:opacity-100">✕</button>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <div className="md:col-span-2 bg-slate-900/40 p-5 rounded">
+        {!draft ? (
+          <p className="text-slate-400 text-sm">Start a new scene, or open a saved one to edit it.</p>
+        ) : (
+          <>
+            <div className="flex flex-wrap gap-2 items-center">
+              <input value={draft.title} onChange={(e) => edit({ title: e.target.value })} placeholder="Scene title" aria-label="Scene title" className="flex-1 p-2 rounded bg-slate-800/60 font-semibold" />
+              <span className="text-xs text-slate-400">{draft.slides.length} slides · {seconds(timeline.total)} s</span>
+            </div>
+            {hiddenClips > 0 && (
+              <p className="mt-2 text-xs text-slate-400">
+                {hiddenClips === 1 ? "1 voice clip isn't" : `${hiddenClips} voice clips aren't`} offered here: no consent for playback. <a href={routeHref("clips")} className="underline">Review consent</a>
+              </p>
+            )}
+
+            <ol className="mt-4 space-y-3">
+              {draft.slides.length === 0 && <li className="text-slate-400 text-sm">Add a photo from the library or a quote slide below.</li>}
+              {draft.slides.map((s, i) => {
+                const photo = media[s.photoId];
+                return (
+                  <li key={s.id} className="p-3 rounded bg-slate-800/50 flex gap-3">
+                    <div className="w-20 h-20 shrink-0 rounded bg-slate-900 bg-cover bg-center" style={{ backgroundImage: photo?.url ? `url(${photo.url})` : undefined }} aria-hidden="true" />
+                    <div className="flex-1 grid gap-2 text-sm">
+                      <div className="flex flex-wrap gap-2">
+                        <select value={s.photoId || ""} onChange={(e) => editSlide(s.id, { photoId: e.target.value || null })} aria-label={`Slide ${i + 1} photo`} className="p-1 rounded bg-slate-800/60">
+                          <option value="">No photo</option>
+                          {photos.map((p) => <option key={p.id} value={p.id}>{p.title || p.name}</option>)}
+                        </select>
+                        <select value={s.clipId || ""} onChange={(e) => editSlide(s.id, { clipId: e.target.value || null })} aria-label={`Slide ${i + 1} voice clip`} className="p-1 rounded bg-slate-800/60">
+                          <option value="">No voice</option>
+                          {clips.map((c) => <option key={c.id} value={c.id}>🎙 {c.title || c.name}</option>)}
+                        </select>
+                        <select value={s.transition} onChange={(e) => editSlide(s.id, { transition: e.target.value })} aria-label={`Slide ${i + 1} transition`} className="p-1 rounded bg-slate-800/60">
+                          {TRANSITIONS.map((t) => <option key={t.id} value={t.id}>{t.label}</option>)}
+                        </select>
+                        <label className="flex items-center gap-1">
+                          <input
+                            type="number"
+                            min={MIN_SLIDE_MS / 1000}
+                            max={MAX_SLIDE_MS / 1000}
+                            step={0.5}
+                            value={seconds(s.durationMs)}
+                            onChange={(e) => editSlide(s.id, { durationMs: Number(e.target.value) * 1000 })}
+                            onBlur={() => editSlide(s.id, { durationMs: clampDuration(s.durationMs) })}
+                            className="w-16 p-1 rounded bg-slate-800/60"
+                          />
+                          s
+                        </label>
+                      </div>
+                      <select
+                        value={quoteKey(s.quote)}
+                        onChange={(e) => {
+                          const q = quotes.find((c) => c.key === e.target.value);
+                          if (e.target.value !== "current") editSlide(s.id, { quote: q ? { kind: q.kind, sourceId: q.sourceId, text: q.text, from: q.from } : null });
+                        }}
+                        aria-label={`Slide ${i + 1} quote`}
+                        className="p-1 rounded bg-slate-800/60"
+                      >
+                        <option value="">No quote</option>
+                        {s.quote && quoteKey(s.quote) === "current" && <option value="current">“{truncate(s.quote.text, 70)}”</option>}
+                        {quotes.map((q) => (
+                          <option key={q.key} value={q.key}>
+                            {q.kind === "letter" ? "✉" : "💬"} {q.label}: “{truncate(q.text, 70)}”
+                          </option>
+                        ))}
+                      </select>
+                      <input value={s.caption} onChange={(e) => editSlide(s.id, { caption: e.target.value })} placeholder="Caption (optional)" aria-label={`Slide ${i + 1} caption`} className="p-1 rounded bg-slate-800/60" />
+                      {timeline.slides[i].end - timeline.slides[i].start > clampDuration(s.durationMs) && (
+                        <span className="text-xs text-slate-400">Lengthened to {seconds(timeline.slides[i].end - timeline.slides[i].start)} s to fit the voice clip.</span>
+                      )}
+                    </div>
+                    <div className="flex flex-col gap-1">
+                      <button onClick={() => edit({ slides: moveSlide(draft.slides, i, -1) })} disabled={i === 0} aria-label={`Move slide ${i + 1} up`} className="px-2 text-xs rounded bg-slate-700 disabled:opacity-40">↑</button>
+                      <button onClick={() => edit({ slides: moveSlide(draft.slides, i, 1) })} disabled={i === draft.slides.length - 1} aria-label={`Move slide ${i + 1} down`} className="px-2 text-xs rounded bg-slate-700 disabled:opacity-40">↓</button>
+                      <button onClick={() => edit({ slides: draft.slides.filter((x) => x.id !== s.id) })} aria-label={`Remove slide ${i + 1}`} className="px-2 text-xs rounded bg-red-600/80">✕</button>
+                    </div>
+                  </li>
+                );
+              })}
+            </ol>
+            <button onClick={() => addSlide({ quote: quotes[0] ? { kind: quotes[0].kind, sourceId: quotes[0].sourceId, text: quotes[0].text, from: quotes[0].from } : null })} className="mt-2 px-3 py-1 text-xs rounded bg-slate-700">
+              + Quote slide
+            </button>
+
+            <fieldset className="mt-4 p-3 rounded bg-slate-800/30 grid gap-2 text-sm">
+              <legend className="px-1 text-slate-300">Background audio</legend>
+              <select value={draft.background.clipId || ""} onChange={(e) => edit({ background: { ...draft.background, clipId: e.target.value || null } })} aria-label="Background audio" className="p-1 rounded bg-slate-800/60 max-w-sm">
+                <option value="">None</option>
+                {clips.map((c) => <option key={c.id} value={c.id}>{c.title || c.name}</option>)}
+              </select>
+              <label className="flex items-center gap-2">
+                Volume
+                <input type="range" min={0} max={1} step={0.05} value={draft.background.volume} onChange={(e) => edit({ background: { ...draft.background, volume: Number(e.target.value) } })} />
+              </label>
+              <label className="flex items-center gap-2">
+                While a voice plays
+                <input type="range" min={0} max={1} step={0.05} value={draft.background.duckTo} onChange={(e) => edit({ background: { ...draft.background, duckTo: Number(e.target.value) } })} />
+              </label>
+            </fieldset>
+
+            {problems.length > 0 && (
+              <ul className="mt-3 text-xs text-amber-300 space-y-1">
+                {problems.map((p) => <li key={p}>{p}</li>)}
+              </ul>
+            )}
+
+            <div className="mt-4 flex flex-wrap gap-2 items-center">
+              <button onClick={() => play(draft)} disabled={!draft.slides.length} className="px-4 py-2 rounded bg-pink-500 disabled:opacity-60">▶ Play</button>
+              <button onClick={save} disabled={!dirty} className="px-4 py-2 rounded bg-indigo-600 disabled:opacity-60">Save scene</button>
+              <button onClick={exportHtml} disabled={!draft.slides.length || !!busy} className="px-4 py-2 rounded bg-slate-700 disabled:opacity-60">Export as HTML</button>
+              {draft.id && <button onClick={remove} className="px-4 py-2 rounded bg-red-600/80">Delete</button>}
+              <button onClick={close} className="px-4 py-2 rounded bg-slate-700">Close</button>
+            </div>
+          </>
+        )}
+        {busy && <p className="mt-2 text-sm text-slate-400" role="status">{busy}</p>}
+        {message && <p role={message.kind === "error" ? "alert" : "status"} className={`mt-2 text-sm ${message.kind === "error" ? "text-red-300" : "text-emerald-300"}`}>{message.text}</p>}
+      </div>
+
+      {playing && <DreamPlayer scene={playing} media={media} onClose={() => setPlaying(null)} />}
+    </div>
+  );
+}
@@ -0,0 +1,41 @@
+import React, { useMemo } from "react";
+import { useActiveProfile, useAppState, useProfileItems } from "./appState.js";
+import { spokenName } from "./profiles.js";
+import { isPhoto, quoteCandidates } from "./dreamSpace.js";
+import DreamStudio from "./DreamStudio.jsx";
+import ViewHeading from "./ViewHeading.jsx";
+
+/**
+ * DreamView.jsx
+ * Dream Space ("#/dream"): memory scenes of the active person's photos, clips and quotes.
+ */
+
+export default function DreamView() {
+  const app = useAppState();
+  const profile = useActiveProfile();
+  const media = useProfileItems(app.media);
+  const journal = useProfileItems(app.journal);
+  const conversations = useProfileItems(app.conversations);
+  const profileScenes = useProfileItems(app.scenes);
+  const scenes = useMemo(() => [...profileScenes].sort((a, b) => b.updatedAt - a.updatedAt), [profileScenes]);
+
+  return (
+    <section className="mt-8">
+      <ViewHeading>Dream Space</ViewHeading>
+      <p className="text-slate-400 text-sm mt-1">Build a memory scene from photos, voice clips and lines from your letters or chats, then watch it full screen or save it as a file to share.</p>
+      <DreamStudio
+        key={profile.id}
+        profile={profile}
+        photos={media.filter(isPhoto)}
+        clips={media.filter((v) => !isPhoto(v))}
+        scenes={scenes}
+        quotes={quoteCandidates({ journalEntries: journal, conversations, recipient: spokenName(profile) })}
+        onAddPhotos={app.addPhotos}
+        onRemovePhoto={app.removePhoto}
+        onSave={app.saveScene}
+        onDelete={app.deleteScene}
+        onClipUse={app.logClipUse}
+      />
+    </section>
+  );
+}
@@ -0,0 +1,246 @@
+import React, { useEffect, useRef, useState } from "react";
+import {
+  BUILT_IN_PROGRAMS,
+  PHASE_KINDS,
+  PHASE_LABELS,
+  createBreathSession,
+  pacerScale,
+  totalMs,
+  validateProgram,
+} from "./breathing.js";
+
+/**
+ * HealingMode.jsx
+ * Guided breathing: pick a program, follow the expanding/contracting pacer, hear a cue at
+ * the start of each phase. Completed sessions are logged as practice history.
+ *
+ * The pacer animates through refs inside a requestAnimationFrame loop, so only phase
+ * changes re-render React. Custom programs and the session log live in the app state
+ * (appState.js); HealingView passes them in with the actions that change them.
+ */
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+export default function HealingMode({ speak, customPrograms, log, onSaveProgram, onDeleteProgram, onLogSession }) {
+  const programs = [...BUILT_IN_PROGRAMS, ...customPrograms];
+  const [programId, setProgramId] = useState(BUILT_IN_PROGRAMS[0].id);
+  const program = programs.find((p) => p.id === programId) || programs[0];
+
+  const [status, setStatus] = useState("idle"); // idle | running | paused | done
+  const [phaseLabel, setPhaseLabel] = useState("");
+  const [voiceCues, setVoiceCues] = useState(true);
+  const [editing, setEditing] = useState(null); // custom program draft
+
+  const sessionRef = useRef(null);
+  const sessionMetaRef = useRef(null);
+  const frameRef = useRef(null);
+  const circleRef = useRef(null);
+  const countRef = useRef(null);
+  const barRef = useRef(null);
+  // read the latest toggle inside session callbacks
+  const voiceCuesRef = useRef(voiceCues);
+
+  useEffect(() => {
+    voiceCuesRef.current = voiceCues;
+  }, [voiceCues]);
+
+  // stop everything if the component goes away mid-session
+  useEffect(() => () => stopLoop(true), []);
+
+  function paint(prog, pos) {
+    if (circleRef.current) circleRef.current.style.transform = `scale(${pacerScale(prog, pos)})`;
+    if (countRef.current) countRef.current.textContent = pos.done ? "" : String(Math.ceil(pos.phaseRemainingMs / 1000));
+    if (barRef.current) barRef.current.style.width = `${pos.progress * 100}%`;
+  }
+
+  function loop() {
+    const session = sessionRef.current;
+    if (!session) return;
+    paint(sessionMetaRef.current.program, session.position());
+    frameRef.current = requestAnimationFrame(loop);
+  }
+
+  function stopLoop(stopSession) {
+    cancelAnimationFrame(frameRef.current);
+    if (stopSession) sessionRef.current?.stop();
+  }
+
+  function start() {
+    const prog = program;
+    stopLoop(true);
+    const session = createBreathSession(prog, {
+      onPhase: (pos) => {
+        const label = PHASE_LABELS[pos.phase.kind];
+        setPhaseLabel(label);
+        if (voiceCuesRef.current) speak(label);
+      },
+      onComplete: (summary) => {
+        stopLoop(false);
+        paint(prog, { done: true, progress: 1, phase: prog.phases[0], phaseIndex: 0, phaseElapsedMs: 0 });
+        setStatus("done");
+        setPhaseLabel("Well done");
+        const meta = sessionMetaRef.current;
+        onLogSession({
+          id: `b_${meta.startedAt.toString(36)}`,
+          programId: prog.id,
+          programName: prog.name,
+          startedAt: meta.startedAt,
+          completedAt: Date.now(),
+          activeSeconds: Math.round(summary.activeMs / 1000),
+          cycles: summary.cycles,
+        });
+        sessionRef.current = null;
+      },
+    });
+    sessionRef.current = session;
+    sessionMetaRef.current = { program: prog, startedAt: Date.now() };
+    setStatus("running");
+    session.start();
+    frameRef.current = requestAnimationFrame(loop);
+  }
+
+  function pause() {
+    sessionRef.current?.pause();
+    cancelAnimationFrame(frameRef.current);
+    setStatus("paused");
+  }
+
+  function resume() {
+    sessionRef.current?.resume();
+    frameRef.current = requestAnimationFrame(loop);
+    setStatus("running");
+  }
+
+  function stop() {
+    stopLoop(true);
+    sessionRef.current = null;
+    setStatus("idle");
+    setPhaseLabel("");
+    if (circleRef.current) circleRef.current.style.transform = "scale(0.45)";
+    if (countRef.current) countRef.current.textContent = "";
+    if (barRef.current) barRef.current.style.width = "0%";
+  }
+
+  function saveCustom() {
+    const problem = validateProgram(editing);
+    if (problem) {
+      alert(problem);
+      return;
+    }
+    const saved = onSaveProgram(editing);
+    setProgramId(saved.id);
+    setEditing(null);
+  }
+
+  function deleteCustom(id) {
+    onDeleteProgram(id);
+    setProgramId(BUILT_IN_PROGRAMS[0].id);
+    setEditing(null);
+  }
+
+  function setDraftPhase(i, patch) {
+    setEditing((d) => ({ ...d, phases: d.phases.map((p, j) => (j === i ? { ...p, ...patch } : p)) }));
+  }
+
+  const busy = status === "running" || status === "paused";
+  const isCustom = customPrograms.some((p) => p.id === program.id);
+  const weekSeconds = log.filter((s) => Date.now() - s.completedAt < WEEK_MS).reduce((sum, s) => sum + s.activeSeconds, 0);
+
+  return (
+    <div>
+      <div className="flex flex-wrap gap-2 items-center text-sm">
+        <select
+          value={program.id}
+          disabled={busy}
+          onChange={(e) => setProgramId(e.target.value)}
+          aria-label="Breathing program"
+          className="p-1 rounded bg-slate-800/60"
+        >
+          {programs.map((p) => (
+            <option key={p.id} value={p.id}>{p.name}</option>
+          ))}
+        </select>
+        <span className="text-xs text-slate-400">{Math.round(totalMs(program) / 60000 * 10) / 10} min</span>
+        {!busy && (
+          <button onClick={() => setEditing(isCustom ? { ...program } : { name: "", phases: [{ kind: "inhale", seconds: 4 }, { kind: "exhale", seconds: 6 }], cycles: 6 })} className="text-xs underline text-slate-400">
+            {isCustom ? "Edit" : "Custom…"}
+          </button>
+        )}
+      </div>
+
+      <div className="mt-4 flex flex-col items-center" aria-live="polite">
+        <div className="relative w-36 h-36 flex items-center justify-center">
+          <div ref={circleRef} className="absolute inset-0 rounded-full bg-gradient-to-tr from-pink-500/70 to-yellow-300/70" style={{ transform: "scale(0.45)" }} />
+          <div className="relative text-center text-slate-900 font-semibold">
+            <div className="text-sm">{phaseLabel}</div>
+            <div ref={countRef} className="text-2xl" aria-hidden="true" />
+          </div>
+        </div>
+      </div>
+
+      <div className="mt-3 flex gap-2 items-center">
+        {status === "running" ? (
+          <button onClick={pause} className="px-3 py-2 rounded bg-pink-500">Pause</button>
+        ) : status === "paused" ? (
+          <button onClick={resume} className="px-3 py-2 rounded bg-pink-500">Resume</button>
+        ) : (
+          <button onClick={start} className="px-3 py-2 rounded bg-pink-500">Start</button>
+        )}
+        <button onClick={stop} disabled={!busy} className="px-3 py-2 rounded bg-slate-700 disabled:opacity-60">Stop</button>
+        <label className="ml-auto flex items-center gap-1 text-xs text-slate-400">
+          <input type="checkbox" checked={voiceCues} onChange={(e) => setVoiceCues(e.target.checked)} />
+          Voice cues
+        </label>
+      </div>
+      <div className="h-3 bg-slate-800 rounded mt-3 overflow-hidden">
+        <div ref={barRef} style={{ width: "0%" }} className="h-full bg-gradient-to-r from-pink-500 to-yellow-300" />
+      </div>
+
+      {editing && (
+        <div className="mt-4 p-3 rounded bg-slate-800/50 text-sm">
+          <input value={editing.name} onChange={(e) => setEditing((d) => ({ ...d, name: e.target.value }))} placeholder="Program name" className="w-full p-1 rounded bg-slate-900" />
+          <div className="mt-2 space-y-1">
+            {editing.phases.map((p, i) => (
+              <div key={i} className="flex gap-2 items-center">
+                <select value={p.kind} onChange={(e) => setDraftPhase(i, { kind: e.target.value })} className="p-1 rounded bg-slate-900">
+                  {PHASE_KINDS.map((k) => (
+                    <option key={k} value={k}>{PHASE_LABELS[k]}</option>
+                  ))}
+                </select>
+                <input type="number" min={1} max={60} value={p.seconds} onChange={(e) => setDraftPhase(i, { seconds: Number(e.target.value) })} className="w-16 p-1 rounded bg-slate-900" aria-label="Seconds" />
+                <span className="text-xs text-slate-400">s</span>
+                <button onClick={() => setEditing((d) => ({ ...d, phases: d.phases.filter((_, j) => j !== i) }))} className="ml-auto text-xs text-red-300" aria-label="Remove phase">✕</button>
+              </div>
+            ))}
+          </div>
+          <div className="mt-2 flex gap-2 items-center">
+            <button onClick={() => setEditing((d) => ({ ...d, phases: [...d.phases, { kind: "hold", seconds: 4 }] }))} className="text-xs underline">+ Phase</button>
+            <label className="ml-auto text-xs flex items-center gap-1">
+              Cycles
+              <input type="number" min={1} max={100} value={editing.cycles} onChange={(e) => setEditing((d) => ({ ...d, cycles: Number(e.target.value) }))} className="w-14 p-1 rounded bg-slate-900" />
+            </label>
+          </div>
+          <div className="mt-2 flex gap-2">
+            <button onClick={saveCustom} className="px-3 py-1 rounded bg-indigo-600">Save</button>
+            <button onClick={() => setEditing(null)} className="px-3 py-1 rounded bg-slate-700">Cancel</button>
+            {editing.id && <button onClick={() => deleteCustom(editing.id)} className="ml-auto px-3 py-1 rounded bg-red-600/80">Delete</button>}
+          </div>
+        </div>
+      )}
+
+      <div className="mt-4 text-sm">
+        <div className="font-semibold">Practice history</div>
+        <div className="text-xs text-slate-400">
+          {log.length} session{log.length === 1 ? "" : "s"} · {Math.round(weekSeconds / 60)} min this week
+        </div>
+        <ul className="mt-1 space-y-1 max-h-24 overflow-auto text-xs text-slate-300">
+          {log.slice(0, 10).map((s) => (
+            <li key={s.id}>
+              {new Date(s.completedAt).toLocaleString()} — {s.programName}, {Math.round(s.activeSeconds / 60 * 10) / 10} min
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+}
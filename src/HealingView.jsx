@@ -0,0 +1,33 @@
+import React from "react";
+import { useAppState } from "./appState.js";
+import { useStore } from "./store.js";
+import HealingMode from "./HealingMode.jsx";
+import ViewHeading from "./ViewHeading.jsx";
+
+/**
+ * HealingView.jsx
+ * Healing Mode ("#/healing"): guided breathing, also where reminders and the support
+ * notices send someone who needs a moment.
+ */
+
+export default function HealingView() {
+  const app = useAppState();
+  const customPrograms = useStore(app.breathingPrograms);
+  const log = useStore(app.breathingLog);
+  return (
+    <section className="mt-8">
+      <ViewHeading>Healing Mode</ViewHeading>
+      <p className="text-slate-400 text-sm mt-1">A short breathing exercise guided by gentle voice cues.</p>
+      <div className="mt-4 max-w-2xl bg-slate-900/40 p-6 rounded-2xl">
+        <HealingMode
+          speak={(text) => app.speakText(text, "healing")}
+          customPrograms={customPrograms}
+          log={log}
+          onSaveProgram={app.saveBreathingProgram}
+          onDeleteProgram={app.deleteBreathingProgram}
+          onLogSession={app.logBreathingSession}
+        />
+      </div>
+    </section>
+  );
+}
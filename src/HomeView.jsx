@@ -0,0 +1,76 @@
+import React from "react";
+import ViewHeading from "./ViewHeading.jsx";
+import { routeHref } from "./router.js";
+
+/**
+ * HomeView.jsx
+ * The landing view ("#/"): what Ecosoul is, a way into the demo and a card per feature,
+ * each linking to its view. Loaded with the shell; every other view is loaded on demand.
+ */
+
+function FeatureCard({ title, href, children, icon = "" }) {
+  return (
+    <a href={href} className="block bg-slate-900/30 p-4 rounded-lg hover:bg-slate-900/50">
+      <div className="flex items-center gap-3">
+        <div className="text-2xl">{icon}</div>
+        <div>
+          <div className="font-semibold">{title}</div>
+          <div className="text-sm text-slate-400 mt-1">{children}</div>
+        </div>
+      </div>
+    </a>
+  );
+}
+
+export default function HomeView() {
+  return (
+    <>
+      <section className="grid grid-cols-1 md:grid-cols-2 gap-8 items-center py-12">
+        <div>
+          <ViewHeading title={null} className="text-4xl font-extrabold leading-tight">
+            Bring back the voice you miss.
+          </ViewHeading>
+          <p className="mt-4 text-slate-300 text-lg">Ecosoul lets you relive moments with realistic voice conversations, stories, and gentle guidance — all in a safe, private space.</p>
+
+          <div className="mt-6 flex gap-3">
+            <a href={routeHref("clips")} className="px-5 py-3 rounded-lg bg-pink-500 hover:bg-pink-600 font-semibold">Start a Demo</a>
+            <a href="#features" onClick={(e) => { e.preventDefault(); document.getElementById("features")?.scrollIntoView({ behavior: "smooth" }); }} className="px-5 py-3 rounded-lg border border-slate-600">Explore features</a>
+          </div>
+
+          <div className="mt-8 grid grid-cols-2 gap-3 text-sm text-slate-300">
+            <div className="p-4 rounded-lg bg-slate-800/40">
+              <strong>Privacy first</strong>
+              <div>Local-first. <a href={routeHref("settings")} className="underline">Lock your memories with a passphrase</a>.</div>
+            </div>
+            <div className="p-4 rounded-lg bg-slate-800/40">
+              <strong>Healing by design</strong>
+              <div>Guided meditations, story replay, and journaling tools.</div>
+            </div>
+          </div>
+        </div>
+
+        <div className="rounded-2xl bg-slate-900/40 p-6 shadow-lg">
+          <h3 className="text-xl font-semibold mb-3">Quick demo</h3>
+          <p className="text-slate-300 text-sm">Upload or record a small audio clip, add a line about when it was said, then talk with Ecosoul — replies draw on your clip notes and letters.</p>
+          <ol className="mt-4 space-y-2 text-sm list-decimal list-inside text-slate-200">
+            <li><a href={routeHref("clips")} className="underline">Add a voice clip</a></li>
+            <li><a href={routeHref("journal")} className="underline">Write them a letter</a></li>
+            <li><a href={routeHref("chat")} className="underline">Say hello in Memory Chat</a></li>
+          </ol>
+        </div>
+      </section>
+
+      <section id="features" className="mt-12 scroll-mt-4">
+        <h3 className="text-2xl font-bold">Core features</h3>
+        <div className="mt-6 grid md:grid-cols-3 gap-4">
+          <FeatureCard title="Voice Reconnect" icon="🎤" href={routeHref("clips")}>Upload recordings with a consent record for each voice — Ecosoul analyzes tone &amp; emotion. (Demo: local playback + metadata.)</FeatureCard>
+          <FeatureCard title="Memory Chat" icon="💬" href={routeHref("chat")}>Talk naturally with an AI-echo of your loved one. Receive comforting, contextual replies.</FeatureCard>
+          <FeatureCard title="Story Mode" icon="📖" href={routeHref("story")}>Relive or create stories told in the familiar voice. Use this to soothe, reminisce, or spark laughter.</FeatureCard>
+          <FeatureCard title="Memory Journal" icon="💌" href={routeHref("journal")}>Write letters &amp; save them. Revisit private messages that heal and comfort.</FeatureCard>
+          <FeatureCard title="Healing Mode" icon="🎧" href={routeHref("healing")}>Guided meditations &amp; breathwork narrated in a soothing voice.</FeatureCard>
+          <FeatureCard title="Dream Space" icon="🌠" href={routeHref("dream")}>Memory scenes from your photos, their voice and your words, played as a gentle slideshow.</FeatureCard>
+        </div>
+      </section>
+    </>
+  );
+}
@@ -0,0 +1,97 @@
+import React, { useState } from "react";
+import { MOODS, parseTags } from "./journal.js";
+
+/**
+ * JournalEditor.jsx
+ * Write or edit a letter: title, body, tags, mood and attached voice clips.
+ * Pass `entry` to edit (remount with a new key to switch letters); omit it to write a new one,
+ * optionally starting from a `draft` ({ title, body, tags }) such as a reminder's template.
+ */
+
+export default function JournalEditor({ entry = null, draft = null, recipient, clips, knownTags = [], onSave, onCancel }) {
+  const start = entry || draft;
+  const [title, setTitle] = useState(start?.title || "");
+  const [body, setBody] = useState(start?.body || "");
+  const [tagText, setTagText] = useState((start?.tags || []).join(", "));
+  const [mood, setMood] = useState(entry?.mood || null);
+  const [clipIds, setClipIds] = useState(entry?.clipIds || []);
+
+  function reset() {
+    setTitle("");
+    setBody("");
+    setTagText("");
+    setMood(null);
+    setClipIds([]);
+  }
+
+  function save() {
+    if (!title.trim() || !body.trim()) {
+      alert("Please add a title and some words.");
+      return;
+    }
+    onSave({ title: title.trim(), body: body.trim(), tags: parseTags(tagText), mood, clipIds });
+    if (!entry) reset();
+  }
+
+  function toggleClip(id) {
+    setClipIds((ids) => (ids.includes(id) ? ids.filter((x) => x !== id) : [...ids, id]));
+  }
+
+  return (
+    <div>
+      <input value={title} onChange={(e) => setTitle(e.target.value)} placeholder="Title" aria-label="Letter title" className="w-full p-2 rounded bg-slate-800/60" />
+      <textarea value={body} onChange={(e) => setBody(e.target.value)} placeholder={`Write to ${recipient || "them"}...`} aria-label="Letter" className="w-full mt-3 p-2 rounded bg-slate-800/60" rows={6} />
+
+      <input
+        value={tagText}
+        onChange={(e) => setTagText(e.target.value)}
+        placeholder="Tags, separated by commas"
+        aria-label="Tags"
+        list="journal-tags"
+        className="w-full mt-2 p-2 rounded bg-slate-800/60 text-sm"
+      />
+      <datalist id="journal-tags">
+        {knownTags.map((t) => (
+          <option key={t} value={t} />
+        ))}
+      </datalist>
+
+      <div className="mt-2 flex flex-wrap gap-1" role="radiogroup" aria-label="Mood">
+        {MOODS.map((m) => (
+          <button
+            key={m.id}
+            role="radio"
+            aria-checked={mood === m.id}
+            onClick={() => setMood(mood === m.id ? null : m.id)}
+            className={`px-2 py-1 rounded text-xs ${mood === m.id ? "bg-pink-500" : "bg-slate-800/60"}`}
+          >
+            {m.emoji} {m.label}
+          </button>
+        ))}
+      </div>
+
+      {clips.length > 0 && (
+        <details className="mt-2 text-sm" open={clipIds.length > 0}>
+          <summary className="cursor-pointer text-slate-300">Attach voice clips ({clipIds.length})</summary>
+          <div className="mt-1 max-h-28 overflow-auto space-y-1">
+            {clips.map((c) => (
+              <label key={c.id} className="flex items-center gap-2 text-xs text-slate-300">
+                <input type="checkbox" checked={clipIds.includes(c.id)} onChange={() => toggleClip(c.id)} />
+                {c.title || c.name}
+              </label>
+            ))}
+          </div>
+        </details>
+      )}
+
+      <div className="mt-2 flex gap-2">
+        <button onClick={save} className="px-4 py-2 rounded bg-pink-500">{entry ? "Save changes" : "Save Letter"}</button>
+        {entry ? (
+          <button onClick={onCancel} className="px-4 py-2 rounded bg-slate-700">Cancel</button>
+        ) : (
+          <button onClick={reset} className="px-4 py-2 rounded bg-slate-700">Clear</button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,310 @@
+import React, { useEffect, useMemo, useState } from "react";
+import JournalEditor from "./JournalEditor.jsx";
+import { routeHref } from "./router.js";
+import { MOODS, allTags, dayKey, excerpt, filterEntries, highlight, monthGrid, searchTerms, timelineForMonth } from "./journal.js";
+
+/**
+ * JournalPanel.jsx
+ * The Memory Journal: write/edit letters on the left; on the right, browse them as a
+ * searchable, filterable list or as a month calendar that also marks the person's
+ * birthday and remembrance anniversaries. Storage stays with the parent (onCreate /
+ * onUpdate / onDelete); revisions are recorded by journal.js reviseEntry(). A `draft`
+ * ({ key, title, body, tags }) fills the new-letter form, e.g. from a reminder.
+ * `selectedId` (a #/journal/<id> link) shows that letter opened in the list, filters cleared.
+ */
+
+const MOOD_BY_ID = Object.fromEntries(MOODS.map((m) => [m.id, m]));
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const EVENT_ICONS = { birthday: "🎂", remembrance: "🕯️" };
+
+function Highlighted({ text, terms }) {
+  return highlight(text, terms).map((seg, i) =>
+    seg.match ? (
+      <mark key={i} className="bg-yellow-300/80 text-slate-900 rounded px-0.5">{seg.text}</mark>
+    ) : (
+      <React.Fragment key={i}>{seg.text}</React.Fragment>
+    )
+  );
+}
+
+export default function JournalPanel({ entries, clips, profile, recipient, draft, selectedId, onCreate, onUpdate, onDelete, onRead }) {
+  const [editingId, setEditingId] = useState(null);
+  const [view, setView] = useState("list"); // list | calendar
+  const [query, setQuery] = useState("");
+  const [tag, setTag] = useState("");
+  const [mood, setMood] = useState("");
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [expanded, setExpanded] = useState(() => new Set());
+  const [historyFor, setHistoryFor] = useState(null);
+  const [cursor, setCursor] = useState(() => {
+    const d = new Date();
+    return { year: d.getFullYear(), month: d.getMonth() };
+  });
+
+  const editing = entries.find((e) => e.id === editingId) || null;
+  const tags = useMemo(() => allTags(entries), [entries]);
+  const terms = searchTerms(query);
+  const visible = filterEntries(entries, { query, tag: tag || null, mood: mood || null, from: from || null, to: to || null });
+  const filtered = query || tag || mood || from || to;
+  const clipById = new Map(clips.map((c) => [c.id, c]));
+
+  const days = timelineForMonth(entries, profile, cursor.year, cursor.month);
+  const monthItems = [...days].sort(([a], [b]) => a.localeCompare(b));
+  const todayKey = dayKey(Date.now());
+
+  useEffect(() => {
+    if (!selectedId || !entries.some((e) => e.id === selectedId)) return;
+    clearFilters();
+    setView("list");
+    setExpanded((s) => new Set(s).add(selectedId));
+    requestAnimationFrame(() => {
+      const el = document.getElementById(`letter-${selectedId}`);
+      el?.scrollIntoView({ behavior: "smooth", block: "nearest" });
+      el?.focus({ preventScroll: true });
+    });
+  }, [selectedId]);
+
+  function clearFilters() {
+    setQuery("");
+    setTag("");
+    setMood("");
+    setFrom("");
+    setTo("");
+  }
+
+  function toggleExpanded(id) {
+    setExpanded((s) => {
+      const next = new Set(s);
+      next.has(id) ? next.delete(id) : next.add(id);
+      return next;
+    });
+  }
+
+  function moveMonth(delta) {
+    setCursor(({ year, month }) => {
+      const d = new Date(year, month + delta, 1);
+      return { year: d.getFullYear(), month: d.getMonth() };
+    });
+  }
+
+  // calendar day -> list filtered to that day
+  function openDay(key) {
+    clearFilters();
+    setFrom(key);
+    setTo(key);
+    setView("list");
+  }
+
+  function saveEdit(fields) {
+    onUpdate(editing.id, fields);
+    setEditingId(null);
+  }
+
+  function restore(entry, revision) {
+    if (!confirm("Restore this earlier version? The current text is kept in the history.")) return;
+    const { savedAt, ...fields } = revision;
+    onUpdate(entry.id, fields);
+    setHistoryFor(null);
+  }
+
+  return (
+    <div className="mt-4 grid grid-cols-1 md:grid-cols-3 gap-6">
+      <div className="bg-slate-900/40 p-5 rounded">
+        <h4 className="font-semibold">{editing ? "Edit letter" : "Write a letter"}</h4>
+        <div className="mt-3">
+          <JournalEditor
+            key={editing?.id || draft?.key || "new"}
+            entry={editing}
+            draft={draft}
+            recipient={recipient}
+            clips={clips}
+            knownTags={tags.map((t) => t.tag)}
+            onSave={editing ? saveEdit : onCreate}
+            onCancel={() => setEditingId(null)}
+          />
+        </div>
+      </div>
+
+      <div className="md:col-span-2 bg-slate-900/40 p-5 rounded">
+        <div className="flex items-center justify-between">
+          <h4 className="font-semibold">Saved letters</h4>
+          <div className="flex text-xs rounded overflow-hidden" role="tablist" aria-label="Journal view">
+            {["list", "calendar"].map((v) => (
+              <button key={v} role="tab" aria-selected={view === v} onClick={() => setView(v)} className={`px-3 py-1 capitalize ${view === v ? "bg-indigo-600" : "bg-slate-800"}`}>
+                {v === "list" ? "List" : "Timeline"}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {view === "list" && (
+          <>
+            <div className="mt-3 grid gap-2 text-sm">
+              <input type="search" value={query} onChange={(e) => setQuery(e.target.value)} placeholder='Search letters (use "quotes" for phrases)' aria-label="Search letters" className="p-2 rounded bg-slate-800/60" />
+              <div className="flex flex-wrap gap-2 items-center">
+                <select value={tag} onChange={(e) => setTag(e.target.value)} aria-label="Filter by tag" className="p-1 rounded bg-slate-800/60">
+                  <option value="">All tags</option>
+                  {tags.map((t) => (
+                    <option key={t.tag} value={t.tag}>#{t.tag} ({t.count})</option>
+                  ))}
+                </select>
+                <select value={mood} onChange={(e) => setMood(e.target.value)} aria-label="Filter by mood" className="p-1 rounded bg-slate-800/60">
+                  <option value="">Any mood</option>
+                  {MOODS.map((m) => (
+                    <option key={m.id} value={m.id}>{m.emoji} {m.label}</option>
+                  ))}
+                </select>
+                <label className="flex items-center gap-1 text-xs text-slate-400">
+                  From
+                  <input type="date" value={from} max={to || undefined} onChange={(e) => setFrom(e.target.value)} className="p-1 rounded bg-slate-800/60 text-slate-50" />
+                </label>
+                <label className="flex items-center gap-1 text-xs text-slate-400">
+                  To
+                  <input type="date" value={to} min={from || undefined} onChange={(e) => setTo(e.target.value)} className="p-1 rounded bg-slate-800/60 text-slate-50" />
+                </label>
+                {filtered && <button onClick={clearFilters} className="text-xs underline text-slate-400">Clear</button>}
+              </div>
+            </div>
+
+            <div className="mt-2 text-xs text-slate-400" aria-live="polite">
+              {filtered ? `${visible.length} of ${entries.length} letters` : `${entries.length} letter${entries.length === 1 ? "" : "s"}`}
+            </div>
+
+            <div className="mt-2 space-y-3 max-h-96 overflow-auto">
+              {entries.length === 0 && <div className="text-slate-400">No letters yet. Write one — it helps.</div>}
+              {entries.length > 0 && visible.length === 0 && <div className="text-slate-400 text-sm">No letters match.</div>}
+              {visible.map((j) => {
+                const open = expanded.has(j.id);
+                const m = MOOD_BY_ID[j.mood];
+                return (
+                  <div key={j.id} id={`letter-${j.id}`} tabIndex={-1} className={`p-3 rounded bg-slate-800/50 outline-none ${j.id === selectedId ? "ring-2 ring-indigo-400" : ""}`}>
+                    <div className="flex items-start justify-between gap-2">
+                      <a href={routeHref("journal", j.id)} className="font-medium hover:underline"><Highlighted text={j.title} terms={terms} /></a>
+                      {m && <span className="text-xs whitespace-nowrap" title={m.label}>{m.emoji} {m.label}</span>}
+                    </div>
+                    <div className="text-xs text-slate-400">
+                      {new Date(j.createdAt).toLocaleString()}
+                      {j.revisions?.length > 0 && ` · edited ${new Date(j.updatedAt).toLocaleDateString()}`}
+                    </div>
+                    <div className="mt-2 text-sm whitespace-pre-wrap">
+                      <Highlighted text={open ? j.body : excerpt(j.body, terms)} terms={terms} />
+                    </div>
+                    {j.body.length > 160 && (
+                      <button onClick={() => toggleExpanded(j.id)} className="text-xs underline text-slate-400" aria-expanded={open}>
+                        {open ? "Show less" : "Show more"}
+                      </button>
+                    )}
+                    {j.tags?.length > 0 && (
+                      <div className="mt-2 flex flex-wrap gap-1">
+                        {j.tags.map((t) => (
+                          <button key={t} onClick={() => setTag(t)} className="px-2 py-0.5 rounded-full bg-slate-700 text-xs">
+                            #<Highlighted text={t} terms={terms} />
+                          </button>
+                        ))}
+                      </div>
+                    )}
+                    {j.clipIds?.length > 0 && (
+                      <div className="mt-2 text-xs text-slate-300">
+                        🎙️{" "}
+                        {j.clipIds.map((id, i) => (
+                          <React.Fragment key={id}>
+                            {i > 0 && ", "}
+                            {clipById.has(id) ? (
+                              <a href={routeHref("clips", id)} className="underline">{clipById.get(id).title || clipById.get(id).name}</a>
+                            ) : (
+                              <span className="text-slate-500">missing clip</span>
+                            )}
+                          </React.Fragment>
+                        ))}
+                      </div>
+                    )}
+                    <div className="mt-2 flex flex-wrap gap-2">
+                      <button onClick={() => onRead(j.body)} className="px-2 py-1 text-xs rounded bg-emerald-500">Read</button>
+                      <button onClick={() => setEditingId(j.id)} className="px-2 py-1 text-xs rounded bg-indigo-600">Edit</button>
+                      {j.revisions?.length > 0 && (
+                        <button onClick={() => setHistoryFor(historyFor === j.id ? null : j.id)} className="px-2 py-1 text-xs rounded bg-slate-700" aria-expanded={historyFor === j.id}>
+                          History ({j.revisions.length})
+                        </button>
+                      )}
+                      <button onClick={() => onDelete(j.id)} className="px-2 py-1 text-xs rounded bg-red-600">Delete</button>
+                    </div>
+                    {historyFor === j.id && (
+                      <ol className="mt-2 space-y-2 border-l border-slate-600 pl-3">
+                        {j.revisions.map((r, i) => (
+                          <li key={i} className="text-xs">
+                            <div className="text-slate-400">Version saved {new Date(r.savedAt).toLocaleString()}</div>
+                            <div className="font-medium text-slate-200">{r.title}</div>
+                            <div className="text-slate-300 whitespace-pre-wrap">{excerpt(r.body, [], 240)}</div>
+                            <button onClick={() => restore(j, r)} className="mt-1 underline text-slate-400">Restore this version</button>
+                          </li>
+                        ))}
+                      </ol>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          </>
+        )}
+
+        {view === "calendar" && (
+          <div className="mt-3 text-sm">
+            <div className="flex items-center justify-between">
+              <button onClick={() => moveMonth(-1)} className="px-2 py-1 rounded bg-slate-800" aria-label="Previous month">‹</button>
+              <div className="font-semibold" aria-live="polite">
+                {new Date(cursor.year, cursor.month, 1).toLocaleDateString(undefined, { month: "long", year: "numeric" })}
+              </div>
+              <button onClick={() => moveMonth(1)} className="px-2 py-1 rounded bg-slate-800" aria-label="Next month">›</button>
+            </div>
+
+            <div className="mt-2 grid grid-cols-7 gap-1 text-center text-xs" role="grid">
+              {WEEKDAYS.map((d) => (
+                <div key={d} className="text-slate-400" role="columnheader">{d}</div>
+              ))}
+              {monthGrid(cursor.year, cursor.month).flat().map((cell) => {
+                const info = cell.inMonth ? days.get(cell.key) : null;
+                const label = [
+                  ...(info?.events || []).map((ev) => ev.label),
+                  info?.letters.length ? `${info.letters.length} letter${info.letters.length === 1 ? "" : "s"}` : "",
+                ].filter(Boolean).join(", ");
+                return (
+                  <button
+                    key={cell.key}
+                    role="gridcell"
+                    disabled={!info?.letters.length}
+                    onClick={() => openDay(cell.key)}
+                    title={label || undefined}
+                    aria-label={`${cell.key}${label ? `: ${label}` : ""}`}
+                    className={`h-12 rounded p-1 flex flex-col items-center ${cell.inMonth ? "bg-slate-800/60" : "bg-transparent text-slate-600"} ${cell.key === todayKey ? "ring-1 ring-pink-400" : ""} ${info?.letters.length ? "hover:bg-slate-700" : ""}`}
+                  >
+                    <span>{cell.day}</span>
+                    <span className="flex gap-0.5 items-center">
+                      {info?.events.map((ev) => <span key={ev.kind}>{EVENT_ICONS[ev.kind]}</span>)}
+                      {info?.letters.length > 0 && <span className="w-2 h-2 rounded-full bg-pink-400" aria-hidden="true" />}
+                    </span>
+                  </button>
+                );
+              })}
+            </div>
+
+            <ul className="mt-3 space-y-1 text-xs text-slate-300">
+              {monthItems.length === 0 && <li className="text-slate-400">Nothing this month.</li>}
+              {monthItems.map(([key, info]) => (
+                <li key={key}>
+                  <span className="text-slate-400">{new Date(`${key}T00:00`).toLocaleDateString(undefined, { day: "numeric", month: "short" })}</span>{" "}
+                  {info.events.map((ev) => (
+                    <span key={ev.kind} className="mr-2">{EVENT_ICONS[ev.kind]} {ev.label}</span>
+                  ))}
+                  {info.letters.map((l) => (
+                    <button key={l.id} onClick={() => openDay(key)} className="mr-2 underline">💌 {l.title}</button>
+                  ))}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
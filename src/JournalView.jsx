@@ -0,0 +1,57 @@
+import React from "react";
+import { useActiveProfile, useAppState, useLinkedProfile, useProfileItems } from "./appState.js";
+import { useStore } from "./store.js";
+import { navigate } from "./router.js";
+import { spokenName } from "./profiles.js";
+import { isPhoto } from "./dreamSpace.js";
+import { regionFor } from "./safety.js";
+import JournalPanel from "./JournalPanel.jsx";
+import SafetyNotice from "./SafetyNotice.jsx";
+import ViewHeading from "./ViewHeading.jsx";
+
+/**
+ * JournalView.jsx
+ * The Memory Journal ("#/journal/<letterId>"); a letter's id opens it in the list. After a
+ * letter with worrying words is saved, the support notice shows above the journal.
+ */
+
+export default function JournalView({ id }) {
+  const app = useAppState();
+  const profile = useActiveProfile();
+  const entries = useProfileItems(app.journal);
+  const clips = useProfileItems(app.media).filter((v) => !isPhoto(v));
+  const draft = useStore(app.journalDraft);
+  const journalSafety = useStore(app.journalSafety);
+  const safetyRegion = regionFor(useStore(app.safetySettings));
+  useLinkedProfile(app.journal, id);
+
+  return (
+    <section className="mt-8">
+      <ViewHeading>Memory Journal</ViewHeading>
+      {journalSafety && (
+        <div className="mt-4">
+          <SafetyNotice
+            level={journalSafety.level}
+            text={journalSafety.text}
+            region={safetyRegion}
+            onRegionChange={app.setSafetyRegion}
+            onOpenHealing={() => navigate("healing")}
+            onDismiss={() => app.journalSafety.set(null)}
+          />
+        </div>
+      )}
+      <JournalPanel
+        entries={entries}
+        clips={clips}
+        profile={profile}
+        recipient={spokenName(profile)}
+        draft={draft}
+        selectedId={id}
+        onCreate={app.addJournalEntry}
+        onUpdate={app.updateJournalEntry}
+        onDelete={app.deleteJournalEntry}
+        onRead={(text) => app.speakText(text, "story")}
+      />
+    </section>
+  );
+}
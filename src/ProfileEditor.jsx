@@ -0,0 +1,116 @@
+import React, { useEffect, useRef, useState } from "react";
+import { parseNicknames, resizePhoto, initials } from "./profiles.js";
+
+/**
+ * ProfileEditor.jsx
+ * Dialog for adding or editing a loved-one profile. onSave receives the updated profile;
+ * onDelete is only offered when the parent allows it (there must always be one profile).
+ */
+
+export default function ProfileEditor({ profile, isNew, onSave, onCancel, onDelete }) {
+  const [draft, setDraft] = useState({ ...profile, nicknamesText: profile.nicknames.join(", ") });
+  const [error, setError] = useState("");
+  const nameRef = useRef(null);
+
+  useEffect(() => {
+    nameRef.current?.focus();
+    const onKey = (e) => e.key === "Escape" && onCancel();
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [onCancel]);
+
+  function set(field, value) {
+    setDraft((d) => ({ ...d, [field]: value }));
+  }
+
+  async function onPhoto(e) {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    try {
+      set("photo", await resizePhoto(file));
+      setError("");
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  function save(e) {
+    e.preventDefault();
+    if (!draft.name.trim()) {
+      setError("Please add their name.");
+      return;
+    }
+    const { nicknamesText, ...rest } = draft;
+    onSave({ ...rest, name: rest.name.trim(), relationship: rest.relationship.trim(), nicknames: parseNicknames(nicknamesText) });
+  }
+
+  return (
+    <div className="fixed inset-0 z-40 bg-black/60 flex items-center justify-center px-4" role="dialog" aria-modal="true" aria-labelledby="profile-editor-title">
+      <form onSubmit={save} className="w-full max-w-lg rounded-2xl bg-slate-900 p-6 shadow-lg text-sm max-h-[90vh] overflow-auto">
+        <h3 id="profile-editor-title" className="text-xl font-semibold">{isNew ? "Add someone you're remembering" : `Edit ${profile.name}`}</h3>
+
+        <div className="mt-4 flex items-center gap-4">
+          {draft.photo ? (
+            <img src={draft.photo} alt="" className="w-16 h-16 rounded-full object-cover" />
+          ) : (
+            <div className="w-16 h-16 rounded-full bg-slate-700 flex items-center justify-center text-lg font-bold">{initials(draft.name)}</div>
+          )}
+          <div className="flex flex-col gap-1">
+            <label className="text-slate-300">
+              Photo
+              <input type="file" accept="image/*" onChange={onPhoto} className="block mt-1 text-xs text-slate-400" />
+            </label>
+            {draft.photo && (
+              <button type="button" onClick={() => set("photo", null)} className="self-start text-xs underline text-slate-400">Remove photo</button>
+            )}
+          </div>
+        </div>
+
+        <div className="mt-4 grid grid-cols-2 gap-3">
+          <label className="flex flex-col gap-1 text-slate-300">
+            Name
+            <input ref={nameRef} value={draft.name} onChange={(e) => set("name", e.target.value)} className="p-2 rounded bg-slate-800/60 text-slate-50" />
+          </label>
+          <label className="flex flex-col gap-1 text-slate-300">
+            Relationship
+            <input value={draft.relationship} onChange={(e) => set("relationship", e.target.value)} placeholder="e.g. grandmother" className="p-2 rounded bg-slate-800/60 text-slate-50" />
+          </label>
+          <label className="flex flex-col gap-1 text-slate-300">
+            Born
+            <input type="date" value={draft.birthDate} onChange={(e) => set("birthDate", e.target.value)} className="p-2 rounded bg-slate-800/60 text-slate-50" />
+          </label>
+          <label className="flex flex-col gap-1 text-slate-300">
+            Passed
+            <input type="date" value={draft.passedDate} onChange={(e) => set("passedDate", e.target.value)} className="p-2 rounded bg-slate-800/60 text-slate-50" />
+          </label>
+        </div>
+
+        <label className="mt-3 flex flex-col gap-1 text-slate-300">
+          What they called you (comma-separated)
+          <input value={draft.nicknamesText} onChange={(e) => set("nicknamesText", e.target.value)} placeholder="sweetpea, kiddo" className="p-2 rounded bg-slate-800/60 text-slate-50" />
+        </label>
+        <label className="mt-3 flex flex-col gap-1 text-slate-300">
+          How they spoke
+          <textarea
+            value={draft.styleNotes}
+            onChange={(e) => set("styleNotes", e.target.value)}
+            rows={3}
+            placeholder={'Gentle and teasing. Always said "oh my stars" and "chin up, buttercup".'}
+            className="p-2 rounded bg-slate-800/60 text-slate-50"
+          />
+          <span className="text-xs text-slate-400">Put their favourite sayings in quotes and replies will use them.</span>
+        </label>
+
+        {error && <div role="alert" className="mt-3 text-red-300">{error}</div>}
+
+        <div className="mt-5 flex gap-2">
+          <button type="submit" className="px-4 py-2 rounded bg-pink-500 font-semibold">Save</button>
+          <button type="button" onClick={onCancel} className="px-4 py-2 rounded bg-slate-700">Cancel</button>
+          {onDelete && (
+            <button type="button" onClick={onDelete} className="ml-auto px-4 py-2 rounded bg-red-600/80">Delete</button>
+          )}
+        </div>
+      </form>
+    </div>
+  );
+}
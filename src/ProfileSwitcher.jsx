@@ -0,0 +1,35 @@
+import React from "react";
+import { initials } from "./profiles.js";
+
+/**
+ * ProfileSwitcher.jsx
+ * Header control showing who the app is currently about, with a picker to switch
+ * and shortcuts to edit or add a profile.
+ */
+
+export default function ProfileSwitcher({ profiles, activeProfile, onSwitch, onEdit, onAdd }) {
+  return (
+    <div className="flex items-center gap-2">
+      {activeProfile.photo ? (
+        <img src={activeProfile.photo} alt="" className="w-8 h-8 rounded-full object-cover" />
+      ) : (
+        <div className="w-8 h-8 rounded-full bg-slate-700 flex items-center justify-center text-xs font-bold">{initials(activeProfile.name)}</div>
+      )}
+      <select
+        value={activeProfile.id}
+        onChange={(e) => (e.target.value === "__add" ? onAdd() : onSwitch(e.target.value))}
+        aria-label="Who you're remembering"
+        className="text-sm p-1 rounded bg-slate-800/80"
+      >
+        {profiles.map((p) => (
+          <option key={p.id} value={p.id}>
+            {p.name}
+            {p.relationship ? ` (${p.relationship})` : ""}
+          </option>
+        ))}
+        <option value="__add">+ Add someone…</option>
+      </select>
+      <button onClick={onEdit} className="text-xs hover:underline text-slate-300">Edit</button>
+    </div>
+  );
+}
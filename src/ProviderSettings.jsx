@@ -0,0 +1,106 @@
+import React, { useState } from "react";
+import { createOpenAIProvider, isRemoteConfigured } from "./providers/index.js";
+
+/**
+ * ProviderSettings.jsx
+ * Choose where replies, stories and speech come from: this device (default) or any
+ * OpenAI-compatible endpoint. Saved settings are passed up through onChange.
+ */
+
+export default function ProviderSettings({ settings, onChange }) {
+  const [draft, setDraft] = useState(settings);
+  const [status, setStatus] = useState(null); // { kind: "ok" | "error", text }
+  const [testing, setTesting] = useState(false);
+
+  function set(field, value) {
+    setDraft((d) => ({ ...d, [field]: value }));
+    setStatus(null);
+  }
+
+  function save() {
+    if (draft.kind === "openai" && !isRemoteConfigured(draft)) {
+      setStatus({ kind: "error", text: "Add a base URL and a model name, or switch back to this device." });
+      return;
+    }
+    onChange(draft);
+    setStatus({ kind: "ok", text: "Saved." });
+  }
+
+  // talk to the endpoint directly (no local fallback) so failures are visible
+  async function testConnection() {
+    setTesting(true);
+    setStatus(null);
+    try {
+      const provider = createOpenAIProvider({ ...draft, retries: 0 });
+      const reply = await provider.reply([{ from: "you", text: "Say hello in five words." }], []);
+      setStatus({ kind: "ok", text: `Connected. Reply: “${reply.text}”` });
+    } catch (e) {
+      setStatus({ kind: "error", text: e.message });
+    } finally {
+      setTesting(false);
+    }
+  }
+
+  const remote = draft.kind === "openai";
+
+  return (
+    <div className="bg-slate-900/40 p-5 rounded">
+      <h4 className="font-semibold">Replies &amp; voice</h4>
+      <p className="text-slate-400 text-sm mt-2">
+        By default everything is generated on this device. You can instead connect an OpenAI-compatible service; if it fails, Ecosoul falls back to this device.
+      </p>
+
+      <div className="mt-3 grid gap-2 max-w-md text-sm">
+        <label className="flex items-center gap-2">
+          <input type="radio" name="provider-kind" checked={!remote} onChange={() => set("kind", "local")} />
+          On this device (offline)
+        </label>
+        <label className="flex items-center gap-2">
+          <input type="radio" name="provider-kind" checked={remote} onChange={() => set("kind", "openai")} />
+          OpenAI-compatible API
+        </label>
+
+        {remote && (
+          <>
+            <input value={draft.baseUrl} onChange={(e) => set("baseUrl", e.target.value)} placeholder="Base URL, e.g. https://api.example.com/v1" className="p-2 rounded bg-slate-800/60" />
+            <input type="password" value={draft.apiKey} onChange={(e) => set("apiKey", e.target.value)} placeholder="API key (optional)" autoComplete="off" className="p-2 rounded bg-slate-800/60" />
+            <input value={draft.model} onChange={(e) => set("model", e.target.value)} placeholder="Chat model" className="p-2 rounded bg-slate-800/60" />
+            <div className="flex gap-2">
+              <input value={draft.ttsModel} onChange={(e) => set("ttsModel", e.target.value)} placeholder="TTS model (optional)" className="flex-1 p-2 rounded bg-slate-800/60" />
+              <input value={draft.ttsVoice} onChange={(e) => set("ttsVoice", e.target.value)} placeholder="TTS voice" className="w-28 p-2 rounded bg-slate-800/60" />
+            </div>
+            <div className="flex gap-4 items-center">
+              <label className="flex items-center gap-2">
+                Timeout (s)
+                <input type="number" min={3} max={120} value={draft.timeoutMs / 1000} onChange={(e) => set("timeoutMs", Math.max(3, Number(e.target.value) || 20) * 1000)} className="w-16 p-1 rounded bg-slate-800/60" />
+              </label>
+              <label className="flex items-center gap-2">
+                Retries
+                <input type="number" min={0} max={5} value={draft.retries} onChange={(e) => set("retries", Math.min(5, Math.max(0, Number(e.target.value) || 0)))} className="w-14 p-1 rounded bg-slate-800/60" />
+              </label>
+              <label className="flex items-center gap-2">
+                <input type="checkbox" checked={draft.stream} onChange={(e) => set("stream", e.target.checked)} />
+                Stream
+              </label>
+            </div>
+            <p className="text-xs text-slate-400">Your letters relevant to each message are sent to this service. The API key is stored on this device (encrypted when the vault is on).</p>
+          </>
+        )}
+      </div>
+
+      <div className="mt-3 flex gap-2">
+        <button onClick={save} className="px-4 py-2 rounded bg-indigo-600">Save</button>
+        {remote && (
+          <button disabled={testing || !isRemoteConfigured(draft)} onClick={testConnection} className="px-4 py-2 rounded bg-slate-700 disabled:opacity-60">
+            {testing ? "Testing…" : "Test connection"}
+          </button>
+        )}
+      </div>
+      {status && (
+        <div role={status.kind === "error" ? "alert" : "status"} className={`mt-2 text-sm ${status.kind === "error" ? "text-red-300" : "text-emerald-300"}`}>
+          {status.text}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,32 @@
+import React from "react";
+import { ACTIONS } from "./reminders.js";
+
+/**
+ * ReminderBanners.jsx
+ * Due reminders (dates and journaling prompts) at the top of the page, each with the
+ * action it offers and "Not now", which hides it; a later nudge for the same day still comes.
+ */
+
+const ACTION_LABELS = Object.fromEntries(ACTIONS.map((a) => [a.id, a.label]));
+
+export default function ReminderBanners({ reminders, onAction, onDismiss }) {
+  if (!reminders.length) return null;
+  return (
+    <div role="status" className="mt-4 grid gap-2">
+      {reminders.map((r) => (
+        <div key={r.key} className="p-4 rounded-lg bg-indigo-950/60 border border-indigo-400/30 flex flex-wrap items-center gap-3">
+          <div className="flex-1 min-w-[12rem]">
+            <div className="font-semibold text-sm">{r.title}</div>
+            <div className="text-sm text-slate-300">{r.body}</div>
+          </div>
+          <button onClick={() => onAction(r)} className="px-3 py-2 rounded bg-indigo-600 text-sm">
+            {ACTION_LABELS[r.action]}
+          </button>
+          <button onClick={() => onDismiss(r)} className="px-3 py-2 rounded bg-slate-700 text-sm">
+            Not now
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,248 @@
+import React, { useState } from "react";
+import { ACTIONS, DATE_KINDS, NUDGES, browserTimeZone, createDate, dateLabel, kindOf, suggestedDates, upcomingDates } from "./reminders.js";
+import { notificationPermission, requestNotificationPermission } from "./notifications.js";
+
+/**
+ * RemindersPanel.jsx
+ * Important dates for the active person, each with its nudges ("a week before", "on the
+ * day"), the hour and time zone they come at, and what the reminder offers to do; plus
+ * the opt-in journaling prompts and system notifications. Dates and settings are owned
+ * by the parent (onSaveDate / onDeleteDate / onChangeSettings).
+ */
+
+const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+function timeZones(current) {
+  const all = typeof Intl.supportedValuesOf === "function" ? Intl.supportedValuesOf("timeZone") : [];
+  return all.includes(current) ? all : [current, ...all];
+}
+
+function formatDay(day) {
+  const [y, m, d] = day.split("-").map(Number);
+  return new Date(y, m - 1, d).toLocaleDateString(undefined, { weekday: "short", day: "numeric", month: "long", year: "numeric" });
+}
+
+function DateForm({ draft, profile, onSave, onCancel }) {
+  const [d, setD] = useState(draft);
+  const set = (patch) => setD((x) => ({ ...x, ...patch }));
+
+  function toggleNudge(id) {
+    set({ nudges: d.nudges.includes(id) ? d.nudges.filter((n) => n !== id) : [...d.nudges, id] });
+  }
+
+  function save(e) {
+    e.preventDefault();
+    if (!d.date) {
+      alert("Please pick a date.");
+      return;
+    }
+    onSave({ ...d, label: d.label.trim() });
+  }
+
+  return (
+    <form onSubmit={save} className="mt-3 grid gap-2 text-sm max-w-md">
+      <div className="grid grid-cols-2 gap-2">
+        <label className="grid gap-1">
+          Kind
+          <select value={d.kind} onChange={(e) => set({ kind: e.target.value, action: kindOf({ kind: e.target.value }).action })} className="p-2 rounded bg-slate-800/60">
+            {DATE_KINDS.map((k) => (
+              <option key={k.id} value={k.id}>
+                {k.icon} {k.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="grid gap-1">
+          Date
+          <input type="date" value={d.date} onChange={(e) => set({ date: e.target.value })} required className="p-2 rounded bg-slate-800/60" />
+        </label>
+      </div>
+      <label className="grid gap-1">
+        Name
+        <input value={d.label} onChange={(e) => set({ label: e.target.value })} placeholder={dateLabel({ ...d, label: "" }, profile)} className="p-2 rounded bg-slate-800/60" />
+      </label>
+      <div className="flex gap-4">
+        <label className="flex items-center gap-2">
+          <input type="radio" name="date-repeat" checked={d.repeat === "yearly"} onChange={() => set({ repeat: "yearly" })} />
+          Every year
+        </label>
+        <label className="flex items-center gap-2">
+          <input type="radio" name="date-repeat" checked={d.repeat === "once"} onChange={() => set({ repeat: "once" })} />
+          Just once
+        </label>
+      </div>
+      {d.repeat === "yearly" && d.date.endsWith("-02-29") && <p className="text-xs text-slate-400">In years without 29 February this is marked on the 28th.</p>}
+
+      <fieldset className="grid gap-1">
+        <legend>Remind me</legend>
+        <div className="flex flex-wrap gap-3">
+          {NUDGES.map((n) => (
+            <label key={n.id} className="flex items-center gap-2">
+              <input type="checkbox" checked={d.nudges.includes(n.id)} onChange={() => toggleNudge(n.id)} />
+              {n.label}
+            </label>
+          ))}
+        </div>
+      </fieldset>
+      <div className="grid grid-cols-2 gap-2">
+        <label className="grid gap-1">
+          At
+          <input type="time" value={d.time} onChange={(e) => set({ time: e.target.value || "09:00" })} className="p-2 rounded bg-slate-800/60" />
+        </label>
+        <label className="grid gap-1">
+          Time zone
+          <select value={d.timeZone} onChange={(e) => set({ timeZone: e.target.value })} className="p-2 rounded bg-slate-800/60">
+            {timeZones(d.timeZone).map((z) => (
+              <option key={z} value={z}>
+                {z.replace(/_/g, " ")}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+      <label className="grid gap-1">
+        The reminder offers to
+        <select value={d.action} onChange={(e) => set({ action: e.target.value })} className="p-2 rounded bg-slate-800/60">
+          {ACTIONS.map((a) => (
+            <option key={a.id} value={a.id}>
+              {a.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <div className="flex gap-2">
+        <button type="submit" className="px-4 py-2 rounded bg-indigo-600">Save date</button>
+        <button type="button" onClick={onCancel} className="px-4 py-2 rounded bg-slate-700">Cancel</button>
+      </div>
+    </form>
+  );
+}
+
+export default function RemindersPanel({ profile, dates, settings, onChangeSettings, onSaveDate, onDeleteDate, now }) {
+  const [editing, setEditing] = useState(null); // date draft
+  const [permission, setPermission] = useState(notificationPermission);
+  const upcoming = upcomingDates(dates, profile, now);
+  const suggestions = suggestedDates(profile, dates);
+  const prompts = settings.prompts;
+
+  function startNew(fields = {}) {
+    setEditing(createDate(null, { profileId: profile.id, ...fields }));
+  }
+
+  function save(date) {
+    onSaveDate(date);
+    setEditing(null);
+  }
+
+  async function toggleNotifications(on) {
+    if (!on) {
+      onChangeSettings({ ...settings, notifications: false });
+      return;
+    }
+    const result = await requestNotificationPermission();
+    setPermission(result);
+    onChangeSettings({ ...settings, notifications: result === "granted" });
+  }
+
+  function setPrompts(patch) {
+    const next = { ...prompts, ...patch };
+    // switching prompts on starts from the next slot, not one that has already gone by
+    if (patch.frequency && patch.frequency !== "off" && prompts.frequency === "off") next.since = Date.now();
+    onChangeSettings({ ...settings, prompts: next });
+  }
+
+  return (
+    <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-6">
+      <div className="bg-slate-900/40 p-5 rounded">
+        <div className="flex items-center justify-between">
+          <h4 className="font-semibold">Important dates</h4>
+          {!editing && (
+            <button onClick={() => startNew()} className="px-3 py-1 text-sm rounded bg-indigo-600">
+              Add a date
+            </button>
+          )}
+        </div>
+        <p className="text-slate-400 text-sm mt-2">Birthdays, the day they passed, holidays that are hard now — Ecosoul will remind you gently beforehand.</p>
+
+        {!editing && suggestions.length > 0 && (
+          <div className="mt-3 flex flex-wrap gap-2 text-sm">
+            {suggestions.map((s) => (
+              <button key={s.kind} onClick={() => startNew(s)} className="px-3 py-1 rounded bg-slate-800/60 border border-slate-600">
+                + {dateLabel(createDate(null, s), profile)} ({formatDay(s.date)})
+              </button>
+            ))}
+          </div>
+        )}
+
+        {editing && <DateForm key={editing.id || "new"} draft={editing} profile={profile} onSave={save} onCancel={() => setEditing(null)} />}
+
+        {!editing && (
+          <ul className="mt-3 space-y-2 text-sm">
+            {upcoming.length === 0 && <li className="text-slate-400">No dates yet.</li>}
+            {upcoming.map(({ date, occurrence, daysAway, label }) => (
+              <li key={date.id} className="p-3 rounded bg-slate-800/40 flex items-start justify-between gap-2">
+                <div>
+                  <div className="font-medium">
+                    {kindOf(date).icon} {label}
+                  </div>
+                  <div className="text-xs text-slate-400">
+                    {occurrence ? `${formatDay(occurrence)} · ${daysAway === 0 ? "today" : daysAway === 1 ? "tomorrow" : `in ${daysAway} days`}` : `${formatDay(date.date)} · passed`}
+                    {date.nudges.length > 0 ? ` · ${NUDGES.filter((n) => date.nudges.includes(n.id)).map((n) => n.label.toLowerCase()).join(", ")}` : " · no reminders"}
+                  </div>
+                  {date.timeZone !== browserTimeZone() && <div className="text-xs text-slate-400">Kept on {date.timeZone.replace(/_/g, " ")} time</div>}
+                </div>
+                <div className="flex gap-2 shrink-0">
+                  <button onClick={() => setEditing(date)} className="text-xs underline">Edit</button>
+                  <button onClick={() => confirm(`Delete "${label}"?`) && onDeleteDate(date.id)} className="text-xs underline text-red-300">Delete</button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <div className="bg-slate-900/40 p-5 rounded">
+        <h4 className="font-semibold">Check-ins</h4>
+        <p className="text-slate-400 text-sm mt-2">A question to write about, now and then. Skip it whenever you like.</p>
+        <div className="mt-3 grid gap-2 text-sm max-w-md">
+          <label className="grid gap-1">
+            Journaling prompts
+            <select value={prompts.frequency} onChange={(e) => setPrompts({ frequency: e.target.value })} className="p-2 rounded bg-slate-800/60">
+              <option value="off">Off</option>
+              <option value="daily">Every day</option>
+              <option value="weekly">Every week</option>
+            </select>
+          </label>
+          {prompts.frequency !== "off" && (
+            <div className="grid grid-cols-2 gap-2">
+              {prompts.frequency === "weekly" && (
+                <label className="grid gap-1">
+                  On
+                  <select value={prompts.weekday} onChange={(e) => setPrompts({ weekday: Number(e.target.value) })} className="p-2 rounded bg-slate-800/60">
+                    {WEEKDAYS.map((w, i) => (
+                      <option key={w} value={i}>
+                        {w}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              )}
+              <label className="grid gap-1">
+                At
+                <input type="time" value={prompts.time} onChange={(e) => setPrompts({ time: e.target.value || "20:00" })} className="p-2 rounded bg-slate-800/60" />
+              </label>
+            </div>
+          )}
+
+          <label className="mt-2 flex items-center gap-2">
+            <input type="checkbox" checked={settings.notifications && permission === "granted"} disabled={permission === "unsupported"} onChange={(e) => toggleNotifications(e.target.checked)} />
+            Also show reminders as notifications
+          </label>
+          {permission === "denied" && <p className="text-xs text-slate-400">Notifications are blocked for this site; allow them in the browser's site settings to use this.</p>}
+          {permission === "unsupported" && <p className="text-xs text-slate-400">This browser can't show notifications; reminders appear at the top of the page instead.</p>}
+          <p className="text-xs text-slate-400">Reminders arrive while Ecosoul is open in a tab or as an installed app.</p>
+        </div>
+      </div>
+    </div>
+  );
+}
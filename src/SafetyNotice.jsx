@@ -0,0 +1,60 @@
+import React from "react";
+import { CRISIS_LINES, crisisLinesFor } from "./safety.js";
+
+/**
+ * SafetyNotice.jsx
+ * Shown in place of the loved one's reply (and after saving a letter) when safety.js finds
+ * self-harm or distress language: a supportive message, crisis lines for the user's region
+ * and a way into Healing Mode. The region can be changed right here, since the guess from
+ * the browser's language is often wrong.
+ */
+
+export function RegionSelect({ region, onChange, className = "" }) {
+  return (
+    <select value={region || "other"} onChange={(e) => onChange(e.target.value)} className={`p-1 rounded bg-slate-800/60 ${className}`}>
+      <option value="other">Somewhere else</option>
+      {Object.entries(CRISIS_LINES).map(([code, r]) => (
+        <option key={code} value={code}>
+          {r.name}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+export default function SafetyNotice({ level, text, region, onRegionChange, onOpenHealing, onDismiss }) {
+  const lines = crisisLinesFor(region);
+  return (
+    <div role={level === "crisis" ? "alert" : "status"} className="p-4 rounded border border-amber-300/40 bg-amber-950/30 text-left">
+      <p className="text-sm">{text}</p>
+
+      <ul className="mt-3 grid gap-2 text-sm">
+        {lines.lines.map((line) => (
+          <li key={line.name}>
+            <a href={line.href} target={line.href.startsWith("http") ? "_blank" : undefined} rel="noreferrer" className="font-semibold underline">
+              {line.name}
+            </a>{" "}
+            <span className="text-slate-300">— {line.contact}</span>
+          </li>
+        ))}
+        <li className="text-slate-300">
+          {lines.emergency ? `In immediate danger, call ${lines.emergency}.` : "In immediate danger, call your local emergency number."}
+        </li>
+      </ul>
+
+      <label className="mt-3 flex items-center gap-2 text-xs text-slate-400">
+        Lines for
+        <RegionSelect region={region} onChange={onRegionChange} />
+      </label>
+
+      <div className="mt-3 flex flex-wrap gap-2">
+        <button onClick={onOpenHealing} className="px-4 py-2 rounded bg-indigo-600 text-sm">Open Healing Mode</button>
+        {onDismiss && (
+          <button onClick={onDismiss} className="px-4 py-2 rounded bg-slate-700 text-sm">
+            Close
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,41 @@
+import React, { useState } from "react";
+import { crisisLinesFor } from "./safety.js";
+import { RegionSelect } from "./SafetyNotice.jsx";
+
+/**
+ * SafetySettings.jsx
+ * Where Ecosoul looks for crisis lines, and the user's own words that mean they're
+ * struggling. The check itself (safety.js) always runs, on this device only.
+ */
+
+export default function SafetySettings({ settings, onChange, region }) {
+  const [phrases, setPhrases] = useState(settings.phrases.join("\n"));
+
+  function savePhrases() {
+    onChange({ ...settings, phrases: phrases.split("\n").map((p) => p.trim()).filter(Boolean) });
+  }
+
+  return (
+    <div className="bg-slate-900/40 p-5 rounded">
+      <h4 className="font-semibold">Support &amp; safety</h4>
+      <p className="text-slate-400 text-sm mt-2">
+        If something you write to Memory Chat or the journal sounds like you might be in danger or at breaking point, Ecosoul stops replying as your loved one and shows where to find help. This check happens on this device; nothing is sent anywhere.
+      </p>
+
+      <label className="mt-3 flex items-center gap-2 text-sm">
+        Crisis lines for
+        <RegionSelect region={region} onChange={(r) => onChange({ ...settings, region: r })} />
+      </label>
+      <p className="mt-1 text-xs text-slate-400">
+        {crisisLinesFor(region)
+          .lines.map((l) => `${l.name} (${l.contact})`)
+          .join(" · ")}
+      </p>
+
+      <label className="mt-3 grid gap-1 text-sm max-w-md">
+        Words that mean you're struggling, one per line
+        <textarea value={phrases} onChange={(e) => setPhrases(e.target.value)} onBlur={savePhrases} rows={3} className="p-2 rounded bg-slate-800/60" placeholder="e.g. the dark place" />
+      </label>
+    </div>
+  );
+}
@@ -0,0 +1,39 @@
+import React from "react";
+import { useActiveProfile, useAppState } from "./appState.js";
+import { useStore } from "./store.js";
+import { regionFor } from "./safety.js";
+import VaultSettings from "./VaultSettings.jsx";
+import ProviderSettings from "./ProviderSettings.jsx";
+import ArchivePanel from "./ArchivePanel.jsx";
+import SpeechSettings from "./SpeechSettings.jsx";
+import StorageSettings from "./StorageSettings.jsx";
+import SafetySettings from "./SafetySettings.jsx";
+import ViewHeading from "./ViewHeading.jsx";
+
+/**
+ * SettingsView.jsx
+ * Privacy & settings ("#/settings"): vault, reply provider, backups, speech, storage and
+ * support settings.
+ */
+
+export default function SettingsView() {
+  const app = useAppState();
+  const profile = useActiveProfile();
+  const providerSettings = useStore(app.providerSettings);
+  const speechSettings = useStore(app.speechSettings);
+  const safetySettings = useStore(app.safetySettings);
+
+  return (
+    <section className="mt-8">
+      <ViewHeading>Privacy &amp; settings</ViewHeading>
+      <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-6">
+        <VaultSettings />
+        <ProviderSettings settings={providerSettings} onChange={app.saveProviderSettings} />
+        <ArchivePanel />
+        <SpeechSettings settings={speechSettings} onChange={app.speechSettings.set} profile={profile} />
+        <StorageSettings />
+        <SafetySettings settings={safetySettings} onChange={app.safetySettings.set} region={regionFor(safetySettings)} />
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,130 @@
+import React, { useEffect, useState } from "react";
+import { PRIORITY, SPEECH_FEATURES, onVoicesChanged, resolveVoiceSettings, speechQueue, updateVoiceSetting } from "./speech.js";
+
+/**
+ * SpeechSettings.jsx
+ * Voice, rate, pitch and volume for each spoken feature (chat replies, stories, healing
+ * cues), either for everyone or just for the active profile, with a preview and a global
+ * mute. Settings are owned by the parent and passed up through onChange.
+ */
+
+const SLIDERS = [
+  { field: "rate", label: "Rate", min: 0.5, max: 1.5, step: 0.05 },
+  { field: "pitch", label: "Pitch", min: 0.5, max: 1.5, step: 0.05 },
+  { field: "volume", label: "Volume", min: 0, max: 1, step: 0.05 },
+];
+
+function browserSynth() {
+  return typeof window !== "undefined" && "speechSynthesis" in window ? window.speechSynthesis : null;
+}
+
+export default function SpeechSettings({ settings, onChange, profile }) {
+  const [feature, setFeature] = useState(SPEECH_FEATURES[0].id);
+  const [scope, setScope] = useState("everyone"); // "everyone" | "profile"
+  const [voices, setVoices] = useState(() => browserSynth()?.getVoices() || []);
+  const [previewing, setPreviewing] = useState(false);
+
+  // most browsers fill the voice list in asynchronously
+  useEffect(() => {
+    const synth = browserSynth();
+    if (!synth) return undefined;
+    setVoices(synth.getVoices());
+    return onVoicesChanged(synth, setVoices);
+  }, []);
+
+  const supported = !!browserSynth();
+  const profileId = scope === "profile" ? profile.id : null;
+  const effective = resolveVoiceSettings(settings, profileId, feature);
+  const overrides = (profileId && settings.profiles[profileId]?.[feature]) || {};
+
+  function set(field, value) {
+    onChange(updateVoiceSetting(settings, { profileId, feature, field, value }));
+  }
+
+  function overridden(field) {
+    return profileId && overrides[field] !== undefined && overrides[field] !== null;
+  }
+
+  async function preview() {
+    const sample = SPEECH_FEATURES.find((f) => f.id === feature).sample;
+    setPreviewing(true);
+    try {
+      await speechQueue().speak(sample, { ...effective, priority: PRIORITY.preview, replaceKey: "preview" });
+    } finally {
+      setPreviewing(false);
+    }
+  }
+
+  const missingVoice = effective.voiceURI && voices.length > 0 && !voices.some((v) => v.voiceURI === effective.voiceURI);
+
+  return (
+    <div className="bg-slate-900/40 p-5 rounded">
+      <h4 className="font-semibold">Speech</h4>
+      <p className="text-slate-400 text-sm mt-2">Pick how chat replies, stories and healing cues sound. Voices come from this browser; a different device may have a different set.</p>
+
+      <label className="mt-3 flex items-center gap-2 text-sm">
+        <input type="checkbox" checked={settings.muted} onChange={(e) => onChange({ ...settings, muted: e.target.checked })} />
+        Mute all speech
+      </label>
+
+      {!supported && <p className="mt-2 text-xs text-slate-400">This browser can't speak aloud; these settings apply on devices that can.</p>}
+
+      <fieldset disabled={settings.muted} className="mt-3 grid gap-3 max-w-md text-sm disabled:opacity-60">
+        <div className="flex text-xs rounded overflow-hidden w-fit" role="tablist" aria-label="Spoken feature">
+          {SPEECH_FEATURES.map((f) => (
+            <button key={f.id} type="button" role="tab" aria-selected={f.id === feature} onClick={() => setFeature(f.id)} className={`px-3 py-1 ${f.id === feature ? "bg-indigo-600" : "bg-slate-800"}`}>
+              {f.label}
+            </button>
+          ))}
+        </div>
+
+        <div className="flex gap-4">
+          <label className="flex items-center gap-2">
+            <input type="radio" name="speech-scope" checked={scope === "everyone"} onChange={() => setScope("everyone")} />
+            Everyone
+          </label>
+          <label className="flex items-center gap-2">
+            <input type="radio" name="speech-scope" checked={scope === "profile"} onChange={() => setScope("profile")} />
+            Only {profile.name}
+          </label>
+        </div>
+
+        <label className="grid gap-1">
+          <span className="flex justify-between">
+            Voice
+            {overridden("voiceURI") && <button type="button" onClick={() => set("voiceURI", null)} className="text-xs underline text-slate-400">use default</button>}
+          </span>
+          <select value={effective.voiceURI || ""} onChange={(e) => set("voiceURI", e.target.value || (profileId ? "" : null))} className="p-2 rounded bg-slate-800/60">
+            {/* for a profile, "" pins the system default instead of falling back to everyone's voice */}
+            <option value="">System default</option>
+            {voices.map((v) => (
+              <option key={v.voiceURI} value={v.voiceURI}>
+                {v.name} ({v.lang}){v.localService ? "" : " · online"}
+              </option>
+            ))}
+          </select>
+          {missingVoice && <span className="text-xs text-slate-400">The chosen voice isn't on this device; the system default is used instead.</span>}
+        </label>
+
+        {SLIDERS.map((s) => (
+          <label key={s.field} className="grid gap-1">
+            <span className="flex justify-between">
+              {s.label}
+              <span className="flex gap-2 text-slate-400">
+                {overridden(s.field) && <button type="button" onClick={() => set(s.field, null)} className="text-xs underline">use default</button>}
+                {effective[s.field].toFixed(2)}
+              </span>
+            </span>
+            <input type="range" min={s.min} max={s.max} step={s.step} value={effective[s.field]} onChange={(e) => set(s.field, Number(e.target.value))} />
+          </label>
+        ))}
+
+        <div>
+          <button type="button" disabled={!supported || previewing} onClick={preview} className="px-4 py-2 rounded bg-slate-700 disabled:opacity-60">
+            {previewing ? "Speaking…" : "▶ Preview"}
+          </button>
+        </div>
+      </fieldset>
+    </div>
+  );
+}
@@ -0,0 +1,103 @@
+import React, { useEffect, useState } from "react";
+import { formatBytes, requestPersistence, storageStatus } from "./storageQuota.js";
+import { canInstall, isStandalone, onInstallAvailable, promptInstall } from "./pwa.js";
+
+/**
+ * StorageSettings.jsx
+ * How much space Ecosoul uses on this device, whether the browser may clear it, and the
+ * installed / offline status of the app.
+ */
+
+const DETAIL_LABELS = { indexedDB: "Clips & photos", caches: "Offline app files", serviceWorkerRegistrations: "Service worker" };
+
+export default function StorageSettings() {
+  const [status, setStatus] = useState(null);
+  const [message, setMessage] = useState(null); // { kind: "ok" | "error", text }
+  const [installable, setInstallable] = useState(canInstall);
+  const offline = typeof navigator !== "undefined" && !!navigator.serviceWorker?.controller;
+
+  function refresh() {
+    storageStatus()
+      .then(setStatus)
+      .catch(() => setStatus({ supported: false }));
+  }
+
+  useEffect(() => {
+    refresh();
+    return onInstallAvailable(setInstallable);
+  }, []);
+
+  async function persist() {
+    setMessage(null);
+    const granted = await requestPersistence().catch(() => false);
+    setMessage(
+      granted
+        ? { kind: "ok", text: "Done — the browser won't clear Ecosoul's data on its own." }
+        : { kind: "error", text: "The browser said no for now. Installing Ecosoul or using it regularly often changes that; meanwhile keep a backup (Backup & restore)." }
+    );
+    refresh();
+  }
+
+  async function install() {
+    const outcome = await promptInstall();
+    if (outcome === "accepted") setMessage({ kind: "ok", text: "Installed. Ecosoul now opens like an app, even offline." });
+  }
+
+  const share = status?.quota ? Math.min(100, (100 * status.usage) / status.quota) : 0;
+
+  return (
+    <div className="bg-slate-900/40 p-5 rounded">
+      <h4 className="font-semibold">Storage &amp; offline</h4>
+      <p className="text-slate-400 text-sm mt-2">Everything you keep in Ecosoul is stored in this browser. Here's how much room it takes, and whether it's safe from automatic clean-up.</p>
+
+      {!status ? (
+        <p className="mt-3 text-sm text-slate-400">Checking…</p>
+      ) : !status.supported ? (
+        <p className="mt-3 text-sm text-slate-400">This browser doesn't report storage use.</p>
+      ) : (
+        <div className="mt-3 text-sm">
+          <div className="flex justify-between">
+            <span>{formatBytes(status.usage)} used</span>
+            <span className="text-slate-400">of about {formatBytes(status.quota)} available</span>
+          </div>
+          <div className="mt-1 h-2 rounded bg-slate-800" role="progressbar" aria-label="Storage used" aria-valuemin={0} aria-valuemax={100} aria-valuenow={Math.round(share)}>
+            <div className={`h-full rounded ${share > 90 ? "bg-red-500" : share > 75 ? "bg-amber-400" : "bg-emerald-500"}`} style={{ width: `${Math.max(share, 1)}%` }} />
+          </div>
+          {status.details && (
+            <ul className="mt-2 text-xs text-slate-400">
+              {Object.entries(status.details)
+                .filter(([, bytes]) => bytes > 0)
+                .map(([key, bytes]) => (
+                  <li key={key}>
+                    {DETAIL_LABELS[key] || key}: {formatBytes(bytes)}
+                  </li>
+                ))}
+            </ul>
+          )}
+
+          <div className="mt-3">
+            {status.persisted ? (
+              <p className="text-emerald-300">✓ Protected — the browser won't clear this data to free up space.</p>
+            ) : (
+              <>
+                <p className="text-amber-300">The browser may clear this data if the device runs low on space.</p>
+                <button onClick={persist} className="mt-2 px-4 py-2 rounded bg-indigo-600">Keep my data on this device</button>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+
+      <div className="mt-4 text-sm">
+        <p className="text-slate-300">{offline ? "✓ Works offline on this device." : "Offline use starts after the app has loaded once from a published build."}</p>
+        {isStandalone() ? (
+          <p className="mt-1 text-slate-400">Running as an installed app.</p>
+        ) : (
+          installable && <button onClick={install} className="mt-2 px-4 py-2 rounded bg-pink-500">Install Ecosoul</button>
+        )}
+      </div>
+
+      {message && <p role={message.kind === "error" ? "alert" : "status"} className={`mt-2 text-sm ${message.kind === "error" ? "text-red-300" : "text-emerald-300"}`}>{message.text}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,296 @@
+import React, { useEffect, useRef, useState } from "react";
+import { STORY_STRUCTURES, buildStory, getStructure, splitParagraphs, storyPrompt, suggestAnswer } from "./storyEngine.js";
+import { createNarrator, wordSpans } from "./narration.js";
+
+/**
+ * StoryStudio.jsx
+ * Story Mode: pick a structure, answer its guided questions (or borrow a line from your
+ * letters), have the provider write the story, then read it along with word-by-word
+ * highlighted narration. Stories can be saved, edited and replayed; the list itself is
+ * owned by the parent (onSave / onUpdate / onDelete). A new `startWith` ({ structureId })
+ * switches the builder to that structure, e.g. when a birthday reminder suggests a story.
+ * `openId` opens that saved story in the reader (a #/story/<id> link); `onOpen(id)` reports
+ * the story now in the reader, or null for an unsaved draft, so the link can follow.
+ */
+
+function NarratedParagraph({ text, word, onClick }) {
+  if (!word) {
+    return (
+      <p onClick={onClick} className="cursor-pointer hover:bg-slate-800/40 rounded">
+        {text}
+      </p>
+    );
+  }
+  const out = [];
+  let pos = 0;
+  for (const span of wordSpans(text)) {
+    if (span.start > pos) out.push(text.slice(pos, span.start));
+    const active = span.start <= word.start && word.start < span.end;
+    out.push(
+      <span key={span.start} className={active ? "bg-yellow-300 text-slate-900 rounded" : undefined}>
+        {span.text}
+      </span>
+    );
+    pos = span.end;
+  }
+  out.push(text.slice(pos));
+  return (
+    <p onClick={onClick} className="cursor-pointer rounded bg-slate-800/40">
+      {out}
+    </p>
+  );
+}
+
+export default function StoryStudio({ provider, memories, profile, stories, onSave, onUpdate, onDelete, voice, muted, startWith, openId, onOpen }) {
+  const [structureId, setStructureId] = useState(STORY_STRUCTURES[0].id);
+  const [answers, setAnswers] = useState({});
+  const [hints, setHints] = useState({}); // slot -> "nothing found" notes
+  const [writing, setWriting] = useState(false);
+  const [error, setError] = useState("");
+  // the story in the reader: a saved one (id) or an unsaved draft
+  const [current, setCurrent] = useState(null); // { id?, structureId, title, answers, paragraphs }
+  const [edit, setEdit] = useState(null); // { title, text }
+  const [tab, setTab] = useState("reader");
+
+  const [narration, setNarration] = useState("idle");
+  const [paragraphIndex, setParagraphIndex] = useState(-1);
+  const [word, setWord] = useState(null);
+  const narratorRef = useRef(null);
+
+  const structure = getStructure(structureId);
+
+  useEffect(() => () => narratorRef.current?.stop(), []);
+  // a new voice applies from the next play; muting ends the current one
+  useEffect(() => {
+    narratorRef.current?.stop();
+    narratorRef.current = null;
+  }, [voice.voiceURI, voice.rate, voice.pitch, voice.volume, muted]);
+
+  useEffect(() => {
+    if (startWith) chooseStructure(startWith.structureId);
+  }, [startWith]);
+
+  useEffect(() => {
+    const story = openId && current?.id !== openId && stories.find((s) => s.id === openId);
+    if (story) show(story);
+  }, [openId]);
+
+  function narrator() {
+    if (!narratorRef.current) {
+      narratorRef.current = createNarrator({
+        voice,
+        onWord: setWord,
+        onParagraph: (i) => {
+          setParagraphIndex(i);
+          setWord(null);
+        },
+        onState: (s) => {
+          setNarration(s);
+          if (s === "idle") {
+            setParagraphIndex(-1);
+            setWord(null);
+          }
+        },
+      });
+    }
+    return narratorRef.current;
+  }
+
+  function stopNarration() {
+    narratorRef.current?.stop();
+  }
+
+  function chooseStructure(id) {
+    setStructureId(id);
+    setAnswers({});
+    setHints({});
+  }
+
+  function suggest(q) {
+    const line = suggestAnswer(q, memories);
+    if (line) setAnswers((a) => ({ ...a, [q.slot]: line }));
+    setHints((h) => ({ ...h, [q.slot]: line ? "" : "Nothing in your letters or clip notes fits yet." }));
+  }
+
+  async function write() {
+    setWriting(true);
+    setError("");
+    stopNarration();
+    try {
+      const plan = { structureId, answers, seed: Date.now() % 100000 };
+      const text = await provider.story(storyPrompt(structureId, answers, memories), memories, { profile, plan });
+      const { title } = buildStory(structureId, answers, memories, { profile, seed: plan.seed });
+      setCurrent({ structureId, title, answers, paragraphs: splitParagraphs(text) });
+      setEdit(null);
+      setTab("reader");
+      onOpen?.(null);
+    } catch (e) {
+      setError(`The story couldn't be written: ${e.message}`);
+    } finally {
+      setWriting(false);
+    }
+  }
+
+  function show(story) {
+    stopNarration();
+    setCurrent(story);
+    setEdit(null);
+    setTab("reader");
+  }
+
+  function open(story) {
+    show(story);
+    onOpen?.(story.id);
+  }
+
+  function saveDraft() {
+    const saved = onSave({ structureId: current.structureId, title: current.title, answers: current.answers, paragraphs: current.paragraphs });
+    setCurrent(saved);
+    onOpen?.(saved.id);
+  }
+
+  function applyEdit() {
+    const patch = { title: edit.title.trim() || current.title, paragraphs: splitParagraphs(edit.text) };
+    if (!patch.paragraphs.length) {
+      alert("A story needs at least one paragraph.");
+      return;
+    }
+    stopNarration();
+    if (current.id) onUpdate(current.id, patch);
+    setCurrent((c) => ({ ...c, ...patch }));
+    setEdit(null);
+  }
+
+  function remove() {
+    if (!confirm(`Delete "${current.title}"?`)) return;
+    stopNarration();
+    onDelete(current.id);
+    setCurrent(null);
+    onOpen?.(null);
+  }
+
+  const n = narratorRef.current;
+  const speechSupported = typeof window !== "undefined" && "speechSynthesis" in window;
+
+  return (
+    <div className="mt-4 grid grid-cols-1 md:grid-cols-3 gap-6">
+      <div className="bg-slate-900/40 p-5 rounded">
+        <h4 className="font-semibold">Build a story</h4>
+        <div className="mt-3 grid grid-cols-2 gap-2" role="radiogroup" aria-label="Story type">
+          {STORY_STRUCTURES.map((s) => (
+            <button
+              key={s.id}
+              role="radio"
+              aria-checked={s.id === structureId}
+              onClick={() => chooseStructure(s.id)}
+              className={`p-2 rounded text-left text-sm ${s.id === structureId ? "bg-indigo-600" : "bg-slate-800/60"}`}
+            >
+              <div className="font-medium">{s.name}</div>
+              <div className="text-xs text-slate-300">{s.blurb}</div>
+            </button>
+          ))}
+        </div>
+
+        <div className="mt-4 space-y-3 text-sm">
+          {structure.questions.map((q) => (
+            <label key={`${structure.id}-${q.slot}`} className="block">
+              <span className="text-slate-300">{q.question}</span>
+              <div className="mt-1 flex gap-1">
+                <input
+                  value={answers[q.slot] || ""}
+                  onChange={(e) => setAnswers((a) => ({ ...a, [q.slot]: e.target.value }))}
+                  placeholder={q.placeholder}
+                  className="flex-1 p-2 rounded bg-slate-800/60"
+                />
+                <button type="button" onClick={() => suggest(q)} title="Borrow a line from your letters" aria-label={`Suggest an answer to "${q.question}" from your letters`} className="px-2 rounded bg-slate-800">
+                  ✨
+                </button>
+              </div>
+              {hints[q.slot] && <span className="text-xs text-slate-400">{hints[q.slot]}</span>}
+            </label>
+          ))}
+        </div>
+        <p className="mt-2 text-xs text-slate-400">Leave anything blank — your letters and clip notes fill the gaps.</p>
+        <button disabled={writing} onClick={write} className="mt-3 px-4 py-2 rounded bg-pink-500 disabled:opacity-60">
+          {writing ? "Writing…" : "Write the story"}
+        </button>
+        {error && <div role="alert" className="mt-2 text-sm text-red-300">{error}</div>}
+      </div>
+
+      <div className="md:col-span-2 bg-slate-900/40 p-5 rounded">
+        <div className="flex text-xs rounded overflow-hidden w-fit" role="tablist" aria-label="Story view">
+          <button role="tab" aria-selected={tab === "reader"} onClick={() => setTab("reader")} className={`px-3 py-1 ${tab === "reader" ? "bg-indigo-600" : "bg-slate-800"}`}>Reader</button>
+          <button role="tab" aria-selected={tab === "saved"} onClick={() => setTab("saved")} className={`px-3 py-1 ${tab === "saved" ? "bg-indigo-600" : "bg-slate-800"}`}>Saved ({stories.length})</button>
+        </div>
+
+        {tab === "saved" && (
+          <ul className="mt-3 space-y-2 max-h-96 overflow-auto">
+            {stories.length === 0 && <li className="text-slate-400 text-sm">No saved stories yet.</li>}
+            {stories.map((s) => (
+              <li key={s.id} className="p-3 rounded bg-slate-800/50 flex items-center justify-between gap-2">
+                <div>
+                  <div className="font-medium">{s.title}</div>
+                  <div className="text-xs text-slate-400">{getStructure(s.structureId).name} · {new Date(s.updatedAt).toLocaleDateString()}</div>
+                </div>
+                <button onClick={() => open(s)} className="px-3 py-1 text-xs rounded bg-indigo-600">Open</button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {tab === "reader" && !current && (
+          <p className="mt-3 text-slate-400 text-sm">Answer a few questions and press “Write the story”, or open one you saved.</p>
+        )}
+
+        {tab === "reader" && current && (
+          <div className="mt-3">
+            {edit ? (
+              <div className="grid gap-2">
+                <input value={edit.title} onChange={(e) => setEdit((d) => ({ ...d, title: e.target.value }))} aria-label="Story title" className="p-2 rounded bg-slate-800/60 font-semibold" />
+                <textarea value={edit.text} onChange={(e) => setEdit((d) => ({ ...d, text: e.target.value }))} rows={12} aria-label="Story text (blank line between paragraphs)" className="p-2 rounded bg-slate-800/60 text-sm" />
+                <div className="flex gap-2">
+                  <button onClick={applyEdit} className="px-4 py-2 rounded bg-indigo-600">Save changes</button>
+                  <button onClick={() => setEdit(null)} className="px-4 py-2 rounded bg-slate-700">Cancel</button>
+                </div>
+              </div>
+            ) : (
+              <>
+                <h5 className="text-lg font-semibold">{current.title}</h5>
+                <div className="mt-2 space-y-3 leading-relaxed max-h-96 overflow-auto" aria-live="off">
+                  {current.paragraphs.map((p, i) => (
+                    <NarratedParagraph key={i} text={p} word={i === paragraphIndex ? word || { start: -1 } : null} onClick={() => speechSupported && !muted && narrator().play(current.paragraphs, i)} />
+                  ))}
+                </div>
+
+                <div className="mt-3 flex flex-wrap gap-2 items-center">
+                  {!speechSupported ? (
+                    <span className="text-xs text-slate-400">Narration isn't available in this browser.</span>
+                  ) : muted ? (
+                    <span className="text-xs text-slate-400">Speech is muted (Privacy &amp; settings → Speech).</span>
+                  ) : narration === "playing" ? (
+                    <button onClick={() => n?.pause()} className="px-3 py-2 rounded bg-pink-500">Pause</button>
+                  ) : narration === "paused" ? (
+                    <button onClick={() => n?.resume()} className="px-3 py-2 rounded bg-pink-500">Resume</button>
+                  ) : (
+                    <button onClick={() => narrator().play(current.paragraphs)} className="px-3 py-2 rounded bg-pink-500">▶ Read aloud</button>
+                  )}
+                  {narration !== "idle" && (
+                    <>
+                      <button onClick={() => n?.skip()} className="px-3 py-2 rounded bg-slate-700">Skip ⏭</button>
+                      <button onClick={stopNarration} className="px-3 py-2 rounded bg-slate-700">Stop</button>
+                    </>
+                  )}
+                  <span className="ml-auto flex gap-2">
+                    {!current.id && <button onClick={saveDraft} className="px-3 py-2 rounded bg-indigo-600">Save story</button>}
+                    <button onClick={() => { stopNarration(); setEdit({ title: current.title, text: current.paragraphs.join("\n\n") }); }} className="px-3 py-2 rounded bg-slate-700">Edit</button>
+                    {current.id && <button onClick={remove} className="px-3 py-2 rounded bg-red-600/80">Delete</button>}
+                  </span>
+                </div>
+              </>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
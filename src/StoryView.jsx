@@ -0,0 +1,52 @@
+import React, { useEffect, useMemo } from "react";
+import { useActiveProfile, useAppState, useLinkedProfile, useMemories, useProfileItems, useProvider } from "./appState.js";
+import { useStore } from "./store.js";
+import { navigate } from "./router.js";
+import { resolveVoiceSettings } from "./speech.js";
+import StoryStudio from "./StoryStudio.jsx";
+import ViewHeading from "./ViewHeading.jsx";
+
+/**
+ * StoryView.jsx
+ * Story Mode ("#/story/<storyId>"): the story builder and reader. Opening a saved story
+ * puts its id in the address, so it can be bookmarked or returned to with back.
+ */
+
+export default function StoryView({ id }) {
+  const app = useAppState();
+  const profile = useActiveProfile();
+  const profileStories = useProfileItems(app.stories);
+  const stories = useMemo(() => [...profileStories].sort((a, b) => b.updatedAt - a.updatedAt), [profileStories]);
+  const speechSettings = useStore(app.speechSettings);
+  const storyStart = useStore(app.storyStart);
+  const provider = useProvider();
+  const memories = useMemories();
+  useLinkedProfile(app.stories, id);
+
+  // a reminder's suggested structure applies once; StoryStudio has picked it up by now
+  useEffect(() => {
+    if (storyStart) app.storyStart.set(null);
+  }, [storyStart]);
+
+  return (
+    <section className="mt-8">
+      <ViewHeading>Story Mode</ViewHeading>
+      <p className="text-slate-400 text-sm mt-1">Build a story from your memories, save it, and listen to it read aloud.</p>
+      <StoryStudio
+        key={profile.id}
+        provider={provider}
+        memories={memories}
+        profile={profile}
+        stories={stories}
+        onSave={app.saveStory}
+        onUpdate={app.updateStory}
+        onDelete={app.deleteStory}
+        voice={resolveVoiceSettings(speechSettings, profile.id, "story")}
+        muted={speechSettings.muted}
+        startWith={storyStart}
+        openId={id}
+        onOpen={(storyId) => navigate("story", storyId)}
+      />
+    </section>
+  );
+}
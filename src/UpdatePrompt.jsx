@@ -0,0 +1,23 @@
+import React, { useEffect, useState } from "react";
+import { applyUpdate, registerServiceWorker } from "./pwa.js";
+
+/**
+ * UpdatePrompt.jsx
+ * Registers the service worker and, when a new build has been deployed and downloaded,
+ * offers to reload into it. Rendered outside the vault so it also shows on the lock screen.
+ */
+
+export default function UpdatePrompt() {
+  const [waiting, setWaiting] = useState(null);
+
+  useEffect(() => registerServiceWorker({ onUpdate: setWaiting }), []);
+
+  if (!waiting) return null;
+  return (
+    <div role="status" className="fixed bottom-4 inset-x-4 md:left-auto md:right-4 md:w-96 z-40 p-4 rounded-lg bg-slate-800 text-slate-50 shadow-lg flex items-center gap-3">
+      <p className="flex-1 text-sm">A new version of Ecosoul is ready. Save anything you're writing, then reload.</p>
+      <button onClick={() => applyUpdate(waiting)} className="px-3 py-2 rounded bg-pink-500 text-sm">Reload</button>
+      <button onClick={() => setWaiting(null)} className="px-3 py-2 rounded bg-slate-700 text-sm">Later</button>
+    </div>
+  );
+}
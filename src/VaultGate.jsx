@@ -0,0 +1,189 @@
+import React, { createContext, useCallback, useContext, useEffect, useRef, useState } from "react";
+import { isVaultEnabled, unlock, getAutoLockMinutes } from "./vault.js";
+import { finishVaultRewrite, hydrate, lockVault, onLostWrite, resetEverything } from "./storage.js";
+
+/**
+ * VaultGate.jsx
+ * Wraps the app: loads (and, with the vault on, decrypts) persisted data before the app
+ * mounts, shows the lock screen while locked, and auto-locks after a period of inactivity.
+ * Locking unmounts the app so no decrypted state stays on screen or in React memory.
+ * Before anything is read, a vault rewrite cut short by a closed tab is finished (or
+ * dropped) so data and vault record agree.
+ */
+
+const VaultContext = createContext({ enabled: false, lockNow: () => {}, refresh: () => {}, remount: () => {} });
+
+export function useVault() {
+  return useContext(VaultContext);
+}
+
+const ACTIVITY_EVENTS = ["pointerdown", "keydown", "mousemove", "wheel", "touchstart"];
+
+export default function VaultGate({ children }) {
+  // recovering -> loading -> open, or recovering -> locked -> open; "error" when data can't be read at all
+  const [status, setStatus] = useState("recovering");
+  const [session, setSession] = useState(0);
+  const [enabled, setEnabled] = useState(isVaultEnabled);
+  const [error, setError] = useState("");
+  const [lostWrites, setLostWrites] = useState(0);
+  const lastActivityRef = useRef(Date.now());
+
+  useEffect(() => {
+    if (status !== "recovering") return;
+    finishVaultRewrite()
+      .then(() => {
+        setEnabled(isVaultEnabled());
+        setStatus(isVaultEnabled() ? "locked" : "loading");
+      })
+      .catch((e) => {
+        setError(e.message);
+        setStatus("error");
+      });
+  }, [status]);
+
+  useEffect(() => onLostWrite(() => setLostWrites((n) => n + 1)), []);
+
+  useEffect(() => {
+    if (status !== "loading") return;
+    hydrate()
+      .then(() => setStatus("open"))
+      .catch((e) => {
+        setError(e.message);
+        setStatus("error");
+      });
+  }, [status]);
+
+  const lockNow = useCallback(() => {
+    if (!isVaultEnabled()) return;
+    lockVault();
+    setError("");
+    setStatus("locked");
+  }, []);
+
+  const refresh = useCallback(() => setEnabled(isVaultEnabled()), []);
+  // re-read everything from storage, e.g. after an archive import replaced it underneath the app
+  const remount = useCallback(() => setSession((n) => n + 1), []);
+
+  // auto-lock: poll instead of a single long timeout so throttled background tabs still lock
+  useEffect(() => {
+    if (status !== "open" || !enabled) return;
+    lastActivityRef.current = Date.now();
+    const onActivity = () => {
+      lastActivityRef.current = Date.now();
+    };
+    ACTIVITY_EVENTS.forEach((ev) => window.addEventListener(ev, onActivity, { passive: true }));
+    const check = () => {
+      if (Date.now() - lastActivityRef.current >= getAutoLockMinutes() * 60000) lockNow();
+    };
+    const timer = setInterval(check, 15000);
+    document.addEventListener("visibilitychange", check);
+    return () => {
+      ACTIVITY_EVENTS.forEach((ev) => window.removeEventListener(ev, onActivity));
+      clearInterval(timer);
+      document.removeEventListener("visibilitychange", check);
+    };
+  }, [status, enabled, lockNow]);
+
+  async function handleUnlock(passphrase) {
+    setError("");
+    try {
+      await unlock(passphrase);
+      await hydrate();
+      setLostWrites(0);
+      setSession((n) => n + 1);
+      setStatus("open");
+    } catch (e) {
+      setError(e.message);
+    }
+  }
+
+  async function handleReset() {
+    if (!confirm("This permanently erases all letters, chats and voice clips stored on this device. Continue?")) return;
+    await resetEverything();
+    setEnabled(false);
+    setError("");
+    setStatus("loading");
+  }
+
+  if (status === "open") {
+    return (
+      <VaultContext.Provider value={{ enabled, lockNow, refresh, remount }}>
+        <React.Fragment key={session}>{children}</React.Fragment>
+      </VaultContext.Provider>
+    );
+  }
+
+  if (status === "loading" || status === "recovering") {
+    return <div className="min-h-screen bg-[#0f172a]" aria-busy="true" />;
+  }
+
+  return <LockScreen error={error} lostWrites={lostWrites} onUnlock={handleUnlock} onReset={handleReset} unreadable={status === "error"} />;
+}
+
+function LockScreen({ error, lostWrites, onUnlock, onReset, unreadable }) {
+  const [passphrase, setPassphrase] = useState("");
+  const [busy, setBusy] = useState(false);
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    inputRef.current?.focus();
+  }, [error]);
+
+  async function submit(e) {
+    e.preventDefault();
+    if (!passphrase) return;
+    setBusy(true);
+    await onUnlock(passphrase);
+    setBusy(false);
+    setPassphrase("");
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-[#0f172a] via-[#081129] to-[#04202b] text-slate-50 antialiased flex items-center justify-center px-6">
+      <div className="w-full max-w-sm rounded-2xl bg-slate-900/60 p-6 shadow-lg">
+        <div className="flex items-center gap-3">
+          <div className="w-10 h-10 rounded-full bg-gradient-to-tr from-pink-500 to-yellow-300 flex items-center justify-center text-slate-900 font-bold">ES</div>
+          <h1 className="text-xl font-extrabold">Ecosoul is locked</h1>
+        </div>
+
+        {lostWrites > 0 && (
+          <p role="status" className="mt-4 text-sm text-amber-300">
+            {lostWrites === 1 ? "A change" : `${lostWrites} changes`} made just as Ecosoul locked couldn't be saved. Please check your latest edits after unlocking.
+          </p>
+        )}
+
+        {unreadable ? (
+          <p className="mt-4 text-sm text-slate-300">Your saved data can't be opened: {error}</p>
+        ) : (
+          <form onSubmit={submit} className="mt-4">
+            <label htmlFor="vault-passphrase" className="block text-sm text-slate-300">Enter your passphrase to open your memories.</label>
+            <input
+              id="vault-passphrase"
+              ref={inputRef}
+              type="password"
+              autoComplete="current-password"
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              className="w-full mt-2 p-2 rounded bg-slate-800/60"
+              aria-invalid={!!error}
+              aria-describedby={error ? "vault-error" : undefined}
+            />
+            {error && (
+              <div id="vault-error" role="alert" className="mt-2 text-sm text-red-300">
+                {error}
+              </div>
+            )}
+            <button type="submit" disabled={busy || !passphrase} className="mt-3 w-full px-4 py-2 rounded bg-pink-500 font-semibold disabled:opacity-60">
+              {busy ? "Unlocking…" : "Unlock"}
+            </button>
+          </form>
+        )}
+
+        <div className="mt-6 text-xs text-slate-400">
+          Forgot your passphrase? It can't be recovered — that's what keeps your data private.{" "}
+          <button onClick={onReset} className="underline text-red-300">Erase data on this device</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,122 @@
+import React, { useState } from "react";
+import { useVault } from "./VaultGate.jsx";
+import { getAutoLockMinutes, setAutoLockMinutes } from "./vault.js";
+import { enableVault, changePassphrase, disableVault } from "./storage.js";
+
+/**
+ * VaultSettings.jsx
+ * Privacy panel: turn the passphrase vault on/off, change the passphrase and pick the
+ * auto-lock delay. All re-encryption happens in storage.js; this is just the form.
+ */
+
+const MIN_PASSPHRASE_LENGTH = 8;
+const AUTO_LOCK_OPTIONS = [1, 5, 15, 30, 60];
+
+export default function VaultSettings() {
+  const { enabled, lockNow, refresh } = useVault();
+  const [current, setCurrent] = useState("");
+  const [next, setNext] = useState("");
+  const [confirmNext, setConfirmNext] = useState("");
+  const [autoLock, setAutoLock] = useState(getAutoLockMinutes);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null); // { kind: "ok" | "error", text }
+
+  function reset() {
+    setCurrent("");
+    setNext("");
+    setConfirmNext("");
+  }
+
+  function validateNext() {
+    if (next.length < MIN_PASSPHRASE_LENGTH) return `Use at least ${MIN_PASSPHRASE_LENGTH} characters.`;
+    if (next !== confirmNext) return "The two passphrases don't match.";
+    return null;
+  }
+
+  async function run(action, okText) {
+    setBusy(true);
+    setMessage(null);
+    try {
+      await action();
+      reset();
+      refresh();
+      setMessage({ kind: "ok", text: okText });
+    } catch (e) {
+      setMessage({ kind: "error", text: e.message });
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function onEnable() {
+    const problem = validateNext();
+    if (problem) return setMessage({ kind: "error", text: problem });
+    run(() => enableVault(next, autoLock), "Vault is on. Your memories are now encrypted on this device.");
+  }
+
+  function onChange() {
+    const problem = validateNext();
+    if (problem) return setMessage({ kind: "error", text: problem });
+    run(() => changePassphrase(current, next), "Passphrase changed and data re-encrypted.");
+  }
+
+  function onDisable() {
+    if (!confirm("Turn off the vault? Your data will be stored unencrypted on this device.")) return;
+    run(() => disableVault(current), "Vault is off.");
+  }
+
+  function onAutoLockChange(e) {
+    const minutes = Number(e.target.value);
+    setAutoLock(minutes);
+    setAutoLockMinutes(minutes);
+  }
+
+  return (
+    <div className="bg-slate-900/40 p-5 rounded">
+      <div className="flex items-center justify-between">
+        <h4 className="font-semibold">Passphrase vault</h4>
+        <span className={`text-xs px-2 py-1 rounded ${enabled ? "bg-emerald-600/80" : "bg-slate-700"}`}>{enabled ? "On" : "Off"}</span>
+      </div>
+      <p className="text-slate-400 text-sm mt-2">
+        Encrypts your letters, chats and voice clips with a key only your passphrase can unlock. If you forget it, the data can't be recovered.
+      </p>
+
+      <div className="mt-3 grid gap-2 max-w-md">
+        {enabled && (
+          <input type="password" autoComplete="current-password" value={current} onChange={(e) => setCurrent(e.target.value)} placeholder="Current passphrase" className="p-2 rounded bg-slate-800/60 text-sm" />
+        )}
+        <input type="password" autoComplete="new-password" value={next} onChange={(e) => setNext(e.target.value)} placeholder={enabled ? "New passphrase" : "Choose a passphrase"} className="p-2 rounded bg-slate-800/60 text-sm" />
+        <input type="password" autoComplete="new-password" value={confirmNext} onChange={(e) => setConfirmNext(e.target.value)} placeholder="Repeat passphrase" className="p-2 rounded bg-slate-800/60 text-sm" />
+
+        <label className="text-sm text-slate-300 flex items-center gap-2">
+          Auto-lock after
+          <select value={autoLock} onChange={onAutoLockChange} className="p-1 rounded bg-slate-800/60">
+            {AUTO_LOCK_OPTIONS.map((m) => (
+              <option key={m} value={m}>{m} min</option>
+            ))}
+          </select>
+          of inactivity
+        </label>
+      </div>
+
+      <div className="mt-3 flex flex-wrap gap-2">
+        {enabled ? (
+          <>
+            <button disabled={busy} onClick={onChange} className="px-4 py-2 rounded bg-indigo-600 disabled:opacity-60">Change passphrase</button>
+            <button disabled={busy} onClick={lockNow} className="px-4 py-2 rounded bg-slate-700">Lock now</button>
+            <button disabled={busy || !current} onClick={onDisable} className="px-4 py-2 rounded bg-red-600/80 disabled:opacity-60">Turn off</button>
+          </>
+        ) : (
+          <button disabled={busy} onClick={onEnable} className="px-4 py-2 rounded bg-pink-500 disabled:opacity-60">Turn on vault</button>
+        )}
+      </div>
+
+      {busy && <div className="mt-2 text-xs text-slate-400">Re-encrypting your data…</div>}
+      {message && (
+        <div role={message.kind === "error" ? "alert" : "status"} className={`mt-2 text-sm ${message.kind === "error" ? "text-red-300" : "text-emerald-300"}`}>
+          {message.text}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,25 @@
+import React, { useEffect, useRef } from "react";
+import { useViewFocus } from "./router.js";
+
+/**
+ * ViewHeading.jsx
+ * The heading every view starts with: it names the page in the tab title and takes focus
+ * after a navigation (router.js useViewFocus), so keyboard and screen-reader users land at
+ * the top of the new view instead of on the link they left behind. Pass `title={null}` to
+ * keep the page's own title (the home view).
+ */
+
+const APP_TITLE = typeof document === "undefined" ? "Ecosoul" : document.title;
+
+export default function ViewHeading({ children, title = children, className = "text-2xl font-bold" }) {
+  const ref = useRef(null);
+  useViewFocus(ref);
+  useEffect(() => {
+    document.title = title ? `${title} · Ecosoul` : APP_TITLE;
+  }, [title]);
+  return (
+    <h2 ref={ref} tabIndex={-1} className={`${className} outline-none`}>
+      {children}
+    </h2>
+  );
+}
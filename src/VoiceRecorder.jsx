@@ -0,0 +1,229 @@
+import React, { useEffect, useRef, useState } from "react";
+import { decodeToChannels, encodeWav, extractPeaks, mixToMono, rmsLevel, trimChannels } from "./audioClip.js";
+import ClipDetailsFields from "./ClipDetailsFields.jsx";
+
+/**
+ * VoiceRecorder.jsx
+ * Record a voice memory in the browser: MediaRecorder capture with a live level meter,
+ * then a waveform (from decodeAudioData) with trim handles, preview and details before
+ * saving. onSave(file, details) receives the (possibly trimmed) audio as a File; a trimmed
+ * clip keeps every channel it was recorded with, the mono mix is only for the waveform.
+ */
+
+function today() {
+  const d = new Date();
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+function fmtSeconds(sec) {
+  const s = Math.max(0, sec);
+  return `${Math.floor(s / 60)}:${(s % 60).toFixed(1).padStart(4, "0")}`;
+}
+
+export default function VoiceRecorder({ onSave, onCancel }) {
+  const [phase, setPhase] = useState("idle"); // idle | recording | review | saving
+  const [error, setError] = useState("");
+  const [elapsed, setElapsed] = useState(0);
+  const [review, setReview] = useState(null); // { blob, channels, mono, sampleRate, duration }
+  const [trim, setTrim] = useState([0, 0]);
+  const [details, setDetails] = useState({ title: "", recordedOn: today(), notes: "" });
+
+  const streamRef = useRef(null);
+  const recorderRef = useRef(null);
+  const chunksRef = useRef([]);
+  const audioCtxRef = useRef(null);
+  const frameRef = useRef(null);
+  const meterRef = useRef(null);
+  const canvasRef = useRef(null);
+  const previewRef = useRef(null);
+
+  const supported = typeof window !== "undefined" && "MediaRecorder" in window && !!navigator.mediaDevices?.getUserMedia;
+
+  useEffect(() => () => releaseInput(), []);
+
+  function releaseInput() {
+    cancelAnimationFrame(frameRef.current);
+    streamRef.current?.getTracks().forEach((t) => t.stop());
+    streamRef.current = null;
+    audioCtxRef.current?.close?.();
+    audioCtxRef.current = null;
+    previewRef.current?.pause();
+  }
+
+  async function startRecording() {
+    setError("");
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      streamRef.current = stream;
+
+      // live level meter
+      const Ctx = window.AudioContext || window.webkitAudioContext;
+      const ctx = new Ctx();
+      audioCtxRef.current = ctx;
+      const analyser = ctx.createAnalyser();
+      analyser.fftSize = 1024;
+      ctx.createMediaStreamSource(stream).connect(analyser);
+      const buf = new Uint8Array(analyser.fftSize);
+      const startedAt = performance.now();
+      const tick = () => {
+        analyser.getByteTimeDomainData(buf);
+        if (meterRef.current) meterRef.current.style.width = `${Math.min(100, rmsLevel(buf) * 300)}%`;
+        setElapsed(Math.floor((performance.now() - startedAt) / 1000));
+        frameRef.current = requestAnimationFrame(tick);
+      };
+      tick();
+
+      const recorder = new MediaRecorder(stream);
+      chunksRef.current = [];
+      recorder.ondataavailable = (e) => e.data.size && chunksRef.current.push(e.data);
+      recorder.onstop = () => finishRecording(new Blob(chunksRef.current, { type: recorder.mimeType || "audio/webm" }));
+      recorderRef.current = recorder;
+      recorder.start();
+      setPhase("recording");
+    } catch (e) {
+      releaseInput();
+      setError(e.name === "NotAllowedError" ? "Microphone access was blocked. Allow it in your browser to record." : e.message);
+    }
+  }
+
+  function stopRecording() {
+    recorderRef.current?.stop();
+  }
+
+  async function finishRecording(blob) {
+    releaseInput();
+    try {
+      const { channels, sampleRate, duration } = await decodeToChannels(blob);
+      setReview({ blob, channels, mono: mixToMono(channels), sampleRate, duration });
+      setTrim([0, duration]);
+      setPhase("review");
+    } catch (e) {
+      setError(`The recording couldn't be read: ${e.message}`);
+      setPhase("idle");
+    }
+  }
+
+  // waveform with the trimmed-away parts dimmed
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !review) return;
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = canvas.clientWidth * ratio;
+    canvas.height = canvas.clientHeight * ratio;
+    const g = canvas.getContext("2d");
+    const peaks = extractPeaks(review.mono, canvas.width);
+    const mid = canvas.height / 2;
+    const startX = (trim[0] / review.duration) * canvas.width;
+    const endX = (trim[1] / review.duration) * canvas.width;
+    g.clearRect(0, 0, canvas.width, canvas.height);
+    peaks.forEach((p, x) => {
+      g.fillStyle = x >= startX && x <= endX ? "#f472b6" : "#475569";
+      const h = Math.max(1, p * mid);
+      g.fillRect(x, mid - h, 1, h * 2);
+    });
+  }, [review, trim]);
+
+  function trimmedFile() {
+    const [start, end] = trim;
+    const untouched = start <= 0.01 && end >= review.duration - 0.01;
+    const name = `${details.title.trim() || "Recording"}`;
+    if (untouched) {
+      const ext = review.blob.type.includes("ogg") ? "ogg" : review.blob.type.includes("mp4") ? "m4a" : "webm";
+      return new File([review.blob], `${name}.${ext}`, { type: review.blob.type });
+    }
+    const wav = encodeWav(trimChannels(review.channels, review.sampleRate, start, end), review.sampleRate);
+    return new File([wav], `${name}.wav`, { type: "audio/wav" });
+  }
+
+  function preview() {
+    previewRef.current?.pause();
+    const url = URL.createObjectURL(trimmedFile());
+    const audio = new Audio(url);
+    audio.onended = () => URL.revokeObjectURL(url);
+    previewRef.current = audio;
+    audio.play().catch((e) => setError(e.message));
+  }
+
+  async function save() {
+    setPhase("saving");
+    try {
+      await onSave(trimmedFile(), details);
+    } catch (e) {
+      setError(e.message);
+      setPhase("review");
+    }
+  }
+
+  function discard() {
+    previewRef.current?.pause();
+    setReview(null);
+    setPhase("idle");
+    onCancel?.();
+  }
+
+  if (!supported) {
+    return <div className="text-xs text-slate-400">Recording isn't supported in this browser — upload a file instead.</div>;
+  }
+
+  return (
+    <div className="mt-3 p-3 rounded bg-slate-800/40 text-sm">
+      {phase === "idle" && (
+        <button onClick={startRecording} className="px-3 py-2 rounded bg-pink-500">● Record a memory</button>
+      )}
+
+      {phase === "recording" && (
+        <div className="flex items-center gap-3">
+          <button onClick={stopRecording} className="px-3 py-2 rounded bg-red-600">■ Stop</button>
+          <div className="flex-1 h-2 bg-slate-900 rounded overflow-hidden" aria-label="Input level">
+            <div ref={meterRef} className="h-full bg-emerald-400" style={{ width: "0%" }} />
+          </div>
+          <span className="tabular-nums text-slate-300" aria-live="off">{fmtSeconds(elapsed)}</span>
+        </div>
+      )}
+
+      {(phase === "review" || phase === "saving") && review && (
+        <div className="grid gap-2">
+          <canvas ref={canvasRef} className="w-full h-16 rounded bg-slate-900" aria-label="Waveform" />
+          <label className="flex items-center gap-2 text-xs text-slate-300">
+            Start
+            <input
+              type="range"
+              min={0}
+              max={review.duration}
+              step={0.01}
+              value={trim[0]}
+              onChange={(e) => setTrim(([, end]) => [Math.min(Number(e.target.value), end - 0.1), end])}
+              className="flex-1"
+            />
+            <span className="tabular-nums w-12">{fmtSeconds(trim[0])}</span>
+          </label>
+          <label className="flex items-center gap-2 text-xs text-slate-300">
+            End
+            <input
+              type="range"
+              min={0}
+              max={review.duration}
+              step={0.01}
+              value={trim[1]}
+              onChange={(e) => setTrim(([start]) => [start, Math.max(Number(e.target.value), start + 0.1)])}
+              className="flex-1"
+            />
+            <span className="tabular-nums w-12">{fmtSeconds(trim[1])}</span>
+          </label>
+
+          <ClipDetailsFields value={details} onChange={setDetails} />
+
+          <div className="flex gap-2">
+            <button onClick={preview} className="px-3 py-1 rounded bg-slate-700">▶ Preview</button>
+            <button disabled={phase === "saving"} onClick={save} className="px-3 py-1 rounded bg-pink-500 disabled:opacity-60">
+              {phase === "saving" ? "Saving…" : "Save clip"}
+            </button>
+            <button onClick={discard} className="px-3 py-1 rounded bg-slate-700">Discard</button>
+          </div>
+        </div>
+      )}
+
+      {error && <div role="alert" className="mt-2 text-red-300">{error}</div>}
+    </div>
+  );
+}
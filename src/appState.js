@@ -0,0 +1,680 @@
+import { createContext, useContext, useEffect, useMemo } from "react";
+import { createStore, useStore } from "./store.js";
+import { readJSON } from "./storage.js";
+import { loadClips, saveClipFile, deleteClip, updateClip, checkClipContent } from "./clipStore.js";
+import { collectMemories } from "./replyEngine.js";
+import { createProvider, DEFAULT_PROVIDER_SETTINGS, PROVIDER_SETTINGS_KEY } from "./providers/index.js";
+import { CONVERSATIONS_KEY, ACTIVE_CONVERSATION_KEY, FAILED_REPLY, createConversation, appendMessage, updateMessage, patchConversation, settlePending } from "./conversations.js";
+import { PROFILES_KEY, ACTIVE_PROFILE_KEY, DEFAULT_PROFILE_ID, createDefaultProfile, assignMissingProfile, forProfile, spokenName } from "./profiles.js";
+import { JOURNAL_KEY, createEntry, reviseEntry, detachClip } from "./journal.js";
+import { STORIES_KEY, createStoryRecord } from "./storyEngine.js";
+import { PRIORITY, SPEECH_SETTINGS_KEY, normalizeSpeechSettings, removeProfileVoices, resolveVoiceSettings, speechQueue } from "./speech.js";
+import { SCENES_KEY, detachMedia, isPhoto } from "./dreamSpace.js";
+import { checkRoomFor, ensurePersisted, formatBytes } from "./storageQuota.js";
+import { SAFETY_SETTINGS_KEY, assessDistress, careMessage, normalizeSafetySettings } from "./safety.js";
+import { DATES_KEY, REMINDER_SETTINGS_KEY, duePrompt, dueReminders, normalizeReminderSettings, pruneMarks } from "./reminders.js";
+import { onReminderClick, showReminderNotification, takeLaunchReminder } from "./notifications.js";
+import { BREATHING_LOG_KEY, CUSTOM_PROGRAMS_KEY } from "./breathing.js";
+import { CLIP_AUDIT_KEY, appendAudit, consentAllows, consentGaps, describeUses, finalizeConsent } from "./consent.js";
+import { currentRoute, navigate } from "./router.js";
+
+/**
+ * appState.js
+ * The app's shared state and the actions on it, used by every view through
+ * AppStateContext. Each collection (profiles, clips, letters, conversations, ...) is its
+ * own store (store.js), so a view re-renders only for what it reads and views that load
+ * later see the same data.
+ *
+ * createAppState() reads everything from storage.js, so it must run after hydrate(); the
+ * shell (EcosoulLanding.jsx) creates one per vault session, which VaultGate starts again
+ * after an unlock or an archive import. start() runs what lives as long as the session:
+ * loading clips from IndexedDB, the reminder clock and notifications.
+ */
+
+// due reminders are worked out again this often
+export const REMINDER_TICK_MS = 60 * 1000;
+
+export function uid(prefix = "id") {
+  return `${prefix}_${Math.random().toString(36).slice(2, 9)}`;
+}
+
+export function createAppState() {
+  // loved-one profiles; clips, letters and conversations below are scoped to the active one
+  const savedProfiles = readJSON(PROFILES_KEY, []);
+  const initialProfiles = savedProfiles.length ? savedProfiles : [createDefaultProfile()];
+  const savedActiveId = readJSON(ACTIVE_PROFILE_KEY, null);
+  const profiles = createStore(initialProfiles, { key: PROFILES_KEY });
+  const activeProfileId = createStore(initialProfiles.some((p) => p.id === savedActiveId) ? savedActiveId : initialProfiles[0].id, { key: ACTIVE_PROFILE_KEY });
+
+  // media: { id, profileId, kind?, name, title?, recordedOn?, notes?, source?, size, mimeType, duration, sampleRate,
+  //   url (object URL), createdAt, missing? }
+  // audio lives in IndexedDB (see clipStore.js); urls are rebuilt on load. Dream Space photos
+  // are kept in the same list with kind: "photo"
+  const media = createStore([]);
+
+  // persisted via storage.js (encrypted when the vault is on)
+  // entries written before profiles existed belong to the default profile
+  const journal = createStore(assignMissingProfile(readJSON(JOURNAL_KEY, []), DEFAULT_PROFILE_ID), { key: JOURNAL_KEY });
+  // conversations: see conversations.js for the shape; replies address them by id, and any
+  // left pending when the last session ended are settled
+  const conversations = createStore(settlePending(assignMissingProfile(readJSON(CONVERSATIONS_KEY, []), DEFAULT_PROFILE_ID)), { key: CONVERSATIONS_KEY });
+  // the conversation #/chat opens without an id: the last one looked at
+  const activeConversationId = createStore(readJSON(ACTIVE_CONVERSATION_KEY, null), { key: ACTIVE_CONVERSATION_KEY });
+  const stories = createStore(readJSON(STORIES_KEY, []), { key: STORIES_KEY });
+  const scenes = createStore(readJSON(SCENES_KEY, []), { key: SCENES_KEY });
+  const dates = createStore(readJSON(DATES_KEY, []), { key: DATES_KEY });
+  // what each voice clip was used or refused for (consent.js)
+  const clipAudit = createStore(readJSON(CLIP_AUDIT_KEY, []), { key: CLIP_AUDIT_KEY });
+  // Healing Mode: the user's own breathing programs and completed sessions (breathing.js)
+  const breathingPrograms = createStore(readJSON(CUSTOM_PROGRAMS_KEY, []), { key: CUSTOM_PROGRAMS_KEY });
+  const breathingLog = createStore(readJSON(BREATHING_LOG_KEY, []), { key: BREATHING_LOG_KEY });
+
+  const providerSettings = createStore({ ...DEFAULT_PROVIDER_SETTINGS, ...readJSON(PROVIDER_SETTINGS_KEY, {}) }, { key: PROVIDER_SETTINGS_KEY });
+  const speechSettings = createStore(normalizeSpeechSettings(readJSON(SPEECH_SETTINGS_KEY, null)), { key: SPEECH_SETTINGS_KEY });
+  const safetySettings = createStore(normalizeSafetySettings(readJSON(SAFETY_SETTINGS_KEY, null)), { key: SAFETY_SETTINGS_KEY });
+  const reminderSettings = createStore(pruneMarks(normalizeReminderSettings(readJSON(REMINDER_SETTINGS_KEY, null))), { key: REMINDER_SETTINGS_KEY });
+
+  // session-only
+  const providerNotice = createStore("");
+  const clearedChat = createStore(null); // { conversationId, messages }: last cleared, kept briefly for "Undo"
+  const streamingReplies = createStore({}); // reply message id -> text so far, until the reply is saved
+  const journalSafety = createStore(null); // { level, text } after saving a worrying letter
+  const journalDraft = createStore(null); // letter template from a reminder
+  const storyStart = createStore(null); // { structureId } from a reminder
+  const now = createStore(Date.now());
+
+  function activeProfile() {
+    return profiles.get().find((p) => p.id === activeProfileId.get()) || profiles.get()[0];
+  }
+
+  // replies / stories / speech come from the configured provider (local unless set otherwise),
+  // rebuilt only when its settings change
+  let provider = null;
+  let providerFor = null;
+  function currentProvider() {
+    if (providerFor !== providerSettings.get()) {
+      providerFor = providerSettings.get();
+      provider = createProvider(providerFor, {
+        onFallback: (method, e) => providerNotice.set(`Remote ${method} failed (${e.message}); used this device instead.`),
+      });
+    }
+    return provider;
+  }
+
+  function saveProviderSettings(next) {
+    providerSettings.set(next);
+    providerNotice.set("");
+  }
+
+  // Before storing clips or photos: make sure they fit, and ask the browser not to evict
+  // the data now that there's something worth keeping.
+  async function confirmRoomFor(files) {
+    const bytes = files.reduce((sum, f) => sum + (f.size || 0), 0);
+    const room = await checkRoomFor(bytes);
+    ensurePersisted();
+    if (room.level === "full") {
+      alert(`There isn't enough space on this device to save this (${formatBytes(bytes)}; about ${formatBytes(room.free)} free). Delete some clips or photos, or export a backup and free up space first.`);
+      return false;
+    }
+    if (room.level === "low") {
+      return confirm(`Saving this (${formatBytes(bytes)}) leaves only about ${formatBytes(room.freeAfter)} of storage for Ecosoul on this device. When space runs out, new clips can't be saved. Save anyway?`);
+    }
+    return true;
+  }
+
+  // Consent audit: `clips` is one clip or a list; entries take its id and owner
+  function logClipUse(clips, action, fields = {}) {
+    const list = [].concat(clips).filter(Boolean);
+    if (!list.length) return;
+    clipAudit.set((log) => appendAudit(log, list.map((c) => ({ clipId: c.id, profileId: c.profileId, action, ...fields }))));
+  }
+
+  // Voice clips: uploads and recordings land in the same list, each with its consent record
+  async function uploadClips(files, consent) {
+    const gaps = consentGaps(consent);
+    if (gaps.length) {
+      alert(`Before adding clips, fill in the consent record: ${gaps.join(", ")}.`);
+      return;
+    }
+    if (!files.length || !(await confirmRoomFor(files))) return;
+    for (const f of files) {
+      try {
+        const item = await saveClipFile(f, uid("voice"), { profileId: activeProfile().id, consent: finalizeConsent(consent) });
+        media.set((s) => [item, ...s]);
+        logClipUse(item, "consent", { detail: `Allowed: ${describeUses(item.consent.uses)}` });
+      } catch (err) {
+        alert(`Could not save "${f.name}": ${err.message}`);
+      }
+    }
+  }
+
+  async function saveRecording(file, details, consent) {
+    const gaps = consentGaps(consent);
+    if (gaps.length) throw new Error(`Not saved — the consent record needs ${gaps.join(", ")}.`);
+    if (!(await confirmRoomFor([file]))) throw new Error("Not saved — there isn't enough space.");
+    const item = await saveClipFile(file, uid("voice"), { profileId: activeProfile().id, source: "recording", ...details, consent: finalizeConsent(consent) });
+    media.set((s) => [item, ...s]);
+    logClipUse(item, "consent", { detail: `Allowed: ${describeUses(item.consent.uses)}` });
+  }
+
+  // resolves false (after telling the user) when the record couldn't be stored
+  async function saveClipConsent(id, draft) {
+    const gaps = consentGaps(draft);
+    if (gaps.length) {
+      alert(`The consent record needs ${gaps.join(", ")}.`);
+      return false;
+    }
+    const consent = finalizeConsent(draft);
+    try {
+      await updateClip(id, { consent });
+      media.set((s) => s.map((v) => (v.id === id ? { ...v, consent } : v)));
+      logClipUse(media.get().find((v) => v.id === id), "consent-changed", { detail: `Allowed: ${describeUses(consent.uses)}` });
+      return true;
+    } catch (err) {
+      alert(`Could not save the consent record: ${err.message}`);
+      return false;
+    }
+  }
+
+  // Check a clip's audio against its fingerprint; clips saved without one get one now.
+  // Resolves with checkClipContent()'s result.
+  async function verifyClip(id) {
+    const clip = media.get().find((v) => v.id === id);
+    const result = await checkClipContent(id);
+    if (result.status === "unhashed") {
+      const patch = { contentHash: result.hash, hashedAt: Date.now() };
+      await updateClip(id, patch);
+      media.set((s) => s.map((v) => (v.id === id ? { ...v, ...patch } : v)));
+      logClipUse(clip, "fingerprinted", { detail: "No fingerprint was taken when it was saved; this one is from now." });
+    } else if (result.status !== "missing") {
+      logClipUse(clip, result.status === "intact" ? "verified" : "changed", { detail: `SHA-256 ${result.hash.slice(0, 16)}…` });
+    }
+    return result;
+  }
+
+  // resolves false (after telling the user) when the details couldn't be stored
+  async function saveClipDetails(id, details) {
+    try {
+      await updateClip(id, details);
+      media.set((s) => s.map((v) => (v.id === id ? { ...v, ...details } : v)));
+      return true;
+    } catch (err) {
+      alert(`Could not save the clip details: ${err.message}`);
+      return false;
+    }
+  }
+
+  function removeUpload(id) {
+    const clip = media.get().find((v) => v.id === id);
+    if (clip?.url) URL.revokeObjectURL(clip.url);
+    if (clip && !isPhoto(clip)) logClipUse(clip, "deleted");
+    media.set((s) => s.filter((v) => v.id !== id));
+    deleteClip(id).catch((e) => console.warn("Could not delete stored clip", e));
+    journal.set((s) => detachClip(s, id));
+    scenes.set((s) => detachMedia(s, id));
+  }
+
+  // Reminders: dates are saved per person; a reminder's action opens the matching view
+  function currentReminders() {
+    const settings = reminderSettings.get();
+    return [
+      ...dueReminders(dates.get(), { profiles: profiles.get(), now: now.get(), dismissed: settings.dismissed }),
+      duePrompt(settings, { now: now.get(), dismissed: settings.dismissed, profile: activeProfile() }),
+    ].filter(Boolean);
+  }
+
+  function saveDate(date) {
+    const saved = date.id ? date : { ...date, id: uid("date"), createdAt: Date.now() };
+    dates.set((ds) => (ds.some((d) => d.id === saved.id) ? ds.map((d) => (d.id === saved.id ? saved : d)) : [...ds, saved]));
+  }
+
+  function deleteDate(id) {
+    dates.set((ds) => ds.filter((d) => d.id !== id));
+  }
+
+  // returns the saved program, with its new id if it had none
+  function saveBreathingProgram(program) {
+    const saved = program.id ? program : { ...program, id: `custom_${Date.now().toString(36)}` };
+    breathingPrograms.set((ps) => (ps.some((p) => p.id === saved.id) ? ps.map((p) => (p.id === saved.id ? saved : p)) : [...ps, saved]));
+    return saved;
+  }
+
+  function deleteBreathingProgram(id) {
+    breathingPrograms.set((ps) => ps.filter((p) => p.id !== id));
+  }
+
+  function logBreathingSession(session) {
+    breathingLog.set((l) => [session, ...l]);
+  }
+
+  function dismissReminder(reminder) {
+    reminderSettings.set((s) => ({ ...s, dismissed: { ...s.dismissed, [reminder.key]: Date.now() } }));
+  }
+
+  function runReminder(reminder) {
+    if (reminder.profileId && reminder.profileId !== activeProfile().id) switchProfile(reminder.profileId);
+    if (reminder.action === "letter") {
+      journalDraft.set({ key: reminder.key, ...reminder.template });
+      navigate("journal");
+    } else if (reminder.action === "story") {
+      storyStart.set({ structureId: reminder.structureId });
+      navigate("story");
+    } else if (reminder.action === "breathing") navigate("healing");
+    else navigate("chat");
+    dismissReminder(reminder);
+  }
+
+  // each reminder becomes a system notification once, if the user asked for them
+  function notifyReminders() {
+    const settings = reminderSettings.get();
+    if (!settings.notifications) return;
+    const fresh = currentReminders().filter((r) => !settings.notified[r.key]);
+    if (!fresh.length) return;
+    fresh.forEach((r) => showReminderNotification(r));
+    reminderSettings.set((s) => ({ ...s, notified: { ...s.notified, ...Object.fromEntries(fresh.map((r) => [r.key, Date.now()])) } }));
+  }
+
+  function runReminderByKey(key) {
+    const r = currentReminders().find((x) => x.key === key);
+    if (r) runReminder(r);
+  }
+
+  // Profiles
+  function switchProfile(id) {
+    activeProfileId.set(id);
+    activeConversationId.set(null);
+  }
+
+  function saveProfile(profile, isNew) {
+    profiles.set((ps) => (isNew ? [...ps, profile] : ps.map((p) => (p.id === profile.id ? profile : p))));
+    if (isNew) switchProfile(profile.id);
+  }
+
+  // removes the profile together with everything scoped to it; false if the user backed out
+  function deleteProfile(id) {
+    const profile = profiles.get().find((p) => p.id === id);
+    if (!confirm(`Delete ${profile.name} and all of their clips, letters, stories and conversations? This can't be undone.`)) return false;
+    // move off the profile first, so nothing is created for it while its things are removed
+    switchProfile(profiles.get().find((p) => p.id !== id).id);
+    forProfile(media.get(), id).forEach((v) => removeUpload(v.id));
+    journal.set((s) => s.filter((e) => e.profileId !== id));
+    conversations.set((cs) => cs.filter((c) => c.profileId !== id));
+    stories.set((ss) => ss.filter((st) => st.profileId !== id));
+    scenes.set((ss) => ss.filter((sc) => sc.profileId !== id));
+    dates.set((ds) => ds.filter((d) => d.profileId !== id));
+    clipAudit.set((log) => log.filter((e) => e.profileId !== id));
+    speechSettings.set((s) => removeProfileVoices(s, id));
+    profiles.set((ps) => ps.filter((p) => p.id !== id));
+    return true;
+  }
+
+  // every profile gets a conversation to start with
+  function ensureConversation() {
+    const profileId = activeProfile().id;
+    if (conversations.get().some((c) => c.profileId === profileId)) return;
+    const c = createConversation(uid("c"), { profileId });
+    conversations.set((cs) => [c, ...cs]);
+    activeConversationId.set(c.id);
+  }
+
+  // Chat / pseudo-AI behavior
+  // replies waiting out their delay, cancelled when the session stops
+  const replyTimers = new Set();
+  function sendChat(conversationId, text) {
+    const conversation = conversations.get().find((c) => c.id === conversationId);
+    if (!text || !conversation) return;
+    const profile = activeProfile();
+    const userMsg = { id: uid("m"), from: "you", text, time: Date.now() };
+    // Ecosoul's own care messages aren't part of what the loved one "said"
+    const history = [...conversation.messages, userMsg].filter((m) => m.from !== "care");
+    conversations.set((cs) => appendMessage(cs, conversationId, userMsg));
+
+    // words of self-harm or acute distress get support, not a reply in their voice
+    const safety = assessDistress(text, { phrases: safetySettings.get().phrases });
+    if (safety.level !== "none") {
+      const care = { id: uid("m"), from: "care", level: safety.level, text: careMessage(safety.level, { name: spokenName(profile) }), time: Date.now() };
+      conversations.set((cs) => appendMessage(cs, conversationId, care));
+      return;
+    }
+
+    // small delay for local replies so they feel considered rather than instant
+    const delay = currentProvider().id === "local" ? 850 + Math.random() * 650 : 0;
+    const timer = setTimeout(() => {
+      replyTimers.delete(timer);
+      generateSoulReply(conversationId, history, profile);
+    }, delay);
+    replyTimers.add(timer);
+  }
+
+  // Reply grounded in the user's own letters and clip notes, streamed into a pending bubble.
+  // Everything is addressed to conversationId so switching conversations mid-reply is safe.
+  // The text streams into streamingReplies, so conversations are saved (and encrypted) only
+  // when the bubble is added and when the reply is done, not once per token.
+  async function generateSoulReply(conversationId, history, profile) {
+    const replyId = uid("m");
+    const update = (patch) => {
+      streamingReplies.set(({ [replyId]: _, ...rest }) => rest);
+      conversations.set((cs) => updateMessage(cs, conversationId, replyId, patch));
+    };
+    conversations.set((cs) => appendMessage(cs, conversationId, { id: replyId, from: "soul", text: "", pending: true, time: Date.now() }));
+    try {
+      const reply = await currentProvider().reply(history, currentMemories(), {
+        profile,
+        onToken: (textSoFar) => streamingReplies.set((s) => ({ ...s, [replyId]: textSoFar })),
+      });
+      update({ text: reply.text, basedOn: reply.basedOn, pending: false, time: Date.now() });
+      const cited = new Set((reply.basedOn || []).filter((b) => b.kind === "clip").map((b) => b.id));
+      logClipUse(media.get().filter((v) => cited.has(v.id)), "chat", { use: "chat" });
+      // only read aloud if the user is still looking at this conversation
+      if (currentRoute().view === "chat" && activeConversationId.get() === conversationId) speakText(reply.text);
+    } catch (e) {
+      update({ text: FAILED_REPLY, pending: false });
+    }
+  }
+
+  function newConversation() {
+    const c = createConversation(uid("c"), { profileId: activeProfile().id });
+    conversations.set((cs) => [c, ...cs]);
+    return c;
+  }
+
+  let clearedTimer = null;
+  function clearChat(conversationId) {
+    const conversation = conversations.get().find((c) => c.id === conversationId);
+    if (!conversation) return;
+    clearedChat.set({ conversationId, messages: conversation.messages });
+    conversations.set((cs) => patchConversation(cs, conversationId, { messages: [] }));
+    clearTimeout(clearedTimer);
+    clearedTimer = setTimeout(() => clearedChat.set(null), 10000);
+  }
+
+  function undoClearChat() {
+    const cleared = clearedChat.get();
+    if (!cleared) return;
+    const { conversationId, messages } = cleared;
+    // keep anything said since the clear, after the restored messages
+    conversations.set((cs) => cs.map((c) => (c.id === conversationId ? { ...c, messages: [...messages, ...c.messages] } : c)));
+    clearedChat.set(null);
+  }
+
+  // only clips whose consent covers chat reference lend their notes
+  function currentMemories() {
+    const profileId = activeProfile().id;
+    return collectMemories({
+      journalEntries: forProfile(journal.get(), profileId),
+      clips: forProfile(media.get(), profileId).filter((v) => !isPhoto(v) && consentAllows(v, "chat")),
+    });
+  }
+
+  // replaceKey -> AbortController of the speech a newer one with that key replaces
+  const replacedSpeech = new Map();
+
+  // Speech via the active provider (browser speechSynthesis locally, remote TTS otherwise),
+  // in the voice chosen for this feature and profile. Healing cues are only worth saying on time.
+  function speakText(text, feature = "chat") {
+    const settings = speechSettings.get();
+    if (settings.muted) return;
+    const voice = {
+      ...resolveVoiceSettings(settings, activeProfile().id, feature),
+      priority: PRIORITY[feature],
+      ...(feature === "healing" ? { maxDelayMs: 1500, replaceKey: "healing" } : {}),
+    };
+    // remote audio plays outside the speech queue, so muting and replacing stop it here
+    const stop = new AbortController();
+    const offMute = speechQueue().onMute(() => stop.abort());
+    if (voice.replaceKey) {
+      replacedSpeech.get(voice.replaceKey)?.abort();
+      replacedSpeech.set(voice.replaceKey, stop);
+    }
+    currentProvider()
+      .speak(text, voice, { signal: stop.signal })
+      .catch((e) => e.code !== "ABORTED" && console.warn("Speech failed", e))
+      .finally(() => {
+        offMute();
+        if (replacedSpeech.get(voice.replaceKey) === stop) replacedSpeech.delete(voice.replaceKey);
+      });
+  }
+
+  // Dream Space: photos live next to the voice clips; scenes are saved like stories
+  async function addPhotos(files) {
+    if (!(await confirmRoomFor(files))) return;
+    for (const f of files) {
+      try {
+        const item = await saveClipFile(f, uid("photo"), { profileId: activeProfile().id, kind: "photo", title: f.name.replace(/\.[^.]+$/, "") });
+        media.set((s) => [item, ...s]);
+      } catch (err) {
+        alert(`Could not save "${f.name}": ${err.message}`);
+      }
+    }
+  }
+
+  function removePhoto(id) {
+    const photo = media.get().find((v) => v.id === id);
+    const used = scenes.get().filter((sc) => sc.slides.some((s) => s.photoId === id)).length;
+    if (!confirm(`Delete "${photo?.title || photo?.name}"?${used ? ` It's used in ${used} scene${used === 1 ? "" : "s"}.` : ""}`)) return;
+    removeUpload(id);
+  }
+
+  function saveScene(scene) {
+    const time = Date.now();
+    const saved = scene.id ? { ...scene, updatedAt: time } : { ...scene, id: uid("scene"), profileId: activeProfile().id, createdAt: time, updatedAt: time };
+    scenes.set((ss) => (ss.some((s) => s.id === saved.id) ? ss.map((s) => (s.id === saved.id ? saved : s)) : [saved, ...ss]));
+    return saved;
+  }
+
+  function deleteScene(id) {
+    scenes.set((ss) => ss.filter((s) => s.id !== id));
+  }
+
+  // Story Mode: saved stories (writing and narration live in StoryStudio)
+  function saveStory(fields) {
+    const story = createStoryRecord(uid("s"), { ...fields, profileId: activeProfile().id });
+    stories.set((ss) => [story, ...ss]);
+    return story;
+  }
+
+  function updateStory(id, patch) {
+    stories.set((ss) => ss.map((st) => (st.id === id ? { ...st, ...patch, updatedAt: Date.now() } : st)));
+  }
+
+  function deleteStory(id) {
+    stories.set((ss) => ss.filter((st) => st.id !== id));
+  }
+
+  // Journal handling
+  function addJournalEntry(fields) {
+    const entry = createEntry(uid("j"), { ...fields, profileId: activeProfile().id });
+    journal.set((s) => [entry, ...s]);
+    journalDraft.set(null);
+    const safety = assessDistress(`${entry.title}\n${entry.body}`, { phrases: safetySettings.get().phrases });
+    journalSafety.set(safety.level === "none" ? null : { level: safety.level, text: careMessage(safety.level) });
+  }
+
+  function updateJournalEntry(id, fields) {
+    journal.set((s) => s.map((e) => (e.id === id ? reviseEntry(e, fields) : e)));
+  }
+
+  function deleteJournalEntry(id) {
+    journal.set((s) => s.filter((e) => e.id !== id));
+  }
+
+  function setSafetyRegion(region) {
+    safetySettings.set((s) => ({ ...s, region }));
+  }
+
+  // Session lifetime: call once the app is mounted; returns the cleanup for unmount (lock).
+  function start() {
+    let cancelled = false;
+    // load stored clips (and migrate any legacy localStorage entries)
+    loadClips()
+      .then((clips) => {
+        if (cancelled) {
+          clips.forEach((c) => c.url && URL.revokeObjectURL(c.url));
+          return;
+        }
+        // clips saved before profiles existed belong to the default profile
+        clips
+          .filter((c) => !c.profileId)
+          .forEach((c) => updateClip(c.id, { profileId: DEFAULT_PROFILE_ID }).catch((e) => console.warn("Could not update clip", e)));
+        const owned = assignMissingProfile(clips, DEFAULT_PROFILE_ID);
+        media.set((s) => [...s, ...owned.filter((c) => !s.some((v) => v.id === c.id))]);
+      })
+      .catch((e) => console.warn("Could not load voice clips", e));
+
+    // write back what loading filled in or migrated (a first profile, owners of old letters)
+    [profiles, activeProfileId, journal, conversations, stories, scenes, dates, clipAudit, breathingPrograms, breathingLog, speechSettings, safetySettings, reminderSettings].forEach((s) => s.save());
+    ensureConversation();
+    speechQueue().setMuted(speechSettings.get().muted);
+    notifyReminders();
+
+    const tick = setInterval(() => now.set(Date.now()), REMINDER_TICK_MS);
+    const unsubscribe = [
+      activeProfileId.subscribe(ensureConversation),
+      conversations.subscribe(ensureConversation),
+      speechSettings.subscribe(() => speechQueue().setMuted(speechSettings.get().muted)),
+      ...[dates, reminderSettings, now, profiles, activeProfileId].map((s) => s.subscribe(notifyReminders)),
+      onReminderClick(runReminderByKey),
+    ];
+    // opened from a notification
+    const launched = takeLaunchReminder();
+    if (launched) runReminderByKey(launched);
+
+    return () => {
+      cancelled = true;
+      clearInterval(tick);
+      clearTimeout(clearedTimer);
+      replyTimers.forEach((timer) => clearTimeout(timer));
+      unsubscribe.forEach((off) => off());
+      // clean up object URLs (the audio itself stays in IndexedDB)
+      media.get().forEach((v) => {
+        try {
+          if (v.url) URL.revokeObjectURL(v.url);
+        } catch (e) {}
+      });
+      media.set([]);
+    };
+  }
+
+  return {
+    // stores
+    profiles,
+    activeProfileId,
+    media,
+    journal,
+    conversations,
+    activeConversationId,
+    stories,
+    scenes,
+    dates,
+    clipAudit,
+    breathingPrograms,
+    breathingLog,
+    providerSettings,
+    speechSettings,
+    safetySettings,
+    reminderSettings,
+    providerNotice,
+    clearedChat,
+    streamingReplies,
+    journalSafety,
+    journalDraft,
+    storyStart,
+    now,
+    // actions
+    start,
+    activeProfile,
+    currentProvider,
+    currentMemories,
+    currentReminders,
+    saveProviderSettings,
+    uploadClips,
+    saveRecording,
+    saveClipDetails,
+    saveClipConsent,
+    verifyClip,
+    logClipUse,
+    removeUpload,
+    saveDate,
+    deleteDate,
+    saveBreathingProgram,
+    deleteBreathingProgram,
+    logBreathingSession,
+    dismissReminder,
+    runReminder,
+    switchProfile,
+    saveProfile,
+    deleteProfile,
+    sendChat,
+    newConversation,
+    clearChat,
+    undoClearChat,
+    speakText,
+    addPhotos,
+    removePhoto,
+    saveScene,
+    deleteScene,
+    saveStory,
+    updateStory,
+    deleteStory,
+    addJournalEntry,
+    updateJournalEntry,
+    deleteJournalEntry,
+    setSafetyRegion,
+  };
+}
+
+export const AppStateContext = createContext(null);
+
+export function useAppState() {
+  return useContext(AppStateContext);
+}
+
+export function useActiveProfile() {
+  const app = useAppState();
+  const profiles = useStore(app.profiles);
+  const activeId = useStore(app.activeProfileId);
+  return profiles.find((p) => p.id === activeId) || profiles[0];
+}
+
+// the active person's records from a collection store
+export function useProfileItems(store) {
+  const items = useStore(store);
+  const profile = useActiveProfile();
+  return useMemo(() => forProfile(items, profile.id), [items, profile.id]);
+}
+
+// a #/<view>/<id> link to another person's record switches to that person first
+export function useLinkedProfile(store, id) {
+  const app = useAppState();
+  const items = useStore(store);
+  const owner = id ? items.find((x) => x.id === id)?.profileId : null;
+  useEffect(() => {
+    if (owner && owner !== app.activeProfile().id) app.switchProfile(owner);
+  }, [id, owner]);
+}
+
+// the reply / story / speech provider for the current settings
+export function useProvider() {
+  const app = useAppState();
+  useStore(app.providerSettings);
+  return app.currentProvider();
+}
+
+// memories replies and stories draw on: the active person's letters and the notes of clips
+// cleared for chat reference
+export function useMemories() {
+  const app = useAppState();
+  const journal = useProfileItems(app.journal);
+  const media = useProfileItems(app.media);
+  return useMemo(() => collectMemories({ journalEntries: journal, clips: media.filter((v) => !isPhoto(v) && consentAllows(v, "chat")) }), [journal, media]);
+}
+
+export function useReminders() {
+  const app = useAppState();
+  const dates = useStore(app.dates);
+  const settings = useStore(app.reminderSettings);
+  const now = useStore(app.now);
+  const profiles = useStore(app.profiles);
+  const activeId = useStore(app.activeProfileId);
+  return useMemo(() => app.currentReminders(), [dates, settings, now, profiles, activeId]);
+}
@@ -0,0 +1,355 @@
+/**
+ * archive.js
+ * Export / import everything a user has created as one portable file, so memories survive
+ * clearing site data or moving to another device.
+ *
+ * Archive format (version 2) — a plain zip:
+ *
+ *   manifest.json            { format: "ecosoul-archive", version: 2, exportedAt (ms), counts: { <collection>: n } }
+ *   profiles.json            loved-one profiles (see profiles.js)
+ *   journal.json             letters with their tags, mood, clipIds and revisions (see journal.js)
+ *   conversations.json       Memory Chat conversations with their messages (see conversations.js)
+ *   stories.json             saved Story Mode stories (see storyEngine.js)
+ *   scenes.json              Dream Space scenes (see dreamSpace.js)
+ *   dates.json               important dates and their reminders (see reminders.js)
+ *   clip-audit.json          what each voice clip was used or refused for (see consent.js)
+ *   breathing-programs.json  custom Healing Mode programs (see breathing.js)
+ *   breathing-log.json       completed breathing sessions
+ *   clips.json               clip metadata { id, profileId, name, title, notes, mimeType, consent, contentHash, ..., file }
+ *   audio/<clip id>.<ext>    the raw audio bytes, exactly as recorded or uploaded
+ *   photos/<clip id>.<ext>   Dream Space photos (clips with kind: "photo"), as uploaded
+ *   README.txt               this description, for whoever opens the zip later
+ *
+ * Every collection file is a JSON array of the objects exactly as the app stores them, so
+ * export followed by import in "replace" mode gives back identical data. Device settings
+ * (vault passphrase, reply provider and its API key) are deliberately not included.
+ * Readers must reject archives whose `version` is newer than they understand; fields they
+ * don't know must be kept as-is. Adding a collection file bumps the version, so an older
+ * reader refuses the archive instead of silently leaving the new collection behind.
+ *
+ * Version history:
+ *   1  profiles, journal, conversations, breathing programs and log, clips. Later version 1
+ *      builds also wrote stories.json, scenes.json, dates.json and clip-audit.json; when a
+ *      version 1 archive lacks them they count as empty.
+ *   2  stories.json, scenes.json, dates.json and clip-audit.json are always present.
+ */
+
+import { readZip, createZip } from "./zip.js";
+import { readJSON, writeJSON } from "./storage.js";
+import { PROFILES_KEY } from "./profiles.js";
+import { JOURNAL_KEY } from "./journal.js";
+import { STORIES_KEY } from "./storyEngine.js";
+import { SCENES_KEY } from "./dreamSpace.js";
+import { DATES_KEY } from "./reminders.js";
+import { CLIP_AUDIT_KEY } from "./consent.js";
+import { CONVERSATIONS_KEY } from "./conversations.js";
+import { BREATHING_LOG_KEY, CUSTOM_PROGRAMS_KEY } from "./breathing.js";
+import { getAllClipRecords, putClip, clearClips } from "./clipStore.js";
+
+export const ARCHIVE_FORMAT = "ecosoul-archive";
+export const ARCHIVE_VERSION = 2;
+
+// collections kept in storage.js, in the order they're previewed
+export const COLLECTIONS = [
+  { name: "profiles", file: "profiles.json", key: PROFILES_KEY, label: "people" },
+  { name: "journal", file: "journal.json", key: JOURNAL_KEY, label: "letters" },
+  { name: "conversations", file: "conversations.json", key: CONVERSATIONS_KEY, label: "conversations" },
+  // `since`: the format version that made the file required; older archives may lack it
+  { name: "stories", file: "stories.json", key: STORIES_KEY, label: "stories", since: 2 },
+  { name: "scenes", file: "scenes.json", key: SCENES_KEY, label: "Dream Space scenes", since: 2 },
+  { name: "dates", file: "dates.json", key: DATES_KEY, label: "important dates", since: 2 },
+  { name: "clipAudit", file: "clip-audit.json", key: CLIP_AUDIT_KEY, label: "clip log entries", since: 2 },
+  { name: "breathingPrograms", file: "breathing-programs.json", key: CUSTOM_PROGRAMS_KEY, label: "breathing programs" },
+  { name: "breathingLog", file: "breathing-log.json", key: BREATHING_LOG_KEY, label: "breathing sessions" },
+];
+const CLIPS_FILE = "clips.json";
+
+const README = `Ecosoul archive (format version ${ARCHIVE_VERSION})
+
+This zip is a complete backup of the letters, conversations, people and voice clips kept
+in Ecosoul. Import it from "Privacy & settings" to restore it on any device.
+
+manifest.json            format name, version, export time and item counts
+profiles.json            the people you remember
+journal.json             your letters
+conversations.json       Memory Chat conversations
+stories.json             your saved stories
+scenes.json              your Dream Space scenes
+dates.json               the dates you're reminded of
+clip-audit.json          how each voice clip was used, and when a use was refused
+breathing-programs.json  your custom breathing programs
+breathing-log.json       your breathing practice history
+clips.json               details for each voice clip, with its consent record and
+                         SHA-256 fingerprint; "file" points into audio/
+audio/                   the original audio files — they play in any media player
+photos/                  the photos used in Dream Space scenes
+
+All .json files are plain UTF-8 JSON and can be opened in a text editor.
+Passphrases and API keys are never included.
+`;
+
+export class ArchiveError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "ArchiveError";
+    this.code = code; // NOT_ARCHIVE | VERSION | CORRUPT
+  }
+}
+
+const EXTENSIONS = {
+  "audio/wav": "wav", "audio/x-wav": "wav", "audio/mpeg": "mp3", "audio/mp4": "m4a", "audio/ogg": "ogg", "audio/webm": "webm", "audio/flac": "flac", "audio/aac": "aac",
+  "image/jpeg": "jpg", "image/png": "png", "image/webp": "webp", "image/gif": "gif", "image/heic": "heic",
+};
+
+function mediaFileName(clip) {
+  const fromName = /\.([a-z0-9]{1,5})$/i.exec(clip.name || "")?.[1];
+  const ext = fromName || EXTENSIONS[(clip.mimeType || "").split(";")[0]] || "bin";
+  // ids are generated by the app, but keep the path safe regardless
+  return `${clip.kind === "photo" ? "photos" : "audio"}/${String(clip.id).replace(/[^\w-]/g, "_")}.${ext.toLowerCase()}`;
+}
+
+/**
+ * Build the archive zip from a snapshot:
+ * { profiles, journal, conversations, breathingPrograms, breathingLog, clips: [{ ...meta, bytes: Uint8Array | null }] }
+ */
+export function buildArchive(snapshot, { now = Date.now() } = {}) {
+  const entries = [];
+  const counts = {};
+  for (const c of COLLECTIONS) {
+    const items = snapshot[c.name] || [];
+    counts[c.name] = items.length;
+    entries.push({ name: c.file, data: JSON.stringify(items, null, 2) });
+  }
+
+  const clipMeta = [];
+  for (const clip of snapshot.clips || []) {
+    const { bytes, ...meta } = clip;
+    const file = bytes ? mediaFileName(clip) : null;
+    clipMeta.push({ ...meta, file });
+    if (bytes) entries.push({ name: file, data: bytes });
+  }
+  counts.clips = clipMeta.length;
+  entries.push({ name: CLIPS_FILE, data: JSON.stringify(clipMeta, null, 2) });
+
+  const manifest = { format: ARCHIVE_FORMAT, version: ARCHIVE_VERSION, exportedAt: now, counts };
+  entries.unshift({ name: "manifest.json", data: JSON.stringify(manifest, null, 2) });
+  entries.push({ name: "README.txt", data: README });
+  return createZip(entries, { now: new Date(now) });
+}
+
+function parseJSONEntry(files, name) {
+  const data = files.get(name);
+  if (!data) throw new ArchiveError("CORRUPT", `The archive is missing ${name}.`);
+  try {
+    return JSON.parse(new TextDecoder().decode(data));
+  } catch {
+    throw new ArchiveError("CORRUPT", `${name} in the archive isn't valid JSON.`);
+  }
+}
+
+function requireArray(value, name) {
+  if (!Array.isArray(value) || value.some((item) => !item || typeof item !== "object" || item.id == null)) {
+    throw new ArchiveError("CORRUPT", `${name} in the archive has an unexpected shape.`);
+  }
+  return value;
+}
+
+/**
+ * Read and validate an archive. Resolves with { manifest, snapshot, warnings } where the
+ * snapshot has the same shape buildArchive() takes and warnings are readable notes about
+ * archive contents this build doesn't know and won't import. Throws ArchiveError.
+ */
+export async function parseArchive(input) {
+  let files;
+  try {
+    files = await readZip(input);
+  } catch (e) {
+    throw new ArchiveError("NOT_ARCHIVE", `This file can't be read as an Ecosoul archive: ${e.message}`);
+  }
+  if (!files.has("manifest.json")) throw new ArchiveError("NOT_ARCHIVE", "This zip isn't an Ecosoul archive (no manifest.json).");
+
+  const manifest = parseJSONEntry(files, "manifest.json");
+  if (manifest?.format !== ARCHIVE_FORMAT) throw new ArchiveError("NOT_ARCHIVE", "This zip isn't an Ecosoul archive.");
+  if (!Number.isInteger(manifest.version) || manifest.version < 1) throw new ArchiveError("CORRUPT", "The archive has no valid format version.");
+  if (manifest.version > ARCHIVE_VERSION) {
+    throw new ArchiveError("VERSION", `This archive was made by a newer version of Ecosoul (format ${manifest.version}). Update the app to import it.`);
+  }
+
+  const snapshot = {};
+  for (const c of COLLECTIONS) {
+    const absent = c.since > manifest.version && !files.has(c.file);
+    snapshot[c.name] = absent ? [] : requireArray(parseJSONEntry(files, c.file), c.file);
+  }
+  snapshot.clips = requireArray(parseJSONEntry(files, CLIPS_FILE), CLIPS_FILE).map(({ file, ...meta }) => {
+    if (file && !files.has(file)) throw new ArchiveError("CORRUPT", `The archive is missing the file ${file}.`);
+    return { ...meta, bytes: file ? files.get(file) : null };
+  });
+
+  const known = new Set([...COLLECTIONS.map((c) => c.name), "clips"]);
+  const warnings = Object.entries(manifest.counts || {})
+    .filter(([name, n]) => !known.has(name) && n > 0)
+    .map(([name, n]) => `${n} item${n === 1 ? "" : "s"} of "${name}" can't be imported by this version of Ecosoul and will be left out.`);
+  return { manifest, snapshot, warnings };
+}
+
+// compare stored items ignoring audio bytes / transient fields
+function sameItem(a, b) {
+  const strip = ({ bytes, blob, url, ...rest }) => rest;
+  return stableStringify(strip(a)) === stableStringify(strip(b));
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort().filter((k) => value[k] !== undefined).map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function freshId(oldId, taken, random) {
+  const prefix = String(oldId).includes("_") ? String(oldId).split("_")[0] : "id";
+  let id;
+  do id = `${prefix}_${Math.floor(random() * 36 ** 7).toString(36)}`;
+  while (taken.has(id));
+  taken.add(id);
+  return id;
+}
+
+// point references inside an imported item at renamed ids
+function remapRefs(item, renamed) {
+  let out = item;
+  if (item.profileId && renamed.profiles.has(item.profileId)) out = { ...out, profileId: renamed.profiles.get(item.profileId) };
+  if (item.programId && renamed.breathingPrograms.has(item.programId)) out = { ...out, programId: renamed.breathingPrograms.get(item.programId) };
+  if (item.clipId && renamed.clips.has(item.clipId)) out = { ...out, clipId: renamed.clips.get(item.clipId) };
+  if (Array.isArray(item.clipIds)) out = { ...out, clipIds: item.clipIds.map((id) => renamed.clips.get(id) || id) };
+  if (Array.isArray(item.slides)) {
+    const clip = (id) => (id && renamed.clips.get(id)) || id;
+    const source = (q) => q && { ...q, sourceId: (q.kind === "chat" ? renamed.conversations : renamed.journal).get(q.sourceId) || q.sourceId };
+    out = {
+      ...out,
+      slides: item.slides.map((s) => ({ ...s, photoId: clip(s.photoId), clipId: clip(s.clipId), quote: source(s.quote) })),
+      background: item.background && { ...item.background, clipId: clip(item.background.clipId) },
+    };
+  }
+  if (Array.isArray(item.messages)) {
+    out = {
+      ...out,
+      messages: item.messages.map((m) =>
+        m.basedOn?.length
+          ? { ...m, basedOn: m.basedOn.map((b) => ({ ...b, id: (b.kind === "clip" ? renamed.clips : renamed.journal).get(b.id) || b.id })) }
+          : m
+      ),
+    };
+  }
+  return out;
+}
+
+/**
+ * Work out what an import will do, without touching storage.
+ *
+ * mode "merge" adds the archive to what's here; "replace" makes this device match the archive.
+ * When merging, an incoming item whose id already exists with different content is a
+ * conflict, resolved by `onConflict`:
+ *   "keep-both" — import it under a new id (references to it are updated),
+ *   "skip"      — keep the local version,
+ *   "overwrite" — the archive version wins.
+ * Items that are identical on both sides are left alone.
+ *
+ * Returns { summary: { <collection>: { added, updated, identical, skipped, renamed, removed } },
+ *           next: { <collection>: items }, clips: { put: [records to write], clearAll } }
+ */
+export function planImport(current, incoming, { mode = "merge", onConflict = "keep-both", random = Math.random } = {}) {
+  const names = [...COLLECTIONS.map((c) => c.name), "clips"];
+  const summary = Object.fromEntries(names.map((n) => [n, { added: 0, updated: 0, identical: 0, skipped: 0, renamed: 0, removed: 0 }]));
+
+  if (mode === "replace") {
+    const next = {};
+    for (const n of names) {
+      const mine = current[n] || [];
+      const theirs = incoming[n] || [];
+      const theirIds = new Set(theirs.map((i) => i.id));
+      const mineById = new Map(mine.map((i) => [i.id, i]));
+      summary[n].removed = mine.filter((i) => !theirIds.has(i.id)).length;
+      for (const item of theirs) {
+        const existing = mineById.get(item.id);
+        if (!existing) summary[n].added += 1;
+        else if (sameItem(existing, item)) summary[n].identical += 1;
+        else summary[n].updated += 1;
+      }
+      next[n] = theirs;
+    }
+    const { clips, ...collections } = next;
+    return { summary, next: collections, clips: { put: clips, clearAll: true } };
+  }
+
+  // merge: rename conflicting ids first, in dependency order, so references can follow
+  const renamed = Object.fromEntries(names.map((n) => [n, new Map()]));
+  const order = ["profiles", "breathingPrograms", "clips", "journal", "conversations", "stories", "scenes", "dates", "clipAudit", "breathingLog"];
+  const result = {};
+  for (const n of order) {
+    const mine = current[n] || [];
+    const mineById = new Map(mine.map((i) => [i.id, i]));
+    const taken = new Set([...mine.map((i) => i.id), ...(incoming[n] || []).map((i) => i.id)]);
+    const merged = [...mine];
+    const s = summary[n];
+    for (const raw of incoming[n] || []) {
+      const item = remapRefs(raw, renamed);
+      const existing = mineById.get(item.id);
+      if (!existing) {
+        merged.push(item);
+        s.added += 1;
+      } else if (sameItem(existing, item)) {
+        s.identical += 1;
+      } else if (onConflict === "skip") {
+        s.skipped += 1;
+      } else if (onConflict === "overwrite") {
+        merged[merged.indexOf(existing)] = item;
+        s.updated += 1;
+      } else {
+        const id = freshId(item.id, taken, random);
+        renamed[n].set(item.id, id);
+        merged.push({ ...item, id });
+        s.renamed += 1;
+      }
+    }
+    result[n] = merged;
+  }
+
+  const { clips, ...collections } = result;
+  // only clips that came from the archive (new, renamed or overwriting) need writing
+  const local = new Set(current.clips || []);
+  return { summary, next: collections, clips: { put: clips.filter((c) => !local.has(c)), clearAll: false } };
+}
+
+/**
+ * Snapshot of everything stored on this device, for export (reads audio bytes).
+ */
+export async function collectSnapshot() {
+  const snapshot = {};
+  for (const c of COLLECTIONS) snapshot[c.name] = readJSON(c.key, []);
+  const records = await getAllClipRecords();
+  snapshot.clips = await Promise.all(
+    records
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map(async ({ blob, ...meta }) => ({ ...meta, bytes: blob ? new Uint8Array(await blob.arrayBuffer()) : null }))
+  );
+  return snapshot;
+}
+
+/**
+ * Write a plan from planImport() to storage. Callers should remount the app afterwards.
+ */
+export async function applyImport(plan) {
+  for (const c of COLLECTIONS) writeJSON(c.key, plan.next[c.name]);
+  if (plan.clips.clearAll) await clearClips();
+  for (const { bytes, ...meta } of plan.clips.put) {
+    await putClip({ ...meta, blob: bytes ? new Blob([bytes], { type: meta.mimeType || "" }) : null });
+  }
+}
+
+export async function exportArchive() {
+  const bytes = buildArchive(await collectSnapshot());
+  const d = new Date();
+  const stamp = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+  return { blob: new Blob([bytes], { type: "application/zip" }), filename: `ecosoul-archive-${stamp}.zip` };
+}
@@ -0,0 +1,124 @@
+/**
+ * audioClip.js
+ * Clip processing as plain functions over Float32Array sample data, so they run in Node
+ * without a microphone or Web Audio: peak extraction for waveforms, trimming, mono mixing,
+ * level metering and 16-bit PCM WAV encoding.
+ *
+ * Only decodeToChannels() needs a browser (AudioContext.decodeAudioData).
+ */
+
+/**
+ * Average several channels into one.
+ */
+export function mixToMono(channels) {
+  if (channels.length === 1) return channels[0];
+  const length = Math.min(...channels.map((c) => c.length));
+  const out = new Float32Array(length);
+  for (const ch of channels) {
+    for (let i = 0; i < length; i++) out[i] += ch[i] / channels.length;
+  }
+  return out;
+}
+
+/**
+ * Split samples into `buckets` and return the peak absolute amplitude (0..1) of each,
+ * for drawing a waveform that is `buckets` pixels wide.
+ */
+export function extractPeaks(samples, buckets) {
+  const peaks = new Array(Math.max(0, buckets)).fill(0);
+  if (!samples.length || !buckets) return peaks;
+  const size = samples.length / buckets;
+  for (let b = 0; b < buckets; b++) {
+    const from = Math.floor(b * size);
+    const to = Math.max(from + 1, Math.floor((b + 1) * size));
+    let peak = 0;
+    for (let i = from; i < to && i < samples.length; i++) {
+      const v = Math.abs(samples[i]);
+      if (v > peak) peak = v;
+    }
+    peaks[b] = Math.min(1, peak);
+  }
+  return peaks;
+}
+
+/**
+ * Cut every channel to [startSec, endSec). Bounds are clamped to the clip.
+ */
+export function trimChannels(channels, sampleRate, startSec, endSec) {
+  const length = channels[0]?.length || 0;
+  const from = Math.max(0, Math.min(length, Math.round(startSec * sampleRate)));
+  const to = Math.max(from, Math.min(length, Math.round(endSec * sampleRate)));
+  return channels.map((c) => c.slice(from, to));
+}
+
+/**
+ * Root-mean-square level (0..1) of time-domain samples, for the live input meter.
+ * Accepts floats (-1..1) or an AnalyserNode byte buffer (0..255, centred on 128).
+ */
+export function rmsLevel(samples) {
+  if (!samples.length) return 0;
+  const isBytes = samples instanceof Uint8Array;
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const v = isBytes ? (samples[i] - 128) / 128 : samples[i];
+    sum += v * v;
+  }
+  return Math.min(1, Math.sqrt(sum / samples.length));
+}
+
+function writeString(view, offset, text) {
+  for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+}
+
+/**
+ * Encode channels as a 16-bit PCM WAV file. Returns an ArrayBuffer.
+ */
+export function encodeWav(channels, sampleRate) {
+  const numChannels = channels.length;
+  const frames = channels[0]?.length || 0;
+  const bytesPerSample = 2;
+  const dataSize = frames * numChannels * bytesPerSample;
+  const buffer = new ArrayBuffer(44 + dataSize);
+  const view = new DataView(buffer);
+
+  writeString(view, 0, "RIFF");
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(view, 8, "WAVE");
+  writeString(view, 12, "fmt ");
+  view.setUint32(16, 16, true); // fmt chunk size
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, numChannels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * numChannels * bytesPerSample, true);
+  view.setUint16(32, numChannels * bytesPerSample, true);
+  view.setUint16(34, 16, true); // bits per sample
+  writeString(view, 36, "data");
+  view.setUint32(40, dataSize, true);
+
+  let offset = 44;
+  for (let i = 0; i < frames; i++) {
+    for (let c = 0; c < numChannels; c++) {
+      const s = Math.max(-1, Math.min(1, channels[c][i]));
+      view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7fff, true);
+      offset += bytesPerSample;
+    }
+  }
+  return buffer;
+}
+
+/**
+ * Decode an audio Blob into { channels: Float32Array[], sampleRate, duration } (browser only).
+ */
+export async function decodeToChannels(blob) {
+  const Ctx = window.AudioContext || window.webkitAudioContext;
+  if (!Ctx) throw new Error("Web Audio is not available in this browser.");
+  const ctx = new Ctx();
+  try {
+    const buf = await ctx.decodeAudioData(await blob.arrayBuffer());
+    const channels = [];
+    for (let c = 0; c < buf.numberOfChannels; c++) channels.push(buf.getChannelData(c).slice());
+    return { channels, sampleRate: buf.sampleRate, duration: buf.duration };
+  } finally {
+    ctx.close?.();
+  }
+}
@@ -0,0 +1,208 @@
+/**
+ * breathing.js
+ * Breathing programs and a drift-corrected session clock for Healing Mode.
+ *
+ * A program is { id, name, phases: [{ kind: "inhale" | "hold" | "exhale" | "rest", seconds }], cycles }.
+ * Sessions never count timer ticks: the position is always derived from the elapsed clock
+ * time (minus pauses), and each timeout is scheduled for the next phase boundary, so late
+ * timers can't accumulate drift.
+ */
+
+export const BREATHING_LOG_KEY = "ecosoul_breathing_log";
+export const CUSTOM_PROGRAMS_KEY = "ecosoul_breathing_programs";
+
+export const PHASE_KINDS = ["inhale", "hold", "exhale", "rest"];
+
+export const PHASE_LABELS = {
+  inhale: "Breathe in",
+  hold: "Hold",
+  exhale: "Breathe out",
+  rest: "Rest",
+};
+
+export const BUILT_IN_PROGRAMS = [
+  {
+    id: "calm-4-6",
+    name: "Calm 4-6",
+    phases: [
+      { kind: "inhale", seconds: 4 },
+      { kind: "exhale", seconds: 6 },
+    ],
+    cycles: 6,
+  },
+  {
+    id: "box-4-4-4-4",
+    name: "Box 4-4-4-4",
+    phases: [
+      { kind: "inhale", seconds: 4 },
+      { kind: "hold", seconds: 4 },
+      { kind: "exhale", seconds: 4 },
+      { kind: "hold", seconds: 4 },
+    ],
+    cycles: 5,
+  },
+  {
+    id: "relax-4-7-8",
+    name: "Relax 4-7-8",
+    phases: [
+      { kind: "inhale", seconds: 4 },
+      { kind: "hold", seconds: 7 },
+      { kind: "exhale", seconds: 8 },
+    ],
+    cycles: 4,
+  },
+];
+
+// pacer circle scale at rest (empty lungs) and full
+const SCALE_MIN = 0.45;
+const SCALE_MAX = 1;
+
+export function cycleMs(program) {
+  return program.phases.reduce((sum, p) => sum + p.seconds * 1000, 0);
+}
+
+export function totalMs(program) {
+  return cycleMs(program) * program.cycles;
+}
+
+/**
+ * Returns an error message for an unusable program, or null.
+ */
+export function validateProgram(program) {
+  if (!program.name?.trim()) return "Give the program a name.";
+  if (!program.phases?.length) return "Add at least one phase.";
+  if (program.phases.some((p) => !PHASE_KINDS.includes(p.kind))) return "Unknown phase type.";
+  if (program.phases.some((p) => !(p.seconds > 0 && p.seconds <= 60))) return "Each phase needs 1–60 seconds.";
+  if (!(program.cycles >= 1 && program.cycles <= 100)) return "Use between 1 and 100 cycles.";
+  return null;
+}
+
+/**
+ * Where a session is after `elapsedMs`:
+ * { done, cycle (0-based), phaseIndex, phase, phaseElapsedMs, phaseRemainingMs, progress (0..1) }
+ */
+export function positionAt(program, elapsedMs) {
+  const total = totalMs(program);
+  const clamped = Math.max(0, Math.min(elapsedMs, total));
+  if (clamped >= total) {
+    const last = program.phases.length - 1;
+    return {
+      done: true,
+      cycle: program.cycles - 1,
+      phaseIndex: last,
+      phase: program.phases[last],
+      phaseElapsedMs: program.phases[last].seconds * 1000,
+      phaseRemainingMs: 0,
+      progress: 1,
+    };
+  }
+  const perCycle = cycleMs(program);
+  const cycle = Math.floor(clamped / perCycle);
+  let within = clamped - cycle * perCycle;
+  let phaseIndex = 0;
+  while (within >= program.phases[phaseIndex].seconds * 1000) {
+    within -= program.phases[phaseIndex].seconds * 1000;
+    phaseIndex += 1;
+  }
+  const phase = program.phases[phaseIndex];
+  return {
+    done: false,
+    cycle,
+    phaseIndex,
+    phase,
+    phaseElapsedMs: within,
+    phaseRemainingMs: phase.seconds * 1000 - within,
+    progress: clamped / total,
+  };
+}
+
+// lung "fullness" at the end of the phase before `index` (holds keep whatever came before)
+function levelBefore(phases, index) {
+  for (let i = 1; i <= phases.length; i++) {
+    const p = phases[(index - i + phases.length) % phases.length];
+    if (p.kind === "inhale") return 1;
+    if (p.kind === "exhale" || p.kind === "rest") return 0;
+  }
+  return 0;
+}
+
+/**
+ * Scale for the visual pacer at a position: grows on inhale, shrinks on exhale, holds steady.
+ */
+export function pacerScale(program, position) {
+  const t = position.phase.seconds ? position.phaseElapsedMs / (position.phase.seconds * 1000) : 1;
+  // ease in-out so the circle moves like a breath rather than linearly
+  const eased = 0.5 - Math.cos(Math.PI * Math.min(1, t)) / 2;
+  const start = levelBefore(program.phases, position.phaseIndex);
+  let level = start;
+  if (position.phase.kind === "inhale") level = start + (1 - start) * eased;
+  else if (position.phase.kind === "exhale") level = start * (1 - eased);
+  else if (position.phase.kind === "rest") level = 0;
+  return SCALE_MIN + (SCALE_MAX - SCALE_MIN) * level;
+}
+
+/**
+ * Run a program. onPhase(position) fires at the start of every phase, onComplete(summary)
+ * once at the end. `clock` / `schedule` / `cancel` are injectable for tests.
+ */
+export function createBreathSession(
+  program,
+  { onPhase, onComplete, clock = () => performance.now(), schedule = setTimeout, cancel = clearTimeout } = {}
+) {
+  let startedAt = null;
+  let pausedAt = null;
+  let pausedTotal = 0;
+  let timer = null;
+  let lastKey = null;
+  let finished = false;
+
+  function elapsed() {
+    if (startedAt === null) return 0;
+    const now = pausedAt !== null ? pausedAt : clock();
+    return now - startedAt - pausedTotal;
+  }
+
+  function step() {
+    timer = null;
+    const pos = positionAt(program, elapsed());
+    if (pos.done) {
+      finished = true;
+      onComplete?.({ activeMs: totalMs(program), cycles: program.cycles });
+      return;
+    }
+    const key = `${pos.cycle}:${pos.phaseIndex}`;
+    if (key !== lastKey) {
+      lastKey = key;
+      onPhase?.(pos);
+    }
+    // aim for the next boundary from the real clock, not from when this tick was due
+    timer = schedule(step, Math.max(0, pos.phaseRemainingMs) + 5);
+  }
+
+  return {
+    start() {
+      startedAt = clock();
+      step();
+    },
+    pause() {
+      if (pausedAt !== null || finished || startedAt === null) return;
+      pausedAt = clock();
+      if (timer !== null) cancel(timer);
+      timer = null;
+    },
+    resume() {
+      if (pausedAt === null) return;
+      pausedTotal += clock() - pausedAt;
+      pausedAt = null;
+      step();
+    },
+    stop() {
+      if (timer !== null) cancel(timer);
+      timer = null;
+      finished = true;
+    },
+    elapsed,
+    position: () => positionAt(program, elapsed()),
+    isPaused: () => pausedAt !== null,
+  };
+}
@@ -0,0 +1,287 @@
+/**
+ * clipStore.js
+ * IndexedDB-backed storage for voice clips. Unlike blob URLs in localStorage, the actual
+ * audio bytes are kept, so clips survive a page reload. Playable object URLs are rebuilt
+ * from the stored blobs on load.
+ *
+ * Record shape: { id, name, size, mimeType, duration, sampleRate, createdAt, contentHash, consent?, blob }
+ * contentHash is the SHA-256 of the bytes as saved; consent is described in consent.js.
+ * Dream Space photos share the store as records with kind: "photo" (see dreamSpace.js).
+ * While the vault is unlocked, records are written sealed instead:
+ * { id, createdAt, sealedMeta (encrypted JSON), sealedAudio ({ iv, data } | null) }
+ *
+ * Re-encrypting for a new passphrase writes every record to a "staged" store first and
+ * moves them over in one transaction once storage.js commits the rewrite; other writes
+ * wait until then (holdClipWrites).
+ */
+
+import { VaultError, isVaultEnabled, isUnlocked, encryptString, decryptString, encryptBuffer, decryptBuffer } from "./vault.js";
+import { sha256Hex } from "./consent.js";
+
+const DB_NAME = "ecosoul";
+const DB_VERSION = 2;
+const CLIP_STORE = "clips";
+// re-encrypted copies waiting to replace the records in CLIP_STORE
+const STAGED_STORE = "staged";
+
+// localStorage key used before clips moved to IndexedDB (held dead blob: URLs)
+export const LEGACY_UPLOADS_KEY = "ecosoul_voice_uploads";
+
+let dbPromise = null;
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (!("indexedDB" in window)) {
+      reject(new Error("IndexedDB is not available in this browser."));
+      return;
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(CLIP_STORE)) {
+        db.createObjectStore(CLIP_STORE, { keyPath: "id" });
+      }
+      if (!db.objectStoreNames.contains(STAGED_STORE)) {
+        db.createObjectStore(STAGED_STORE, { keyPath: "id" });
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  // allow a retry on the next call if opening failed
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+  return dbPromise;
+}
+
+// writes wait on this while everything is being re-encrypted
+let writeHold = Promise.resolve();
+
+/**
+ * Hold back clip writes until `done` settles, so none land under a key that's being replaced.
+ */
+export function holdClipWrites(done) {
+  writeHold = done.catch(() => {});
+}
+
+// run a single request against the clip store and resolve with its result
+async function withStore(mode, fn) {
+  if (mode === "readwrite") await writeHold;
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(CLIP_STORE, mode);
+    const req = fn(tx.objectStore(CLIP_STORE));
+    tx.oncomplete = () => resolve(req ? req.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// encrypt a plain record when the vault is unlocked; otherwise store it as-is
+async function sealRecord(record) {
+  if (isVaultEnabled() && !isUnlocked()) throw new VaultError("LOCKED", "The vault is locked.");
+  return isUnlocked() ? sealRecordWith(record) : record;
+}
+
+async function sealRecordWith(record, key) {
+  const { blob, ...meta } = record;
+  return {
+    id: record.id,
+    createdAt: record.createdAt,
+    sealedMeta: await encryptString(JSON.stringify(meta), key),
+    sealedAudio: blob ? await encryptBuffer(await blob.arrayBuffer(), key) : null,
+  };
+}
+
+/**
+ * Write plain records to the staged store, sealed with `key` (or as-is for null), replacing
+ * whatever was staged before. Nothing the app reads changes until commitStagedClips().
+ */
+export async function stageClips(records, key) {
+  const staged = [];
+  for (const record of records) staged.push(key ? await sealRecordWith(record, key) : record);
+  const db = await openDb();
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction(STAGED_STORE, "readwrite");
+    const store = tx.objectStore(STAGED_STORE);
+    store.clear();
+    staged.forEach((r) => store.put(r));
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// Move every staged record over the clip store, in one transaction.
+export async function commitStagedClips() {
+  const db = await openDb();
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction([STAGED_STORE, CLIP_STORE], "readwrite");
+    const staged = tx.objectStore(STAGED_STORE);
+    const req = staged.getAll();
+    req.onsuccess = () => {
+      const clips = tx.objectStore(CLIP_STORE);
+      req.result.forEach((r) => clips.put(r));
+      staged.clear();
+    };
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+export async function discardStagedClips() {
+  const db = await openDb();
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction(STAGED_STORE, "readwrite");
+    tx.objectStore(STAGED_STORE).clear();
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+async function openRecord(stored) {
+  if (!stored.sealedMeta) return stored;
+  const meta = JSON.parse(await decryptString(stored.sealedMeta));
+  const blob = stored.sealedAudio
+    ? new Blob([await decryptBuffer(stored.sealedAudio)], { type: meta.mimeType || "" })
+    : null;
+  return { ...meta, blob };
+}
+
+export async function putClip(record) {
+  const stored = await sealRecord(record);
+  return withStore("readwrite", (store) => store.put(stored));
+}
+
+// all records in plain form (decrypted if sealed); throws VaultError while locked
+export async function getAllClipRecords() {
+  const stored = await withStore("readonly", (store) => store.getAll());
+  return Promise.all(stored.map(openRecord));
+}
+
+// merge metadata changes into a stored clip (the audio is left untouched)
+export async function updateClip(id, patch) {
+  const stored = await withStore("readonly", (store) => store.get(id));
+  if (!stored) return;
+  const record = await openRecord(stored);
+  await putClip({ ...record, ...patch, id });
+}
+
+/**
+ * Compare a clip's audio with the fingerprint taken when it was saved.
+ * Resolves with { status: "intact" | "changed" | "unhashed" | "missing", hash } where hash
+ * is the fingerprint of the bytes stored now.
+ */
+export async function checkClipContent(id) {
+  const stored = await withStore("readonly", (store) => store.get(id));
+  const record = stored ? await openRecord(stored) : null;
+  if (!record?.blob) return { status: "missing", hash: null };
+  const hash = await sha256Hex(record.blob);
+  if (!record.contentHash) return { status: "unhashed", hash };
+  return { status: hash === record.contentHash ? "intact" : "changed", hash };
+}
+
+export function deleteClip(id) {
+  return withStore("readwrite", (store) => store.delete(id));
+}
+
+export function clearClips() {
+  return withStore("readwrite", (store) => store.clear());
+}
+
+/**
+ * Decode an audio blob to read its duration and sample rate.
+ * Resolves with nulls when decoding isn't possible (unsupported codec, no Web Audio).
+ */
+export async function readAudioMeta(blob) {
+  const Ctx = window.AudioContext || window.webkitAudioContext;
+  if (!Ctx) return { duration: null, sampleRate: null };
+  const ctx = new Ctx();
+  try {
+    const buf = await ctx.decodeAudioData(await blob.arrayBuffer());
+    return { duration: buf.duration, sampleRate: buf.sampleRate };
+  } catch (e) {
+    return { duration: null, sampleRate: null };
+  } finally {
+    ctx.close?.();
+  }
+}
+
+/**
+ * Persist an uploaded File (or Blob) as a clip and return the list item (with a fresh url).
+ * `extra` holds additional metadata such as the owning profileId.
+ */
+export async function saveClipFile(file, id, extra = {}) {
+  const meta = extra.kind === "photo" ? { duration: null, sampleRate: null } : await readAudioMeta(file);
+  const record = {
+    ...extra,
+    id,
+    name: file.name || "Voice clip",
+    size: file.size,
+    mimeType: file.type || "audio/*",
+    duration: meta.duration,
+    sampleRate: meta.sampleRate,
+    createdAt: Date.now(),
+    contentHash: await sha256Hex(file),
+    blob: file,
+  };
+  await putClip(record);
+  return toListItem(record);
+}
+
+// strip the blob and attach a playable object URL
+function toListItem(record) {
+  const { blob, ...meta } = record;
+  return { ...meta, url: blob ? URL.createObjectURL(blob) : null };
+}
+
+/**
+ * Load every stored clip, newest first, with rebuilt object URLs.
+ * Callers own the URLs and should revoke them when the clip is removed or on unmount.
+ */
+export async function loadClips() {
+  await migrateLegacyUploads();
+  const records = await getAllClipRecords();
+  return records.sort((a, b) => b.createdAt - a.createdAt).map(toListItem);
+}
+
+/**
+ * Move entries saved under the old localStorage key into IndexedDB.
+ * Their blob: URLs only resolve within the session that created them, so audio is
+ * recovered where possible; otherwise the metadata is kept and the clip is marked missing.
+ */
+export async function migrateLegacyUploads() {
+  let legacy;
+  try {
+    legacy = JSON.parse(localStorage.getItem(LEGACY_UPLOADS_KEY) || "null");
+  } catch (e) {
+    legacy = null;
+  }
+  if (!Array.isArray(legacy)) return 0;
+
+  for (const v of legacy) {
+    let blob = null;
+    try {
+      const res = await fetch(v.url);
+      if (res.ok) blob = await res.blob();
+    } catch (e) {}
+    const meta = blob ? await readAudioMeta(blob) : { duration: null, sampleRate: null };
+    await putClip({
+      id: v.id,
+      name: v.name,
+      size: v.size,
+      mimeType: blob?.type || null,
+      duration: meta.duration,
+      sampleRate: meta.sampleRate,
+      createdAt: v.createdAt || Date.now(),
+      blob,
+      missing: !blob,
+    });
+  }
+  localStorage.removeItem(LEGACY_UPLOADS_KEY);
+  return legacy.length;
+}
@@ -0,0 +1,122 @@
+/**
+ * consent.js
+ * Consent and provenance for voice clips. Every clip saved from now on carries a consent
+ * record — whose voice it is, who gave permission and when, what it may be used for and an
+ * optional signed note — plus a SHA-256 fingerprint of its audio taken when it was saved,
+ * so it can later be shown that the clip hasn't been altered.
+ *
+ * Features check consentAllows() before using a clip and refuse it otherwise; what each
+ * clip was used for (or refused for) is kept in an audit log.
+ *
+ * Clip fields (stored with the clip's metadata, see clipStore.js):
+ *   consent: { speaker, grantedBy, grantedOn ("YYYY-MM-DD"), uses: [use id], note, signature, recordedAt (ms) }
+ *   contentHash: hex SHA-256 of the audio bytes; hashedAt (ms) when taken later than the save
+ * Audit entry: { id, clipId, profileId, action, use?, detail?, time (ms) }
+ *
+ * Playing a clip inside a Dream Space scene is playback; exporting the scene as a file that
+ * can be passed on is sharing, and needs its own "export" use on top of playback.
+ *
+ * Clips saved before this existed have no consent record and are refused for everything
+ * until one is added; the clips view lists them above the clips so none are missed.
+ */
+
+export const CLIP_AUDIT_KEY = "ecosoul_clip_audit";
+// oldest entries are dropped beyond this
+export const MAX_AUDIT_ENTRIES = 2000;
+
+export const CONSENT_USES = [
+  { id: "playback", label: "Playback", hint: "play it here and in Dream Space scenes" },
+  { id: "export", label: "Sharing", hint: "include it in Dream Space scenes exported as a file" },
+  { id: "chat", label: "Chat reference", hint: "let replies and stories draw on its notes" },
+  { id: "voiceModel", label: "Voice modelling", hint: "send it to train a voice model" },
+];
+
+export const AUDIT_ACTIONS = {
+  consent: "Consent recorded",
+  "consent-changed": "Consent changed",
+  played: "Played",
+  chat: "Referenced in a chat reply",
+  "voice-model": "Sent for voice modelling",
+  "dream-play": "Played in a Dream Space scene",
+  "dream-export": "Included in an exported scene",
+  refused: "Refused",
+  verified: "Fingerprint checked: unchanged",
+  fingerprinted: "Fingerprint taken",
+  changed: "Fingerprint checked: audio has changed",
+  deleted: "Deleted",
+};
+
+const USE_LABELS = Object.fromEntries(CONSENT_USES.map((u) => [u.id, u.label.toLowerCase()]));
+
+function today() {
+  const d = new Date();
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+export function createConsent(fields = {}) {
+  return { speaker: "", grantedBy: "", grantedOn: today(), uses: ["playback"], note: "", signature: "", ...fields };
+}
+
+/**
+ * What's missing before a consent record can be saved, as readable notes (empty when complete).
+ */
+export function consentGaps(consent) {
+  const gaps = [];
+  if (!consent?.speaker?.trim()) gaps.push("whose voice it is");
+  if (!consent?.grantedBy?.trim()) gaps.push("who gave permission");
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(consent?.grantedOn || "")) gaps.push("the date permission was given");
+  if (!consent?.uses?.some((u) => USE_LABELS[u])) gaps.push("at least one allowed use");
+  return gaps;
+}
+
+// the record as stored: trimmed, known uses only, stamped
+export function finalizeConsent(consent, { now = Date.now() } = {}) {
+  return {
+    speaker: consent.speaker.trim(),
+    grantedBy: consent.grantedBy.trim(),
+    grantedOn: consent.grantedOn,
+    uses: CONSENT_USES.map((u) => u.id).filter((id) => consent.uses.includes(id)),
+    note: (consent.note || "").trim(),
+    signature: (consent.signature || "").trim(),
+    recordedAt: now,
+  };
+}
+
+export function consentAllows(clip, use) {
+  return Boolean(clip?.consent?.uses?.includes(use));
+}
+
+// why a clip can't be used for `use`, or null when it can
+export function refusalReason(clip, use) {
+  if (!clip?.consent) return "it has no consent record";
+  if (!consentAllows(clip, use)) return `its consent doesn't cover ${USE_LABELS[use] || use}`;
+  return null;
+}
+
+export function describeUses(uses = []) {
+  return uses.map((u) => USE_LABELS[u]).filter(Boolean).join(", ") || "nothing";
+}
+
+/**
+ * Hex SHA-256 of a Blob, ArrayBuffer or typed array (Web Crypto).
+ */
+export async function sha256Hex(data) {
+  const buffer = data instanceof Blob ? await data.arrayBuffer() : data;
+  const digest = await crypto.subtle.digest("SHA-256", buffer);
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Add audit entries (newest last), keeping at most `limit`. Each entry needs at least
+ * { clipId, action }; ids and times are filled in.
+ */
+export function appendAudit(log, entries, { now = Date.now(), limit = MAX_AUDIT_ENTRIES } = {}) {
+  const stamped = entries.map((e, i) => ({ id: `audit_${now.toString(36)}${i}${Math.random().toString(36).slice(2, 6)}`, time: now, ...e }));
+  const next = [...log, ...stamped];
+  return next.length > limit ? next.slice(next.length - limit) : next;
+}
+
+// entries for one clip (or all when clipId is null), newest first
+export function auditFor(log, clipId = null) {
+  return log.filter((e) => !clipId || e.clipId === clipId).sort((a, b) => b.time - a.time);
+}
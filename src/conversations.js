@@ -0,0 +1,91 @@
+/**
+ * conversations.js
+ * Pure helpers for Memory Chat conversations. Each conversation is
+ *   { id, profileId, title, titleEdited, createdAt, updatedAt, archived, messages: [...] }
+ * and the whole list is persisted under CONVERSATIONS_KEY (see storage.js). Messages are
+ *   { id, from: "you" | "soul" | "care", text, time, pending?, basedOn?, level? }
+ * where "care" is Ecosoul itself stepping in with support (safety.js), never the loved one.
+ *
+ * Updates always address a conversation by id, so an in-flight reply lands in the
+ * conversation it was asked in even if the user has switched away meanwhile. A reply still
+ * pending when the app went away (a reload, the vault locking) is settled on the next load.
+ */
+
+export const CONVERSATIONS_KEY = "ecosoul_conversations";
+export const ACTIVE_CONVERSATION_KEY = "ecosoul_active_conversation";
+
+export const GREETING = "I can't wait to hear about your day — tell me something good.";
+// shown in place of a reply that failed or never finished
+export const FAILED_REPLY = "I couldn't find the words just now. Try again in a moment?";
+const DEFAULT_TITLE = "New conversation";
+
+export function createConversation(id, { profileId = null, now = Date.now() } = {}) {
+  return {
+    id,
+    profileId,
+    title: DEFAULT_TITLE,
+    titleEdited: false,
+    createdAt: now,
+    updatedAt: now,
+    archived: false,
+    messages: [{ id: `${id}_greeting`, from: "soul", text: GREETING, time: now }],
+  };
+}
+
+function autoTitle(text) {
+  const t = text.replace(/\s+/g, " ").trim();
+  return t.length > 40 ? t.slice(0, 39) + "…" : t;
+}
+
+export function patchConversation(conversations, id, patch) {
+  return conversations.map((c) => (c.id === id ? { ...c, ...patch } : c));
+}
+
+export function appendMessage(conversations, conversationId, message) {
+  return conversations.map((c) => {
+    if (c.id !== conversationId) return c;
+    // first thing the user says becomes the title, unless they've named it themselves
+    const title = !c.titleEdited && c.title === DEFAULT_TITLE && message.from === "you" ? autoTitle(message.text) : c.title;
+    return { ...c, title, updatedAt: message.time || Date.now(), messages: [...c.messages, message] };
+  });
+}
+
+export function updateMessage(conversations, conversationId, messageId, patch) {
+  return conversations.map((c) =>
+    c.id !== conversationId ? c : { ...c, messages: c.messages.map((m) => (m.id === messageId ? { ...m, ...patch } : m)) }
+  );
+}
+
+// replies left pending by a session that ended mid-reply keep what arrived, or say they failed
+export function settlePending(conversations) {
+  return conversations.map((c) =>
+    c.messages.some((m) => m.pending)
+      ? { ...c, messages: c.messages.map((m) => (m.pending ? { ...m, text: m.text || FAILED_REPLY, pending: false } : m)) }
+      : c
+  );
+}
+
+export function renameConversation(conversations, id, title) {
+  return patchConversation(conversations, id, { title: title.trim() || DEFAULT_TITLE, titleEdited: !!title.trim() });
+}
+
+export function setArchived(conversations, id, archived) {
+  return patchConversation(conversations, id, { archived });
+}
+
+/**
+ * Filter by archived state and a free-text query over titles and message text.
+ * Most recently active first.
+ */
+export function searchConversations(conversations, query, { archived = false } = {}) {
+  const q = query.trim().toLowerCase();
+  return conversations
+    .filter((c) => !!c.archived === archived)
+    .filter(
+      (c) =>
+        !q ||
+        c.title.toLowerCase().includes(q) ||
+        c.messages.some((m) => m.text.toLowerCase().includes(q))
+    )
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+}
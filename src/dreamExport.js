@@ -0,0 +1,252 @@
+/**
+ * dreamExport.js
+ * Export a Dream Space scene as one self-contained HTML file: the photos and audio are
+ * inlined as data: URLs and a small player script plays the precomputed timeline, so the
+ * file opens in any browser, offline, without Ecosoul.
+ *
+ * The embedded player mirrors frameAt() / volumeAt() from dreamSpace.js; the timeline and
+ * ducking keyframes are computed here and shipped as data so the two can't drift on timing.
+ */
+
+import { TRANSITION_MS, duckingKeyframes, sceneMediaIds, sceneTimeline } from "./dreamSpace.js";
+
+export function bytesToBase64(bytes) {
+  let binary = "";
+  // chunked so large files don't overflow the argument list
+  for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  return btoa(binary);
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
+
+// JSON that can sit inside a <script> element
+function scriptJson(value) {
+  return JSON.stringify(value).replace(/</g, "\\u003c").replace(/\u2028/g, "\\u2028").replace(/\u2029/g, "\\u2029");
+}
+
+const PLAYER_CSS = `
+html,body{margin:0;height:100%;background:#000;color:#f1f5f9;font-family:system-ui,sans-serif;overflow:hidden}
+#stage{position:fixed;inset:0;overflow:hidden}
+.layer{position:absolute;inset:0;background:#0f172a center/cover no-repeat;will-change:transform,opacity}
+#caption{position:fixed;left:0;right:0;bottom:72px;text-align:center;padding:0 8%;text-shadow:0 2px 8px #000;font-size:clamp(16px,2.6vw,28px)}
+#caption q{display:block;font-style:italic}
+#caption small{display:block;margin-top:.4em;font-size:.6em;opacity:.8}
+#bar{position:fixed;left:0;right:0;bottom:0;display:flex;gap:8px;align-items:center;padding:12px 16px;background:linear-gradient(transparent,#000c)}
+#bar button{background:#334155;color:inherit;border:0;border-radius:6px;padding:8px 12px;font-size:15px;cursor:pointer}
+#progress{flex:1;height:4px;background:#475569;border-radius:2px}
+#progress div{height:100%;width:0;background:#ec4899;border-radius:2px}
+#start{position:fixed;inset:0;display:flex;flex-direction:column;align-items:center;justify-content:center;gap:16px;background:#000b;z-index:2}
+#start button{background:#ec4899;color:#fff;border:0;border-radius:8px;padding:12px 24px;font-size:18px;cursor:pointer}
+`;
+
+// plain ES5 so the file keeps working in old browsers; see frameAt() in dreamSpace.js
+const PLAYER_JS = `
+(function () {
+  var data = JSON.parse(document.getElementById("scene-data").textContent);
+  var stage = document.getElementById("stage");
+  var caption = document.getElementById("caption");
+  var fill = document.querySelector("#progress div");
+  var playBtn = document.getElementById("play");
+  var still = window.matchMedia && matchMedia("(prefers-reduced-motion: reduce)").matches;
+  var layers = data.slides.map(function (s) {
+    var el = document.createElement("div");
+    el.className = "layer";
+    if (s.photo) el.style.backgroundImage = "url(" + data.media[s.photo] + ")";
+    el.style.opacity = 0;
+    stage.appendChild(el);
+    return el;
+  });
+  var bg = data.background ? new Audio(data.media[data.background]) : null;
+  if (bg) bg.loop = true;
+  var voice = new Audio();
+  var voiceFor = -1;
+  var t = 0, startedAt = 0, playing = false, shownCaption = -1;
+
+  function lerp(a, b, p) { return a + (b - a) * p; }
+  function volumeAt(t) {
+    var f = data.keyframes;
+    if (t <= f[0].t) return f[0].volume;
+    for (var i = 1; i < f.length; i++) {
+      if (t <= f[i].t) return f[i].t === f[i - 1].t ? f[i].volume : lerp(f[i - 1].volume, f[i].volume, (t - f[i - 1].t) / (f[i].t - f[i - 1].t));
+    }
+    return f[f.length - 1].volume;
+  }
+  function indexAt(t) {
+    for (var i = 0; i < data.slides.length; i++) if (t < data.slides[i].end) return i;
+    return data.slides.length - 1;
+  }
+  function place(i, progress, opacity, dx, zoom) {
+    var m = data.slides[i].motion, p = still ? 0 : progress;
+    var x = lerp(m.from.x, m.to.x, p) + dx, y = lerp(m.from.y, m.to.y, p), sc = lerp(m.from.scale, m.to.scale, p) * zoom;
+    layers[i].style.transform = "translate(" + x + "%, " + y + "%) scale(" + sc + ")";
+    layers[i].style.opacity = opacity;
+    layers[i].style.zIndex = 1;
+  }
+  function render() {
+    var i = indexAt(t), s = data.slides[i], length = s.end - s.start;
+    var into = Math.max(0, Math.min(length, t - s.start));
+    var tMs = i === 0 || s.transition === "cut" ? 0 : Math.min(data.transitionMs, length / 2);
+    var e = tMs ? Math.min(1, into / tMs) : 1;
+    layers.forEach(function (el, j) { if (j !== i && j !== i - 1) el.style.opacity = 0; });
+    if (e < 1) {
+      place(i - 1, 1, 1, 0, 1);
+      layers[i - 1].style.zIndex = 0;
+      if (s.transition === "slide") place(i, into / length, 1, (1 - e) * 100, 1);
+      else if (s.transition === "zoom") place(i, into / length, e, 0, lerp(1.35, 1, e));
+      else place(i, into / length, e, 0, 1);
+    } else {
+      if (i > 0) layers[i - 1].style.opacity = 0;
+      place(i, into / length, 1, 0, 1);
+    }
+    if (shownCaption !== i) {
+      shownCaption = i;
+      caption.innerHTML = "";
+      if (s.quote) {
+        var q = document.createElement("q");
+        q.textContent = s.quote.text;
+        caption.appendChild(q);
+        var who = document.createElement("small");
+        who.textContent = "— " + s.quote.from;
+        caption.appendChild(who);
+      }
+      if (s.caption) {
+        var c = document.createElement("div");
+        c.textContent = s.caption;
+        caption.appendChild(c);
+      }
+    }
+    fill.style.width = (100 * t / data.total) + "%";
+    if (bg) bg.volume = volumeAt(t);
+    var v = s.voice;
+    if (playing && v && t >= v.start && t < v.end) {
+      if (voiceFor !== i) {
+        voiceFor = i;
+        voice.src = data.media[v.clip];
+        voice.currentTime = (t - v.start) / 1000;
+        voice.play().catch(function () {});
+      }
+    } else if (voiceFor !== -1 && (!v || voiceFor !== i)) {
+      voice.pause();
+      voiceFor = -1;
+    }
+  }
+  function tick(now) {
+    if (!playing) return;
+    t = now - startedAt;
+    if (t >= data.total) {
+      t = data.total;
+      pause();
+    }
+    render();
+    if (playing) requestAnimationFrame(tick);
+  }
+  function play() {
+    if (t >= data.total) t = 0;
+    playing = true;
+    startedAt = performance.now() - t;
+    if (bg) bg.play().catch(function () {});
+    if (voiceFor !== -1) voice.play().catch(function () {});
+    playBtn.textContent = "Pause";
+    requestAnimationFrame(tick);
+  }
+  function pause() {
+    playing = false;
+    if (bg) bg.pause();
+    voice.pause();
+    playBtn.textContent = "Play";
+  }
+  function seek(i) {
+    i = Math.max(0, Math.min(data.slides.length - 1, i));
+    t = data.slides[i].start;
+    startedAt = performance.now() - t;
+    voice.pause();
+    voiceFor = -1;
+    render();
+  }
+  playBtn.onclick = function () { playing ? pause() : play(); };
+  document.getElementById("prev").onclick = function () { seek(indexAt(t) - 1); };
+  document.getElementById("next").onclick = function () { seek(indexAt(t) + 1); };
+  document.getElementById("begin").onclick = function () {
+    document.getElementById("start").remove();
+    if (document.documentElement.requestFullscreen) document.documentElement.requestFullscreen().catch(function () {});
+    play();
+  };
+  document.addEventListener("keydown", function (e) {
+    if (e.key === " ") { e.preventDefault(); playing ? pause() : play(); }
+    else if (e.key === "ArrowRight") seek(indexAt(t) + 1);
+    else if (e.key === "ArrowLeft") seek(indexAt(t) - 1);
+  });
+  render();
+})();
+`;
+
+/**
+ * Build the HTML document for a scene. `media` maps id -> { id, duration, dataUrl }.
+ */
+export function buildSceneHtml(scene, media, { recipient = "", generatedAt = Date.now() } = {}) {
+  // the timeline needs a truthy url to count a clip as playable
+  const playable = Object.fromEntries(Object.entries(media).map(([id, m]) => [id, { ...m, url: m.dataUrl }]));
+  const timeline = sceneTimeline(scene, playable);
+  const background = scene.background.clipId && media[scene.background.clipId] ? scene.background.clipId : null;
+  const data = {
+    title: scene.title,
+    total: timeline.total,
+    transitionMs: TRANSITION_MS,
+    background,
+    keyframes: duckingKeyframes(timeline, scene.background),
+    slides: timeline.slides.map(({ slide, start, end, voice }) => ({
+      start,
+      end,
+      photo: slide.photoId && media[slide.photoId] ? slide.photoId : null,
+      caption: slide.caption,
+      quote: slide.quote ? { text: slide.quote.text, from: slide.quote.from } : null,
+      transition: slide.transition,
+      motion: slide.motion,
+      voice: voice ? { clip: voice.clipId, start: voice.start, end: voice.end } : null,
+    })),
+    media: Object.fromEntries(Object.entries(media).map(([id, m]) => [id, m.dataUrl])),
+  };
+  const title = scene.title || "A Dream Space scene";
+  const made = new Date(generatedAt).toLocaleDateString();
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${PLAYER_CSS}</style>
+</head>
+<body>
+<div id="stage" aria-hidden="true"></div>
+<div id="caption" aria-live="polite"></div>
+<div id="bar"><button id="prev" aria-label="Previous slide">⏮</button><button id="play">Play</button><button id="next" aria-label="Next slide">⏭</button><div id="progress"><div></div></div></div>
+<div id="start"><h1>${escapeHtml(title)}</h1><p>${recipient ? `Remembering ${escapeHtml(recipient)} · ` : ""}made with Ecosoul on ${escapeHtml(made)}</p><button id="begin">▶ Play</button></div>
+<script type="application/json" id="scene-data">${scriptJson(data)}</script>
+<script>${PLAYER_JS}</script>
+</body>
+</html>
+`;
+}
+
+function slug(text) {
+  return String(text || "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 60) || "scene";
+}
+
+/**
+ * Read every photo and clip the scene uses (from their object URLs) and build the bundle.
+ * `items` maps id -> clip/photo list item. Returns { blob, filename }.
+ */
+export async function exportSceneHtml(scene, items, { recipient } = {}) {
+  const media = {};
+  for (const id of sceneMediaIds(scene)) {
+    const item = items[id];
+    if (!item?.url) continue;
+    const blob = await (await fetch(item.url)).blob();
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    media[id] = { id, duration: item.duration, dataUrl: `data:${blob.type || item.mimeType || "application/octet-stream"};base64,${bytesToBase64(bytes)}` };
+  }
+  const html = buildSceneHtml(scene, media, { recipient });
+  return { blob: new Blob([html], { type: "text/html" }), filename: `${slug(scene.title)}.html` };
+}
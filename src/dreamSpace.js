@@ -0,0 +1,273 @@
+/**
+ * dreamSpace.js
+ * Dream Space scenes: a sequence of slides built from the user's photos, voice clips and
+ * quotes from their letters or chats, played as a full-screen slideshow with slow Ken Burns
+ * motion, captions, and a background track that dips ("ducks") while a voice clip speaks.
+ *
+ * Photos are kept in the clip store next to the voice clips (records with kind: "photo"),
+ * so they are scoped to a profile, sealed by the vault and carried by archives like clips.
+ * Everything here is pure; DreamPlayer.jsx and the exported HTML bundle (dreamExport.js)
+ * both play from sceneTimeline() and duckingKeyframes().
+ *
+ * Scene shape (SCENES_KEY):
+ *   { id, profileId, title, slides: [slide], background: { clipId, volume, duckTo }, createdAt, updatedAt }
+ *   slide: { id, photoId, clipId, caption, quote: { kind: "letter" | "chat", sourceId, text, from } | null,
+ *            durationMs, transition, motion: { from: { x, y, scale }, to: { x, y, scale } } }
+ */
+
+import { createRng } from "./replyEngine.js";
+
+export const SCENES_KEY = "ecosoul_scenes";
+
+export const TRANSITIONS = [
+  { id: "fade", label: "Cross-fade" },
+  { id: "slide", label: "Slide in" },
+  { id: "zoom", label: "Zoom in" },
+  { id: "cut", label: "Cut" },
+];
+
+export const TRANSITION_MS = 1200;
+export const DEFAULT_SLIDE_MS = 6000;
+export const MIN_SLIDE_MS = 2000;
+export const MAX_SLIDE_MS = 60000;
+// a voice starts a moment after its slide appears and the slide lingers after it ends
+const VOICE_LEAD_MS = 600;
+const VOICE_TAIL_MS = 900;
+const DUCK_RAMP_MS = 400;
+const MIN_QUOTE_WORDS = 4;
+
+export function isPhoto(item) {
+  return item?.kind === "photo";
+}
+
+export function isVoiceClip(item) {
+  return !!item && item.kind !== "photo";
+}
+
+function hashString(text) {
+  let h = 2166136261;
+  for (let i = 0; i < text.length; i++) h = Math.imul(h ^ text.charCodeAt(i), 16777619);
+  return h >>> 0;
+}
+
+/**
+ * A gentle pan-and-zoom for one slide, derived from `seed` so a slide keeps its motion.
+ * x / y are percentages of the frame; scale never drops below 1 so edges stay covered.
+ */
+export function kenBurnsMotion(seed) {
+  const random = createRng(hashString(String(seed)));
+  const wide = { x: 0, y: 0, scale: 1.02 };
+  const close = { x: (random() - 0.5) * 8, y: (random() - 0.5) * 6, scale: 1.12 + random() * 0.08 };
+  return random() < 0.5 ? { from: wide, to: close } : { from: close, to: wide };
+}
+
+export function createSlide(id, fields = {}) {
+  return {
+    id,
+    photoId: null,
+    clipId: null,
+    caption: "",
+    quote: null,
+    durationMs: DEFAULT_SLIDE_MS,
+    transition: "fade",
+    motion: kenBurnsMotion(id),
+    ...fields,
+  };
+}
+
+export function createScene(id, { profileId, title = "", now = Date.now() } = {}) {
+  return { id, profileId, title, slides: [], background: { clipId: null, volume: 0.6, duckTo: 0.15 }, createdAt: now, updatedAt: now };
+}
+
+export function clampDuration(ms) {
+  return Math.min(MAX_SLIDE_MS, Math.max(MIN_SLIDE_MS, Math.round(Number(ms) || DEFAULT_SLIDE_MS)));
+}
+
+export function moveSlide(slides, index, delta) {
+  const to = index + delta;
+  if (to < 0 || to >= slides.length) return slides;
+  const next = [...slides];
+  const [slide] = next.splice(index, 1);
+  next.splice(to, 0, slide);
+  return next;
+}
+
+/**
+ * Lay the slides out in time. A slide with a voice clip lasts at least as long as the clip
+ * (when its duration is known). `media` maps id -> clip/photo item.
+ * Returns { slides: [{ slide, start, end, voice: { clipId, start, end } | null }], total } in ms.
+ */
+export function sceneTimeline(scene, media) {
+  const slides = [];
+  let t = 0;
+  for (const slide of scene.slides) {
+    // clips whose audio went missing play nothing
+    const clip = slide.clipId && media[slide.clipId]?.url ? media[slide.clipId] : null;
+    const voiceMs = clip?.duration ? clip.duration * 1000 : 0;
+    const length = Math.max(clampDuration(slide.durationMs), voiceMs ? VOICE_LEAD_MS + voiceMs + VOICE_TAIL_MS : 0);
+    const voice = clip ? { clipId: clip.id, start: t + VOICE_LEAD_MS, end: voiceMs ? t + VOICE_LEAD_MS + voiceMs : t + length } : null;
+    slides.push({ slide, start: t, end: t + length, voice });
+    t += length;
+  }
+  return { slides, total: t };
+}
+
+/**
+ * Which slide is showing at `t`: { index, progress (0..1 through the slide), entering (0..1
+ * through its transition; 1 once it's fully in) }, or null for an empty scene.
+ */
+export function slideAt(timeline, t) {
+  const { slides } = timeline;
+  if (!slides.length) return null;
+  let index = slides.findIndex((s) => t < s.end);
+  if (index < 0) index = slides.length - 1;
+  const s = slides[index];
+  const length = s.end - s.start;
+  const into = Math.max(0, Math.min(length, t - s.start));
+  const transitionMs = index === 0 || s.slide.transition === "cut" ? 0 : Math.min(TRANSITION_MS, length / 2);
+  return { index, progress: length ? into / length : 1, entering: transitionMs ? Math.min(1, into / transitionMs) : 1 };
+}
+
+function lerp(a, b, p) {
+  return a + (b - a) * p;
+}
+
+/**
+ * The visible layers at `t`, bottom first: [{ index, opacity, transform }]. During a
+ * transition the previous slide stays underneath while the next one comes in.
+ * `still` turns off the Ken Burns motion (prefers-reduced-motion).
+ */
+export function frameAt(timeline, t, { still = false } = {}) {
+  const at = slideAt(timeline, t);
+  if (!at) return [];
+  const layer = (index, progress) => {
+    const { motion } = timeline.slides[index].slide;
+    const p = still ? 0 : progress;
+    return { index, opacity: 1, x: lerp(motion.from.x, motion.to.x, p), y: lerp(motion.from.y, motion.to.y, p), scale: lerp(motion.from.scale, motion.to.scale, p) };
+  };
+  const current = layer(at.index, at.progress);
+  if (at.entering >= 1) return [toCss(current)];
+
+  const previous = layer(at.index - 1, 1);
+  const e = at.entering;
+  const { transition } = timeline.slides[at.index].slide;
+  if (transition === "slide") current.x += (1 - e) * 100;
+  else if (transition === "zoom") {
+    current.scale *= lerp(1.35, 1, e);
+    current.opacity = e;
+  } else current.opacity = e;
+  return [toCss(previous), toCss(current)];
+}
+
+function toCss({ index, opacity, x, y, scale }) {
+  return { index, opacity, transform: `translate(${x.toFixed(3)}%, ${y.toFixed(3)}%) scale(${scale.toFixed(4)})` };
+}
+
+/**
+ * Background volume over time as [{ t, volume }] keyframes (linear in between): `volume`
+ * normally, ramping down to `duckTo` around every voice clip. Overlapping or nearly
+ * touching voices are treated as one so the music doesn't bob up between them.
+ */
+export function duckingKeyframes(timeline, { volume = 0.6, duckTo = 0.15, rampMs = DUCK_RAMP_MS } = {}) {
+  const windows = [];
+  for (const { voice } of timeline.slides) {
+    if (!voice) continue;
+    const last = windows[windows.length - 1];
+    if (last && voice.start - last.end <= rampMs * 2) last.end = Math.max(last.end, voice.end);
+    else windows.push({ start: voice.start, end: voice.end });
+  }
+  const frames = [{ t: 0, volume }];
+  for (const w of windows) {
+    frames.push({ t: Math.max(0, w.start - rampMs), volume }, { t: w.start, volume: duckTo }, { t: w.end, volume: duckTo }, { t: w.end + rampMs, volume });
+  }
+  frames.push({ t: Math.max(timeline.total, frames[frames.length - 1].t), volume });
+  return frames;
+}
+
+export function volumeAt(frames, t) {
+  if (!frames.length) return 1;
+  if (t <= frames[0].t) return frames[0].volume;
+  for (let i = 1; i < frames.length; i++) {
+    const a = frames[i - 1];
+    const b = frames[i];
+    if (t <= b.t) return b.t === a.t ? b.volume : lerp(a.volume, b.volume, (t - a.t) / (b.t - a.t));
+  }
+  return frames[frames.length - 1].volume;
+}
+
+function sentences(text) {
+  return String(text || "")
+    .split(/(?<=[.!?…])\s+|\n+/)
+    .map((s) => s.trim())
+    .filter((s) => s.split(/\s+/).length >= MIN_QUOTE_WORDS);
+}
+
+/**
+ * Lines a scene can quote: sentences from letters and messages from chats.
+ * [{ key, kind: "letter" | "chat", sourceId, text, from, label }]
+ */
+export function quoteCandidates({ journalEntries = [], conversations = [], recipient = "" } = {}) {
+  const out = [];
+  const seen = new Set();
+  const add = (item) => {
+    if (seen.has(item.text)) return;
+    seen.add(item.text);
+    out.push({ key: `${item.kind}:${item.sourceId}:${out.length}`, ...item });
+  };
+  for (const entry of journalEntries) {
+    for (const text of sentences(entry.body)) add({ kind: "letter", sourceId: entry.id, text, from: "You", label: entry.title || "Letter" });
+  }
+  for (const c of conversations) {
+    for (const m of c.messages || []) {
+      if (m.pending || m.from === "care" || m.text.split(/\s+/).length < MIN_QUOTE_WORDS) continue;
+      add({ kind: "chat", sourceId: c.id, text: m.text.trim(), from: m.from === "you" ? "You" : recipient || "Them", label: c.title || "Chat" });
+    }
+  }
+  return out;
+}
+
+/**
+ * Photos and clips a scene points at that no longer exist or may not be played, as readable
+ * notes. `refused` maps the id of a clip left out of `media` for lack of consent to the reason.
+ */
+export function sceneProblems(scene, media, refused = {}) {
+  const problems = [];
+  scene.slides.forEach((s, i) => {
+    if (s.photoId && !media[s.photoId]) problems.push(`Slide ${i + 1}: its photo was deleted.`);
+    if (s.clipId && refused[s.clipId]) problems.push(`Slide ${i + 1}: its voice clip is left out — ${refused[s.clipId]}.`);
+    else if (s.clipId && !media[s.clipId]) problems.push(`Slide ${i + 1}: its voice clip was deleted.`);
+    else if (s.clipId && !media[s.clipId].url) problems.push(`Slide ${i + 1}: its voice clip has no audio.`);
+  });
+  const background = scene.background.clipId;
+  if (background && refused[background]) problems.push(`The background audio is left out — ${refused[background]}.`);
+  else if (background && !media[background]) problems.push("The background audio was deleted.");
+  return problems;
+}
+
+/**
+ * Drop references to a deleted photo or clip from every scene.
+ */
+export function detachMedia(scenes, mediaId) {
+  return scenes.map((scene) => {
+    const uses = scene.background.clipId === mediaId || scene.slides.some((s) => s.photoId === mediaId || s.clipId === mediaId);
+    if (!uses) return scene;
+    return {
+      ...scene,
+      background: scene.background.clipId === mediaId ? { ...scene.background, clipId: null } : scene.background,
+      slides: scene.slides.map((s) => ({ ...s, photoId: s.photoId === mediaId ? null : s.photoId, clipId: s.clipId === mediaId ? null : s.clipId })),
+    };
+  });
+}
+
+/**
+ * Ids of every photo and clip a scene uses.
+ */
+export function sceneMediaIds(scene) {
+  const ids = new Set();
+  for (const s of scene.slides) {
+    if (s.photoId) ids.add(s.photoId);
+    if (s.clipId) ids.add(s.clipId);
+  }
+  if (scene.background.clipId) ids.add(scene.background.clipId);
+  return [...ids];
+}
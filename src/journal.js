@@ -0,0 +1,229 @@
+/**
+ * journal.js
+ * Pure helpers for Memory Journal letters: editing with revision history, tags, moods,
+ * clip attachments, full-text search with highlighting, and the calendar timeline.
+ *
+ * Letter shape:
+ *   { id, profileId, title, body, tags: [string], mood: string | null, clipIds: [clip id],
+ *     createdAt, updatedAt, revisions: [{ title, body, tags, mood, clipIds, savedAt }] (newest first) }
+ * Letters saved before these fields existed only have { id, profileId, title, body, createdAt };
+ * every helper treats the missing fields as empty.
+ */
+
+import { spokenName } from "./profiles.js";
+
+export const JOURNAL_KEY = "ecosoul_journal";
+
+export const MOODS = [
+  { id: "grateful", label: "Grateful", emoji: "🙏" },
+  { id: "missing", label: "Missing you", emoji: "💭" },
+  { id: "sad", label: "Sad", emoji: "😢" },
+  { id: "peaceful", label: "Peaceful", emoji: "🕊️" },
+  { id: "happy", label: "Happy", emoji: "😊" },
+  { id: "angry", label: "Angry", emoji: "😠" },
+];
+
+const MAX_REVISIONS = 50;
+const REVISED_FIELDS = ["title", "body", "tags", "mood", "clipIds"];
+
+export function createEntry(id, { profileId, title, body, tags = [], mood = null, clipIds = [], now = Date.now() }) {
+  return { id, profileId, title, body, tags, mood, clipIds, createdAt: now, updatedAt: now, revisions: [] };
+}
+
+function snapshotOf(entry) {
+  return {
+    title: entry.title,
+    body: entry.body,
+    tags: entry.tags || [],
+    mood: entry.mood || null,
+    clipIds: entry.clipIds || [],
+    savedAt: entry.updatedAt || entry.createdAt,
+  };
+}
+
+/**
+ * Apply an edit. The version being replaced is pushed onto `revisions`; saving without
+ * any change returns the entry untouched.
+ */
+export function reviseEntry(entry, patch, { now = Date.now() } = {}) {
+  const before = snapshotOf(entry);
+  const changed = REVISED_FIELDS.some((f) => f in patch && JSON.stringify(patch[f] ?? null) !== JSON.stringify(before[f] ?? null));
+  if (!changed) return entry;
+  return { ...entry, ...patch, updatedAt: now, revisions: [before, ...(entry.revisions || [])].slice(0, MAX_REVISIONS) };
+}
+
+// "Summer, #Beach , summer" -> ["summer", "beach"]
+export function parseTags(text) {
+  const seen = new Set();
+  for (const raw of String(text || "").split(",")) {
+    const tag = raw.trim().replace(/^#+/, "").replace(/\s+/g, " ").toLowerCase();
+    if (tag) seen.add(tag);
+  }
+  return [...seen];
+}
+
+// [{ tag, count }], most used first
+export function allTags(entries) {
+  const counts = new Map();
+  for (const e of entries) for (const t of e.tags || []) counts.set(t, (counts.get(t) || 0) + 1);
+  return [...counts].map(([tag, count]) => ({ tag, count })).sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+// drop a deleted clip from every letter that had it attached
+export function detachClip(entries, clipId) {
+  return entries.map((e) => (e.clipIds?.includes(clipId) ? { ...e, clipIds: e.clipIds.filter((id) => id !== clipId) } : e));
+}
+
+/**
+ * Split a search query into lowercase terms; "double quoted" text stays one phrase.
+ */
+export function searchTerms(query) {
+  const terms = [];
+  const re = /"([^"]+)"|(\S+)/g;
+  let m;
+  while ((m = re.exec(String(query || "")))) {
+    const term = (m[1] || m[2]).trim().toLowerCase();
+    if (term) terms.push(term);
+  }
+  return terms;
+}
+
+// local calendar day of a timestamp, "YYYY-MM-DD"
+export function dayKey(ts) {
+  const d = new Date(ts);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+/**
+ * Letters matching every search term (in title, body or tags) and the optional filters:
+ * tag, mood, and an inclusive from/to day range ("YYYY-MM-DD"). Newest first.
+ */
+export function filterEntries(entries, { query = "", tag = null, mood = null, from = null, to = null } = {}) {
+  const terms = searchTerms(query);
+  return entries
+    .filter((e) => {
+      if (tag && !(e.tags || []).includes(tag)) return false;
+      if (mood && e.mood !== mood) return false;
+      const day = dayKey(e.createdAt);
+      if (from && day < from) return false;
+      if (to && day > to) return false;
+      if (!terms.length) return true;
+      const haystack = `${e.title}\n${e.body}\n${(e.tags || []).join(" ")}`.toLowerCase();
+      return terms.every((t) => haystack.includes(t));
+    })
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Split text into [{ text, match }] segments so every occurrence of a term can be marked.
+ */
+export function highlight(text, terms) {
+  const s = String(text || "");
+  const lower = s.toLowerCase();
+  const ranges = [];
+  for (const t of terms) {
+    for (let i = lower.indexOf(t); t && i >= 0; i = lower.indexOf(t, i + t.length)) ranges.push([i, i + t.length]);
+  }
+  if (!ranges.length) return [{ text: s, match: false }];
+  ranges.sort((a, b) => a[0] - b[0]);
+  // merge overlapping matches ("sun" inside "sunny")
+  const merged = [ranges[0]];
+  for (const r of ranges.slice(1)) {
+    const last = merged[merged.length - 1];
+    if (r[0] <= last[1]) last[1] = Math.max(last[1], r[1]);
+    else merged.push(r);
+  }
+  const out = [];
+  let pos = 0;
+  for (const [a, b] of merged) {
+    if (a > pos) out.push({ text: s.slice(pos, a), match: false });
+    out.push({ text: s.slice(a, b), match: true });
+    pos = b;
+  }
+  if (pos < s.length) out.push({ text: s.slice(pos), match: false });
+  return out;
+}
+
+/**
+ * A ~`length` character excerpt, centred on the first match when there is one.
+ */
+export function excerpt(text, terms, length = 160) {
+  const s = String(text || "");
+  if (s.length <= length) return s;
+  const lower = s.toLowerCase();
+  const first = Math.min(...terms.map((t) => lower.indexOf(t)).filter((i) => i >= 0));
+  if (!Number.isFinite(first) || first < length / 2) return s.slice(0, length - 1) + "…";
+  const start = Math.max(0, Math.min(first - Math.floor(length / 3), s.length - length));
+  const end = start + length;
+  return `${start > 0 ? "…" : ""}${s.slice(start, end)}${end < s.length ? "…" : ""}`;
+}
+
+/**
+ * The date a yearly anniversary of `dateStr` ("YYYY-MM-DD") falls on in `year`, as "YYYY-MM-DD".
+ * 29 February is observed on 28 February in non-leap years.
+ */
+export function anniversaryInYear(dateStr, year) {
+  const [, m, d] = dateStr.split("-").map(Number);
+  const leap = (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+  const day = m === 2 && d === 29 && !leap ? 28 : d;
+  return `${year}-${String(m).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+}
+
+/**
+ * Birthdays and remembrance anniversaries of a profile in `year`:
+ * [{ date, kind: "birthday" | "remembrance", years, label }]
+ */
+export function profileEvents(profile, year) {
+  const name = spokenName(profile) || "Them";
+  const events = [];
+  const valid = (s) => /^\d{4}-\d{2}-\d{2}$/.test(s || "");
+  if (valid(profile?.birthDate)) {
+    const years = year - Number(profile.birthDate.slice(0, 4));
+    if (years >= 0) events.push({ date: anniversaryInYear(profile.birthDate, year), kind: "birthday", years, label: `${name}'s birthday` });
+  }
+  if (valid(profile?.passedDate)) {
+    const years = year - Number(profile.passedDate.slice(0, 4));
+    if (years > 0) events.push({ date: anniversaryInYear(profile.passedDate, year), kind: "remembrance", years, label: `${years} year${years === 1 ? "" : "s"} since ${name} passed` });
+  }
+  return events;
+}
+
+/**
+ * Weeks (Sunday first) covering a month, each day as { key: "YYYY-MM-DD", day, inMonth }.
+ * `month` is 0-based like Date.
+ */
+export function monthGrid(year, month) {
+  const first = new Date(year, month, 1);
+  const start = new Date(year, month, 1 - first.getDay());
+  const weeks = [];
+  for (let d = new Date(start); weeks.length < 6; ) {
+    const week = [];
+    for (let i = 0; i < 7; i++) {
+      week.push({ key: dayKey(d), day: d.getDate(), inMonth: d.getMonth() === month });
+      d.setDate(d.getDate() + 1);
+    }
+    weeks.push(week);
+    if (d.getMonth() !== month) break;
+  }
+  return weeks;
+}
+
+/**
+ * Letters and profile events of one month, keyed by day: Map<"YYYY-MM-DD", { letters, events }>.
+ */
+export function timelineForMonth(entries, profile, year, month) {
+  const prefix = `${year}-${String(month + 1).padStart(2, "0")}-`;
+  const days = new Map();
+  const slot = (key) => {
+    if (!days.has(key)) days.set(key, { letters: [], events: [] });
+    return days.get(key);
+  };
+  for (const e of entries) {
+    const key = dayKey(e.createdAt);
+    if (key.startsWith(prefix)) slot(key).letters.push(e);
+  }
+  for (const ev of profileEvents(profile, year)) {
+    if (ev.date.startsWith(prefix)) slot(ev.date).events.push(ev);
+  }
+  return days;
+}
@@ -1,9 +1,14 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import EcosoulLanding from './EcosoulLanding.jsx'
+import VaultGate from './VaultGate.jsx'
+import UpdatePrompt from './UpdatePrompt.jsx'
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <EcosoulLanding />
+    <VaultGate>
+      <EcosoulLanding />
+    </VaultGate>
+    <UpdatePrompt />
   </React.StrictMode>
 )
\ No newline at end of file
@@ -0,0 +1,154 @@
+/**
+ * narration.js
+ * Read a story aloud paragraph by paragraph through the speech queue (speech.js), reporting
+ * the word being spoken (from SpeechSynthesisUtterance "boundary" events) so the UI can
+ * highlight it.
+ *
+ * Pause doesn't rely on speechSynthesis.pause(), which is ignored or loses the queue on
+ * several platforms: it cancels the paragraph's job and remembers the current word, and
+ * resume speaks the rest of the paragraph from that word, shifting boundary offsets back
+ * onto the full text. Every job carries a run token so late events are ignored.
+ */
+
+import { PRIORITY, speechQueue } from "./speech.js";
+
+/**
+ * Words of `text` with their character offsets: [{ start, end, text }].
+ */
+export function wordSpans(text) {
+  const spans = [];
+  const re = /\S+/g;
+  let m;
+  while ((m = re.exec(text))) spans.push({ start: m.index, end: m.index + m[0].length, text: m[0] });
+  return spans;
+}
+
+/**
+ * Index into `spans` of the word containing (or last starting before) `charIndex`, or -1.
+ */
+export function wordIndexAt(spans, charIndex) {
+  let lo = 0;
+  let hi = spans.length - 1;
+  let found = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (spans[mid].start <= charIndex) {
+      found = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return found;
+}
+
+/**
+ * Create a narrator. `voice` is { voiceURI, rate, pitch, volume } (see resolveVoiceSettings).
+ * Callbacks:
+ *   onWord({ paragraph, start, end })   a word started (offsets into that paragraph)
+ *   onParagraph(index)                  a paragraph started
+ *   onState("playing" | "paused" | "idle")
+ *   onEnd()                             the last paragraph finished
+ * `queue` defaults to the app-wide speech queue and is injectable for tests.
+ */
+export function createNarrator({ queue = speechQueue(), voice = {}, onWord, onParagraph, onState, onEnd } = {}) {
+  let paragraphs = [];
+  let index = 0;
+  let offset = 0; // where in the current paragraph the live job started
+  let lastWordStart = 0;
+  let state = "idle";
+  let run = 0;
+  let job = null;
+
+  function setState(next) {
+    if (state === next) return;
+    state = next;
+    onState?.(next);
+  }
+
+  function speakFrom(charOffset) {
+    const token = ++run;
+    const text = paragraphs[index];
+    offset = charOffset;
+    lastWordStart = charOffset;
+    job = queue.enqueue(text.slice(charOffset), {
+      ...voice,
+      priority: PRIORITY.story,
+      onBoundary: (e) => {
+        if (token !== run || (e.name && e.name !== "word")) return;
+        const start = offset + e.charIndex;
+        // not every engine reports charLength; fall back to the end of the word
+        const length = e.charLength || (/^\S+/.exec(text.slice(start))?.[0].length ?? 0);
+        lastWordStart = start;
+        onWord?.({ paragraph: index, start, end: start + length });
+      },
+    });
+    job.done.then((result) => {
+      if (token !== run) return;
+      if (result === "muted" || result === "unsupported") {
+        run++;
+        setState("idle");
+      } else {
+        // spoken, or skipped past an error
+        next();
+      }
+    });
+  }
+
+  function startParagraph(i) {
+    index = i;
+    onParagraph?.(i);
+    speakFrom(0);
+  }
+
+  function next() {
+    if (index + 1 < paragraphs.length) {
+      startParagraph(index + 1);
+    } else {
+      run++;
+      setState("idle");
+      onEnd?.();
+    }
+  }
+
+  function halt() {
+    run++;
+    job?.cancel();
+    job = null;
+  }
+
+  return {
+    supported: queue.supported,
+    play(list, from = 0) {
+      if (!queue.supported || !list.length) return;
+      halt();
+      paragraphs = list;
+      setState("playing");
+      startParagraph(Math.max(0, Math.min(from, list.length - 1)));
+    },
+    pause() {
+      if (state !== "playing") return;
+      halt();
+      setState("paused");
+    },
+    resume() {
+      if (state !== "paused") return;
+      setState("playing");
+      speakFrom(lastWordStart);
+    },
+    // jump to the next paragraph (ends the story on the last one)
+    skip() {
+      if (state === "idle") return;
+      halt();
+      setState("playing");
+      next();
+    },
+    stop() {
+      if (state === "idle") return;
+      halt();
+      setState("idle");
+    },
+    state: () => state,
+    paragraph: () => index,
+  };
+}
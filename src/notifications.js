@@ -0,0 +1,82 @@
+/**
+ * notifications.js
+ * System notifications for reminders (reminders.js). They go through the service worker
+ * when there is one, which is what mobile browsers require and lets a click on a
+ * notification bring Ecosoul back (see notificationclick in sw.js); otherwise, as in
+ * development, through a plain Notification.
+ *
+ * Ecosoul has no server, so notifications only appear while a tab or the installed app is
+ * open (or in the background); the in-app banners cover the rest.
+ */
+
+const clickListeners = new Set();
+
+if (typeof navigator !== "undefined" && "serviceWorker" in navigator) {
+  navigator.serviceWorker.addEventListener("message", (e) => {
+    if (e.data?.type === "REMINDER") clickListeners.forEach((cb) => cb(e.data.key));
+  });
+}
+
+export function notificationsSupported() {
+  return typeof window !== "undefined" && "Notification" in window;
+}
+
+// "granted" | "denied" | "default" | "unsupported"
+export function notificationPermission() {
+  return notificationsSupported() ? Notification.permission : "unsupported";
+}
+
+export async function requestNotificationPermission() {
+  if (!notificationsSupported()) return "unsupported";
+  if (Notification.permission !== "default") return Notification.permission;
+  return Notification.requestPermission();
+}
+
+/**
+ * Show a reminder ({ key, title, body }) as a system notification. Resolves false when
+ * notifications aren't allowed or couldn't be shown.
+ */
+export async function showReminderNotification(reminder) {
+  if (notificationPermission() !== "granted") return false;
+  const options = { body: reminder.body, tag: reminder.key, icon: `${import.meta.env.BASE_URL}icon-192.png`, data: { reminder: reminder.key } };
+  try {
+    const reg = "serviceWorker" in navigator ? await navigator.serviceWorker.getRegistration() : null;
+    if (reg) {
+      await reg.showNotification(reminder.title, options);
+      return true;
+    }
+    const n = new Notification(reminder.title, options);
+    n.onclick = () => {
+      window.focus();
+      n.close();
+      clickListeners.forEach((cb) => cb(reminder.key));
+    };
+    return true;
+  } catch (e) {
+    console.warn("Could not show notification", e);
+    return false;
+  }
+}
+
+/**
+ * Call `cb(reminderKey)` when the user clicks a reminder notification. Returns an
+ * unsubscribe function.
+ */
+export function onReminderClick(cb) {
+  clickListeners.add(cb);
+  return () => clickListeners.delete(cb);
+}
+
+/**
+ * The reminder a notification opened this tab for (?reminder=), removed from the address
+ * bar so a reload doesn't repeat it.
+ */
+export function takeLaunchReminder() {
+  if (typeof window === "undefined") return null;
+  const url = new URL(window.location.href);
+  const key = url.searchParams.get("reminder");
+  if (!key) return null;
+  url.searchParams.delete("reminder");
+  window.history.replaceState(window.history.state, "", url.href);
+  return key;
+}
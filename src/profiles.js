@@ -0,0 +1,103 @@
+/**
+ * profiles.js
+ * Loved-one profiles. Clips, letters, conversations and stories carry a `profileId` and
+ * the UI only shows what belongs to the active profile.
+ *
+ * Profile shape:
+ *   { id, name, relationship, photo (small data URL | null), birthDate, passedDate ("YYYY-MM-DD" | ""),
+ *     nicknames: [what they called you], styleNotes, createdAt }
+ */
+
+export const PROFILES_KEY = "ecosoul_profiles";
+export const ACTIVE_PROFILE_KEY = "ecosoul_active_profile";
+// fixed id for the automatic first profile, so data saved before profiles existed can be assigned to it
+export const DEFAULT_PROFILE_ID = "p_default";
+const DEFAULT_PROFILE_NAME = "Your loved one";
+
+const PHOTO_MAX_SIDE = 256;
+
+export function createProfile(id, fields = {}) {
+  return {
+    id,
+    name: "",
+    relationship: "",
+    photo: null,
+    birthDate: "",
+    passedDate: "",
+    nicknames: [],
+    styleNotes: "",
+    createdAt: Date.now(),
+    ...fields,
+  };
+}
+
+export function createDefaultProfile() {
+  return createProfile(DEFAULT_PROFILE_ID, { name: DEFAULT_PROFILE_NAME });
+}
+
+// the person's name for use inside generated text, or null while it's still the placeholder
+export function spokenName(profile) {
+  const name = (profile?.name || "").trim();
+  return name && name !== DEFAULT_PROFILE_NAME ? name : null;
+}
+
+export function parseNicknames(text) {
+  return String(text || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Give every item without a profileId to `profileId`. Returns the same array when
+ * nothing changed, so it's cheap to run on every load.
+ */
+export function assignMissingProfile(items, profileId) {
+  if (!items.some((i) => !i.profileId)) return items;
+  return items.map((i) => (i.profileId ? i : { ...i, profileId }));
+}
+
+export function forProfile(items, profileId) {
+  return items.filter((i) => i.profileId === profileId);
+}
+
+// phrases the person used to say, written in quotes in their style notes
+export function catchphrases(profile) {
+  const notes = profile?.styleNotes || "";
+  return [...notes.matchAll(/["“]([^"”]{2,80})["”]/g)].map((m) => m[1].trim());
+}
+
+export function initials(name) {
+  return (
+    String(name || "")
+      .split(/\s+/)
+      .filter(Boolean)
+      .slice(0, 2)
+      .map((w) => w[0].toUpperCase())
+      .join("") || "?"
+  );
+}
+
+/**
+ * Downscale an image file to a small JPEG data URL for the profile avatar.
+ */
+export function resizePhoto(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => {
+      const scale = Math.min(1, PHOTO_MAX_SIDE / Math.max(img.width, img.height));
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.round(img.width * scale);
+      canvas.height = Math.round(img.height * scale);
+      canvas.getContext("2d").drawImage(img, 0, 0, canvas.width, canvas.height);
+      URL.revokeObjectURL(url);
+      resolve(canvas.toDataURL("image/jpeg", 0.85));
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("That image couldn't be read."));
+    };
+    img.src = url;
+  });
+}
@@ -0,0 +1,75 @@
+/**
+ * providers/index.js
+ * The seam between the UI and whatever generates replies, stories and speech.
+ *
+ * A provider implements:
+ *   reply(history, memories, { signal, onToken, profile }) -> Promise<{ text, basedOn }>
+ *       history: chat messages ({ from: "you" | "soul", text }), memories: collectMemories() docs,
+ *       profile: the active loved-one profile (profiles.js) whose voice to reply in.
+ *       onToken(textSoFar) is called as text streams in (and once with the full text otherwise).
+ *   story(prompt, memories, { signal, profile, plan }) -> Promise<string>
+ *       paragraphs separated by blank lines. plan ({ structureId, answers, seed }, see
+ *       storyEngine.js) lets the local provider build the story itself; remote providers
+ *       work from `prompt`, which already carries the plan's details.
+ *   speak(text, voiceProfile, { signal }) -> Promise<void>, resolved when playback ends
+ *       voiceProfile: { voiceURI, rate, pitch, volume, priority, maxDelayMs, replaceKey }
+ *       (see speech.js); the local provider queues it with the app's other speech.
+ *
+ * The local provider is the default. Remote providers are wrapped with withFallback so a
+ * failing endpoint degrades to the local behaviour instead of breaking the chat.
+ */
+
+import { createLocalProvider } from "./localProvider.js";
+import { createOpenAIProvider } from "./openaiProvider.js";
+
+export { createLocalProvider } from "./localProvider.js";
+export { createOpenAIProvider, ProviderError } from "./openaiProvider.js";
+
+export const PROVIDER_SETTINGS_KEY = "ecosoul_provider";
+
+export const DEFAULT_PROVIDER_SETTINGS = {
+  kind: "local", // "local" | "openai"
+  baseUrl: "",
+  apiKey: "",
+  model: "",
+  ttsModel: "",
+  ttsVoice: "alloy",
+  timeoutMs: 20000,
+  retries: 2,
+  stream: true,
+};
+
+const PROVIDER_METHODS = ["reply", "story", "speak"];
+
+/**
+ * Route every call to `primary`, retrying it on `fallback` when it fails.
+ * Cancellations are passed through untouched. onFallback(method, error) lets the UI say so.
+ */
+export function withFallback(primary, fallback, { onFallback } = {}) {
+  const wrapped = { id: primary.id, label: primary.label };
+  for (const method of PROVIDER_METHODS) {
+    wrapped[method] = async (...args) => {
+      try {
+        return await primary[method](...args);
+      } catch (e) {
+        if (e.code === "ABORTED") throw e;
+        onFallback?.(method, e);
+        return fallback[method](...args);
+      }
+    };
+  }
+  return wrapped;
+}
+
+export function isRemoteConfigured(settings) {
+  return settings.kind === "openai" && !!settings.baseUrl && !!settings.model;
+}
+
+/**
+ * Build the provider described by saved settings. Incomplete remote settings use local.
+ */
+export function createProvider(settings = DEFAULT_PROVIDER_SETTINGS, { onFallback } = {}) {
+  const local = createLocalProvider();
+  if (!isRemoteConfigured(settings)) return local;
+  return withFallback(createOpenAIProvider(settings), local, { onFallback });
+}
@@ -0,0 +1,51 @@
+/**
+ * localProvider.js
+ * The built-in provider: offline memory-grounded replies (replyEngine.js), stories from
+ * the story builder (storyEngine.js) and the browser's speechSynthesis. Always available,
+ * so it's also the fallback for remote providers.
+ */
+
+import { composeReply } from "../replyEngine.js";
+import { spokenName } from "../profiles.js";
+import { buildStory } from "../storyEngine.js";
+import { speechQueue } from "../speech.js";
+
+export function lastUserText(history) {
+  for (let i = history.length - 1; i >= 0; i--) {
+    if (history[i].from === "you") return history[i].text;
+  }
+  return "";
+}
+
+export function createLocalProvider({ random = Math.random } = {}) {
+  return {
+    id: "local",
+    label: "On this device",
+
+    async reply(history, memories, { onToken, profile } = {}) {
+      const result = composeReply(lastUserText(history), memories, { random, profile });
+      onToken?.(result.text);
+      return result;
+    },
+
+    async story(prompt, memories, { profile, plan } = {}) {
+      if (plan) {
+        return buildStory(plan.structureId, plan.answers, memories, { profile, seed: plan.seed }).paragraphs.join("\n\n");
+      }
+      // simple templated story, told about the active profile when it has a name
+      const name = spokenName(profile);
+      const nickname = profile?.nicknames?.[0];
+      const together = name ? `you and ${name}` : "the two of you";
+      const laugh = name && nickname ? `${name} laughed and called you ${nickname}` : "You laughed";
+      return `Once, when ${together} wandered into the late-light, ${prompt.toLowerCase()} — and everything felt bright. ${laugh}, and the world listened.`;
+    },
+
+    // queued with the app's other speech (speech.js); resolves when it has been spoken,
+    // dropped or cancelled. voiceProfile: { voiceURI, rate, pitch, volume, priority, maxDelayMs, replaceKey }
+    async speak(text, voiceProfile = {}, { signal } = {}) {
+      const job = speechQueue().enqueue(text, voiceProfile);
+      signal?.addEventListener("abort", job.cancel);
+      await job.done;
+    },
+  };
+}
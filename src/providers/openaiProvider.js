@@ -0,0 +1,268 @@
+/**
+ * openaiProvider.js
+ * Provider for any OpenAI-compatible HTTP API (OpenAI, a self-hosted gateway, a local
+ * model server, ...). Uses POST {baseUrl}/chat/completions for replies and stories —
+ * streamed over SSE when the caller passes onToken — and POST {baseUrl}/audio/speech for TTS.
+ *
+ * Requests time out after `timeoutMs` without progress and are retried with backoff on
+ * network errors, 429 and 5xx. A stream that already produced tokens is never retried.
+ * `fetch` is injectable so the provider can be exercised against a local mock server.
+ */
+
+import { buildIndex, search } from "../replyEngine.js";
+import { lastUserText } from "./localProvider.js";
+
+export class ProviderError extends Error {
+  constructor(code, message, { status, retryable = false } = {}) {
+    super(message);
+    this.name = "ProviderError";
+    this.code = code; // "HTTP" | "TIMEOUT" | "NETWORK" | "ABORTED" | "BAD_RESPONSE" | "UNSUPPORTED"
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+const PERSONA =
+  "You are speaking as the user's loved one who has passed away, in a warm, gentle and brief way. " +
+  "Ground what you say in the memories below; quote or paraphrase them when they fit. " +
+  "Never invent facts about their life that the memories don't support.";
+
+// AbortController that fires after `timeoutMs` without a touch(), or when `outer` aborts
+function createDeadline(timeoutMs, outer) {
+  const ctrl = new AbortController();
+  let timer = null;
+  const onOuterAbort = () => ctrl.abort();
+  const deadline = {
+    signal: ctrl.signal,
+    timedOut: false,
+    touch() {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        deadline.timedOut = true;
+        ctrl.abort();
+      }, timeoutMs);
+    },
+    dispose() {
+      clearTimeout(timer);
+      outer?.removeEventListener("abort", onOuterAbort);
+    },
+  };
+  if (outer?.aborted) ctrl.abort();
+  outer?.addEventListener("abort", onOuterAbort);
+  deadline.touch();
+  return deadline;
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const t = setTimeout(resolve, ms);
+    signal?.addEventListener("abort", () => {
+      clearTimeout(t);
+      reject(new ProviderError("ABORTED", "Request was cancelled."));
+    });
+  });
+}
+
+async function httpError(res) {
+  let detail = "";
+  try {
+    const body = await res.json();
+    detail = body?.error?.message || "";
+  } catch (e) {}
+  const retryable = res.status === 429 || res.status >= 500;
+  return new ProviderError("HTTP", `Provider responded ${res.status}${detail ? `: ${detail}` : ""}`, { status: res.status, retryable });
+}
+
+function normalizeError(e, deadline, outer) {
+  if (e instanceof ProviderError) return e;
+  if (outer?.aborted) return new ProviderError("ABORTED", "Request was cancelled.");
+  if (deadline.timedOut) return new ProviderError("TIMEOUT", "The provider took too long to answer.", { retryable: true });
+  return new ProviderError("NETWORK", `Could not reach the provider: ${e.message}`, { retryable: true });
+}
+
+// read an SSE body, calling onData with each parsed "data:" payload until [DONE]
+async function readEventStream(res, deadline, onData) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) return;
+    deadline.touch();
+    buffer += decoder.decode(value, { stream: true });
+    let nl;
+    while ((nl = buffer.indexOf("\n")) >= 0) {
+      const line = buffer.slice(0, nl).trim();
+      buffer = buffer.slice(nl + 1);
+      if (!line.startsWith("data:")) continue;
+      const data = line.slice(5).trim();
+      if (data === "[DONE]") return;
+      onData(JSON.parse(data));
+    }
+  }
+}
+
+// who the persona is speaking as, from the active profile
+function profileBlock(profile) {
+  if (!profile) return "";
+  const lines = [`You are ${profile.name}${profile.relationship ? `, the user's ${profile.relationship}` : ""}.`];
+  if (profile.nicknames?.length) lines.push(`You call the user: ${profile.nicknames.join(", ")}.`);
+  if (profile.styleNotes) lines.push(`How you speak: ${profile.styleNotes}`);
+  return `\n\n${lines.join(" ")}`;
+}
+
+function memoryBlock(hits) {
+  if (!hits.length) return "No memories match this moment.";
+  return hits.map((h, i) => `[${i + 1}] ${h.doc.kind === "clip" ? "Recording" : "Letter"} "${h.doc.title}": ${h.doc.body}`).join("\n");
+}
+
+function toBasedOn(hits) {
+  return hits.map((h) => ({ kind: h.doc.kind, id: h.doc.id, title: h.doc.title }));
+}
+
+/**
+ * @param {object} settings { baseUrl, apiKey, model, ttsModel, ttsVoice, timeoutMs, retries, stream }
+ * @param {object} [deps] { fetch, playAudio } — injectable for tests
+ */
+export function createOpenAIProvider(settings, deps = {}) {
+  const {
+    baseUrl,
+    apiKey = "",
+    model,
+    ttsModel = "",
+    ttsVoice = "alloy",
+    timeoutMs = 20000,
+    retries = 2,
+    stream = true,
+  } = settings;
+  const fetchImpl = deps.fetch || ((...args) => fetch(...args));
+  const root = String(baseUrl || "").replace(/\/+$/, "");
+
+  function headers() {
+    const h = { "Content-Type": "application/json" };
+    if (apiKey) h.Authorization = `Bearer ${apiKey}`;
+    return h;
+  }
+
+  async function post(path, body, { signal, read }) {
+    let lastError = null;
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      if (attempt > 0) await sleep(400 * 2 ** (attempt - 1), signal);
+      const deadline = createDeadline(timeoutMs, signal);
+      let progressed = false;
+      try {
+        const res = await fetchImpl(`${root}${path}`, {
+          method: "POST",
+          headers: headers(),
+          body: JSON.stringify(body),
+          signal: deadline.signal,
+        });
+        if (!res.ok) throw await httpError(res);
+        return await read(res, deadline, () => {
+          progressed = true;
+        });
+      } catch (e) {
+        lastError = normalizeError(e, deadline, signal);
+        if (!lastError.retryable || progressed) throw lastError;
+      } finally {
+        deadline.dispose();
+      }
+    }
+    throw lastError;
+  }
+
+  async function complete(messages, { signal, onToken } = {}) {
+    if (stream && onToken) {
+      let text = "";
+      await post("/chat/completions", { model, messages, stream: true }, {
+        signal,
+        read: (res, deadline, markProgress) =>
+          readEventStream(res, deadline, (chunk) => {
+            const delta = chunk.choices?.[0]?.delta?.content;
+            if (!delta) return;
+            markProgress();
+            text += delta;
+            onToken(text);
+          }),
+      });
+      return text.trim();
+    }
+    const json = await post("/chat/completions", { model, messages }, { signal, read: (res) => res.json() });
+    const text = json?.choices?.[0]?.message?.content;
+    if (typeof text !== "string") throw new ProviderError("BAD_RESPONSE", "The provider returned no message.");
+    onToken?.(text);
+    return text.trim();
+  }
+
+  return {
+    id: "openai",
+    label: "OpenAI-compatible API",
+
+    async reply(history, memories, { signal, onToken, profile } = {}) {
+      const hits = search(buildIndex(memories), lastUserText(history), 3);
+      const messages = [
+        { role: "system", content: `${PERSONA}${profileBlock(profile)}\n\nMemories:\n${memoryBlock(hits)}` },
+        ...history.filter((m) => m.text).map((m) => ({ role: m.from === "you" ? "user" : "assistant", content: m.text })),
+      ];
+      const text = await complete(messages, { signal, onToken });
+      return { text, basedOn: toBasedOn(hits) };
+    },
+
+    async story(prompt, memories, { signal, profile } = {}) {
+      const hits = search(buildIndex(memories), prompt, 3);
+      return complete(
+        [
+          {
+            role: "system",
+            content: `${PERSONA} Tell a short, gentle story in a few paragraphs separated by blank lines.${profileBlock(profile)}\n\nMemories:\n${memoryBlock(hits)}`,
+          },
+          { role: "user", content: prompt },
+        ],
+        { signal }
+      );
+    },
+
+    // fetch synthesized speech as a Blob (separate from playback so it can be tested in Node)
+    async synthesize(text, voiceProfile = {}, { signal } = {}) {
+      if (!ttsModel) throw new ProviderError("UNSUPPORTED", "No text-to-speech model is configured.");
+      return post(
+        "/audio/speech",
+        { model: ttsModel, voice: voiceProfile.remoteVoice || ttsVoice, input: text, speed: voiceProfile.rate ?? 1 },
+        { signal, read: (res) => res.blob() }
+      );
+    },
+
+    async speak(text, voiceProfile = {}, opts = {}) {
+      const blob = await this.synthesize(text, voiceProfile, opts);
+      return (deps.playAudio || playBlob)(blob, opts.signal);
+    },
+  };
+}
+
+// play an audio Blob and resolve when it ends; aborting `signal` stops and releases it
+function playBlob(blob, signal) {
+  if (signal?.aborted) return Promise.reject(new ProviderError("ABORTED", "Speech was cancelled."));
+  const url = URL.createObjectURL(blob);
+  const audio = new Audio(url);
+  return new Promise((resolve, reject) => {
+    const finish = (error) => {
+      signal?.removeEventListener("abort", onAbort);
+      audio.onended = audio.onerror = null;
+      URL.revokeObjectURL(url);
+      if (error) reject(error);
+      else resolve();
+    };
+    const onAbort = () => {
+      audio.pause();
+      audio.removeAttribute("src");
+      audio.load();
+      finish(new ProviderError("ABORTED", "Speech was cancelled."));
+    };
+    signal?.addEventListener("abort", onAbort);
+    audio.onended = () => finish();
+    audio.onerror = () => finish(new ProviderError("BAD_RESPONSE", "The provider's audio could not be played."));
+    audio.play().catch((e) => {
+      if (!signal?.aborted) finish(e);
+    });
+  });
+}
@@ -0,0 +1,102 @@
+/**
+ * pwa.js
+ * Installable-app plumbing: registers the service worker (src/sw.js, production builds
+ * only), reports when a new build is waiting so the UI can offer a reload, and keeps the
+ * browser's install prompt so settings can offer "Install".
+ *
+ * A waiting worker only takes over when the user agrees (applyUpdate), because switching
+ * code mid-session could drop an unsaved letter or story.
+ */
+
+let deferredInstall = null;
+const installListeners = new Set();
+
+if (typeof window !== "undefined") {
+  window.addEventListener("beforeinstallprompt", (e) => {
+    e.preventDefault();
+    deferredInstall = e;
+    installListeners.forEach((cb) => cb(true));
+  });
+  window.addEventListener("appinstalled", () => {
+    deferredInstall = null;
+    installListeners.forEach((cb) => cb(false));
+  });
+}
+
+const UPDATE_CHECK_MS = 60 * 60 * 1000;
+
+/**
+ * Register the service worker. onUpdate(worker) is called when a new build has installed
+ * and is waiting. Returns an unsubscribe function.
+ */
+export function registerServiceWorker({ onUpdate, url = `${import.meta.env.BASE_URL}sw.js` } = {}) {
+  if (!import.meta.env.PROD || typeof navigator === "undefined" || !("serviceWorker" in navigator)) return () => {};
+  let stopped = false;
+  let timer = null;
+  let check = () => {};
+  const onVisible = () => document.visibilityState === "visible" && check();
+
+  const watch = (reg) => {
+    // a worker already waiting from an earlier visit
+    if (reg.waiting && navigator.serviceWorker.controller) onUpdate?.(reg.waiting);
+    reg.addEventListener("updatefound", () => {
+      const worker = reg.installing;
+      worker?.addEventListener("statechange", () => {
+        // with no controller this is the first install, not an update
+        if (worker.state === "installed" && navigator.serviceWorker.controller && !stopped) onUpdate?.(worker);
+      });
+    });
+    check = () => reg.update().catch(() => {});
+    timer = setInterval(check, UPDATE_CHECK_MS);
+    document.addEventListener("visibilitychange", onVisible);
+  };
+
+  navigator.serviceWorker
+    .register(url)
+    .then((reg) => !stopped && watch(reg))
+    .catch((e) => console.warn("Service worker registration failed", e));
+  return () => {
+    stopped = true;
+    clearInterval(timer);
+    document.removeEventListener("visibilitychange", onVisible);
+  };
+}
+
+/**
+ * Switch to the waiting build and reload once it has taken control.
+ */
+export function applyUpdate(worker) {
+  let reloaded = false;
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    if (reloaded) return;
+    reloaded = true;
+    window.location.reload();
+  });
+  worker.postMessage({ type: "SKIP_WAITING" });
+}
+
+export function canInstall() {
+  return !!deferredInstall;
+}
+
+export function onInstallAvailable(cb) {
+  installListeners.add(cb);
+  return () => installListeners.delete(cb);
+}
+
+/**
+ * Show the browser's install prompt. Resolves with "accepted", "dismissed" or "unavailable".
+ */
+export async function promptInstall() {
+  if (!deferredInstall) return "unavailable";
+  const prompt = deferredInstall;
+  deferredInstall = null;
+  await prompt.prompt();
+  const { outcome } = await prompt.userChoice;
+  installListeners.forEach((cb) => cb(false));
+  return outcome;
+}
+
+export function isStandalone() {
+  return typeof window !== "undefined" && (window.matchMedia?.("(display-mode: standalone)").matches || navigator.standalone === true);
+}
@@ -0,0 +1,330 @@
+/**
+ * reminders.js
+ * Important dates per person (birthdays, the day they passed, holidays) with gentle nudges
+ * ahead of them, and opt-in daily or weekly journaling prompts. Each reminder carries an
+ * action — write a letter (with a template), tell a story, breathe, or talk — that the
+ * banner or notification opens.
+ *
+ * Dates are calendar days, not instants: "12 March" is observed on 12 March in the date's
+ * own time zone, and its nudges fire at `time` (wall clock) in that zone, so a remembrance
+ * day recorded at home stays on the right day and hour when the device travels or the
+ * clocks change. Yearly dates on 29 February are observed on 28 February in other years
+ * (anniversaryInYear in journal.js). Journaling prompts follow the device's own clock.
+ *
+ * Date shape (DATES_KEY):
+ *   { id, profileId, kind, label, date: "YYYY-MM-DD", repeat: "yearly" | "once",
+ *     nudges: [nudge id], time: "HH:MM", timeZone (IANA), action, createdAt }
+ * Settings (REMINDER_SETTINGS_KEY):
+ *   { notifications, prompts: { frequency: "off" | "daily" | "weekly", weekday, time, since },
+ *     dismissed: { reminder key: ms }, notified: { reminder key: ms } }
+ */
+
+import { anniversaryInYear } from "./journal.js";
+import { spokenName } from "./profiles.js";
+
+export const DATES_KEY = "ecosoul_dates";
+export const REMINDER_SETTINGS_KEY = "ecosoul_reminders";
+
+export const DATE_KINDS = [
+  { id: "birthday", label: "Birthday", icon: "🎂", action: "story", structureId: "first-meeting" },
+  { id: "remembrance", label: "Remembrance day", icon: "🕯️", action: "letter", structureId: "bedtime" },
+  { id: "holiday", label: "Holiday", icon: "🎄", action: "story", structureId: "holiday-tradition" },
+  { id: "other", label: "Other day", icon: "📅", action: "letter", structureId: "first-meeting" },
+];
+
+export const NUDGES = [
+  { id: "month", days: 30, label: "A month before" },
+  { id: "week", days: 7, label: "A week before" },
+  { id: "day-before", days: 1, label: "The day before" },
+  { id: "day", days: 0, label: "On the day" },
+];
+
+export const ACTIONS = [
+  { id: "letter", label: "Write a letter" },
+  { id: "story", label: "Tell a story" },
+  { id: "breathing", label: "Breathe for a while" },
+  { id: "chat", label: "Talk with them" },
+];
+
+export const JOURNAL_PROMPTS = [
+  "What's something small that reminded you of them today?",
+  "If you could tell them one thing about this week, what would it be?",
+  "Which of their habits have you caught yourself doing?",
+  "What would they say about what you're worrying over right now?",
+  "Describe a place that feels like them.",
+  "What did they teach you without meaning to?",
+  "Write about a meal you shared.",
+  "What are you proud of that you wish they could see?",
+  "Is there something you never got to say?",
+  "What song, smell or sound brings them back?",
+];
+
+export const DEFAULT_REMINDER_SETTINGS = {
+  notifications: false,
+  prompts: { frequency: "off", weekday: 0, time: "20:00", since: null },
+  dismissed: {},
+  notified: {},
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// dismissed / notified marks older than this can't match an upcoming reminder any more
+const FORGET_AFTER_MS = 400 * DAY_MS;
+
+export function browserTimeZone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+  } catch {
+    return "UTC";
+  }
+}
+
+export function kindOf(date) {
+  return DATE_KINDS.find((k) => k.id === date.kind) || DATE_KINDS[DATE_KINDS.length - 1];
+}
+
+export function createDate(id, fields = {}) {
+  const kind = DATE_KINDS.find((k) => k.id === fields.kind) || DATE_KINDS[0];
+  return {
+    id,
+    profileId: null,
+    kind: kind.id,
+    label: "",
+    date: "",
+    repeat: "yearly",
+    nudges: ["week", "day"],
+    time: "09:00",
+    timeZone: browserTimeZone(),
+    action: kind.action,
+    createdAt: Date.now(),
+    ...fields,
+  };
+}
+
+export function normalizeReminderSettings(saved) {
+  const s = saved || {};
+  return {
+    ...DEFAULT_REMINDER_SETTINGS,
+    ...s,
+    prompts: { ...DEFAULT_REMINDER_SETTINGS.prompts, ...(s.prompts || {}) },
+    dismissed: { ...(s.dismissed || {}) },
+    notified: { ...(s.notified || {}) },
+  };
+}
+
+/**
+ * Drop dismissed / notified marks old enough that they can't apply again.
+ */
+export function pruneMarks(settings, now = Date.now()) {
+  const keep = (marks) => Object.fromEntries(Object.entries(marks).filter(([, t]) => now - t < FORGET_AFTER_MS));
+  return { ...settings, dismissed: keep(settings.dismissed), notified: keep(settings.notified) };
+}
+
+// wall-clock parts of an instant in a zone; an unknown zone falls back to UTC
+function zonedParts(ts, timeZone) {
+  let format;
+  try {
+    format = new Intl.DateTimeFormat("en-US", { timeZone, hourCycle: "h23", year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", second: "2-digit" });
+  } catch {
+    format = new Intl.DateTimeFormat("en-US", { timeZone: "UTC", hourCycle: "h23", year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", second: "2-digit" });
+  }
+  const parts = Object.fromEntries(format.formatToParts(new Date(ts)).map((p) => [p.type, p.value]));
+  return { year: Number(parts.year), month: Number(parts.month), day: Number(parts.day), hour: Number(parts.hour) % 24, minute: Number(parts.minute), second: Number(parts.second) };
+}
+
+/**
+ * The calendar day ("YYYY-MM-DD") it is in `timeZone` at `ts`.
+ */
+export function zonedDay(ts, timeZone) {
+  const p = zonedParts(ts, timeZone);
+  return `${p.year}-${String(p.month).padStart(2, "0")}-${String(p.day).padStart(2, "0")}`;
+}
+
+function zoneOffsetMs(ts, timeZone) {
+  const p = zonedParts(ts, timeZone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(ts / 1000) * 1000;
+}
+
+/**
+ * The instant it is `time` ("HH:MM") on `day` in `timeZone`. A time skipped by a
+ * daylight-saving jump is moved on by the jump (01:30 becomes 02:30); a time that happens
+ * twice is the first of the two.
+ */
+export function zonedTime(day, time, timeZone) {
+  const [y, m, d] = day.split("-").map(Number);
+  const [hh, mm] = (time || "00:00").split(":").map(Number);
+  const wall = Date.UTC(y, m - 1, d, hh || 0, mm || 0);
+  // the zone's offsets either side of any change that day; one of them applies to `wall`
+  const before = zoneOffsetMs(wall - DAY_MS, timeZone);
+  const after = zoneOffsetMs(wall + DAY_MS, timeZone);
+  // earliest instant first, so a repeated time resolves to its first occurrence
+  const candidates = [...new Set([before, after])].map((offset) => wall - offset).sort((a, b) => a - b);
+  const exact = candidates.find((t) => t + zoneOffsetMs(t, timeZone) === wall);
+  // no match: the time was skipped, and the offset from before the jump moves it on
+  return exact ?? wall - before;
+}
+
+export function addDays(day, n) {
+  const [y, m, d] = day.split("-").map(Number);
+  const t = new Date(Date.UTC(y, m - 1, d + n));
+  return t.toISOString().slice(0, 10);
+}
+
+function daysBetween(fromDay, toDay) {
+  return Math.round((Date.parse(`${toDay}T00:00:00Z`) - Date.parse(`${fromDay}T00:00:00Z`)) / DAY_MS);
+}
+
+function validDay(s) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(s || "");
+}
+
+/**
+ * The next day (today included, in the date's zone) the date is observed, or null once a
+ * one-off date has passed. Yearly dates don't occur before the year they were set for.
+ */
+export function nextOccurrence(date, now = Date.now()) {
+  if (!validDay(date.date)) return null;
+  const today = zonedDay(now, date.timeZone);
+  if (date.repeat === "once") return date.date >= today ? date.date : null;
+  const year = Number(today.slice(0, 4));
+  for (const y of [year, year + 1]) {
+    const day = anniversaryInYear(date.date, y);
+    if (day >= today && day >= date.date) return day;
+  }
+  return anniversaryInYear(date.date, Math.max(year + 1, Number(date.date.slice(0, 4))));
+}
+
+/**
+ * What to call the date on a given occurrence, e.g. "Mum's birthday", "3 years since Mum passed".
+ */
+export function dateLabel(date, profile, occurrence = null) {
+  if (date.label) return date.label;
+  const name = spokenName(profile) || "them";
+  const years = occurrence && date.repeat === "yearly" ? Number(occurrence.slice(0, 4)) - Number(date.date.slice(0, 4)) : 0;
+  if (date.kind === "birthday") return `${spokenName(profile) ? `${name}'s` : "Their"} birthday`;
+  if (date.kind === "remembrance") return years > 0 ? `${years} year${years === 1 ? "" : "s"} since ${name} passed` : `The day ${name} passed`;
+  return kindOf(date).label;
+}
+
+/**
+ * A letter to start from on the day: { title, body, tags }. The body ends on an open line
+ * so the cursor lands where the writing starts.
+ */
+export function letterTemplate(date, profile, occurrence = null) {
+  const name = spokenName(profile);
+  const dear = `Dear ${name || "you"},\n\n`;
+  const label = dateLabel(date, profile, occurrence);
+  if (date.kind === "birthday") {
+    return { title: `Happy birthday${name ? `, ${name}` : ""}`, body: `${dear}It's your birthday. If you were here today, I'd want to tell you…\n\n`, tags: ["birthday"] };
+  }
+  if (date.kind === "remembrance") {
+    return { title: label, body: `${dear}Another year has gone by. Here's what's been happening, and what I still wish I could tell you…\n\n`, tags: ["remembrance"] };
+  }
+  if (date.kind === "holiday") {
+    return { title: `${label} without you`, body: `${dear}${label} is coming round again. What I keep thinking about is…\n\n`, tags: ["holiday"] };
+  }
+  return { title: label, body: `${dear}Today made me think of you, because…\n\n`, tags: [] };
+}
+
+function reminderBody(action, name) {
+  if (action === "letter") return `You could write ${name} a letter — there's a gentle start ready for you.`;
+  if (action === "story") return `Maybe tell a story about ${name} — a favourite memory is enough.`;
+  if (action === "breathing") return "Take a few slow breaths first. Be gentle with yourself.";
+  return `Share something with ${name} in Memory Chat.`;
+}
+
+/**
+ * Date reminders whose nudge time has come and whose day hasn't passed yet, one per date
+ * (the nudge closest to the day), minus the dismissed ones. `profiles` names the people.
+ * [{ key, dateId, profileId, occurrence, nudge, at, daysAway, title, body, action, structureId, template }]
+ */
+export function dueReminders(dates, { profiles = [], now = Date.now(), dismissed = {} } = {}) {
+  const out = [];
+  for (const date of dates) {
+    const occurrence = nextOccurrence(date, now);
+    if (!occurrence) continue;
+    const due = NUDGES.filter((n) => (date.nudges || []).includes(n.id))
+      .map((n) => ({ nudge: n, at: zonedTime(addDays(occurrence, -n.days), date.time, date.timeZone) }))
+      .filter((n) => n.at <= now)
+      .sort((a, b) => a.nudge.days - b.nudge.days)[0];
+    if (!due) continue;
+    const key = `${date.id}:${occurrence}:${due.nudge.id}`;
+    if (dismissed[key]) continue;
+    const profile = profiles.find((p) => p.id === date.profileId) || null;
+    const label = dateLabel(date, profile, occurrence);
+    const daysAway = daysBetween(zonedDay(now, date.timeZone), occurrence);
+    const when = daysAway === 0 ? "Today" : daysAway === 1 ? "Tomorrow" : `In ${daysAway} days`;
+    out.push({
+      key,
+      dateId: date.id,
+      profileId: date.profileId,
+      occurrence,
+      nudge: due.nudge.id,
+      at: due.at,
+      daysAway,
+      title: `${when}: ${label}`,
+      body: reminderBody(date.action, spokenName(profile) || "them"),
+      action: date.action,
+      structureId: kindOf(date).structureId,
+      template: letterTemplate(date, profile, occurrence),
+    });
+  }
+  return out.sort((a, b) => a.daysAway - b.daysAway);
+}
+
+/**
+ * Dates of one person with their next occurrence, soonest first:
+ * [{ date, occurrence, daysAway, label }] (one-off dates that have passed last, occurrence null).
+ */
+export function upcomingDates(dates, profile, now = Date.now()) {
+  return dates
+    .map((date) => {
+      const occurrence = nextOccurrence(date, now);
+      return { date, occurrence, daysAway: occurrence ? daysBetween(zonedDay(now, date.timeZone), occurrence) : Infinity, label: dateLabel(date, profile, occurrence) };
+    })
+    .sort((a, b) => a.daysAway - b.daysAway);
+}
+
+/**
+ * The profile's birthday and passing day, as date fields, when they aren't recorded yet.
+ */
+export function suggestedDates(profile, dates) {
+  const out = [];
+  const has = (kind, day) => dates.some((d) => d.profileId === profile.id && d.kind === kind && d.date === day);
+  if (validDay(profile.birthDate) && !has("birthday", profile.birthDate)) out.push({ kind: "birthday", date: profile.birthDate });
+  if (validDay(profile.passedDate) && !has("remembrance", profile.passedDate)) out.push({ kind: "remembrance", date: profile.passedDate });
+  return out;
+}
+
+function localDayKey(d) {
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+/**
+ * The journaling prompt that's due, if prompts are on: the most recent daily (or weekly, on
+ * `weekday`) slot at `time` on this device's clock, not before prompts were switched on
+ * (`since`) and not dismissed. { key, at, title, body, action: "letter", template } or null.
+ */
+export function duePrompt(settings, { now = Date.now(), dismissed = {}, profile = null } = {}) {
+  const { frequency, weekday, time, since } = settings.prompts;
+  if (frequency !== "daily" && frequency !== "weekly") return null;
+  const [hh, mm] = (time || "20:00").split(":").map(Number);
+  const today = new Date(now);
+  let slot = new Date(today.getFullYear(), today.getMonth(), today.getDate(), hh || 0, mm || 0);
+  const back = frequency === "weekly" ? (today.getDay() - Number(weekday) + 7) % 7 : 0;
+  slot.setDate(slot.getDate() - back);
+  if (slot.getTime() > now) slot.setDate(slot.getDate() - (frequency === "weekly" ? 7 : 1));
+  if (since && slot.getTime() < since) return null;
+  const day = localDayKey(slot);
+  const key = `prompt:${day}`;
+  if (dismissed[key]) return null;
+  const prompt = JOURNAL_PROMPTS[Math.floor(Date.parse(`${day}T00:00:00Z`) / DAY_MS) % JOURNAL_PROMPTS.length];
+  const name = spokenName(profile);
+  return {
+    key,
+    at: slot.getTime(),
+    title: "A moment to write",
+    body: prompt,
+    action: "letter",
+    template: { title: prompt, body: name ? `Dear ${name},\n\n` : "", tags: ["prompt"] },
+  };
+}
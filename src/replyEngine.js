@@ -0,0 +1,231 @@
+/**
+ * replyEngine.js
+ * Offline, retrieval-based Memory Chat replies. Journal letters (title + body) and text
+ * notes attached to voice clips are indexed with BM25; the memories closest to what the
+ * user just typed are quoted or paraphrased back, and each reply records which memory it
+ * was based on.
+ *
+ * Everything here is pure and deterministic for a given `random` function, so replies can
+ * be reproduced in tests with createRng(seed).
+ */
+
+import { catchphrases } from "./profiles.js";
+
+const STOPWORDS = new Set(
+  (
+    "a an and are as at be been but by can could did do does for from had has have he her him his how i if in " +
+    "into is it its just me my myself no not of on or our so that the their them then there they this to too " +
+    "up us was we were what when where which who why will with would you your yours im ive id dont its " +
+    "am about all also any some very really much more most one get got"
+  ).split(" ")
+);
+
+// BM25 parameters (standard defaults)
+const K1 = 1.2;
+const B = 0.75;
+
+/**
+ * Small seeded PRNG (mulberry32). Returns a function with the same contract as Math.random.
+ */
+export function createRng(seed) {
+  let a = seed >>> 0;
+  return function random() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// crude suffix stripping so "walks" / "walked" / "walking" meet in the index
+function stem(word) {
+  if (word.length > 5 && word.endsWith("ing")) return word.slice(0, -3);
+  if (word.length > 4 && word.endsWith("ed")) return word.slice(0, -2);
+  if (word.length > 4 && word.endsWith("ies")) return word.slice(0, -3) + "y";
+  if (word.length > 3 && word.endsWith("s") && !word.endsWith("ss")) return word.slice(0, -1);
+  return word;
+}
+
+export function tokenize(text) {
+  return (String(text || "").toLowerCase().replace(/['’]/g, "").match(/[\p{L}\p{N}]+/gu) || [])
+    .filter((w) => w.length > 1 && !STOPWORDS.has(w))
+    .map(stem);
+}
+
+function splitSentences(text) {
+  return String(text || "")
+    .split(/(?<=[.!?…])\s+|\n+/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Turn journal entries and clips into searchable memory documents.
+ * Clips without notes have nothing to match on and are skipped.
+ */
+export function collectMemories({ journalEntries = [], clips = [] } = {}) {
+  const docs = [];
+  for (const j of journalEntries) {
+    docs.push({ kind: "letter", id: j.id, title: j.title, text: `${j.title}. ${j.body} ${(j.tags || []).join(" ")}`, body: j.body });
+  }
+  for (const c of clips) {
+    if (!c.notes || !c.notes.trim()) continue;
+    docs.push({ kind: "clip", id: c.id, title: c.title || c.name, text: `${c.title || ""} ${c.notes}`, body: c.notes });
+  }
+  return docs;
+}
+
+export function buildIndex(docs) {
+  const docTerms = docs.map((d) => {
+    const terms = tokenize(d.text);
+    const tf = new Map();
+    terms.forEach((t) => tf.set(t, (tf.get(t) || 0) + 1));
+    return { doc: d, tf, length: terms.length };
+  });
+  const df = new Map();
+  docTerms.forEach(({ tf }) => tf.forEach((_, t) => df.set(t, (df.get(t) || 0) + 1)));
+  const avgLength = docTerms.reduce((sum, d) => sum + d.length, 0) / (docTerms.length || 1);
+  return { docTerms, df, avgLength, size: docTerms.length };
+}
+
+function idf(index, term) {
+  const n = index.df.get(term) || 0;
+  return Math.log(1 + (index.size - n + 0.5) / (n + 0.5));
+}
+
+/**
+ * Rank memories against a query. Returns [{ doc, score, matched: [terms] }], best first.
+ */
+export function search(index, query, limit = 3) {
+  const qTerms = [...new Set(tokenize(query))];
+  if (!qTerms.length || !index.size) return [];
+  const results = [];
+  for (const { doc, tf, length } of index.docTerms) {
+    let score = 0;
+    const matched = [];
+    for (const t of qTerms) {
+      const f = tf.get(t);
+      if (!f) continue;
+      matched.push(t);
+      score += idf(index, t) * ((f * (K1 + 1)) / (f + K1 * (1 - B + (B * length) / (index.avgLength || 1))));
+    }
+    if (score > 0) results.push({ doc, score, matched });
+  }
+  // stable tie-break on id keeps results deterministic
+  results.sort((a, b) => b.score - a.score || String(a.doc.id).localeCompare(String(b.doc.id)));
+  return results.slice(0, limit);
+}
+
+// the sentence of a memory that shares the most terms with the query
+export function bestSentence(text, matched) {
+  const sentences = splitSentences(text);
+  let best = sentences[0] || "";
+  let bestHits = -1;
+  for (const s of sentences) {
+    const terms = new Set(tokenize(s));
+    const hits = matched.filter((t) => terms.has(t)).length;
+    if (hits > bestHits) {
+      best = s;
+      bestHits = hits;
+    }
+  }
+  return best;
+}
+
+const PERSON_SWAP = {
+  i: "you", me: "you", my: "your", mine: "yours", myself: "yourself", am: "are",
+  "i'm": "you're", "i've": "you've", "i'd": "you'd", "i'll": "you'll",
+  your: "my", yours: "mine", yourself: "myself", "you're": "I'm", "you've": "I've", "you'll": "I'll", "you'd": "I'd",
+};
+const SUBJECT_CONTEXT = new Set(["", "and", "that", "when", "because", "if", "but", "so", "while"]);
+
+/**
+ * Re-voice a sentence the user wrote *to* their loved one so the loved one can say it back:
+ * "I miss your laugh" -> "you miss my laugh".
+ */
+export function paraphrase(sentence) {
+  let prev = "";
+  return sentence.replace(/[.!?…]+$/, "").replace(/[\p{L}'’]+/gu, (w) => {
+    const lower = w.toLowerCase().replace(/’/g, "'");
+    let out = PERSON_SWAP[lower] ?? w;
+    if (lower === "you") out = SUBJECT_CONTEXT.has(prev) ? "I" : "me";
+    prev = lower;
+    return out;
+  });
+}
+
+function truncate(s, n) {
+  return s.length > n ? s.slice(0, n - 1) + "…" : s;
+}
+
+function pick(list, random) {
+  return list[Math.floor(random() * list.length)];
+}
+
+const FOLLOW_UPS = [
+  "Tell me more about that.",
+  "What made you think of it today?",
+  "I hold onto that, too.",
+  "It still makes me smile.",
+];
+
+const LETTER_TEMPLATES = [
+  (m) => `I keep thinking about what you wrote in "${m.title}": "${m.quote}". ${m.followUp}`,
+  (m) => `You told me ${m.paraphrase}. I haven't forgotten. ${m.followUp}`,
+  (m) => `That reminds me of your letter "${m.title}" — "${m.quote}". ${m.followUp}`,
+];
+
+const CLIP_TEMPLATES = [
+  (m) => `That takes me back to the recording "${m.title}" — ${m.quote}. ${m.followUp}`,
+  (m) => `Do you remember "${m.title}"? ${m.quote}. ${m.followUp}`,
+];
+
+// used when nothing in the user's memories matches what they said
+const FALLBACK_TEMPLATES = [
+  () => `Hearing about this warms me. Tell me more — what happened next?`,
+  () => `I'm here with you. Breathe with me. Imagine us sitting quietly, listening together.`,
+  () => `I'd love to hear more. Maybe write me a letter about it, so I can remember it with you.`,
+];
+
+/**
+ * Make a reply sound like the active profile: address the user by one of the nicknames
+ * the person used for them, and now and then close with one of their catchphrases.
+ */
+export function personalize(text, profile, random) {
+  let out = text;
+  const nicknames = profile?.nicknames || [];
+  if (nicknames.length && random() < 0.6) {
+    out = `Oh, ${pick(nicknames, random)} — ${out.charAt(0).toLowerCase()}${out.slice(1)}`;
+  }
+  const phrases = catchphrases(profile);
+  if (phrases.length && random() < 0.35) {
+    out = `${out} As I always said: “${pick(phrases, random)}”`;
+  }
+  return out;
+}
+
+/**
+ * Compose a reply to `userText` from the user's own memories, in the voice of `profile`.
+ * Returns { text, basedOn: [{ kind, id, title }] } — basedOn is empty for fallback replies.
+ */
+export function composeReply(userText, memories, { random = Math.random, profile = null } = {}) {
+  const hits = search(buildIndex(memories), userText, 3);
+  if (!hits.length) return { text: personalize(pick(FALLBACK_TEMPLATES, random)(), profile, random), basedOn: [] };
+
+  // prefer the top hit, but let close runners-up through for some variety
+  const close = hits.filter((h) => h.score >= hits[0].score * 0.8);
+  const hit = pick(close, random);
+  const sentence = bestSentence(hit.doc.body, hit.matched);
+  const m = {
+    title: hit.doc.title,
+    quote: truncate(sentence.replace(/[.!?…]+$/, ""), 140),
+    paraphrase: truncate(paraphrase(sentence), 140),
+    followUp: pick(FOLLOW_UPS, random),
+  };
+  const template = pick(hit.doc.kind === "clip" ? CLIP_TEMPLATES : LETTER_TEMPLATES, random);
+  return {
+    text: personalize(template(m), profile, random),
+    basedOn: [{ kind: hit.doc.kind, id: hit.doc.id, title: hit.doc.title }],
+  };
+}
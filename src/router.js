@@ -0,0 +1,129 @@
+import { useEffect, useMemo, useSyncExternalStore } from "react";
+
+/**
+ * router.js
+ * Hash routes for the app's views: "#/journal" opens the Memory Journal and
+ * "#/journal/<letterId>" a letter in it, "#/chat/<conversationId>" a conversation, and so
+ * on (see VIEWS). Everything lives after the "#", so the static host and the offline shell
+ * (sw.js) only ever serve index.html, and the browser's back/forward move between views.
+ *
+ * The old in-page anchors ("#journal", "#demo", "#letter-<id>", ...) still resolve to the
+ * matching view so saved links keep working.
+ *
+ * Focus: after a navigation (not on first load) the new view's heading takes focus, which
+ * is what screen readers announce; see useViewFocus().
+ */
+
+// in nav order
+export const VIEWS = [
+  { id: "home", label: "Home" },
+  { id: "chat", label: "Chat" },
+  { id: "story", label: "Stories" },
+  { id: "journal", label: "Journal" },
+  { id: "healing", label: "Healing" },
+  { id: "clips", label: "Clips" },
+  { id: "dream", label: "Dream Space" },
+  { id: "dates", label: "Dates" },
+  { id: "settings", label: "Settings" },
+];
+
+const VIEW_IDS = new Set(VIEWS.map((v) => v.id));
+
+// anchors from before there were views
+const LEGACY_ANCHORS = {
+  features: "home",
+  demo: "clips",
+  chat: "chat",
+  healing: "healing",
+  stories: "story",
+  journal: "journal",
+  reminders: "dates",
+  privacy: "settings",
+  dream: "dream",
+};
+
+/**
+ * "#/journal/j_abc" -> { view: "journal", id: "j_abc" }. Unknown paths land on home;
+ * `legacy` marks a pre-router anchor that should be rewritten.
+ */
+export function parseHash(hash) {
+  const raw = (hash || "").replace(/^#/, "");
+  if (!raw.startsWith("/")) {
+    const item = /^(letter|clip)-(.+)$/.exec(raw);
+    if (item) return { view: item[1] === "letter" ? "journal" : "clips", id: item[2], legacy: true };
+    return { view: LEGACY_ANCHORS[raw] || "home", id: null, legacy: raw !== "" };
+  }
+  const [view = "", id = ""] = raw.slice(1).split("/");
+  if (!VIEW_IDS.has(view)) return { view: "home", id: null, legacy: false };
+  let decoded = null;
+  try {
+    decoded = id ? decodeURIComponent(id) : null;
+  } catch (e) {}
+  return { view, id: decoded, legacy: false };
+}
+
+export function routeHref(view, id) {
+  if (view === "home") return "#/";
+  return id ? `#/${view}/${encodeURIComponent(id)}` : `#/${view}`;
+}
+
+export function currentRoute() {
+  return parseHash(typeof window === "undefined" ? "" : window.location.hash);
+}
+
+// set when a hashchange (a link, navigate() or back/forward) moves to another view, and
+// taken by that view's heading; moving between records of one view leaves focus alone
+let focusPending = false;
+
+if (typeof window !== "undefined") {
+  let lastView = currentRoute().view;
+  window.addEventListener("hashchange", () => {
+    const { view } = currentRoute();
+    if (view !== lastView) focusPending = true;
+    lastView = view;
+  });
+}
+
+/**
+ * Go to a view. `replace` swaps the current history entry instead of adding one, for
+ * redirects the user shouldn't step back through.
+ */
+export function navigate(view, id = null, { replace = false } = {}) {
+  const href = routeHref(view, id);
+  if (window.location.hash === href) return;
+  if (replace) {
+    window.history.replaceState(window.history.state, "", href);
+    // replaceState doesn't fire hashchange
+    window.dispatchEvent(new HashChangeEvent("hashchange"));
+  } else {
+    window.location.hash = href;
+  }
+}
+
+function subscribe(callback) {
+  window.addEventListener("hashchange", callback);
+  return () => window.removeEventListener("hashchange", callback);
+}
+
+export function useRoute() {
+  const hash = useSyncExternalStore(subscribe, () => window.location.hash);
+  const route = useMemo(() => parseHash(hash), [hash]);
+  // rewrite old anchors in place so the address bar shows the route they now mean
+  useEffect(() => {
+    if (route.legacy) window.history.replaceState(window.history.state, "", routeHref(route.view, route.id));
+  }, [route]);
+  return route;
+}
+
+/**
+ * Focus `ref` (a view's heading, with tabIndex -1) when it mounts after a navigation, and
+ * bring it to the top of the page. On first load focus stays where the browser put it.
+ */
+export function useViewFocus(ref) {
+  useEffect(() => {
+    if (!focusPending) return;
+    focusPending = false;
+    window.scrollTo({ top: 0 });
+    ref.current?.focus({ preventScroll: true });
+  }, []);
+}
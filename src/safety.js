@@ -0,0 +1,314 @@
+/**
+ * safety.js
+ * On-device check for self-harm and acute-distress language in what the user writes to
+ * Memory Chat or the journal, and the crisis lines to show when it finds some.
+ *
+ * Each language has a lexicon of weighted phrases (regex sources, written lower-case, without
+ * accents or apostrophes — the text is normalized the same way before matching):
+ *   crisis   — any one match is enough (thoughts of suicide or self-harm)
+ *   distress — weights add up; DISTRESS_THRESHOLD or more counts ("I can't go on")
+ *   guards   — spans removed before matching: negations ("I don't want to die"), idioms
+ *              ("dying to see you", "killed it") and talk about how the loved one died,
+ *              which comes up in grief without being a risk to the writer
+ * The text is checked against its locale's lexicon and English, since people often write
+ * English whatever their browser is set to. test/safetyFixtures.js lists cases that must
+ * and must not match; `npm test` runs them (test/safety.test.js).
+ *
+ * This is a safety net, not a diagnosis: it errs towards showing help, and it only ever
+ * changes what Ecosoul says back. Nothing leaves the device.
+ */
+
+export const SAFETY_SETTINGS_KEY = "ecosoul_safety";
+// region: ISO country code for crisis lines, "other" for none listed, null = from the browser's locale
+// phrases: the user's own words to treat as distress
+export const DEFAULT_SAFETY_SETTINGS = { region: null, phrases: [] };
+
+export const DISTRESS_THRESHOLD = 3;
+
+export const LEXICONS = {
+  en: {
+    crisis: [
+      "(kill|killing|hurt|hurting|harm|harming|cut|cutting|burn|burning|starve|starving) myself",
+      "self[ -]?harm(ing)?",
+      "suicid(e|al)",
+      "end (it all|my life|everything)",
+      "take my (own )?life",
+      "(want|plan|planning|ready) to die",
+      "wish i (was|were) dead",
+      "wish i (had|hadnt|never) (never )?(been born|woken up)",
+      "better off (dead|without me)",
+      "no (reason|point) (to|in) (live|living|being alive|being here|wake up|waking up)",
+      "(dont|do not|no longer) want to (live|be alive|wake up|exist|be here anymore)",
+      "give up on (life|living|everything)",
+      "overdose",
+    ],
+    distress: [
+      { pattern: "(want to|going to|about to|ready to|just) give up(?! (smoking|drinking|alcohol|sugar|meat|coffee|caffeine|chocolate|my seat|on (the|this|that) ))", weight: 3 },
+      { pattern: "i give up", weight: 2 },
+      { pattern: "cant (go on|keep going)( anymore| any more| like this| without (him|her|them|you))?(?! (a|an|the|my|our|holiday|vacation|trips?|tour|today|tomorrow|tonight|with))", weight: 3 },
+      { pattern: "cant do (this|it) (anymore|any more)", weight: 3 },
+      { pattern: "cant (take|bear|stand|handle) (it|this|the pain)( anymore| any more)?", weight: 3 },
+      { pattern: "want to (join|be with) (him|her|them|you) (now|soon|up there|in heaven)", weight: 3 },
+      { pattern: "want to join (him|her|them|you)", weight: 3 },
+      { pattern: "(whats|what is) the point (of|in) (living|going on|anything|life|any of (it|this))( anymore)?", weight: 3 },
+      { pattern: "(whats|what is) the point( anymore)?", weight: 1 },
+      { pattern: "nothing (matters|to live for)", weight: 2 },
+      { pattern: "hopeless", weight: 2 },
+      { pattern: "unbearable", weight: 2 },
+      { pattern: "cant stop (crying|shaking)", weight: 2 },
+      { pattern: "(cant|can not) breathe", weight: 2 },
+      { pattern: "panic attacks?", weight: 2 },
+      { pattern: "(falling|fall) apart", weight: 1 },
+      { pattern: "(so|completely|totally|all) alone", weight: 1 },
+      { pattern: "(empty|numb) inside", weight: 1 },
+      { pattern: "be with (him|her|them|you) again", weight: 1 },
+      { pattern: "(so|too) tired of (everything|living|this)", weight: 2 },
+    ],
+    guards: [
+      "not (suicidal|going to (hurt|kill) myself)",
+      "(would|will|could) never (hurt|harm|kill) myself",
+      "(dont|do not|never) want to die",
+      "(dont|do not|wont|will not|never|not going to) give up",
+      "kill(ing|ed)? myself laughing",
+      "(dying|dieing) (to|for)",
+      "to die for",
+      "(die|died|dying) (of|from) (laughter|laughing|embarrassment|shame|boredom)",
+      "(died|dies|death|lost (him|her|them)) (by|to|from) (suicide|an overdose|overdose)",
+      "(his|her|their|mums|moms|dads|fathers|mothers) (suicide|overdose)",
+      "suicide (squad|prevention|awareness)",
+      "hopeless (at|with|romantic)",
+      "cant (take|stand|handle) (it|this) (seriously|personally)",
+      "(hurt|cut|cutting|burnt|burned) myself (while|when|playing|cooking|shaving|gardening|running|falling|slightly|a little|on the|at the|in the)",
+    ],
+  },
+  es: {
+    crisis: [
+      "(me )?quiero morir(me)?",
+      "quitarme la vida",
+      "suicid(arme|io|a|ar)",
+      "(quiero|voy a|pienso en|ganas de) matarme",
+      "hacerme (dano|danio)",
+      "acabar con (todo|mi vida)",
+      "no quiero (vivir|seguir viviendo|despertar)",
+      "(mejor|ojala) (estaria|estar|estuviera) muert[oa]",
+      "sobredosis",
+    ],
+    distress: [
+      { pattern: "no (puedo|aguanto|soporto) mas", weight: 3 },
+      { pattern: "no puedo seguir", weight: 3 },
+      { pattern: "(quiero|voy a) rendirme", weight: 3 },
+      { pattern: "me rindo", weight: 3 },
+      { pattern: "sin esperanza", weight: 2 },
+      { pattern: "nada tiene sentido", weight: 2 },
+      { pattern: "no paro de llorar", weight: 2 },
+      { pattern: "(muy|tan) sol[oa]", weight: 1 },
+      { pattern: "vacio por dentro", weight: 1 },
+    ],
+    guards: [
+      "no quiero morir",
+      "me muero (de|por) (risa|ganas|hambre|sueno|frio|calor|verguenza|verte)",
+      "matarme (de|a) (risa|trabajar)",
+      "(se suicido|su suicidio|murio por (suicidio|sobredosis)|su sobredosis)",
+      "no me rindo",
+    ],
+  },
+  de: {
+    crisis: [
+      "mich (selbst )?(umbringen|toten|verletzen|ritzen)",
+      "(selbstmord|suizid(al)?)",
+      "mir (das leben (zu )?nehmen|(etwas|was) (antun|anzutun))",
+      "(will|mochte|wurde gern) sterben",
+      "(will|mochte) nicht mehr (leben|aufwachen|da sein)",
+      "alles beenden",
+      "(ware|waere) (besser|lieber) tot",
+      "uberdosis",
+    ],
+    distress: [
+      { pattern: "ich kann (einfach )?nicht mehr(?! (warten|erinnern|lange|viel|zuruck|mithalten))", weight: 3 },
+      { pattern: "halte (es|das) nicht mehr aus", weight: 3 },
+      { pattern: "(will|mochte) aufgeben", weight: 3 },
+      { pattern: "hoffnungslos", weight: 2 },
+      { pattern: "(hat alles )?keinen sinn mehr", weight: 2 },
+      { pattern: "hore nicht auf zu weinen", weight: 2 },
+      { pattern: "(so|ganz) allein", weight: 1 },
+      { pattern: "leer innen|innerlich leer", weight: 1 },
+    ],
+    guards: [
+      "(will|mochte) nicht sterben",
+      "(hat sich (umgebracht|das leben genommen)|(sein|ihr) (selbstmord|suizid)|durch (suizid|selbstmord))",
+      "(suizid|selbstmord)(pravention|vorbeugung)",
+      "nicht aufgeben",
+    ],
+  },
+  fr: {
+    crisis: [
+      "me suicider",
+      "(je vais|je veux|envie de|je pense a) me tuer",
+      "suicid(e|aire)",
+      "(je veux|envie de|vais) mourir",
+      "mettre fin a (mes jours|ma vie)",
+      "en finir(?! avec)",
+      "(je vais|je veux|envie de) me faire du mal",
+      "(je ne veux plus|plus envie de) vivre",
+      "surdose|overdose",
+    ],
+    distress: [
+      { pattern: "je nen peux plus", weight: 3 },
+      { pattern: "je ne peux plus (continuer|avancer)", weight: 3 },
+      { pattern: "(je veux|envie de) (tout )?abandonner", weight: 3 },
+      { pattern: "(sans espoir|desespere(e)?)", weight: 2 },
+      { pattern: "plus aucun sens", weight: 2 },
+      { pattern: "narrete pas de pleurer", weight: 2 },
+      { pattern: "(si|tellement|toute?) seule?", weight: 1 },
+      { pattern: "vide (a linterieur|en moi)", weight: 1 },
+    ],
+    guards: [
+      "je ne veux pas mourir",
+      "mort(e)? de rire",
+      "mourir (de|d) (faim|rire|froid|chaud|honte|ennui)",
+      "(sest suicide(e)?|(son|sa) suicide|(son|sa) (surdose|overdose))",
+      "prevention du suicide",
+      "(je nabandonne pas|ne pas abandonner)",
+    ],
+  },
+};
+
+/**
+ * Crisis lines by region (ISO country code). Numbers change: check them against
+ * findahelpline.com when touching this list. Anything not listed gets INTERNATIONAL_LINES.
+ */
+export const CRISIS_LINES = {
+  US: { name: "United States", emergency: "911", lines: [{ name: "988 Suicide & Crisis Lifeline", contact: "Call or text 988", href: "tel:988" }, { name: "Crisis Text Line", contact: "Text HOME to 741741", href: "sms:741741" }] },
+  CA: { name: "Canada", emergency: "911", lines: [{ name: "9-8-8 Suicide Crisis Helpline", contact: "Call or text 988", href: "tel:988" }] },
+  GB: { name: "United Kingdom", emergency: "999", lines: [{ name: "Samaritans", contact: "Call 116 123", href: "tel:116123" }, { name: "Shout", contact: "Text SHOUT to 85258", href: "sms:85258" }] },
+  IE: { name: "Ireland", emergency: "112 or 999", lines: [{ name: "Samaritans", contact: "Call 116 123", href: "tel:116123" }, { name: "Text About It", contact: "Text HELLO to 50808", href: "sms:50808" }] },
+  AU: { name: "Australia", emergency: "000", lines: [{ name: "Lifeline", contact: "Call 13 11 14", href: "tel:131114" }] },
+  NZ: { name: "New Zealand", emergency: "111", lines: [{ name: "Need to talk?", contact: "Call or text 1737", href: "tel:1737" }, { name: "Lifeline", contact: "Call 0800 543 354", href: "tel:0800543354" }] },
+  IN: { name: "India", emergency: "112", lines: [{ name: "Tele-MANAS", contact: "Call 14416", href: "tel:14416" }] },
+  DE: { name: "Deutschland", emergency: "112", lines: [{ name: "TelefonSeelsorge", contact: "0800 111 0 111 oder 0800 111 0 222", href: "tel:08001110111" }] },
+  AT: { name: "Österreich", emergency: "144 oder 112", lines: [{ name: "Telefonseelsorge", contact: "142", href: "tel:142" }] },
+  CH: { name: "Schweiz / Suisse", emergency: "144 / 112", lines: [{ name: "Die Dargebotene Hand / La Main Tendue", contact: "143", href: "tel:143" }] },
+  FR: { name: "France", emergency: "15 ou 112", lines: [{ name: "Numéro national de prévention du suicide", contact: "3114", href: "tel:3114" }] },
+  ES: { name: "España", emergency: "112", lines: [{ name: "Línea de atención a la conducta suicida", contact: "024", href: "tel:024" }] },
+  MX: { name: "México", emergency: "911", lines: [{ name: "Línea de la Vida", contact: "800 911 2000", href: "tel:8009112000" }] },
+};
+
+export const INTERNATIONAL_LINES = {
+  name: "Anywhere",
+  emergency: null,
+  lines: [{ name: "Find a Helpline", contact: "findahelpline.com — free, confidential lines by country", href: "https://findahelpline.com" }],
+};
+
+// where a language is mostly spoken in one country, assume it when the locale has no region
+const LANGUAGE_REGIONS = { de: "DE", fr: "FR" };
+
+export function browserLocale() {
+  return (typeof navigator !== "undefined" && navigator.language) || "en";
+}
+
+export function normalizeSafetySettings(saved) {
+  const s = { ...DEFAULT_SAFETY_SETTINGS, ...(saved || {}) };
+  return {
+    region: s.region === "other" || CRISIS_LINES[s.region] ? s.region : null,
+    phrases: (Array.isArray(s.phrases) ? s.phrases : []).map((p) => String(p).trim()).filter(Boolean),
+  };
+}
+
+/**
+ * The region whose crisis lines to show: the user's choice, else the locale's region
+ * ("en-GB" -> "GB"), else a guess from the language. null means INTERNATIONAL_LINES.
+ */
+export function regionFor(settings, locale = browserLocale()) {
+  if (settings?.region === "other") return null;
+  if (settings?.region && CRISIS_LINES[settings.region]) return settings.region;
+  const [language, region] = String(locale).split(/[-_]/);
+  if (region && CRISIS_LINES[region.toUpperCase()]) return region.toUpperCase();
+  return LANGUAGE_REGIONS[language?.toLowerCase()] || null;
+}
+
+export function crisisLinesFor(region) {
+  return CRISIS_LINES[region] || INTERNATIONAL_LINES;
+}
+
+/**
+ * Lower-case, accents and apostrophes dropped, runs of space and punctuation collapsed, so
+ * "I can’t  go on…" and "i cant go on" read the same.
+ */
+export function normalizeText(text) {
+  return String(text || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/ß/g, "ss")
+    .replace(/['’‘`´]/g, "")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+const compiled = new Map();
+
+// whole words only: a phrase can't start or end inside a word
+function phraseRegExp(source) {
+  if (!compiled.has(source)) compiled.set(source, new RegExp(`(?<![\\p{L}\\p{N}])(?:${source})(?![\\p{L}\\p{N}])`, "gu"));
+  const re = compiled.get(source);
+  re.lastIndex = 0;
+  return re;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function lexiconsFor(locale, lexicons) {
+  const language = String(locale).split(/[-_]/)[0].toLowerCase();
+  return [...new Set([language, "en"])].filter((l) => lexicons[l]).map((l) => [l, lexicons[l]]);
+}
+
+/**
+ * Check `text` for self-harm and distress language.
+ * Returns { level: "none" | "distress" | "crisis", score, matches: [{ phrase, level, weight, language }] }.
+ * `phrases` are extra words to treat as distress on their own (from the safety settings).
+ */
+export function assessDistress(text, { locale = browserLocale(), phrases = [], lexicons = LEXICONS, threshold = DISTRESS_THRESHOLD } = {}) {
+  const normalized = normalizeText(text);
+  const matches = [];
+  if (!normalized) return { level: "none", score: 0, matches };
+
+  const selected = lexiconsFor(locale, lexicons);
+  // guards of every language first ("son suicide" must not reach the English "suicide");
+  // the separator keeps the words either side of a guard from joining into a phrase
+  let scan = ` ${normalized} `;
+  for (const [, lexicon] of selected) {
+    for (const guard of lexicon.guards || []) scan = scan.replace(phraseRegExp(guard), " · ");
+  }
+  for (const [language, lexicon] of selected) {
+    const find = (source, level, weight) => {
+      for (const m of scan.matchAll(phraseRegExp(source))) {
+        matches.push({ phrase: m[0].trim(), level, weight, language });
+      }
+    };
+    for (const source of lexicon.crisis || []) find(source, "crisis", threshold);
+    for (const entry of lexicon.distress || []) find(entry.pattern, "distress", entry.weight);
+  }
+  for (const phrase of phrases) {
+    const source = normalizeText(phrase).split(" ").map(escapeRegExp).join(" ");
+    if (!source) continue;
+    for (const m of ` ${normalized} `.matchAll(phraseRegExp(source))) matches.push({ phrase: m[0].trim(), level: "distress", weight: threshold, language: "custom" });
+  }
+
+  const score = matches.reduce((sum, m) => sum + m.weight, 0);
+  const level = matches.some((m) => m.level === "crisis") ? "crisis" : score >= threshold ? "distress" : "none";
+  return { level, score, matches };
+}
+
+/**
+ * What Ecosoul says when a chat message (with the loved one's `name`) or a letter is flagged.
+ */
+export function careMessage(level, { name = "" } = {}) {
+  // in chat the loved one's voice steps aside; after a letter there's no voice to step out of
+  const stepBack = name ? `I'm going to stop speaking as ${name} for a moment, because this matters more.` : "Thank you for putting this into words.";
+  if (level === "crisis") {
+    return `${stepBack} It sounds like you're in a great deal of pain, and you deserve to talk with a real person right now. If you might act on these thoughts, call your local emergency number. The people below are there to listen, any time of day.`;
+  }
+  return `${stepBack} What you're carrying sounds really heavy. You don't have to hold it alone — a few slow breaths in Healing Mode might help, and the people below are there to listen if you'd like to talk.`;
+}
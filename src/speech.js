@@ -0,0 +1,250 @@
+/**
+ * speech.js
+ * The app's speech subsystem: voice settings per feature (chat, story, healing) with
+ * optional per-profile overrides, and one priority queue that owns speechSynthesis.
+ *
+ * Only the queue ever talks to speechSynthesis and it hands the browser one utterance at a
+ * time, so nothing calls synth.cancel() on someone else's speech: a chat reply waits for a
+ * healing cue to finish instead of cutting it off. Higher priorities jump the waiting line;
+ * jobs with maxDelayMs are dropped once stale (a late "Breathe in" is worse than none) and
+ * replaceKey keeps only the newest queued job of a kind.
+ *
+ * Voices load asynchronously in most browsers (getVoices() is [] until "voiceschanged"),
+ * so a job that asks for a specific voice waits briefly for the list before speaking.
+ *
+ * Settings shape (SPEECH_SETTINGS_KEY):
+ *   { muted, defaults: { <feature>: { voiceURI, rate, pitch, volume } },
+ *     profiles: { <profileId>: { <feature>: partial override } } }
+ */
+
+export const SPEECH_SETTINGS_KEY = "ecosoul_speech";
+
+export const SPEECH_FEATURES = [
+  { id: "chat", label: "Chat replies", sample: "I'm right here. Tell me about your day." },
+  { id: "story", label: "Stories", sample: "Once upon a time, in a little house at the edge of a quiet wood…" },
+  { id: "healing", label: "Healing cues", sample: "Breathe in… and breathe out." },
+];
+
+export const PRIORITY = { story: 1, chat: 2, healing: 3, preview: 4 };
+
+export const DEFAULT_SPEECH_SETTINGS = {
+  muted: false,
+  defaults: {
+    chat: { voiceURI: null, rate: 0.95, pitch: 1, volume: 1 },
+    story: { voiceURI: null, rate: 0.9, pitch: 1, volume: 1 },
+    healing: { voiceURI: null, rate: 0.85, pitch: 0.95, volume: 1 },
+  },
+  profiles: {},
+};
+
+const VOICE_WAIT_MS = 1500;
+
+/**
+ * Merge saved settings over the defaults (so features added later get sane values).
+ */
+export function normalizeSpeechSettings(saved) {
+  const defaults = {};
+  for (const f of SPEECH_FEATURES) defaults[f.id] = { ...DEFAULT_SPEECH_SETTINGS.defaults[f.id], ...saved?.defaults?.[f.id] };
+  return { muted: !!saved?.muted, defaults, profiles: saved?.profiles || {} };
+}
+
+/**
+ * Effective { voiceURI, rate, pitch, volume } for a feature, with the profile's overrides applied.
+ */
+export function resolveVoiceSettings(settings, profileId, feature) {
+  const base = settings.defaults[feature] || DEFAULT_SPEECH_SETTINGS.defaults.chat;
+  const override = settings.profiles?.[profileId]?.[feature] || {};
+  const out = { ...base };
+  for (const [k, v] of Object.entries(override)) if (v !== undefined && v !== null) out[k] = v;
+  return out;
+}
+
+/**
+ * Set (or, with value null, clear) one field for a feature, either as the default or for a profile.
+ */
+export function updateVoiceSetting(settings, { profileId = null, feature, field, value }) {
+  if (!profileId) {
+    return { ...settings, defaults: { ...settings.defaults, [feature]: { ...settings.defaults[feature], [field]: value } } };
+  }
+  const forProfile = { ...settings.profiles[profileId] };
+  const next = { ...forProfile[feature] };
+  if (value === null) delete next[field];
+  else next[field] = value;
+  forProfile[feature] = next;
+  return { ...settings, profiles: { ...settings.profiles, [profileId]: forProfile } };
+}
+
+export function removeProfileVoices(settings, profileId) {
+  if (!settings.profiles[profileId]) return settings;
+  const { [profileId]: _, ...rest } = settings.profiles;
+  return { ...settings, profiles: rest };
+}
+
+/**
+ * Call cb(voices) whenever the browser's voice list changes. Returns an unsubscribe function.
+ */
+export function onVoicesChanged(synth, cb) {
+  if (!synth) return () => {};
+  const handler = () => cb(synth.getVoices());
+  if (synth.addEventListener) {
+    synth.addEventListener("voiceschanged", handler);
+    return () => synth.removeEventListener("voiceschanged", handler);
+  }
+  // older Safari only has the event handler property
+  const previous = synth.onvoiceschanged;
+  synth.onvoiceschanged = handler;
+  return () => {
+    synth.onvoiceschanged = previous;
+  };
+}
+
+/**
+ * Resolve with the voice list once it's available, or [] after `timeoutMs`.
+ */
+export function waitForVoices(synth, timeoutMs = VOICE_WAIT_MS, { schedule = setTimeout } = {}) {
+  const voices = synth?.getVoices() || [];
+  if (voices.length || !synth) return Promise.resolve(voices);
+  return new Promise((resolve) => {
+    let done = false;
+    const finish = (list) => {
+      if (done) return;
+      done = true;
+      unsubscribe();
+      resolve(list);
+    };
+    const unsubscribe = onVoicesChanged(synth, (list) => list.length && finish(list));
+    schedule(() => finish(synth.getVoices()), timeoutMs);
+  });
+}
+
+/**
+ * Create a speech queue. Each job: enqueue(text, { priority, voiceURI, rate, pitch, volume,
+ * maxDelayMs, replaceKey, onBoundary, onStart }) -> { done, cancel }, where `done` resolves
+ * with "spoken" | "cancelled" | "replaced" | "expired" | "muted" | "error" | "unsupported".
+ */
+export function createSpeechQueue({ synth, Utterance, now = () => Date.now(), voiceWaitMs = VOICE_WAIT_MS } = {}) {
+  const pending = [];
+  let current = null;
+  let muted = false;
+  let seq = 0;
+  const muteListeners = new Set();
+
+  function settle(job, result) {
+    if (job.settled) return;
+    job.settled = true;
+    if (current === job) current = null;
+    job.resolve(result);
+    pump();
+  }
+
+  async function voiceFor(uri) {
+    if (!uri) return null;
+    let voices = synth.getVoices();
+    if (!voices.length) voices = await waitForVoices(synth, voiceWaitMs);
+    return voices.find((v) => v.voiceURI === uri) || null;
+  }
+
+  async function pump() {
+    if (current || !pending.length) return;
+    const job = pending.shift();
+    const { opts } = job;
+    if (opts.maxDelayMs != null && now() - job.queuedAt > opts.maxDelayMs) {
+      settle(job, "expired");
+      return;
+    }
+    current = job;
+    const voice = await voiceFor(opts.voiceURI);
+    // cancelled or muted while the voice list was loading
+    if (current !== job) return;
+    const utt = new Utterance(job.text);
+    if (voice) {
+      utt.voice = voice;
+      utt.lang = voice.lang;
+    }
+    utt.rate = opts.rate ?? 1;
+    utt.pitch = opts.pitch ?? 1;
+    utt.volume = opts.volume ?? 1;
+    utt.onstart = () => !job.settled && opts.onStart?.();
+    utt.onboundary = (e) => !job.settled && opts.onBoundary?.(e);
+    utt.onend = () => settle(job, "spoken");
+    utt.onerror = (e) => settle(job, job.cancelledAs || (e.error === "interrupted" || e.error === "canceled" ? "cancelled" : "error"));
+    synth.speak(utt);
+  }
+
+  function cancel(job, result = "cancelled") {
+    if (job.settled) return;
+    if (current === job) {
+      // the utterance's error event reports this result instead of a plain interruption
+      job.cancelledAs = result;
+      synth.cancel();
+      settle(job, result);
+    } else {
+      const i = pending.indexOf(job);
+      if (i >= 0) pending.splice(i, 1);
+      settle(job, result);
+    }
+  }
+
+  function enqueue(text, opts = {}) {
+    const job = { id: ++seq, text, opts, priority: opts.priority ?? 0, queuedAt: now(), settled: false };
+    job.done = new Promise((resolve) => {
+      job.resolve = resolve;
+    });
+    const handle = { done: job.done, cancel: () => cancel(job) };
+    if (!synth || !Utterance) {
+      job.settled = true;
+      job.resolve("unsupported");
+      return handle;
+    }
+    if (muted || !String(text || "").trim()) {
+      job.settled = true;
+      job.resolve(muted ? "muted" : "spoken");
+      return handle;
+    }
+    if (opts.replaceKey) {
+      for (const other of pending.filter((j) => j.opts.replaceKey === opts.replaceKey)) cancel(other, "replaced");
+    }
+    // after every job of the same or higher priority, so equal priorities stay in order
+    const at = pending.findIndex((j) => j.priority < job.priority);
+    pending.splice(at < 0 ? pending.length : at, 0, job);
+    pump();
+    return handle;
+  }
+
+  return {
+    supported: !!(synth && Utterance),
+    enqueue,
+    speak: (text, opts) => enqueue(text, opts).done,
+    setMuted(value) {
+      muted = !!value;
+      if (!muted) return;
+      for (const job of [...pending]) cancel(job, "muted");
+      if (current) cancel(current, "muted");
+      muteListeners.forEach((listener) => listener());
+    },
+    // speech played outside the queue (a remote provider's audio) stops with it on mute
+    onMute(listener) {
+      muteListeners.add(listener);
+      return () => muteListeners.delete(listener);
+    },
+    isMuted: () => muted,
+    isSpeaking: () => !!current,
+    size: () => pending.length + (current ? 1 : 0),
+  };
+}
+
+let shared = null;
+
+/**
+ * The app-wide queue over the browser's speechSynthesis.
+ */
+export function speechQueue() {
+  if (!shared) {
+    const hasSpeech = typeof window !== "undefined" && "speechSynthesis" in window;
+    shared = createSpeechQueue({
+      synth: hasSpeech ? window.speechSynthesis : null,
+      Utterance: hasSpeech ? window.SpeechSynthesisUtterance : null,
+    });
+  }
+  return shared;
+}
@@ -0,0 +1,259 @@
+/**
+ * storage.js
+ * Persistence for app data kept under "ecosoul_*" localStorage keys.
+ *
+ * Values are decrypted once into an in-memory cache by hydrate() (called by VaultGate
+ * before the app mounts), so components can keep reading state synchronously.
+ * Writes update the cache immediately and are persisted in the background — encrypted
+ * with AES-GCM when the vault is unlocked, plain JSON otherwise.
+ *
+ * Also hosts the vault lifecycle operations that need to re-encrypt everything
+ * (enable, change passphrase, disable), since only this module knows every stored value.
+ * Those write re-encrypted copies next to the live data first; a single marker write then
+ * commits the rewrite, and only after the copies are moved into place is the new vault
+ * record stored. A rewrite interrupted before the marker leaves the old data untouched;
+ * one interrupted after it is finished by finishVaultRewrite() on the next start.
+ *
+ * While the vault is locked there is no key to seal a change with, so writes that arrive
+ * then (say, a reply finishing just as it auto-locks) are refused and reported to
+ * onLostWrite() listeners rather than kept in memory.
+ */
+
+import {
+  VAULT_META_KEY,
+  isVaultEnabled,
+  isUnlocked,
+  isSealed,
+  encryptString,
+  decryptString,
+  unlock,
+  prepareVault,
+  applyVault,
+  removeVault,
+  lock,
+} from "./vault.js";
+import {
+  LEGACY_UPLOADS_KEY,
+  getAllClipRecords,
+  clearClips,
+  holdClipWrites,
+  stageClips,
+  commitStagedClips,
+  discardStagedClips,
+} from "./clipStore.js";
+
+const KEY_PREFIX = "ecosoul_";
+// keys managed elsewhere that must stay readable without the vault key
+const PLAIN_KEYS = new Set([VAULT_META_KEY, LEGACY_UPLOADS_KEY]);
+// re-encrypted copies and the commit marker of a vault rewrite; outside KEY_PREFIX on purpose
+const STAGED_PREFIX = "ecosoul-staged:";
+const REWRITE_KEY = "ecosoul-vault-rewrite";
+
+const cache = new Map();
+// per-key write counter so a slow encryption can't overwrite a newer value
+const writeVersions = new Map();
+// while everything is re-encrypted, writes wait here and are persisted afterwards
+let rewriting = false;
+const deferredKeys = new Set();
+const lostWriteListeners = new Set();
+
+function managedKeys() {
+  const keys = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const k = localStorage.key(i);
+    if (k.startsWith(KEY_PREFIX) && !PLAIN_KEYS.has(k)) keys.push(k);
+  }
+  return keys;
+}
+
+/**
+ * Load every managed key into the cache, decrypting sealed values.
+ * Throws VaultError if sealed data exists but the vault is locked.
+ */
+export async function hydrate() {
+  cache.clear();
+  for (const key of managedKeys()) {
+    const raw = localStorage.getItem(key);
+    try {
+      const text = isSealed(raw) ? await decryptString(raw) : raw;
+      cache.set(key, JSON.parse(text));
+    } catch (e) {
+      if (e.name === "VaultError") throw e;
+      // unparsable legacy value: leave it out of the cache, readers fall back
+    }
+  }
+}
+
+// drop decrypted values from memory (on lock)
+export function clearCache() {
+  cache.clear();
+}
+
+export function readJSON(key, fallback) {
+  return cache.has(key) ? cache.get(key) : fallback;
+}
+
+export function writeJSON(key, value) {
+  if (isVaultEnabled() && !isUnlocked()) {
+    reportLostWrite(key);
+    return;
+  }
+  cache.set(key, value);
+  persist(key).catch((e) => console.warn(`Could not persist ${key}`, e));
+}
+
+/**
+ * Be told about changes that couldn't be saved because the vault had locked; `listener`
+ * gets the key. Returns an unsubscribe function.
+ */
+export function onLostWrite(listener) {
+  lostWriteListeners.add(listener);
+  return () => lostWriteListeners.delete(listener);
+}
+
+function reportLostWrite(key) {
+  console.warn(`Not saved: ${key} changed while the vault was locked`);
+  lostWriteListeners.forEach((listener) => listener(key));
+}
+
+export function removeKey(key) {
+  cache.delete(key);
+  writeVersions.set(key, (writeVersions.get(key) || 0) + 1);
+  localStorage.removeItem(key);
+}
+
+async function persist(key) {
+  const version = (writeVersions.get(key) || 0) + 1;
+  writeVersions.set(key, version);
+  if (rewriting) {
+    deferredKeys.add(key);
+    return;
+  }
+  // never fall back to plain text for a vault that is merely locked
+  if (isVaultEnabled() && !isUnlocked()) {
+    reportLostWrite(key);
+    return;
+  }
+  const text = JSON.stringify(cache.get(key));
+  const stored = isUnlocked() ? await encryptString(text) : text;
+  if (writeVersions.get(key) === version) localStorage.setItem(key, stored);
+}
+
+function clearStagedValues() {
+  const staged = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const k = localStorage.key(i);
+    if (k.startsWith(STAGED_PREFIX)) staged.push(k);
+  }
+  staged.forEach((k) => localStorage.removeItem(k));
+}
+
+/**
+ * Re-encrypt every cached value and clip for `key` (plain for null), then replace the vault
+ * record with `meta` (removed for null). The current key must still open the data.
+ */
+async function rewriteEverything(key, meta) {
+  let release;
+  rewriting = true;
+  holdClipWrites(new Promise((resolve) => (release = resolve)));
+  try {
+    const clips = await getAllClipRecords();
+    clearStagedValues();
+    const values = await Promise.all(
+      [...cache.keys()].map(async (k) => {
+        const text = JSON.stringify(cache.get(k));
+        return [k, key ? await encryptString(text, key) : text];
+      })
+    );
+    try {
+      values.forEach(([k, stored]) => localStorage.setItem(STAGED_PREFIX + k, stored));
+      await stageClips(clips, key);
+    } catch (e) {
+      clearStagedValues();
+      await discardStagedClips().catch(() => {});
+      throw e;
+    }
+    // the commit point: from here on the rewrite gets finished, even after a crash
+    const marker = { meta, keys: values.map(([k]) => k) };
+    localStorage.setItem(REWRITE_KEY, JSON.stringify(marker));
+    await completeRewrite(marker, key);
+  } finally {
+    rewriting = false;
+    release();
+  }
+  const deferred = [...deferredKeys];
+  deferredKeys.clear();
+  await Promise.all(deferred.map(persist));
+}
+
+/**
+ * Complete a committed vault rewrite that was cut short, or drop the copies of one that
+ * never got committed. Runs before anything is read (see VaultGate.jsx); needs no key.
+ */
+export async function finishVaultRewrite() {
+  let marker = null;
+  try {
+    marker = JSON.parse(localStorage.getItem(REWRITE_KEY) || "null");
+  } catch (e) {}
+  if (marker) {
+    await completeRewrite(marker, null);
+  } else {
+    clearStagedValues();
+    await discardStagedClips().catch(() => {});
+  }
+}
+
+// move the staged copies into place, then store the new vault record (last) and switch keys
+async function completeRewrite(marker, key) {
+  for (const k of marker.keys) {
+    const stored = localStorage.getItem(STAGED_PREFIX + k);
+    if (stored !== null) localStorage.setItem(k, stored);
+  }
+  await commitStagedClips();
+  applyVault(marker.meta, key);
+  localStorage.removeItem(REWRITE_KEY);
+  clearStagedValues();
+}
+
+/**
+ * Turn the vault on: derive a key from the passphrase and re-save all data encrypted.
+ */
+export async function enableVault(passphrase, autoLockMinutes) {
+  const { key, meta } = await prepareVault(passphrase, autoLockMinutes);
+  await rewriteEverything(key, meta);
+}
+
+/**
+ * Re-encrypt all data under a new passphrase. The old one is verified first and a
+ * VaultError("WRONG_PASSPHRASE") is thrown if it doesn't match.
+ */
+export async function changePassphrase(oldPassphrase, newPassphrase) {
+  await unlock(oldPassphrase);
+  const { key, meta } = await prepareVault(newPassphrase);
+  await rewriteEverything(key, meta);
+}
+
+/**
+ * Turn the vault off and store everything as plain data again.
+ */
+export async function disableVault(passphrase) {
+  await unlock(passphrase);
+  await rewriteEverything(null, null);
+}
+
+export function lockVault() {
+  lock();
+  clearCache();
+}
+
+/**
+ * Forgotten passphrase: nothing can be decrypted, so erase all Ecosoul data on this device.
+ */
+export async function resetEverything() {
+  for (const key of managedKeys()) localStorage.removeItem(key);
+  clearStagedValues();
+  localStorage.removeItem(REWRITE_KEY);
+  removeVault();
+  cache.clear();
+  await clearClips();
+}
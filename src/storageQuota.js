@@ -0,0 +1,83 @@
+/**
+ * storageQuota.js
+ * How much room the browser gives Ecosoul, and whether it may clear it. Unless storage is
+ * marked persistent, browsers are allowed to evict a site's data under storage pressure —
+ * on phones that can mean every clip and letter — so the app asks for persistence
+ * (navigator.storage.persist()) once there's something worth keeping, shows usage in
+ * settings, and checks the remaining room before saving large clips or photos.
+ */
+
+// warn when a save would leave less than this much free, or less than this share of the quota
+export const LOW_SPACE_BYTES = 50 * 1024 * 1024;
+export const LOW_SPACE_RATIO = 0.1;
+// IndexedDB needs some room beyond the raw bytes
+const WRITE_OVERHEAD = 1.1;
+
+function storageManager() {
+  return typeof navigator !== "undefined" ? navigator.storage : undefined;
+}
+
+/**
+ * { supported, usage, quota, persisted, details } — numbers in bytes, null where unknown.
+ * details is the per-store breakdown some browsers report (indexedDB, caches, ...).
+ */
+export async function storageStatus() {
+  const storage = storageManager();
+  if (!storage?.estimate) return { supported: false, usage: null, quota: null, persisted: null, details: null };
+  const [estimate, persisted] = await Promise.all([storage.estimate(), storage.persisted ? storage.persisted() : Promise.resolve(null)]);
+  return { supported: true, usage: estimate.usage ?? null, quota: estimate.quota ?? null, persisted, details: estimate.usageDetails || null };
+}
+
+/**
+ * Ask the browser not to evict our data. Resolves true if storage is (now) persistent.
+ */
+export async function requestPersistence() {
+  const storage = storageManager();
+  if (!storage?.persist) return false;
+  if (storage.persisted && (await storage.persisted())) return true;
+  return storage.persist();
+}
+
+let askedThisSession = false;
+
+/**
+ * requestPersistence(), at most once per session — for calling whenever the user saves
+ * something, without prompting again and again where the browser asks the user.
+ */
+export function ensurePersisted() {
+  if (askedThisSession) return Promise.resolve(null);
+  askedThisSession = true;
+  return requestPersistence().catch(() => false);
+}
+
+/**
+ * Would `incomingBytes` fit? { level: "ok" | "low" | "full" | "unknown", free, freeAfter }.
+ */
+export function headroom({ usage, quota }, incomingBytes) {
+  if (typeof usage !== "number" || typeof quota !== "number" || quota <= 0) return { level: "unknown", free: null, freeAfter: null };
+  const free = Math.max(0, quota - usage);
+  const freeAfter = free - incomingBytes * WRITE_OVERHEAD;
+  if (freeAfter < 0) return { level: "full", free, freeAfter };
+  if (freeAfter < Math.max(LOW_SPACE_BYTES, quota * LOW_SPACE_RATIO)) return { level: "low", free, freeAfter };
+  return { level: "ok", free, freeAfter };
+}
+
+export async function checkRoomFor(bytes) {
+  try {
+    return headroom(await storageStatus(), bytes);
+  } catch (e) {
+    return headroom({}, bytes);
+  }
+}
+
+export function formatBytes(bytes) {
+  if (typeof bytes !== "number") return "?";
+  const units = ["B", "KB", "MB", "GB", "TB"];
+  let value = Math.max(0, bytes);
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+  return `${value >= 10 || unit === 0 ? Math.round(value) : value.toFixed(1)} ${units[unit]}`;
+}
@@ -0,0 +1,44 @@
+import { useSyncExternalStore } from "react";
+import { writeJSON } from "./storage.js";
+
+/**
+ * store.js
+ * A minimal external store: one value, replaced (never mutated) through set(), with
+ * subscribers notified after each change. Given a storage key, every new value is also
+ * written with storage.js writeJSON, so persisted state has a single place it's saved from.
+ *
+ * Stores are created per vault session (see appState.js) rather than at module level, so
+ * locking Ecosoul drops the decrypted values along with the app.
+ */
+
+export function createStore(initial, { key } = {}) {
+  let state = initial;
+  const listeners = new Set();
+  return {
+    get: () => state,
+    // accepts a value or an updater (prev) => next, like React's setState
+    set(next) {
+      const value = typeof next === "function" ? next(state) : next;
+      if (Object.is(value, state)) return;
+      state = value;
+      if (key) writeJSON(key, value);
+      listeners.forEach((l) => l());
+    },
+    // write the current value as is, e.g. one that was migrated while loading
+    save() {
+      if (key) writeJSON(key, state);
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
+
+/**
+ * The store's current value; the component re-renders when it changes. Derive lists from it
+ * with useMemo rather than a selector, since the snapshot must be the stored value itself.
+ */
+export function useStore(store) {
+  return useSyncExternalStore(store.subscribe, store.get);
+}
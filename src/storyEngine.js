@@ -0,0 +1,221 @@
+/**
+ * storyEngine.js
+ * Story Mode's builder. A story structure (first meeting, a trip, a holiday tradition, a
+ * bedtime story) asks a few guided questions; the answers fill its slots, and quotes from
+ * the user's own letters and clip notes fill the rest. The local provider turns a plan into
+ * paragraphs with buildStory(); remote providers get the same slots as a prompt (storyPrompt).
+ *
+ * Saved story shape:
+ *   { id, profileId, structureId, title, answers: { slot: text }, paragraphs: [string], createdAt, updatedAt }
+ */
+
+import { buildIndex, search, bestSentence, createRng } from "./replyEngine.js";
+import { spokenName } from "./profiles.js";
+
+export const STORIES_KEY = "ecosoul_stories";
+
+const MIN_QUOTE_WORDS = 5;
+
+function pick(list, random) {
+  return list[Math.floor(random() * list.length)];
+}
+
+// "the beach at dawn." -> "the beach at dawn"
+function clean(text) {
+  return String(text || "").trim().replace(/\s+/g, " ").replace(/[.!?…,;:]+$/, "");
+}
+
+function sentenceCase(text) {
+  return text ? text.charAt(0).toUpperCase() + text.slice(1) : text;
+}
+
+/**
+ * Each structure: { id, name, blurb, keywords (journal lookup), questions: [{ slot, question,
+ * placeholder, fallback }], title(ctx), paragraphs: [(ctx) => string] }. A paragraph that
+ * returns "" is left out. ctx = { s: slots, answered: { slot: bool }, name, who, together, nickname,
+ * memories: [quote], random }.
+ */
+export const STORY_STRUCTURES = [
+  {
+    id: "first-meeting",
+    name: "How we first met",
+    blurb: "The day your story together began.",
+    keywords: "first met meet meeting time saw remember beginning",
+    questions: [
+      { slot: "place", question: "Where did you first meet?", placeholder: "at a friend's wedding in Cork", fallback: "somewhere ordinary that turned out not to be" },
+      { slot: "when", question: "When was it?", placeholder: "the summer of 1987", fallback: "a long time ago" },
+      { slot: "noticed", question: "What did you notice about them first?", placeholder: "their loud, kind laugh", fallback: "the way they smiled" },
+      { slot: "said", question: "Do you remember anything they said?", placeholder: "\"You look like you need a dance\"", fallback: "" },
+      { slot: "after", question: "What happened next?", placeholder: "we talked until they closed the hall", fallback: "you kept finding reasons to see each other again" },
+    ],
+    title: (c) => (c.name ? `How you met ${c.name}` : "How it began"),
+    paragraphs: [
+      (c) =>
+        pick(
+          [
+            `It was ${c.s.when}, ${c.s.place}. Nobody there knew that a story was about to start — least of all you.`,
+            `Think back to ${c.s.when}. You were ${c.s.place}, not expecting anything in particular.`,
+          ],
+          c.random
+        ),
+      (c) =>
+        `Then you noticed ${c.who}. What caught you first was ${c.s.noticed}.` +
+        (c.s.said ? ` And then came the words you still carry: ${c.s.said}.` : ` Some moments are small and still change everything.`),
+      (c) => (c.memories[0] ? `You wrote about it once, in your own words: “${c.memories[0]}”. Some things are remembered best by the heart that lived them.` : ""),
+      (c) =>
+        `After that, ${c.s.after}. ${sentenceCase(c.together)} had begun${c.nickname ? `, and before long you were ${c.nickname}` : ""} — and that first day became the one every other day grew from.`,
+    ],
+  },
+  {
+    id: "trip",
+    name: "A trip together",
+    blurb: "A journey you still replay.",
+    keywords: "trip travel journey drive road holiday beach flight visit went",
+    questions: [
+      { slot: "destination", question: "Where did you go?", placeholder: "the coast road to Kerry", fallback: "somewhere new" },
+      { slot: "company", question: "Who else was there?", placeholder: "just the two of us and the dog", fallback: "" },
+      { slot: "moment", question: "Which moment do you replay most?", placeholder: "eating chips on the harbour wall in the rain", fallback: "a quiet moment nobody else would have noticed" },
+      { slot: "mishap", question: "Did anything go wrong?", placeholder: "we got the ferry times wrong", fallback: "" },
+      { slot: "home", question: "How did it feel coming home?", placeholder: "tired and sunburnt and happy", fallback: "changed, a little, in the best way" },
+    ],
+    title: (c) => (c.answered.destination ? `The trip to ${c.s.destination}` : "The trip we took"),
+    paragraphs: [
+      (c) => `${sentenceCase(c.together)} set off for ${c.s.destination}${c.s.company ? ` — ${c.s.company}` : ""}. The bags were packed, the map was only half-trusted, and the road felt wide open.`,
+      (c) => (c.s.mishap ? `Not everything went to plan: ${c.s.mishap}. ${c.name ? `${c.name} just laughed` : "You both laughed"}, because the best stories need a wrong turn.` : ""),
+      (c) => `But the moment that stayed was ${c.s.moment}. If you close your eyes you can still be there — the light, the air, ${c.who} right beside you.`,
+      (c) => (c.memories[0] ? `You once wrote: “${c.memories[0]}”.` + (c.memories[1] ? ` And another time: “${c.memories[1]}”.` : "") : ""),
+      (c) => `Coming home, you felt ${c.s.home}. Trips end, but the road you travelled together never really does.`,
+    ],
+  },
+  {
+    id: "holiday-tradition",
+    name: "A holiday tradition",
+    blurb: "Something you always did, every year.",
+    keywords: "christmas easter birthday tradition every year always family dinner holiday celebrate",
+    questions: [
+      { slot: "occasion", question: "Which holiday or occasion?", placeholder: "Christmas Eve", fallback: "that special time" },
+      { slot: "ritual", question: "What did you always do together?", placeholder: "made the trifle and argued about the sherry", fallback: "kept the same small rituals, in the same order" },
+      { slot: "senses", question: "Which smells, sounds or songs belong to it?", placeholder: "cloves, the radio carols, the kettle", fallback: "familiar smells and songs" },
+      { slot: "role", question: "What was their part in it?", placeholder: "they always lit the first candle", fallback: "" },
+      { slot: "now", question: "How do you keep it alive now?", placeholder: "I still make the trifle, too much sherry", fallback: "in small ways that still feel like them" },
+    ],
+    title: (c) => (c.answered.occasion ? `${sentenceCase(c.s.occasion)}, every year` : "Our tradition"),
+    paragraphs: [
+      (c) => `Every year, when ${c.s.occasion} came round, the house filled with ${c.s.senses}. You didn't need a calendar to know — you could feel it.`,
+      (c) => `${sentenceCase(c.together)} ${c.s.ritual}. Nobody wrote the rules down; everybody knew them.` + (c.s.role ? ` And ${c.name || "they"} always had their part: ${c.s.role}.` : ""),
+      (c) => (c.memories[0] ? `In one of your letters you wrote: “${c.memories[0]}”. Traditions are just love that remembers its way home.` : ""),
+      (c) => `And now? ${sentenceCase(c.s.now)}. Each time, ${c.who} is there in the middle of it.`,
+    ],
+  },
+  {
+    id: "bedtime",
+    name: "A bedtime story",
+    blurb: "A gentle story about them, for someone little.",
+    keywords: "loved kind taught always gentle brave laugh story",
+    questions: [
+      { slot: "listener", question: "Who is the story for?", placeholder: "Mia", fallback: "" },
+      { slot: "setting", question: "Where should it take place?", placeholder: "a cottage by a very sleepy sea", fallback: "a little house at the edge of a quiet wood" },
+      { slot: "gift", question: "What was special about them?", placeholder: "they could fix anything with string", fallback: "they had the kindest heart in the whole wide world" },
+      { slot: "lesson", question: "What would they want the listener to know?", placeholder: "that being brave can be quiet", fallback: "that they are loved, always" },
+    ],
+    title: (c) => (c.name ? `${c.name} and the starry night` : "The starry night"),
+    paragraphs: [
+      (c) => `Once upon a time, in ${c.s.setting}, there lived ${c.name || "someone very special"}. Everyone who knew ${c.name || "them"} knew one thing for sure: ${c.s.gift}.`,
+      (c) => (c.memories[0] ? `People still remember the little things. Someone once said: “${c.memories[0]}”.` : ""),
+      (c) => `Every night, when the stars came out, ${c.name || "they"} would look up and make a wish — and the wish was always for ${c.s.listener || "the little one they loved"} to know ${c.s.lesson}.`,
+      (c) => `So now, when you close your eyes${c.s.listener ? `, ${c.s.listener}` : ""}, remember that wish. It's still up there, shining, keeping you company until morning. Goodnight.`,
+    ],
+  },
+];
+
+export function getStructure(id) {
+  return STORY_STRUCTURES.find((s) => s.id === id) || STORY_STRUCTURES[0];
+}
+
+/**
+ * Quotes from the user's memories that fit a structure and its answers, best first.
+ */
+export function findMemoryQuotes(structure, answers, memories, limit = 2) {
+  if (!memories.length) return [];
+  const query = `${structure.keywords} ${Object.values(answers || {}).join(" ")}`;
+  return search(buildIndex(memories), query, limit + 2)
+    .map((hit) => clean(bestSentence(hit.doc.body, hit.matched)))
+    // a fragment like "I miss that" says nothing out of context
+    .filter((quote) => quote.split(" ").length >= MIN_QUOTE_WORDS)
+    .slice(0, limit);
+}
+
+/**
+ * A sentence from the user's memories that could answer one guided question, or "".
+ */
+export function suggestAnswer(question, memories) {
+  if (!memories.length) return "";
+  const [hit] = search(buildIndex(memories), question.question, 1);
+  return hit ? clean(bestSentence(hit.doc.body, hit.matched)) : "";
+}
+
+/**
+ * Fill a structure's slots: { slots: { slot: text }, sources: { slot: "answer" | "default" }, memories: [quote] }
+ */
+export function fillSlots(structure, answers, memories) {
+  const slots = {};
+  const sources = {};
+  for (const q of structure.questions) {
+    const given = clean(answers?.[q.slot]);
+    slots[q.slot] = given || q.fallback;
+    sources[q.slot] = given ? "answer" : "default";
+  }
+  return { slots, sources, memories: findMemoryQuotes(structure, answers, memories) };
+}
+
+/**
+ * Build a story locally. Returns { title, paragraphs }. The same inputs and seed give the
+ * same story.
+ */
+export function buildStory(structureId, answers, memories, { profile = null, seed = 1 } = {}) {
+  const structure = getStructure(structureId);
+  const filled = fillSlots(structure, answers, memories);
+  const name = spokenName(profile);
+  const ctx = {
+    s: filled.slots,
+    answered: Object.fromEntries(Object.entries(filled.sources).map(([slot, src]) => [slot, src === "answer"])),
+    memories: filled.memories,
+    name,
+    who: name || "the one you love",
+    together: name ? `you and ${name}` : "the two of you",
+    nickname: profile?.nicknames?.[0] || "",
+    random: createRng(seed),
+  };
+  return {
+    title: structure.title(ctx),
+    paragraphs: structure.paragraphs.map((p) => p(ctx)).filter(Boolean),
+  };
+}
+
+/**
+ * Prompt for a remote provider: the structure and the filled slots, asking for paragraphs
+ * separated by blank lines.
+ */
+export function storyPrompt(structureId, answers, memories) {
+  const structure = getStructure(structureId);
+  const { slots, memories: quotes } = fillSlots(structure, answers, memories);
+  const details = structure.questions.filter((q) => slots[q.slot]).map((q) => `- ${q.question} ${slots[q.slot]}`);
+  const quoted = quotes.map((q) => `- “${q}”`);
+  return [
+    `Tell "${structure.name}": ${structure.blurb}`,
+    `Write four or five short paragraphs separated by blank lines. Use these details:`,
+    ...details,
+    ...(quoted.length ? ["Things the user once wrote, to weave in:", ...quoted] : []),
+  ].join("\n");
+}
+
+export function splitParagraphs(text) {
+  return String(text || "")
+    .split(/\n\s*\n/)
+    .map((p) => p.replace(/\s+/g, " ").trim())
+    .filter(Boolean);
+}
+
+export function createStoryRecord(id, { profileId, structureId, title, answers, paragraphs, now = Date.now() }) {
+  return { id, profileId, structureId, title, answers, paragraphs, createdAt: now, updatedAt: now };
+}
@@ -0,0 +1,113 @@
+/**
+ * sw.js
+ * Service worker for the installed / offline app. Not imported by the app: the build
+ * (see the serviceWorker plugin in vite.config.js) emits it as /sw.js with the list of
+ * built files and a hash of them filled in below.
+ *
+ * - install: precache the app shell (index.html, the bundled JS/CSS including every lazily
+ *   loaded view, manifest and icons) into a cache named after the build. The new worker
+ *   then waits, so a tab is never switched to new code under its feet; the app asks
+ *   (pwa.js) and posts SKIP_WAITING.
+ * - activate: drop caches from older builds.
+ * - fetch: navigations go to the network and fall back to the cached shell when offline;
+ *   precached files are served from the cache; the Tailwind CDN script is kept in a
+ *   runtime cache so the offline shell is still styled. Everything else (including any
+ *   remote reply provider) is left to the network.
+ * - notificationclick: reminders (notifications.js) are shown through this worker; a click
+ *   focuses an open Ecosoul tab and tells it which reminder, or opens one with ?reminder=.
+ *
+ * User data never passes through here — it lives in localStorage and IndexedDB.
+ */
+
+const BUILD = __BUILD__;
+const PRECACHE = __PRECACHE__;
+const SHELL_CACHE = `ecosoul-shell-${BUILD}`;
+const RUNTIME_CACHE = "ecosoul-runtime";
+const RUNTIME_HOSTS = ["cdn.tailwindcss.com"];
+
+const scoped = (path) => new URL(path, self.registration.scope).href;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    (async () => {
+      const cache = await caches.open(SHELL_CACHE);
+      await cache.addAll(PRECACHE.map(scoped));
+      // best effort: the styling script is cross-origin, so it's stored as an opaque response
+      const runtime = await caches.open(RUNTIME_CACHE);
+      await Promise.all(
+        RUNTIME_HOSTS.map(async (host) => {
+          try {
+            const url = `https://${host}/`;
+            if (!(await runtime.match(url))) await runtime.put(url, await fetch(url, { mode: "no-cors" }));
+          } catch (e) {}
+        })
+      );
+    })()
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    (async () => {
+      const names = await caches.keys();
+      await Promise.all(names.filter((n) => n.startsWith("ecosoul-shell-") && n !== SHELL_CACHE).map((n) => caches.delete(n)));
+      await self.clients.claim();
+    })()
+  );
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "SKIP_WAITING") self.skipWaiting();
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const key = event.notification.data?.reminder;
+  if (!key) return;
+  event.waitUntil(
+    (async () => {
+      const [client] = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+      if (client) {
+        client.postMessage({ type: "REMINDER", key });
+        return client.focus();
+      }
+      return self.clients.openWindow(scoped(`./?reminder=${encodeURIComponent(key)}`));
+    })()
+  );
+});
+
+async function fromNetworkOrShell(request) {
+  try {
+    return await fetch(request);
+  } catch (e) {
+    const cache = await caches.open(SHELL_CACHE);
+    return (await cache.match(scoped("index.html"))) || Response.error();
+  }
+}
+
+// serve the cached copy at once and refresh it in the background
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(RUNTIME_CACHE);
+  const cached = await cache.match(request, { ignoreSearch: true });
+  const refresh = fetch(request)
+    .then((response) => {
+      if (response.ok || response.type === "opaque") cache.put(request, response.clone());
+      return response;
+    })
+    .catch(() => cached || Response.error());
+  return cached || refresh;
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+
+  if (request.mode === "navigate" && url.origin === self.location.origin) {
+    event.respondWith(fromNetworkOrShell(request));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(caches.match(request, { cacheName: SHELL_CACHE }).then((hit) => hit || fetch(request)));
+  } else if (RUNTIME_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(request));
+  }
+});
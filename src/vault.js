@@ -0,0 +1,193 @@
+/**
+ * vault.js
+ * Optional passphrase vault. A key is derived from the user's passphrase with PBKDF2
+ * (WebCrypto) and used for AES-GCM encryption of everything Ecosoul persists.
+ *
+ * Only the derived CryptoKey is kept, in memory, while unlocked; the passphrase itself is
+ * never stored. The vault record in localStorage holds the salt, KDF parameters and a
+ * small encrypted check value used to tell a wrong passphrase apart from corrupt data.
+ */
+
+export const VAULT_META_KEY = "ecosoul_vault";
+export const DEFAULT_AUTO_LOCK_MINUTES = 5;
+
+const ENVELOPE_PREFIX = "vault:v1:";
+const CHECK_PLAINTEXT = "ecosoul-vault-check";
+const PBKDF2_ITERATIONS = 310000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+export class VaultError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "VaultError";
+    this.code = code; // "WRONG_PASSPHRASE" | "LOCKED" | "UNSUPPORTED" | "CORRUPT"
+  }
+}
+
+let currentKey = null;
+
+// ---- encoding helpers ----
+function toBase64(buf) {
+  const bytes = new Uint8Array(buf);
+  let bin = "";
+  for (let i = 0; i < bytes.length; i++) bin += String.fromCharCode(bytes[i]);
+  return btoa(bin);
+}
+
+function fromBase64(b64) {
+  const bin = atob(b64);
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return bytes;
+}
+
+function randomBytes(n) {
+  return crypto.getRandomValues(new Uint8Array(n));
+}
+
+function assertSupported() {
+  if (!window.crypto?.subtle) {
+    throw new VaultError("UNSUPPORTED", "This browser does not support WebCrypto, so the vault can't be used.");
+  }
+}
+
+// ---- vault record ----
+export function readVaultMeta() {
+  try {
+    return JSON.parse(localStorage.getItem(VAULT_META_KEY) || "null");
+  } catch (e) {
+    return null;
+  }
+}
+
+function writeVaultMeta(meta) {
+  localStorage.setItem(VAULT_META_KEY, JSON.stringify(meta));
+}
+
+export function isVaultEnabled() {
+  return !!readVaultMeta();
+}
+
+export function isUnlocked() {
+  return currentKey !== null;
+}
+
+export function getAutoLockMinutes() {
+  return readVaultMeta()?.autoLockMinutes ?? DEFAULT_AUTO_LOCK_MINUTES;
+}
+
+export function setAutoLockMinutes(minutes) {
+  const meta = readVaultMeta();
+  if (!meta) return;
+  writeVaultMeta({ ...meta, autoLockMinutes: minutes });
+}
+
+async function deriveKey(passphrase, salt, iterations) {
+  assertSupported();
+  const material = await crypto.subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", salt, iterations, hash: "SHA-256" },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+/**
+ * Verify the passphrase against the stored check value and keep the derived key in memory.
+ * Throws VaultError("WRONG_PASSPHRASE") when it doesn't match.
+ */
+export async function unlock(passphrase) {
+  const meta = readVaultMeta();
+  if (!meta) throw new VaultError("CORRUPT", "No vault has been set up on this device.");
+  const key = await deriveKey(passphrase, fromBase64(meta.salt), meta.iterations);
+  try {
+    const check = await decryptWith(key, meta.check);
+    if (check !== CHECK_PLAINTEXT) throw new Error("check mismatch");
+  } catch (e) {
+    throw new VaultError("WRONG_PASSPHRASE", "That passphrase doesn't match. Please try again.");
+  }
+  currentKey = key;
+}
+
+export function lock() {
+  currentKey = null;
+}
+
+/**
+ * Derive the key and vault record for a new passphrase without storing or switching to
+ * either: the data has to be re-encrypted with `key` before `meta` may replace the current
+ * record (see applyVault and storage.js). Resolves with { key, meta }.
+ */
+export async function prepareVault(passphrase, autoLockMinutes = getAutoLockMinutes()) {
+  const salt = randomBytes(SALT_BYTES);
+  const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const check = await encryptWith(key, CHECK_PLAINTEXT);
+  return { key, meta: { version: 1, salt: toBase64(salt), iterations: PBKDF2_ITERATIONS, check, autoLockMinutes } };
+}
+
+// Store a prepared vault record, or remove the record for null, and switch to `key`.
+export function applyVault(meta, key = null) {
+  if (meta) writeVaultMeta(meta);
+  else localStorage.removeItem(VAULT_META_KEY);
+  currentKey = key;
+}
+
+// Remove the vault record; persisted data must be rewritten in plain form by the caller.
+export function removeVault() {
+  applyVault(null);
+}
+
+// ---- encryption ----
+async function encryptWith(key, text) {
+  const iv = randomBytes(IV_BYTES);
+  const data = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, new TextEncoder().encode(text));
+  return `${ENVELOPE_PREFIX}${toBase64(iv)}.${toBase64(data)}`;
+}
+
+async function decryptWith(key, envelope) {
+  const [iv, data] = envelope.slice(ENVELOPE_PREFIX.length).split(".");
+  const plain = await crypto.subtle.decrypt({ name: "AES-GCM", iv: fromBase64(iv) }, key, fromBase64(data));
+  return new TextDecoder().decode(plain);
+}
+
+function requireKey() {
+  if (!currentKey) throw new VaultError("LOCKED", "The vault is locked.");
+  return currentKey;
+}
+
+export function isSealed(value) {
+  return typeof value === "string" && value.startsWith(ENVELOPE_PREFIX);
+}
+
+// `key` defaults to the unlocked vault's; pass a prepared one to re-encrypt for it
+export function encryptString(text, key = requireKey()) {
+  return encryptWith(key, text);
+}
+
+export async function decryptString(envelope) {
+  try {
+    return await decryptWith(requireKey(), envelope);
+  } catch (e) {
+    if (e instanceof VaultError) throw e;
+    throw new VaultError("CORRUPT", "Stored data could not be decrypted.");
+  }
+}
+
+// binary variant for audio: { iv: Uint8Array, data: ArrayBuffer }
+export async function encryptBuffer(buffer, key = requireKey()) {
+  const iv = randomBytes(IV_BYTES);
+  const data = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, buffer);
+  return { iv, data };
+}
+
+export async function decryptBuffer(sealed) {
+  try {
+    return await crypto.subtle.decrypt({ name: "AES-GCM", iv: sealed.iv }, requireKey(), sealed.data);
+  } catch (e) {
+    if (e instanceof VaultError) throw e;
+    throw new VaultError("CORRUPT", "Stored audio could not be decrypted.");
+  }
+}
@@ -0,0 +1,148 @@
+/**
+ * zip.js
+ * Minimal ZIP reader/writer with no dependencies, enough for Ecosoul archives.
+ *
+ * createZip() writes uncompressed ("stored") entries: audio is already compressed and the
+ * JSON is small, and stored zips open with every OS unzip tool. readZip() reads stored and
+ * deflated entries (deflate via DecompressionStream), so an archive that was unzipped and
+ * re-zipped by another tool still imports. No zip64, encryption or multi-disk support.
+ */
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+export function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const day = ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+/**
+ * Build a zip from [{ name, data: Uint8Array | string }]. Returns a Uint8Array.
+ */
+export function createZip(entries, { now = new Date() } = {}) {
+  const encoder = new TextEncoder();
+  const { time, day } = dosDateTime(now);
+  const files = entries.map((e) => {
+    const data = typeof e.data === "string" ? encoder.encode(e.data) : e.data;
+    return { name: encoder.encode(e.name), data, crc: crc32(data) };
+  });
+
+  const localSize = files.reduce((sum, f) => sum + 30 + f.name.length + f.data.length, 0);
+  const centralSize = files.reduce((sum, f) => sum + 46 + f.name.length, 0);
+  const out = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(out.buffer);
+
+  let offset = 0;
+  const offsets = [];
+  for (const f of files) {
+    offsets.push(offset);
+    view.setUint32(offset, 0x04034b50, true);
+    view.setUint16(offset + 4, 20, true); // version needed
+    view.setUint16(offset + 6, 0x0800, true); // names are UTF-8
+    view.setUint16(offset + 8, 0, true); // stored
+    view.setUint16(offset + 10, time, true);
+    view.setUint16(offset + 12, day, true);
+    view.setUint32(offset + 14, f.crc, true);
+    view.setUint32(offset + 18, f.data.length, true);
+    view.setUint32(offset + 22, f.data.length, true);
+    view.setUint16(offset + 26, f.name.length, true);
+    view.setUint16(offset + 28, 0, true);
+    out.set(f.name, offset + 30);
+    out.set(f.data, offset + 30 + f.name.length);
+    offset += 30 + f.name.length + f.data.length;
+  }
+
+  const centralStart = offset;
+  files.forEach((f, i) => {
+    view.setUint32(offset, 0x02014b50, true);
+    view.setUint16(offset + 4, 20, true); // version made by
+    view.setUint16(offset + 6, 20, true);
+    view.setUint16(offset + 8, 0x0800, true);
+    view.setUint16(offset + 10, 0, true);
+    view.setUint16(offset + 12, time, true);
+    view.setUint16(offset + 14, day, true);
+    view.setUint32(offset + 16, f.crc, true);
+    view.setUint32(offset + 20, f.data.length, true);
+    view.setUint32(offset + 24, f.data.length, true);
+    view.setUint16(offset + 28, f.name.length, true);
+    // extra, comment, disk, internal attrs, external attrs stay 0
+    view.setUint32(offset + 42, offsets[i], true);
+    out.set(f.name, offset + 46);
+    offset += 46 + f.name.length;
+  });
+
+  view.setUint32(offset, 0x06054b50, true);
+  view.setUint16(offset + 8, files.length, true);
+  view.setUint16(offset + 10, files.length, true);
+  view.setUint32(offset + 12, offset - centralStart, true);
+  view.setUint32(offset + 16, centralStart, true);
+  return out;
+}
+
+async function inflateRaw(bytes) {
+  if (typeof DecompressionStream === "undefined") throw new Error("This browser can't read compressed zip entries.");
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Read a zip into a Map of name -> Uint8Array (directories are skipped).
+ * Throws an Error with a readable message for anything that isn't a usable zip.
+ */
+export async function readZip(input) {
+  const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder();
+
+  // the end-of-central-directory record sits in the last 22 bytes + up to 64K of comment
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error("Not a zip file.");
+
+  const count = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  const files = new Map();
+  for (let n = 0; n < count; n++) {
+    if (offset + 46 > bytes.length || view.getUint32(offset, true) !== 0x02014b50) throw new Error("The zip directory is damaged.");
+    const method = view.getUint16(offset + 10, true);
+    const crc = view.getUint32(offset + 16, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+    if (name.endsWith("/")) continue;
+
+    if (view.getUint32(localOffset, true) !== 0x04034b50) throw new Error(`The zip entry "${name}" is damaged.`);
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const raw = bytes.subarray(dataStart, dataStart + compressedSize);
+    let data;
+    if (method === 0) data = raw.slice();
+    else if (method === 8) data = await inflateRaw(raw);
+    else throw new Error(`The zip entry "${name}" uses an unsupported compression method.`);
+    if (crc32(data) !== crc) throw new Error(`The zip entry "${name}" is corrupt (checksum mismatch).`);
+    files.set(name, data);
+  }
+  return files;
+}
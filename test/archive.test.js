@@ -0,0 +1,228 @@
+/**
+ * archive.test.js
+ * Archives (src/archive.js): format versioning — what a version 1 archive may leave out, what
+ * a current one must contain, refusing archives from a newer build — and planning an import
+ * of one, merged into what's on the device or replacing it, and writing the result.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ARCHIVE_VERSION, COLLECTIONS, applyImport, buildArchive, parseArchive, planImport } from "../src/archive.js";
+import { readJSON } from "../src/storage.js";
+import { createZip, readZip } from "../src/zip.js";
+
+const snapshot = {
+  profiles: [{ id: "p_default", name: "Mum" }],
+  journal: [{ id: "j_1", profileId: "p_default", title: "Hi", body: "ünïcode ✓", createdAt: 1 }],
+  conversations: [],
+  stories: [{ id: "s_1", profileId: "p_default", paragraphs: ["a"] }],
+  scenes: [],
+  dates: [],
+  clipAudit: [{ id: "audit_1", clipId: "voice_1", profileId: "p_default", action: "played", time: 6 }],
+  breathingPrograms: [],
+  breathingLog: [],
+  clips: [{ id: "voice_1", profileId: "p_default", name: "rec.webm", mimeType: "audio/webm", createdAt: 3, bytes: new Uint8Array([9, 8, 7]) }],
+};
+
+// rebuild an archive's zip with some files dropped and the manifest patched
+async function rezip(zip, { drop = [], manifest = {} } = {}) {
+  const files = await readZip(zip);
+  const entries = [];
+  for (const [name, data] of files) {
+    if (drop.includes(name)) continue;
+    if (name === "manifest.json") {
+      const patched = { ...JSON.parse(new TextDecoder().decode(data)), ...manifest };
+      entries.push({ name, data: JSON.stringify(patched) });
+    } else {
+      entries.push({ name, data });
+    }
+  }
+  return createZip(entries);
+}
+
+const ADDED_IN_2 = COLLECTIONS.filter((c) => c.since === 2).map((c) => c.file);
+
+test("archives are written at the current version and read back unchanged", async () => {
+  const { manifest, snapshot: read, warnings } = await parseArchive(buildArchive(snapshot, { now: 1000 }));
+  assert.equal(manifest.version, ARCHIVE_VERSION);
+  assert.equal(ARCHIVE_VERSION, 2);
+  assert.deepEqual(read, snapshot);
+  assert.deepEqual(warnings, []);
+});
+
+test("a version 1 archive without the later collections imports them as empty", async () => {
+  const v1 = await rezip(buildArchive(snapshot), { drop: ADDED_IN_2, manifest: { version: 1 } });
+  const { snapshot: read } = await parseArchive(v1);
+  assert.deepEqual(read.stories, []);
+  assert.deepEqual(read.clipAudit, []);
+  assert.deepEqual(read.journal, snapshot.journal);
+});
+
+test("a version 2 archive missing one of them is corrupt", async () => {
+  const broken = await rezip(buildArchive(snapshot), { drop: ["clip-audit.json"] });
+  await assert.rejects(parseArchive(broken), { code: "CORRUPT", message: /clip-audit\.json/ });
+});
+
+test("archives from a newer format are refused", async () => {
+  const newer = await rezip(buildArchive(snapshot), { manifest: { version: ARCHIVE_VERSION + 1 } });
+  await assert.rejects(parseArchive(newer), { code: "VERSION" });
+});
+
+test("collections this build doesn't know are reported", async () => {
+  const zip = buildArchive(snapshot);
+  const files = await readZip(zip);
+  const counts = JSON.parse(new TextDecoder().decode(files.get("manifest.json"))).counts;
+  const { warnings } = await parseArchive(await rezip(zip, { manifest: { counts: { ...counts, moodBoards: 3, empty: 0 } } }));
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0], /3 items of "moodBoards"/);
+});
+
+// what's on this device before an import
+const local = {
+  ...snapshot,
+  profiles: [{ id: "p_default", name: "Mum" }, { id: "p_dad", name: "Dad" }],
+  journal: [{ id: "j_1", profileId: "p_default", title: "Hi", body: "from this device", createdAt: 1 }],
+  clips: [{ id: "voice_1", profileId: "p_default", name: "rec.webm", mimeType: "audio/webm", createdAt: 3, bytes: null }],
+};
+
+// an archive from another device: the same ids for different things, plus new records pointing at them
+const other = {
+  ...snapshot,
+  profiles: [{ id: "p_default", name: "Grandad" }, { id: "p_dad", name: "Dad" }],
+  journal: [
+    { id: "j_1", profileId: "p_default", title: "Hello", body: "from the other device", createdAt: 2 },
+    { id: "j_2", profileId: "p_default", title: "Voicemail", body: "", clipIds: ["voice_1"], createdAt: 4 },
+  ],
+  conversations: [
+    {
+      id: "c_1",
+      profileId: "p_default",
+      title: "Chat",
+      messages: [{ id: "m_1", from: "soul", text: "Remember?", basedOn: [{ kind: "clip", id: "voice_1", title: "rec" }, { kind: "letter", id: "j_1", title: "Hello" }] }],
+    },
+  ],
+  scenes: [
+    {
+      id: "sc_1",
+      profileId: "p_default",
+      title: "Garden",
+      slides: [{ id: "slide_1", photoId: "photo_1", clipId: "voice_1", quote: { kind: "letter", sourceId: "j_1", text: "from the other device" } }],
+      background: { clipId: "voice_1", volume: 0.5 },
+    },
+  ],
+  clips: [
+    { id: "voice_1", profileId: "p_default", name: "hum.webm", mimeType: "audio/webm", createdAt: 5, bytes: new Uint8Array([1, 2, 3]) },
+    { id: "photo_1", profileId: "p_default", kind: "photo", name: "garden.jpg", mimeType: "image/jpeg", createdAt: 5, bytes: new Uint8Array([4]) },
+  ],
+};
+
+// deterministic new ids for keep-both
+function counter() {
+  let n = 0;
+  return () => (n += 1) / 1000;
+}
+
+async function roundTrip(data) {
+  return (await parseArchive(buildArchive(data))).snapshot;
+}
+
+test("merging with keep-both imports conflicting records under new ids and follows them", async () => {
+  const plan = planImport(local, await roundTrip(other), { mode: "merge", onConflict: "keep-both", random: counter() });
+  const { profiles, journal, conversations, scenes } = plan.next;
+
+  assert.equal(plan.summary.profiles.renamed, 1);
+  assert.equal(plan.summary.profiles.identical, 1);
+  const grandad = profiles.find((p) => p.name === "Grandad");
+  assert.notEqual(grandad.id, "p_default");
+  assert.match(grandad.id, /^p_/);
+  assert.deepEqual(profiles.slice(0, 2), local.profiles);
+
+  // the local letter and clip stay; the archive's copies move to new ids
+  assert.equal(journal.find((j) => j.id === "j_1").body, "from this device");
+  const theirLetter = journal.find((j) => j.title === "Hello");
+  assert.notEqual(theirLetter.id, "j_1");
+  assert.equal(theirLetter.profileId, grandad.id);
+  const theirClip = plan.clips.put.find((c) => c.name === "hum.webm");
+  assert.notEqual(theirClip.id, "voice_1");
+  assert.equal(theirClip.profileId, grandad.id);
+  assert.deepEqual([...theirClip.bytes], [1, 2, 3]);
+
+  // new records point at the renamed ones
+  const voicemail = journal.find((j) => j.id === "j_2");
+  assert.equal(voicemail.profileId, grandad.id);
+  assert.deepEqual(voicemail.clipIds, [theirClip.id]);
+  assert.deepEqual(conversations[0].messages[0].basedOn.map((b) => b.id), [theirClip.id, theirLetter.id]);
+  assert.equal(conversations[0].profileId, grandad.id);
+  const [slide] = scenes[0].slides;
+  assert.equal(slide.clipId, theirClip.id);
+  assert.equal(slide.photoId, "photo_1");
+  assert.equal(slide.quote.sourceId, theirLetter.id);
+  assert.equal(scenes[0].background.clipId, theirClip.id);
+
+  // only what came from the archive is written to the clip store
+  assert.deepEqual(plan.clips.put.map((c) => c.name).sort(), ["garden.jpg", "hum.webm"]);
+  assert.equal(plan.clips.clearAll, false);
+  assert.deepEqual(plan.summary.clips, { added: 1, updated: 0, identical: 0, skipped: 0, renamed: 1, removed: 0 });
+});
+
+test("merging with skip keeps local versions and leaves references on them", async () => {
+  const plan = planImport(local, await roundTrip(other), { mode: "merge", onConflict: "skip" });
+  assert.deepEqual(plan.next.profiles, local.profiles);
+  assert.equal(plan.summary.profiles.skipped, 1);
+  assert.equal(plan.summary.journal.skipped, 1);
+  assert.equal(plan.summary.journal.added, 1);
+  assert.equal(plan.next.journal.find((j) => j.id === "j_1").body, "from this device");
+  assert.deepEqual(plan.next.journal.find((j) => j.id === "j_2").clipIds, ["voice_1"]);
+  assert.equal(plan.next.scenes[0].slides[0].clipId, "voice_1");
+  assert.deepEqual(plan.clips.put.map((c) => c.id), ["photo_1"]);
+});
+
+test("merging with overwrite lets the archive win under the same ids", async () => {
+  const plan = planImport(local, await roundTrip(other), { mode: "merge", onConflict: "overwrite" });
+  assert.deepEqual(plan.next.profiles.map((p) => [p.id, p.name]), [["p_default", "Grandad"], ["p_dad", "Dad"]]);
+  assert.equal(plan.summary.profiles.updated, 1);
+  assert.equal(plan.next.journal.find((j) => j.id === "j_1").body, "from the other device");
+  assert.equal(plan.next.journal.length, 2);
+  assert.deepEqual(plan.clips.put.map((c) => c.id).sort(), ["photo_1", "voice_1"]);
+  assert.equal(plan.summary.clips.updated, 1);
+});
+
+test("merging an archive of this device changes nothing", async () => {
+  const plan = planImport(local, await roundTrip(local), { mode: "merge" });
+  assert.deepEqual(plan.next.journal, local.journal);
+  assert.equal(plan.summary.journal.identical, 1);
+  assert.equal(plan.summary.clips.identical, 1);
+  assert.deepEqual(plan.clips.put, []);
+});
+
+test("replacing makes the device match the archive and counts what goes", async () => {
+  const plan = planImport(local, await roundTrip(other), { mode: "replace" });
+  assert.deepEqual(plan.next.journal.map((j) => j.id), ["j_1", "j_2"]);
+  assert.deepEqual(plan.next.journal[1].clipIds, ["voice_1"]);
+  assert.deepEqual(plan.summary.profiles, { added: 0, updated: 1, identical: 1, skipped: 0, renamed: 0, removed: 0 });
+  assert.deepEqual(plan.summary.journal, { added: 1, updated: 1, identical: 0, skipped: 0, renamed: 0, removed: 0 });
+  assert.deepEqual(plan.summary.clips, { added: 1, updated: 1, identical: 0, skipped: 0, renamed: 0, removed: 0 });
+  assert.equal(plan.summary.stories.identical, 1);
+  assert.equal(plan.clips.clearAll, true);
+  assert.equal(plan.clips.put.length, 2);
+
+  const emptied = planImport(local, await roundTrip({ ...other, profiles: [], journal: [] }), { mode: "replace" });
+  assert.equal(emptied.summary.profiles.removed, 2);
+  assert.equal(emptied.summary.journal.removed, 1);
+  assert.deepEqual(emptied.next.journal, []);
+});
+
+test("applying a merge writes every collection to its storage key", async () => {
+  // a bare localStorage; no clips are written, so IndexedDB isn't needed
+  const stored = new Map();
+  globalThis.localStorage = { get length() { return stored.size; }, key: (i) => [...stored.keys()][i], getItem: (k) => stored.get(k) ?? null, setItem: (k, v) => stored.set(k, String(v)), removeItem: (k) => stored.delete(k) };
+  try {
+    const plan = planImport(local, await roundTrip({ ...other, clips: [] }), { mode: "merge", onConflict: "skip" });
+    await applyImport(plan);
+    for (const c of COLLECTIONS) assert.deepEqual(readJSON(c.key, null), plan.next[c.name]);
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    assert.deepEqual(JSON.parse(stored.get(COLLECTIONS.find((c) => c.name === "journal").key)), plan.next.journal);
+  } finally {
+    delete globalThis.localStorage;
+  }
+});
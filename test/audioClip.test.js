@@ -0,0 +1,81 @@
+/**
+ * audioClip.test.js
+ * The recorder's sample-level helpers (src/audioClip.js): mono mixing, waveform peaks,
+ * trimming, level metering and WAV encoding, over plain Float32Arrays.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { encodeWav, extractPeaks, mixToMono, rmsLevel, trimChannels } from "../src/audioClip.js";
+
+const f32 = (values) => Float32Array.from(values);
+
+test("mixToMono averages channels and passes a single channel through", () => {
+  const left = f32([1, 0.5, -1, 0]);
+  assert.equal(mixToMono([left]), left);
+  assert.deepEqual([...mixToMono([left, f32([0, 0.5, 1])])], [0.5, 0.5, 0]);
+});
+
+test("extractPeaks takes the loudest absolute sample of each bucket", () => {
+  const samples = f32([0.1, -0.8, 0.2, 0.3, 0, -0.25, 1.5, 0]);
+  assert.deepEqual(extractPeaks(samples, 4), [f32([0.8])[0], f32([0.3])[0], f32([0.25])[0], 1]);
+  // more buckets than samples: every bucket still looks at a sample
+  assert.deepEqual(extractPeaks(f32([0.5, -0.5]), 4), [0.5, 0.5, 0.5, 0.5]);
+  assert.deepEqual(extractPeaks(f32([]), 3), [0, 0, 0]);
+  assert.deepEqual(extractPeaks(samples, 0), []);
+});
+
+test("trimChannels cuts every channel to the same clamped range", () => {
+  const left = f32([0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+  const right = f32([10, 11, 12, 13, 14, 15, 16, 17, 18, 19]);
+  const trimmed = trimChannels([left, right], 10, 0.2, 0.5);
+  assert.equal(trimmed.length, 2);
+  assert.deepEqual([...trimmed[0]], [2, 3, 4]);
+  assert.deepEqual([...trimmed[1]], [12, 13, 14]);
+  assert.deepEqual(trimChannels([left], 10, -1, 99)[0].length, 10);
+  assert.deepEqual(trimChannels([left], 10, 0.8, 0.3)[0].length, 0);
+  // a copy: the source stays intact
+  trimmed[0][0] = 99;
+  assert.equal(left[2], 2);
+});
+
+test("rmsLevel reads floats and analyser bytes", () => {
+  assert.equal(rmsLevel(f32([])), 0);
+  assert.equal(rmsLevel(f32([0.5, -0.5, 0.5, -0.5])), 0.5);
+  assert.equal(rmsLevel(new Uint8Array([128, 128])), 0);
+  assert.equal(rmsLevel(new Uint8Array([0, 0])), 1);
+  assert.equal(rmsLevel(f32([3, -3])), 1);
+});
+
+test("encodeWav writes a 16-bit PCM header for the channel count and rate", () => {
+  const view = new DataView(encodeWav([f32([0, 0, 0]), f32([0, 0, 0])], 44100));
+  const text = (offset, n) => String.fromCharCode(...new Uint8Array(view.buffer, offset, n));
+  assert.equal(view.byteLength, 44 + 3 * 2 * 2);
+  assert.equal(text(0, 4), "RIFF");
+  assert.equal(view.getUint32(4, true), view.byteLength - 8);
+  assert.equal(text(8, 8), "WAVEfmt ");
+  assert.equal(view.getUint16(20, true), 1);
+  assert.equal(view.getUint16(22, true), 2);
+  assert.equal(view.getUint32(24, true), 44100);
+  assert.equal(view.getUint32(28, true), 44100 * 2 * 2);
+  assert.equal(view.getUint16(32, true), 4);
+  assert.equal(view.getUint16(34, true), 16);
+  assert.equal(text(36, 4), "data");
+  assert.equal(view.getUint32(40, true), 12);
+});
+
+test("encodeWav interleaves channels and clamps samples", () => {
+  const view = new DataView(encodeWav([f32([1, -1, 2]), f32([0, 0.5, -2])], 8000));
+  const samples = Array.from({ length: 6 }, (_, i) => view.getInt16(44 + i * 2, true));
+  assert.deepEqual(samples, [32767, 0, -32768, 16383, 32767, -32768]);
+});
+
+test("a trimmed stereo clip encodes as stereo", () => {
+  const rate = 100;
+  const left = new Float32Array(rate).fill(0.25);
+  const right = new Float32Array(rate).fill(-0.25);
+  const view = new DataView(encodeWav(trimChannels([left, right], rate, 0.1, 0.6), rate));
+  assert.equal(view.getUint16(22, true), 2);
+  assert.equal(view.getUint32(40, true), 50 * 2 * 2);
+  assert.ok(view.getInt16(44, true) > 0 && view.getInt16(46, true) < 0);
+});
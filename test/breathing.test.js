@@ -0,0 +1,136 @@
+/**
+ * breathing.test.js
+ * Breathing programs and the session clock (src/breathing.js), driven by a fake clock so
+ * phase changes, pauses and late timers can be stepped through exactly.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { BUILT_IN_PROGRAMS, createBreathSession, positionAt, totalMs, validateProgram } from "../src/breathing.js";
+
+const box = { id: "box", name: "Box", phases: [{ kind: "inhale", seconds: 2 }, { kind: "hold", seconds: 1 }, { kind: "exhale", seconds: 3 }], cycles: 2 };
+
+// a clock that only moves when told to; timers fire `lateBy` ms after they were due
+function fakeClock({ lateBy = 0 } = {}) {
+  let now = 0;
+  let timers = [];
+  let nextId = 1;
+  return {
+    clock: () => now,
+    schedule(fn, ms) {
+      const id = nextId++;
+      timers.push({ id, fn, at: now + ms + lateBy });
+      return id;
+    },
+    cancel(id) {
+      timers = timers.filter((t) => t.id !== id);
+    },
+    pending: () => timers.length,
+    advance(ms) {
+      const until = now + ms;
+      for (;;) {
+        const due = timers.filter((t) => t.at <= until).sort((a, b) => a.at - b.at)[0];
+        if (!due) break;
+        timers = timers.filter((t) => t !== due);
+        now = due.at;
+        due.fn();
+      }
+      now = until;
+    },
+  };
+}
+
+function run(program, time) {
+  const phases = [];
+  const summaries = [];
+  const session = createBreathSession(program, {
+    ...time,
+    onPhase: (pos) => phases.push(`${pos.cycle}:${pos.phase.kind}`),
+    onComplete: (summary) => summaries.push(summary),
+  });
+  return { session, phases, summaries };
+}
+
+test("positions follow the program's phases and cycles", () => {
+  assert.equal(totalMs(box), 12000);
+  const at = (ms) => `${positionAt(box, ms).cycle}:${positionAt(box, ms).phase.kind}`;
+  assert.deepEqual([0, 1999, 2000, 3000, 5999, 6000].map(at), ["0:inhale", "0:inhale", "0:hold", "0:exhale", "0:exhale", "1:inhale"]);
+  const mid = positionAt(box, 3500);
+  assert.equal(mid.phaseElapsedMs, 500);
+  assert.equal(mid.phaseRemainingMs, 2500);
+  assert.equal(mid.progress, 3500 / 12000);
+  assert.equal(positionAt(box, 99999).done, true);
+});
+
+test("each phase is announced once, in order, and the session completes", () => {
+  const time = fakeClock();
+  const { session, phases, summaries } = run(box, time);
+  session.start();
+  assert.deepEqual(phases, ["0:inhale"]);
+  time.advance(2500);
+  assert.deepEqual(phases, ["0:inhale", "0:hold"]);
+  time.advance(10000);
+  assert.deepEqual(phases, ["0:inhale", "0:hold", "0:exhale", "1:inhale", "1:hold", "1:exhale"]);
+  assert.deepEqual(summaries, [{ activeMs: 12000, cycles: 2 }]);
+  assert.equal(time.pending(), 0);
+});
+
+test("late timers don't add up: the position always comes from the clock", () => {
+  const time = fakeClock({ lateBy: 400 });
+  const { session, phases, summaries } = run(box, time);
+  session.start();
+  time.advance(6100);
+  assert.equal(session.position().cycle, 1);
+  assert.equal(session.elapsed(), 6100);
+  time.advance(6500);
+  assert.deepEqual(phases, ["0:inhale", "0:hold", "0:exhale", "1:inhale", "1:hold", "1:exhale"]);
+  assert.deepEqual(summaries, [{ activeMs: 12000, cycles: 2 }]);
+});
+
+test("paused time doesn't count, and nothing fires while paused", () => {
+  const time = fakeClock();
+  const { session, phases, summaries } = run(box, time);
+  session.start();
+  time.advance(1000);
+  session.pause();
+  assert.equal(session.isPaused(), true);
+  assert.equal(time.pending(), 0);
+  time.advance(60000);
+  assert.equal(session.elapsed(), 1000);
+  assert.deepEqual(phases, ["0:inhale"]);
+
+  session.resume();
+  assert.equal(session.isPaused(), false);
+  // resuming mid-phase doesn't announce it again
+  assert.deepEqual(phases, ["0:inhale"]);
+  time.advance(1010);
+  assert.deepEqual(phases, ["0:inhale", "0:hold"]);
+  time.advance(10000);
+  assert.equal(summaries.length, 1);
+  // the summary counts active time only
+  assert.deepEqual(summaries[0], { activeMs: 12000, cycles: 2 });
+});
+
+test("a stopped session never completes", () => {
+  const time = fakeClock();
+  const { session, summaries } = run(box, time);
+  session.start();
+  time.advance(3000);
+  session.stop();
+  time.advance(60000);
+  assert.deepEqual(summaries, []);
+  assert.equal(time.pending(), 0);
+});
+
+test("programs are checked for a name, phases, 1–60 seconds and 1–100 cycles", () => {
+  for (const p of BUILT_IN_PROGRAMS) assert.equal(validateProgram(p), null);
+  assert.equal(validateProgram({ ...box, name: "  " }), "Give the program a name.");
+  assert.equal(validateProgram({ ...box, phases: [] }), "Add at least one phase.");
+  assert.equal(validateProgram({ ...box, phases: [{ kind: "sigh", seconds: 2 }] }), "Unknown phase type.");
+  assert.equal(validateProgram({ ...box, phases: [{ kind: "inhale", seconds: 0 }] }), "Each phase needs 1–60 seconds.");
+  assert.equal(validateProgram({ ...box, phases: [{ kind: "inhale", seconds: 61 }] }), "Each phase needs 1–60 seconds.");
+  assert.equal(validateProgram({ ...box, phases: [{ kind: "inhale", seconds: 60 }] }), null);
+  assert.equal(validateProgram({ ...box, cycles: 0 }), "Use between 1 and 100 cycles.");
+  assert.equal(validateProgram({ ...box, cycles: 101 }), "Use between 1 and 100 cycles.");
+  assert.equal(validateProgram({ ...box, cycles: 100 }), null);
+});
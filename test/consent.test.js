@@ -0,0 +1,46 @@
+/**
+ * consent.test.js
+ * Consent records and what they allow (src/consent.js), including sharing, which exported
+ * Dream Space scenes need on top of playback.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { appendAudit, consentAllows, consentGaps, createConsent, describeUses, finalizeConsent, refusalReason } from "../src/consent.js";
+
+const record = (uses) => finalizeConsent(createConsent({ speaker: "Mum", grantedBy: "Dad", grantedOn: "2026-01-02", uses }), { now: 1 });
+
+test("a record needs a speaker, who allowed it, a date and a known use", () => {
+  assert.deepEqual(consentGaps(createConsent({ grantedOn: "", uses: ["nope"] })), ["whose voice it is", "who gave permission", "the date permission was given", "at least one allowed use"]);
+  assert.deepEqual(consentGaps(createConsent({ speaker: "Mum", grantedBy: "Dad" })), []);
+});
+
+test("finalizing keeps known uses in a fixed order", () => {
+  assert.deepEqual(record(["voiceModel", "nope", "export", "playback"]).uses, ["playback", "export", "voiceModel"]);
+});
+
+test("playback doesn't cover sharing", () => {
+  const clip = { id: "v1", consent: record(["playback"]) };
+  assert.equal(consentAllows(clip, "playback"), true);
+  assert.equal(consentAllows(clip, "export"), false);
+  assert.equal(refusalReason(clip, "export"), "its consent doesn't cover sharing");
+  assert.equal(refusalReason({ ...clip, consent: record(["playback", "export"]) }, "export"), null);
+});
+
+test("a clip without a record is refused for everything", () => {
+  for (const use of ["playback", "export", "chat", "voiceModel"]) {
+    assert.equal(refusalReason({ id: "old" }, use), "it has no consent record");
+  }
+});
+
+test("uses read as a list", () => {
+  assert.equal(describeUses(["playback", "export"]), "playback, sharing");
+  assert.equal(describeUses([]), "nothing");
+});
+
+test("the audit log keeps only the newest entries", () => {
+  const log = appendAudit([], [{ clipId: "a", action: "played" }, { clipId: "b", action: "played" }], { now: 5, limit: 1 });
+  assert.equal(log.length, 1);
+  assert.equal(log[0].clipId, "b");
+  assert.equal(log[0].time, 5);
+});
@@ -0,0 +1,32 @@
+/**
+ * conversations.test.js
+ * Memory Chat conversation helpers (src/conversations.js): titles, message updates and
+ * settling replies a previous session left pending.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { FAILED_REPLY, appendMessage, createConversation, settlePending, updateMessage } from "../src/conversations.js";
+
+test("the first thing the user says titles the conversation", () => {
+  const [c] = appendMessage([createConversation("c1", { now: 1 })], "c1", { id: "m1", from: "you", text: "  Happy birthday,   Mum ", time: 2 });
+  assert.equal(c.title, "Happy birthday, Mum");
+  assert.equal(c.updatedAt, 2);
+});
+
+test("messages are updated in the conversation they belong to", () => {
+  const list = [createConversation("a", { now: 1 }), createConversation("b", { now: 1 })];
+  const withReply = appendMessage(list, "b", { id: "r", from: "soul", text: "", pending: true, time: 2 });
+  const [a, b] = updateMessage(withReply, "b", "r", { text: "Hello", pending: false });
+  assert.equal(a.messages.length, 1);
+  assert.deepEqual(b.messages.at(-1), { id: "r", from: "soul", text: "Hello", pending: false, time: 2 });
+});
+
+test("a reply left pending is settled: the fallback when nothing arrived, otherwise what did", () => {
+  let list = [createConversation("c1", { now: 1 }), createConversation("c2", { now: 1 })];
+  list = appendMessage(list, "c1", { id: "empty", from: "soul", text: "", pending: true, time: 2 });
+  list = appendMessage(list, "c1", { id: "partial", from: "soul", text: "I remember the", pending: true, time: 3 });
+  const [c1, c2] = settlePending(list);
+  assert.deepEqual(c1.messages.slice(1).map((m) => [m.text, m.pending]), [[FAILED_REPLY, false], ["I remember the", false]]);
+  assert.equal(c2, list[1]);
+});
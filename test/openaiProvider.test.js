@@ -0,0 +1,187 @@
+/**
+ * openaiProvider.test.js
+ * The OpenAI-compatible adapter (src/providers/openaiProvider.js) against a local mock
+ * server: SSE streaming, retry with backoff, timeouts, falling back to the local provider,
+ * and stopping remote speech when it's cancelled.
+ */
+
+import { after, before, beforeEach, test } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { createOpenAIProvider, ProviderError } from "../src/providers/openaiProvider.js";
+import { createLocalProvider, withFallback } from "../src/providers/index.js";
+import { collectMemories } from "../src/replyEngine.js";
+
+// each test queues how the server answers its next requests
+let handlers = [];
+let requests = [];
+let server;
+let baseUrl;
+
+before(async () => {
+  server = createServer((req, res) => {
+    let body = "";
+    req.on("data", (c) => (body += c));
+    req.on("end", () => {
+      requests.push({ path: req.url, headers: req.headers, body: body ? JSON.parse(body) : null });
+      const handle = handlers.shift() || ((res) => res.writeHead(500).end());
+      handle(res);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/v1/`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+beforeEach(() => {
+  handlers = [];
+  requests = [];
+});
+
+const json = (status, value) => (res) => res.writeHead(status, { "Content-Type": "application/json" }).end(JSON.stringify(value));
+const message = (text) => json(200, { choices: [{ message: { content: text } }] });
+
+function provider(settings = {}, deps) {
+  return createOpenAIProvider({ baseUrl, apiKey: "sk-test", model: "test-model", timeoutMs: 2000, retries: 2, ...settings }, deps);
+}
+
+const memories = collectMemories({
+  journalEntries: [{ id: "j_1", title: "Roses", body: "I still water your roses.", tags: [] }],
+});
+const history = [{ from: "you", text: "I watered the roses" }];
+
+test("reply sends the persona, memories and history and cites the memories it used", async () => {
+  handlers.push(message("  They're blooming again.  "));
+  const reply = await provider({ stream: false }).reply(history, memories);
+  assert.deepEqual(reply, { text: "They're blooming again.", basedOn: [{ kind: "letter", id: "j_1", title: "Roses" }] });
+  const [req] = requests;
+  assert.equal(req.path, "/v1/chat/completions");
+  assert.equal(req.headers.authorization, "Bearer sk-test");
+  assert.equal(req.body.model, "test-model");
+  assert.match(req.body.messages[0].content, /Letter "Roses": I still water your roses\./);
+  assert.deepEqual(req.body.messages.slice(1), [{ role: "user", content: "I watered the roses" }]);
+});
+
+test("streams SSE tokens, including events split across chunks", async () => {
+  handlers.push((res) => {
+    res.writeHead(200, { "Content-Type": "text/event-stream" });
+    const event = (content) => `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`;
+    const payload = `: keep-alive\n\n${event("Hello")}${event(", love")}data: {"choices":[{"delta":{}}]}\n\n${event(".")}data: [DONE]\n\n`;
+    // cut mid-line so the reader has to buffer
+    res.write(payload.slice(0, 30));
+    setTimeout(() => res.end(payload.slice(30)), 20);
+  });
+  const seen = [];
+  const reply = await provider().reply(history, memories, { onToken: (t) => seen.push(t) });
+  assert.equal(reply.text, "Hello, love.");
+  assert.deepEqual(seen, ["Hello", "Hello, love", "Hello, love."]);
+  assert.equal(requests[0].body.stream, true);
+});
+
+test("retries 429 and 5xx with backoff, then succeeds", async () => {
+  handlers.push(json(503, { error: { message: "busy" } }), json(429, {}), message("Third time."));
+  const started = Date.now();
+  const reply = await provider({ stream: false }).reply(history, memories);
+  assert.equal(reply.text, "Third time.");
+  assert.equal(requests.length, 3);
+  // 400 ms then 800 ms of backoff
+  assert.ok(Date.now() - started >= 1100);
+});
+
+test("doesn't retry client errors and reports the provider's message", async () => {
+  handlers.push(json(401, { error: { message: "bad key" } }));
+  await assert.rejects(provider({ stream: false }).reply(history, memories), (e) => {
+    assert.ok(e instanceof ProviderError);
+    assert.equal(e.code, "HTTP");
+    assert.equal(e.status, 401);
+    assert.match(e.message, /bad key/);
+    return true;
+  });
+  assert.equal(requests.length, 1);
+});
+
+test("times out a silent server", async () => {
+  handlers.push(() => {}); // never answers
+  await assert.rejects(provider({ stream: false, timeoutMs: 100, retries: 0 }).reply(history, memories), { code: "TIMEOUT" });
+});
+
+test("never retries a stream that already produced tokens", async () => {
+  handlers.push((res) => {
+    res.writeHead(200, { "Content-Type": "text/event-stream" });
+    res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: "Half" } }] })}\n\n`);
+    setTimeout(() => res.destroy(), 20);
+  });
+  const seen = [];
+  await assert.rejects(provider().reply(history, memories, { onToken: (t) => seen.push(t) }), ProviderError);
+  assert.deepEqual(seen, ["Half"]);
+  assert.equal(requests.length, 1);
+});
+
+test("falls back to the local provider when the endpoint fails", async () => {
+  handlers.push(json(500, {}));
+  const fallbacks = [];
+  const wrapped = withFallback(provider({ stream: false, retries: 0 }), createLocalProvider(), { onFallback: (method, e) => fallbacks.push([method, e.status]) });
+  const reply = await wrapped.reply(history, memories);
+  assert.deepEqual(fallbacks, [["reply", 500]]);
+  assert.deepEqual(reply.basedOn, [{ kind: "letter", id: "j_1", title: "Roses" }]);
+});
+
+test("a cancelled request is neither retried nor handed to the fallback", async () => {
+  handlers.push(() => {});
+  const ctrl = new AbortController();
+  const fallbacks = [];
+  const wrapped = withFallback(provider({ stream: false }), createLocalProvider(), { onFallback: (m) => fallbacks.push(m) });
+  const pending = wrapped.reply(history, memories, { signal: ctrl.signal });
+  setTimeout(() => ctrl.abort(), 50);
+  await assert.rejects(pending, { code: "ABORTED" });
+  assert.deepEqual(fallbacks, []);
+  assert.equal(requests.length, 1);
+});
+
+test("synthesize posts to /audio/speech and returns the audio", async () => {
+  handlers.push((res) => res.writeHead(200, { "Content-Type": "audio/mpeg" }).end(Buffer.from([1, 2, 3])));
+  const blob = await provider({ ttsModel: "tts-1", ttsVoice: "nova" }).synthesize("Hello", { rate: 1.2 });
+  assert.equal(blob.size, 3);
+  assert.deepEqual(requests[0].body, { model: "tts-1", voice: "nova", input: "Hello", speed: 1.2 });
+  await assert.rejects(provider().synthesize("Hello"), { code: "UNSUPPORTED" });
+});
+
+test("cancelling remote speech stops and releases the audio", async () => {
+  const played = [];
+  globalThis.Audio = class {
+    constructor(src) {
+      this.src = src;
+      this.paused = true;
+      played.push(this);
+    }
+    play() {
+      this.paused = false;
+      return Promise.resolve();
+    }
+    pause() {
+      this.paused = true;
+    }
+    removeAttribute(name) {
+      delete this[name];
+    }
+    load() {}
+  };
+  try {
+    handlers.push((res) => res.writeHead(200, { "Content-Type": "audio/mpeg" }).end(Buffer.from([1])));
+    const ctrl = new AbortController();
+    const speaking = provider({ ttsModel: "tts-1" }).speak("Hello", {}, { signal: ctrl.signal });
+    while (!played.length) await new Promise((r) => setTimeout(r, 5));
+    assert.equal(played[0].paused, false);
+    ctrl.abort();
+    await assert.rejects(speaking, { code: "ABORTED" });
+    assert.equal(played[0].paused, true);
+    assert.equal(played[0].src, undefined);
+    assert.equal(played[0].onended, null);
+  } finally {
+    delete globalThis.Audio;
+  }
+});
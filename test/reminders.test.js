@@ -0,0 +1,56 @@
+/**
+ * reminders.test.js
+ * Wall-clock times in a date's own time zone (src/reminders.js), including the days the
+ * clocks change, for zones both east and west of UTC.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { addDays, zonedDay, zonedTime } from "../src/reminders.js";
+
+const iso = (ts) => new Date(ts).toISOString().slice(0, 16) + "Z";
+
+test("an ordinary day maps through the zone's offset", () => {
+  assert.equal(iso(zonedTime("2026-06-01", "09:00", "Europe/London")), "2026-06-01T08:00Z");
+  assert.equal(iso(zonedTime("2026-06-01", "09:00", "America/New_York")), "2026-06-01T13:00Z");
+  assert.equal(iso(zonedTime("2026-06-01", "09:00", "Asia/Tokyo")), "2026-06-01T00:00Z");
+  assert.equal(iso(zonedTime("2026-06-01", "09:00", "Asia/Kolkata")), "2026-06-01T03:30Z");
+});
+
+test("a time that happens twice is the first of the two, east of UTC", () => {
+  // London falls back from BST (+1) to GMT at 02:00 BST: 01:30 BST comes first
+  assert.equal(iso(zonedTime("2026-10-25", "01:30", "Europe/London")), "2026-10-25T00:30Z");
+  // Berlin: 02:30 CEST (+2) before 02:30 CET
+  assert.equal(iso(zonedTime("2026-10-25", "02:30", "Europe/Berlin")), "2026-10-25T00:30Z");
+  // Sydney leaves daylight time in April: 02:30 AEDT (+11) before 02:30 AEST
+  assert.equal(iso(zonedTime("2026-04-05", "02:30", "Australia/Sydney")), "2026-04-04T15:30Z");
+});
+
+test("a time that happens twice is the first of the two, west of UTC", () => {
+  // 01:30 EDT (-4) before 01:30 EST
+  assert.equal(iso(zonedTime("2026-11-01", "01:30", "America/New_York")), "2026-11-01T05:30Z");
+});
+
+test("a skipped time is moved on by the jump", () => {
+  // 01:30 doesn't exist in London on 2026-03-29; it becomes 02:30 BST
+  assert.equal(iso(zonedTime("2026-03-29", "01:30", "Europe/London")), "2026-03-29T01:30Z");
+  // 02:30 doesn't exist in New York on 2026-03-08; it becomes 03:30 EDT
+  assert.equal(iso(zonedTime("2026-03-08", "02:30", "America/New_York")), "2026-03-08T07:30Z");
+});
+
+test("times just either side of a change keep their own offset", () => {
+  assert.equal(iso(zonedTime("2026-10-25", "00:59", "Europe/London")), "2026-10-24T23:59Z");
+  assert.equal(iso(zonedTime("2026-10-25", "02:00", "Europe/London")), "2026-10-25T02:00Z");
+});
+
+test("an unknown zone is read as UTC", () => {
+  assert.equal(iso(zonedTime("2026-06-01", "09:00", "Not/AZone")), "2026-06-01T09:00Z");
+});
+
+test("zonedDay and addDays work in calendar days", () => {
+  const ts = Date.parse("2026-06-01T23:30:00Z");
+  assert.equal(zonedDay(ts, "Europe/London"), "2026-06-02");
+  assert.equal(zonedDay(ts, "America/New_York"), "2026-06-01");
+  assert.equal(addDays("2026-02-28", 1), "2026-03-01");
+  assert.equal(addDays("2026-03-01", -1), "2026-02-28");
+});
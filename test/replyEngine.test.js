@@ -0,0 +1,95 @@
+/**
+ * replyEngine.test.js
+ * Retrieval and composition of offline Memory Chat replies (src/replyEngine.js): BM25
+ * ranking, re-voicing, seeded reproducibility and which memory a reply says it's based on.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildIndex, collectMemories, composeReply, createRng, paraphrase, search, tokenize } from "../src/replyEngine.js";
+
+const letters = [
+  { id: "j_garden", title: "The garden", body: "I still water your roses every Sunday. The garden misses you.", tags: ["garden"] },
+  { id: "j_kitchen", title: "Sunday lunch", body: "Nobody makes gravy like you did. Sunday lunch is quiet now.", tags: [] },
+  { id: "j_trip", title: "Blackpool", body: "Remember the pier and the rain? You laughed the whole way home.", tags: ["holiday"] },
+];
+const clips = [
+  { id: "voice_1", name: "rec.webm", title: "Birthday message", notes: "Singing happy birthday, off key as always." },
+  { id: "voice_2", name: "silent.webm", title: "No notes", notes: "  " },
+];
+const memories = collectMemories({ journalEntries: letters, clips });
+
+test("createRng repeats its sequence for a seed and stays in [0, 1)", () => {
+  const a = createRng(42);
+  const b = createRng(42);
+  const seq = Array.from({ length: 50 }, () => a());
+  assert.deepEqual(seq, Array.from({ length: 50 }, () => b()));
+  assert.ok(seq.every((x) => x >= 0 && x < 1));
+  assert.notDeepEqual(seq.slice(0, 5), Array.from({ length: 5 }, createRng(43)));
+});
+
+test("tokenize drops stopwords and meets word forms in one stem", () => {
+  assert.deepEqual(tokenize("I was walking, we walked, it walks."), ["walk", "walk", "walk"]);
+  assert.deepEqual(tokenize("Don’t forget the stories"), ["forget", "story"]);
+});
+
+test("collectMemories skips clips without notes", () => {
+  assert.deepEqual(
+    memories.map((m) => [m.kind, m.id]),
+    [["letter", "j_garden"], ["letter", "j_kitchen"], ["letter", "j_trip"], ["clip", "voice_1"]]
+  );
+});
+
+test("search ranks the memory sharing the rarer terms first", () => {
+  const index = buildIndex(memories);
+  // "sunday" is in two letters, "roses" in one: the garden letter wins
+  const hits = search(index, "roses on a Sunday");
+  assert.deepEqual(hits.map((h) => h.doc.id), ["j_garden", "j_kitchen"]);
+  assert.deepEqual(hits[0].matched.sort(), ["rose", "sunday"]);
+  assert.ok(hits[0].score > hits[1].score);
+  assert.deepEqual(search(index, "the and of"), []);
+  assert.deepEqual(search(buildIndex([]), "roses"), []);
+});
+
+test("search breaks score ties on id, whatever the input order", () => {
+  const twins = [
+    { kind: "letter", id: "b", title: "", text: "pier", body: "pier" },
+    { kind: "letter", id: "a", title: "", text: "pier", body: "pier" },
+  ];
+  assert.deepEqual(search(buildIndex(twins), "pier").map((h) => h.doc.id), ["a", "b"]);
+  assert.deepEqual(search(buildIndex([...twins].reverse()), "pier").map((h) => h.doc.id), ["a", "b"]);
+});
+
+test("paraphrase swaps who is speaking", () => {
+  assert.equal(paraphrase("I miss your laugh."), "you miss my laugh");
+  assert.equal(paraphrase("You always told me to be brave!"), "I always told you to be brave");
+  assert.equal(paraphrase("Thank you for my bike"), "Thank me for your bike");
+});
+
+test("composeReply is reproducible for a seed and cites the memory it drew on", () => {
+  const first = composeReply("I watered the roses today", memories, { random: createRng(7) });
+  const again = composeReply("I watered the roses today", memories, { random: createRng(7) });
+  assert.deepEqual(first, again);
+  assert.deepEqual(first.basedOn, [{ kind: "letter", id: "j_garden", title: "The garden" }]);
+
+  const texts = new Set(Array.from({ length: 20 }, (_, seed) => composeReply("roses", memories, { random: createRng(seed) }).text));
+  assert.ok(texts.size > 1, "different seeds should vary the wording");
+});
+
+test("composeReply attributes clip notes as clips", () => {
+  const reply = composeReply("you sang happy birthday", memories, { random: createRng(1) });
+  assert.deepEqual(reply.basedOn, [{ kind: "clip", id: "voice_1", title: "Birthday message" }]);
+  assert.match(reply.text, /Birthday message/);
+});
+
+test("composeReply falls back without citing anything when nothing matches", () => {
+  const reply = composeReply("quantum chromodynamics", memories, { random: createRng(3) });
+  assert.deepEqual(reply.basedOn, []);
+  assert.ok(reply.text.length > 0);
+});
+
+test("composeReply speaks with the profile's nickname for the user", () => {
+  const profile = { id: "p", name: "Nan", nicknames: ["pet"] };
+  const replies = Array.from({ length: 10 }, (_, seed) => composeReply("roses", memories, { random: createRng(seed), profile }).text);
+  assert.ok(replies.some((t) => t.startsWith("Oh, pet — ")));
+});
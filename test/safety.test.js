@@ -0,0 +1,40 @@
+/**
+ * safety.test.js
+ * The on-device distress check (src/safety.js) against every case in safetyFixtures.js,
+ * plus the user's own phrases and the care messages shown when something is flagged.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { LEXICONS, assessDistress, careMessage } from "../src/safety.js";
+import { SAFETY_FIXTURES } from "./safetyFixtures.js";
+
+for (const { locale, text, level } of SAFETY_FIXTURES) {
+  test(`${level} (${locale}): ${text}`, () => {
+    const result = assessDistress(text, { locale });
+    assert.equal(result.level, level, `matched ${JSON.stringify(result.matches.map((m) => m.phrase))}, score ${result.score}`);
+  });
+}
+
+test("every lexicon has crisis, distress and false-positive fixtures", () => {
+  for (const language of Object.keys(LEXICONS)) {
+    const levels = new Set(SAFETY_FIXTURES.filter((f) => f.locale.split("-")[0] === language).map((f) => f.level));
+    assert.deepEqual([...levels].sort(), ["crisis", "distress", "none"], `fixtures for "${language}"`);
+  }
+});
+
+test("the user's own phrases count as distress on their own", () => {
+  assert.equal(assessDistress("the empty chair again", { locale: "en-US" }).level, "none");
+  const result = assessDistress("The EMPTY chair again", { locale: "en-US", phrases: ["empty chair"] });
+  assert.equal(result.level, "distress");
+  assert.deepEqual(result.matches.map((m) => [m.phrase, m.language]), [["empty chair", "custom"]]);
+});
+
+test("blank text is never flagged", () => {
+  assert.deepEqual(assessDistress("   ", { locale: "en-US" }), { level: "none", score: 0, matches: [] });
+});
+
+test("the care message steps out of the loved one's voice in chat", () => {
+  assert.match(careMessage("crisis", { name: "Mum" }), /stop speaking as Mum/);
+  assert.doesNotMatch(careMessage("distress"), /stop speaking as/);
+});
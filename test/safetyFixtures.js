@@ -0,0 +1,64 @@
+/**
+ * safetyFixtures.js
+ * Cases the distress check (src/safety.js) must get right, in every language it has a
+ * lexicon for; run by safety.test.js. `level` is what assessDistress(text, { locale }) must return. The false positives
+ * are the everyday and grief-specific things people write that only look alarming:
+ * idioms, negations, and how the person they lost died.
+ */
+
+export const SAFETY_FIXTURES = [
+  // crisis
+  { locale: "en-US", text: "I want to die.", level: "crisis" },
+  { locale: "en-US", text: "Sometimes I think about killing myself", level: "crisis" },
+  { locale: "en-GB", text: "I just want to end it all", level: "crisis" },
+  { locale: "en-GB", text: "everyone would be better off without me", level: "crisis" },
+  { locale: "en-US", text: "I don’t want to wake up tomorrow", level: "crisis" },
+  { locale: "en-US", text: "I've been having suicidal thoughts since the funeral", level: "crisis" },
+  { locale: "en-AU", text: "no reason to live now that you're gone", level: "crisis" },
+  { locale: "en-US", text: "I keep wanting to hurt myself", level: "crisis" },
+  { locale: "en-US", text: "I wish I was dead too", level: "crisis" },
+  { locale: "en-US", text: "I want to take my own life", level: "crisis" },
+  { locale: "es-ES", text: "Ya no quiero vivir sin ti", level: "crisis" },
+  { locale: "es-MX", text: "a veces pienso en quitarme la vida", level: "crisis" },
+  { locale: "de-DE", text: "Ich will nicht mehr leben", level: "crisis" },
+  { locale: "de-DE", text: "Ich denke daran, mir das Leben zu nehmen", level: "crisis" },
+  { locale: "fr-FR", text: "J'ai envie de mourir", level: "crisis" },
+  { locale: "fr-FR", text: "je pense à mettre fin à mes jours", level: "crisis" },
+  // a different language from the browser's is still read in English
+  { locale: "de-DE", text: "I want to kill myself", level: "crisis" },
+
+  // distress
+  { locale: "en-US", text: "I want to give up.", level: "distress" },
+  { locale: "en-US", text: "I can't go on like this", level: "distress" },
+  { locale: "en-US", text: "I can't take it anymore", level: "distress" },
+  { locale: "en-GB", text: "Everything feels hopeless and I can't stop crying", level: "distress" },
+  { locale: "en-US", text: "I just want to join you", level: "distress" },
+  { locale: "en-US", text: "what is the point of living anymore", level: "distress" },
+  { locale: "en-US", text: "I give up. It's unbearable.", level: "distress" },
+  { locale: "es-ES", text: "No puedo más", level: "distress" },
+  { locale: "de-DE", text: "Ich kann einfach nicht mehr", level: "distress" },
+  { locale: "fr-FR", text: "Je n'en peux plus", level: "distress" },
+
+  // false positives
+  { locale: "en-US", text: "I'm dying to see the photos from the wedding", level: "none" },
+  { locale: "en-US", text: "That joke killed me, I nearly died laughing", level: "none" },
+  { locale: "en-US", text: "I would never hurt myself, don't worry", level: "none" },
+  { locale: "en-US", text: "I don't want to die without telling you how much I loved you", level: "none" },
+  { locale: "en-US", text: "Dad died by suicide three years ago today", level: "none" },
+  { locale: "en-GB", text: "I still can't make sense of her overdose", level: "none" },
+  { locale: "en-US", text: "We went to a suicide prevention walk in your name", level: "none" },
+  { locale: "en-US", text: "I want to give up smoking like you always told me to", level: "none" },
+  { locale: "en-US", text: "I can't go on the trip we planned", level: "none" },
+  { locale: "en-US", text: "I cut myself shaving and thought of you", level: "none" },
+  { locale: "en-US", text: "I'm hopeless at baking your bread", level: "none" },
+  { locale: "en-US", text: "I won't give up on the garden", level: "none" },
+  { locale: "en-US", text: "I miss you so much today. The house is quiet.", level: "none" },
+  { locale: "en-US", text: "I felt all alone at the party", level: "none" },
+  { locale: "en-US", text: "This cake is to die for", level: "none" },
+  { locale: "es-ES", text: "Me muero de ganas de verte en mis sueños", level: "none" },
+  { locale: "es-ES", text: "No quiero morir sin volver a tu pueblo", level: "none" },
+  { locale: "de-DE", text: "Ich kann nicht mehr warten, bis der Frühling kommt", level: "none" },
+  { locale: "de-DE", text: "Er hat sich das Leben genommen, und ich vermisse ihn", level: "none" },
+  { locale: "fr-FR", text: "J'étais morte de rire en lisant ta lettre", level: "none" },
+  { locale: "fr-FR", text: "Je n'arrive toujours pas à comprendre son suicide", level: "none" },
+];
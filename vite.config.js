@@ -1,9 +1,77 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { createHash } from 'crypto'
+import { readFileSync, readdirSync } from 'fs'
+
+// Emit src/sw.js as /sw.js with the list of built files to precache. The build id is a hash
+// of every file, so any change to the app installs a new worker (and shows the update prompt).
+function serviceWorker() {
+  const root = new URL('.', import.meta.url)
+  return {
+    name: 'ecosoul-service-worker',
+    apply: 'build',
+    generateBundle(_, bundle) {
+      const hash = createHash('sha256')
+      const files = ['index.html']
+      for (const [name, chunk] of Object.entries(bundle)) {
+        if (name.endsWith('.map')) continue
+        if (name !== 'index.html') files.push(name)
+        hash.update(name).update(chunk.type === 'chunk' ? chunk.code : chunk.source)
+      }
+      for (const name of readdirSync(new URL('public', root))) {
+        files.push(name)
+        hash.update(name).update(readFileSync(new URL(`public/${name}`, root)))
+      }
+      const source = readFileSync(new URL('src/sw.js', root), 'utf8')
+        .replace('__BUILD__', JSON.stringify(hash.digest('hex').slice(0, 12)))
+        .replace('__PRECACHE__', JSON.stringify(files))
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+    },
+  }
+}
+
+// Emit src/manifest.webmanifest with start_url, scope and icons under the configured base,
+// so the app installs correctly from a sub-path, and link it from index.html. The dev
+// server serves the same file.
+function webManifest() {
+  const root = new URL('.', import.meta.url)
+  let base = '/'
+  const render = () => {
+    const manifest = JSON.parse(readFileSync(new URL('src/manifest.webmanifest', root), 'utf8'))
+    return JSON.stringify(
+      {
+        ...manifest,
+        start_url: base,
+        scope: base,
+        icons: manifest.icons.map((icon) => ({ ...icon, src: `${base}${icon.src}` })),
+      },
+      null,
+      2
+    )
+  }
+  return {
+    name: 'ecosoul-web-manifest',
+    configResolved(config) {
+      base = config.base
+    },
+    configureServer(server) {
+      server.middlewares.use(`${base}manifest.webmanifest`, (_, res) => {
+        res.setHeader('Content-Type', 'application/manifest+json')
+        res.end(render())
+      })
+    },
+    transformIndexHtml() {
+      return [{ tag: 'link', attrs: { rel: 'manifest', href: `${base}manifest.webmanifest` }, injectTo: 'head' }]
+    },
+    generateBundle() {
+      this.emitFile({ type: 'asset', fileName: 'manifest.webmanifest', source: render() })
+    },
+  }
+}
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), webManifest(), serviceWorker()],
   build: {
     outDir: 'dist'
   }
-})
\ No newline at end of file
+})